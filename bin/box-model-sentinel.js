@@ -0,0 +1,8 @@
+#!/usr/bin/env node
+/**
+ * Box Model Sentinel - CLI entry point
+ */
+
+const { run } = require('../src/cli/cli');
+
+process.exitCode = run(process.argv.slice(2));
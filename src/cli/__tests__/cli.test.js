@@ -0,0 +1,168 @@
+/**
+ * Tests for the command-line interface
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseArgs, run } = require('../cli');
+const { findStylesheets } = require('../files');
+const { stylish } = require('../reporters/stylish');
+
+/** Writable stream stand-in that keeps what was written */
+const sink = () => {
+  const stream = { text: '', write: (chunk) => { stream.text += chunk; } };
+  return stream;
+};
+
+describe('cli', () => {
+  let root;
+
+  const write = (files) => {
+    for (const [name, contents] of Object.entries(files)) {
+      const file = path.join(root, name);
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      fs.writeFileSync(file, contents);
+    }
+  };
+
+  const cli = (...argv) => {
+    const stdout = sink();
+    const stderr = sink();
+    const code = run(argv, { cwd: root, stdout, stderr });
+    return { code, stdout: stdout.text, stderr: stderr.text };
+  };
+
+  beforeEach(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'bms-cli-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  describe('parseArgs', () => {
+    test('reads thresholds in both forms and keeps the rest as patterns', () => {
+      expect(parseArgs(['src', '--max-severity', 'low', '--max-warnings=0', '--', '--odd.css'])).toMatchObject({
+        patterns: ['src', '--odd.css'],
+        maxSeverity: 'low',
+        maxWarnings: 0
+      });
+      expect(() => parseArgs(['--max-severity', 'high'])).toThrow('--max-severity must be one of none, low, medium, critical');
+      expect(() => parseArgs(['--max-warnings', '1.5'])).toThrow('--max-warnings must be a whole number');
+      expect(() => parseArgs(['--cache'])).toThrow('Unknown option --cache');
+      expect(() => parseArgs(['--fix', '--fix-dry-run'])).toThrow('--fix and --fix-dry-run cannot be combined');
+    });
+  });
+
+  describe('findStylesheets', () => {
+    test('expands directories and globs, skipping node_modules and other files', () => {
+      write({
+        'src/a.css': '',
+        'src/deep/b.scss': '',
+        'src/deep/notes.md': '',
+        'node_modules/lib/c.css': '',
+        'legacy/d.less': ''
+      });
+      const relative = ({ files, unmatched }) => ({ files: files.map(f => path.relative(root, f)), unmatched });
+
+      expect(relative(findStylesheets(['src', 'legacy/d.less'], root))).toEqual({
+        files: ['legacy/d.less', 'src/a.css', path.join('src', 'deep', 'b.scss')],
+        unmatched: []
+      });
+      expect(relative(findStylesheets(['src/**/*.scss', 'missing/**/*.css'], root))).toEqual({
+        files: [path.join('src', 'deep', 'b.scss')],
+        unmatched: ['missing/**/*.css']
+      });
+    });
+  });
+
+  describe('run', () => {
+    test('prints issues with file:line:col and exits by severity', () => {
+      write({ 'card.css': '.card {\n  width: 600px;\n  height: 400px;\n}\n' });
+
+      const result = cli('card.css', '--no-color');
+      expect(result.stdout).toContain('card.css:1:1   critical  Fixed box dimensions (.card)');
+      expect(result.stdout).toContain('card.css:2:10  medium    Fixed width (.card)');
+      expect(result.stdout).toContain('✖ 3 problems (1 critical, 2 medium, 0 low)');
+      expect(result.stderr).toContain('1 issue above the "medium" severity');
+      expect(result.code).toBe(1);
+
+      expect(cli('card.css', '--max-severity', 'critical').code).toBe(0);
+      expect(cli('card.css', '--max-severity', 'critical', '--max-warnings', '3').code).toBe(0);
+      expect(cli('card.css', '--max-severity', 'critical', '--max-warnings', '2').code).toBe(1);
+    });
+
+    test('honors project config files and suppression comments', () => {
+      write({
+        '.bmsrc.json': JSON.stringify({ rules: { 'bms/fixed-height': 'off', 'bms/fixed-box': 'off' } }),
+        'a.scss': '.a {\n  // bms-disable-next-line bms/fixed-width\n  width: 600px;\n  height: 400px;\n}\n'
+      });
+
+      const result = cli('.', '--no-color');
+      expect(result.stdout).toBe('');
+      expect(result.code).toBe(0);
+    });
+
+    test('loads a custom reporter by path', () => {
+      write({
+        'card.css': '.card { width: 600px; }',
+        'tools/count.js': 'module.exports = (results, { stats }) => `${results.length} file, ${stats.counts.medium} medium`;'
+      });
+
+      expect(cli('card.css', '--format', './tools/count.js')).toEqual({ code: 0, stdout: '1 file, 1 medium', stderr: '' });
+      expect(cli('card.css', '-f', 'xml').stderr).toContain('Unknown format "xml"');
+      expect(cli('card.css', '-f', './tools/missing.js').stderr).toContain('Cannot load reporter');
+    });
+
+    test('applies safe fixes with --fix and prints them as a diff with --fix-dry-run', () => {
+      const css = '.a {\n  padding: 1px;\n  padding: 2px;\n  width: 600px;\n}\n';
+      write({ 'src/a.css': css });
+
+      const dryRun = cli('src', '--fix-dry-run', '--max-severity', 'critical');
+      expect(dryRun).toEqual({
+        code: 0,
+        stdout: '--- a/src/a.css\n+++ b/src/a.css\n@@ -1,5 +1,4 @@\n .a {\n-  padding: 1px;\n   padding: 2px;\n   width: 600px;\n }\n',
+        stderr: ''
+      });
+      expect(fs.readFileSync(path.join(root, 'src/a.css'), 'utf8')).toBe(css);
+
+      const fixed = cli('src', '--fix', '--no-color');
+      expect(fs.readFileSync(path.join(root, 'src/a.css'), 'utf8')).toBe('.a {\n  padding: 2px;\n  width: 600px;\n}\n');
+      expect(fixed.stdout).toContain('Fixed width (.a)');
+      expect(fixed.stdout).not.toContain('Overridden layout declaration');
+    });
+
+    test('exits with 2 on usage errors and patterns that match nothing', () => {
+      expect(cli().code).toBe(2);
+      expect(cli('--max-warnings').stderr).toContain('--max-warnings needs a value');
+
+      const missing = cli('nope/**/*.css');
+      expect(missing.code).toBe(2);
+      expect(missing.stderr).toContain('no stylesheets match "nope/**/*.css"');
+    });
+  });
+
+  describe('stylish', () => {
+    test('sorts by position and summarizes, with no output for clean files', () => {
+      const issue = (line, severity, rule) => ({
+        issue: 'Issue', severity, rule, selector: '.a\n.b',
+        range: { start: { line, character: 0 }, end: { line, character: 1 } }
+      });
+      const results = [
+        { filePath: path.join(root, 'x.css'), issues: [issue(4, 'low', 'bms/b'), issue(0, 'medium', 'bms/a')] },
+        { filePath: path.join(root, 'y.css'), issues: [] }
+      ];
+
+      expect(stylish(results, { cwd: root, color: false })).toBe([
+        '',
+        '  x.css:1:1  medium  Issue (.a .b)  bms/a',
+        '  x.css:5:1  low     Issue (.a .b)  bms/b',
+        '',
+        '✖ 2 problems (0 critical, 1 medium, 1 low)',
+        ''
+      ].join('\n'));
+      expect(stylish([results[1]], { cwd: root, color: false })).toBe('');
+    });
+  });
+});
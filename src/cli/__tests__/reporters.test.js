@@ -0,0 +1,131 @@
+/**
+ * Tests for the CLI reporters
+ */
+
+const path = require('path');
+const { analyzeCss } = require('../../engine/lint-engine');
+const { RULES } = require('../../engine/rules');
+const { buildStatsModel } = require('../../engine/stats-model');
+const { IssueClassifier } = require('../../engine/issue-classifier');
+const { sarif } = require('../reporters/sarif');
+const { json } = require('../reporters/json');
+const { junit } = require('../reporters/junit');
+const { checkstyle } = require('../reporters/checkstyle');
+
+const cwd = path.resolve('/repo');
+const resultFor = (name, source) => {
+  const filePath = path.join(cwd, name);
+  const issues = analyzeCss(source);
+  return { filePath, source, issues, stats: buildStatsModel(issues, IssueClassifier, { visualize: false }) };
+};
+const contextFor = (results) => ({
+  cwd,
+  color: false,
+  stats: buildStatsModel(results.flatMap(r => r.issues), IssueClassifier, { visualize: false })
+});
+
+describe('reporters', () => {
+  describe('sarif', () => {
+    const source = '.card {\n  width: 600px;\n}\n@media (max-width: 768px) { .card { width: 100%; } }\n@media (min-width: 768px) { .card { width: 50%; } }\n';
+
+    test('writes a SARIF 2.1.0 run with rule metadata and exact regions', () => {
+      const log = JSON.parse(sarif([resultFor('src/a b.css', source)], { cwd }));
+      const run = log.runs[0];
+
+      expect(log.version).toBe('2.1.0');
+      expect(run.tool.driver.rules).toHaveLength(RULES.length);
+      expect(run.tool.driver.rules[0]).toMatchObject({
+        id: 'bms/fixed-width',
+        name: 'FixedWidth',
+        helpUri: expect.stringContaining('#1-fixed-dimensions'),
+        defaultConfiguration: { level: 'warning' }
+      });
+
+      const fixedWidth = run.results.find(r => r.ruleId === 'bms/fixed-width');
+      expect(run.tool.driver.rules[fixedWidth.ruleIndex].id).toBe('bms/fixed-width');
+      expect(fixedWidth).toMatchObject({
+        level: 'warning',
+        message: { text: 'Fixed width: Fixed pixel width reduces responsiveness' },
+        locations: [{
+          physicalLocation: {
+            artifactLocation: { uri: 'src/a%20b.css', uriBaseId: '%SRCROOT%' },
+            region: { startLine: 2, startColumn: 10, endLine: 2, endColumn: 15 }
+          }
+        }],
+        properties: { severity: 'medium', selector: '.card', suggestion: expect.any(String) }
+      });
+      expect(fixedWidth.message.markdown).toContain('**Viewport Impact:**');
+
+      const overlap = run.results.find(r => r.ruleId === 'bms/breakpoint-overlap');
+      expect(overlap.locations[0].physicalLocation.region.startLine).toBe(5);
+      expect(overlap.relatedLocations[0]).toMatchObject({
+        id: 0,
+        message: { text: expect.any(String) },
+        physicalLocation: { region: { startLine: 4 } }
+      });
+    });
+
+    test('keeps fingerprints across unrelated edits and tells repeats apart', () => {
+      const fingerprints = (text) => JSON.parse(sarif([resultFor('a.css', text)], { cwd })).runs[0].results
+        .map(r => `${r.ruleId} ${r.partialFingerprints['bmsIssue/v1']}`);
+      const before = fingerprints(source);
+      const after = fingerprints(`/* header */\n\n.intro { color: red; }\n${source}`);
+
+      expect(after).toEqual(before);
+      expect(new Set(before).size).toBe(before.length);
+      expect(fingerprints('.a { width: 600px; }\n.a { width: 600px; }')
+        .filter(f => f.startsWith('bms/fixed-width'))
+        .map(f => f.split(':')[1])).toEqual(['1', '2']);
+    });
+  });
+
+  describe('json', () => {
+    test('carries the stats counts and items with rule ids and ranges', () => {
+      const results = [resultFor('a.css', '.a { width: 600px; }'), resultFor('b.css', '.b { color: red; }')];
+      const report = JSON.parse(json(results, contextFor(results)));
+
+      expect(report.counts).toEqual({ critical: 0, medium: 1, low: 0 });
+      expect(report.typeCounts).toEqual({ flex: 0, grid: 0, overflow: 0, other: 1 });
+      expect(report.files.map(f => f.filePath)).toEqual(['a.css', 'b.css']);
+      expect(report.files[0].items).toEqual([{
+        idx: 0,
+        title: 'Fixed width',
+        sev: 'medium',
+        line: 0,
+        type: 'other',
+        explanation: 'Fixed pixel width reduces responsiveness',
+        viewportImpact: 'Constrained layout on smaller viewports',
+        suggestion: 'Use relative units or max-width',
+        rule: 'bms/fixed-width',
+        selector: '.a',
+        range: { start: { line: 0, character: 12 }, end: { line: 0, character: 17 } }
+      }]);
+    });
+  });
+
+  describe('junit', () => {
+    test('writes a suite per file, a failed case per issue and counts as properties', () => {
+      const results = [resultFor('a.css', '.a > b { width: 600px; }'), resultFor('b.css', '.b { color: red; }')];
+      const xml = junit(results, contextFor(results));
+
+      expect(xml).toContain('<testsuites name="Box Model Sentinel" tests="2" failures="1" errors="0">');
+      expect(xml).toContain('<testsuite name="a.css" tests="1" failures="1" errors="0">');
+      expect(xml).toContain('<testcase name="bms/fixed-width: Fixed width (.a &gt; b)" classname="a.css">');
+      expect(xml).toContain('<failure type="medium" message="Fixed width: Fixed pixel width reduces responsiveness">1:17 Fixed width');
+      expect(xml).toContain('<property name="severity.medium" value="1"/>');
+      expect(xml).toContain('<testcase name="b.css" classname="b.css"/>');
+    });
+  });
+
+  describe('checkstyle', () => {
+    test('writes an error per issue with the rule id as source', () => {
+      const results = [resultFor('a.css', '.a {\n  width: 600px;\n  height: 400px;\n}')];
+      const xml = checkstyle(results, contextFor(results));
+
+      expect(xml).toContain(`<file name="${path.join(cwd, 'a.css')}">`);
+      expect(xml).toContain('<error line="1" column="1" severity="error" message="Fixed box dimensions (.a). Fixed width and height create rigid boxes.');
+      expect(xml).toContain('line="2" column="10" severity="warning"');
+      expect(xml).toContain('source="bms/fixed-width"/>');
+    });
+  });
+});
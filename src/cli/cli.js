@@ -0,0 +1,251 @@
+/**
+ * Box Model Sentinel - CLI
+ * Linha de comando: analisa arquivos, diretórios e globs e define o código de saída
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { analyzeCss } = require('../engine/lint-engine');
+const { fixAll } = require('../engine/fixes');
+const { unifiedDiff } = require('../engine/unified-diff');
+const { findStylesheets, languageOf } = require('./files');
+const { loadReporter } = require('./reporters');
+const { buildStatsModel } = require('../engine/stats-model');
+const { IssueClassifier } = require('../engine/issue-classifier');
+
+/** Severities by rank; `none` lets no issue pass */
+const SEVERITY_RANK = { none: 0, low: 1, medium: 2, critical: 3 };
+
+const USAGE = `Usage: box-model-sentinel [options] <file|dir|glob>...
+
+Lints CSS, SCSS, Sass and Less files with the project config (.bmsrc.json,
+.bmsrc, bms.config.js) found for each file.
+
+Options:
+  --max-severity <level>  Highest severity that passes: none, low, medium or
+                          critical (default: medium)
+  --max-warnings <n>      Issues at or below --max-severity allowed before
+                          failing (default: unlimited)
+  -f, --format <name>     Output format: stylish, sarif, json, junit,
+                          checkstyle, or the path of a reporter module
+                          (default: stylish)
+  -o, --output-file <path>
+                          Write the report to a file instead of stdout
+  --fix                   Apply safe fixes to the files, then report what is
+                          left
+  --fix-dry-run           Print the safe fixes as a unified diff instead of
+                          the report; files are not changed
+  --color, --no-color     Force or disable colored output
+  -h, --help              Show this help
+  -v, --version           Show the version
+
+Exit codes: 0 passed, 1 thresholds exceeded, 2 usage, read, write or
+reporter error`;
+
+/**
+ * @typedef {Object} CliOptions
+ * @property {string[]} patterns
+ * @property {'none'|'low'|'medium'|'critical'} maxSeverity
+ * @property {number} maxWarnings - -1 for unlimited
+ * @property {string} format - Reporter name or module path
+ * @property {string|null} outputFile
+ * @property {boolean} fix
+ * @property {boolean} fixDryRun
+ * @property {boolean|undefined} color - Undefined to detect
+ * @property {boolean} help
+ * @property {boolean} version
+ */
+
+/**
+ * Parse command-line arguments
+ * @param {string[]} argv - Arguments after the executable and script
+ * @returns {CliOptions}
+ * @throws {Error} On unknown options or invalid values
+ */
+function parseArgs(argv) {
+  const options = { patterns: [], maxSeverity: 'medium', maxWarnings: -1, format: 'stylish', outputFile: null, fix: false, fixDryRun: false, color: undefined, help: false, version: false };
+  const args = [...argv];
+
+  while (args.length) {
+    const arg = args.shift();
+    if (arg === '--') {
+      options.patterns.push(...args.splice(0));
+      break;
+    }
+    if (!arg.startsWith('-') || arg === '-') {
+      options.patterns.push(arg);
+      continue;
+    }
+
+    const eq = arg.indexOf('=');
+    const name = eq === -1 ? arg : arg.slice(0, eq);
+    const value = () => {
+      const v = eq === -1 ? args.shift() : arg.slice(eq + 1);
+      if (v === undefined || v === '') throw new Error(`${name} needs a value`);
+      return v;
+    };
+
+    switch (name) {
+      case '-h':
+      case '--help':
+        options.help = true;
+        break;
+      case '-v':
+      case '--version':
+        options.version = true;
+        break;
+      case '-f':
+      case '--format':
+        options.format = value();
+        break;
+      case '-o':
+      case '--output-file':
+        options.outputFile = value();
+        break;
+      case '--fix':
+        options.fix = true;
+        break;
+      case '--fix-dry-run':
+        options.fixDryRun = true;
+        break;
+      case '--color':
+        options.color = true;
+        break;
+      case '--no-color':
+        options.color = false;
+        break;
+      case '--max-severity': {
+        const level = value().toLowerCase();
+        if (!(level in SEVERITY_RANK)) throw new Error(`--max-severity must be one of ${Object.keys(SEVERITY_RANK).join(', ')}`);
+        options.maxSeverity = level;
+        break;
+      }
+      case '--max-warnings': {
+        const raw = value();
+        const n = Number(raw);
+        if (!Number.isInteger(n) || n < -1) throw new Error(`--max-warnings must be a whole number, got "${raw}"`);
+        options.maxWarnings = n;
+        break;
+      }
+      default:
+        throw new Error(`Unknown option ${name}`);
+    }
+  }
+  if (options.fix && options.fixDryRun) throw new Error('--fix and --fix-dry-run cannot be combined');
+  return options;
+}
+
+/**
+ * Why the results fail the thresholds, or null when they pass
+ * @param {import('./reporters').FileResult[]} results
+ * @param {CliOptions} options
+ * @returns {string|null}
+ */
+function thresholdFailure(results, { maxSeverity, maxWarnings }) {
+  const issues = results.flatMap(r => r.issues);
+  const above = issues.filter(i => (SEVERITY_RANK[i.severity] || 0) > SEVERITY_RANK[maxSeverity]).length;
+  if (above) return `${above} issue${above === 1 ? '' : 's'} above the "${maxSeverity}" severity`;
+  const tolerated = issues.length - above;
+  if (maxWarnings >= 0 && tolerated > maxWarnings) return `Too many issues: ${tolerated} (maximum: ${maxWarnings})`;
+  return null;
+}
+
+/**
+ * Run the CLI
+ * @param {string[]} argv - Arguments after the executable and script
+ * @param {{cwd?: string, stdout?: NodeJS.WritableStream, stderr?: NodeJS.WritableStream}} [io]
+ * @returns {number} Exit code
+ */
+function run(argv, { cwd = process.cwd(), stdout = process.stdout, stderr = process.stderr } = {}) {
+  let options;
+  try {
+    options = parseArgs(argv);
+  } catch (e) {
+    stderr.write(`box-model-sentinel: ${e.message}\n\n${USAGE}\n`);
+    return 2;
+  }
+  if (options.help) {
+    stdout.write(`${USAGE}\n`);
+    return 0;
+  }
+  if (options.version) {
+    stdout.write(`${require('../../package.json').version}\n`);
+    return 0;
+  }
+  if (!options.patterns.length) {
+    stderr.write(`box-model-sentinel: no files given\n\n${USAGE}\n`);
+    return 2;
+  }
+
+  let reporter;
+  try {
+    reporter = loadReporter(options.format, cwd);
+  } catch (e) {
+    stderr.write(`box-model-sentinel: ${e.message}\n`);
+    return 2;
+  }
+
+  const { files, unmatched } = findStylesheets(options.patterns, cwd);
+  if (unmatched.length) {
+    stderr.write(unmatched.map(p => `box-model-sentinel: no stylesheets match "${p}"\n`).join(''));
+    return 2;
+  }
+
+  const results = [];
+  const diffs = [];
+  let fileError = false;
+  for (const filePath of files) {
+    try {
+      const text = fs.readFileSync(filePath, 'utf8');
+      const language = languageOf(filePath);
+      // Fixing reports the issues left in the fixed text
+      const { output: source, issues } = options.fix || options.fixDryRun
+        ? fixAll(text, { language, filePath })
+        : { output: text, issues: analyzeCss(text, { language, filePath }) };
+      if (source !== text && options.fix) fs.writeFileSync(filePath, source);
+      if (source !== text && options.fixDryRun) {
+        const name = path.relative(cwd, filePath).split(path.sep).join('/');
+        diffs.push(unifiedDiff(text, source, { fromFile: `a/${name}`, toFile: `b/${name}` }));
+      }
+      results.push({ filePath, source, issues, stats: buildStatsModel(issues, IssueClassifier, { visualize: false }) });
+    } catch (e) {
+      stderr.write(`box-model-sentinel: ${filePath}: ${e.message}\n`);
+      fileError = true;
+    }
+  }
+
+  const color = options.color !== undefined
+    ? options.color
+    : !options.outputFile && Boolean(stdout.isTTY) && !process.env.NO_COLOR;
+  const stats = buildStatsModel(results.flatMap(r => r.issues), IssueClassifier, { visualize: false });
+  let report;
+  try {
+    report = String(reporter(results, { cwd, color, stats }));
+  } catch (e) {
+    stderr.write(`box-model-sentinel: reporter failed: ${e.message}\n`);
+    return 2;
+  }
+  if (options.outputFile) {
+    const target = path.resolve(cwd, options.outputFile);
+    try {
+      fs.mkdirSync(path.dirname(target), { recursive: true });
+      fs.writeFileSync(target, report);
+    } catch (e) {
+      stderr.write(`box-model-sentinel: cannot write ${target}: ${e.message}\n`);
+      return 2;
+    }
+  } else if (!options.fixDryRun) {
+    stdout.write(report);
+  }
+  if (options.fixDryRun) stdout.write(diffs.join(''));
+
+  if (fileError) return 2;
+  const failure = thresholdFailure(results, options);
+  if (failure) {
+    stderr.write(`\nbox-model-sentinel: ${failure}\n`);
+    return 1;
+  }
+  return 0;
+}
+
+module.exports = { parseArgs, run };
@@ -0,0 +1,98 @@
+/**
+ * Box Model Sentinel - CLI Files
+ * Expande arquivos, diretórios e globs da linha de comando em folhas de estilo
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { matchGlob } = require('../engine/config');
+
+/** Language id by stylesheet extension */
+const LANGUAGES = { '.css': 'css', '.scss': 'scss', '.sass': 'sass', '.less': 'less' };
+
+/** Directories never searched */
+const SKIPPED_DIRS = new Set(['node_modules']);
+
+const GLOB_CHARS = /[*?{]/;
+
+/**
+ * Language of a stylesheet, or null for other files
+ * @param {string} file
+ * @returns {string|null}
+ */
+function languageOf(file) {
+  return LANGUAGES[path.extname(file).toLowerCase()] || null;
+}
+
+/**
+ * Stylesheets under a directory, skipping node_modules and hidden directories
+ * @param {string} dir
+ * @param {string[]} found
+ */
+function walk(dir, found) {
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    const full = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      if (!SKIPPED_DIRS.has(entry.name) && !entry.name.startsWith('.')) walk(full, found);
+    } else if (entry.isFile() && languageOf(entry.name)) {
+      found.push(full);
+    }
+  }
+}
+
+/**
+ * Leading directory of a glob that has no wildcards in it
+ * @param {string} glob - Forward-slash pattern
+ * @returns {string}
+ */
+function globBase(glob) {
+  const segments = glob.split('/');
+  const fixed = [];
+  for (const segment of segments.slice(0, -1)) {
+    if (GLOB_CHARS.test(segment)) break;
+    fixed.push(segment);
+  }
+  return fixed.join('/') || '.';
+}
+
+/**
+ * Expand command-line patterns: files are taken as given, directories are
+ * searched for stylesheets, globs are matched relative to `cwd`
+ * @param {string[]} patterns
+ * @param {string} cwd
+ * @returns {{files: string[], unmatched: string[]}} Absolute paths, sorted and
+ *   without duplicates, and the patterns that matched nothing
+ */
+function findStylesheets(patterns, cwd) {
+  const files = new Set();
+  const unmatched = [];
+
+  for (const pattern of patterns) {
+    const found = [];
+    const full = path.resolve(cwd, pattern);
+    const stat = fs.existsSync(full) ? fs.statSync(full) : null;
+
+    if (stat && stat.isFile()) {
+      if (languageOf(full)) found.push(full);
+    } else if (stat && stat.isDirectory()) {
+      walk(full, found);
+    } else if (GLOB_CHARS.test(pattern)) {
+      const glob = pattern.split(path.sep).join('/').replace(/^\.\//, '');
+      const base = path.resolve(cwd, globBase(glob));
+      const candidates = [];
+      if (fs.existsSync(base) && fs.statSync(base).isDirectory()) walk(base, candidates);
+      const absolute = path.isAbsolute(glob);
+      for (const file of candidates) {
+        const subject = (absolute ? file : path.relative(cwd, file)).split(path.sep).join('/');
+        if (matchGlob(glob, subject)) found.push(file);
+      }
+    }
+
+    if (found.length) found.forEach(file => files.add(file));
+    else unmatched.push(pattern);
+  }
+
+  return { files: [...files].sort(), unmatched };
+}
+
+module.exports = { LANGUAGES, languageOf, findStylesheets };
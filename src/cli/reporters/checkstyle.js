@@ -0,0 +1,36 @@
+/**
+ * Box Model Sentinel - Checkstyle Reporter
+ * Saída Checkstyle XML para quality gates
+ */
+
+const { escapeXml } = require('./xml');
+
+/** Checkstyle severity by issue severity */
+const SEVERITIES = { critical: 'error', medium: 'warning', low: 'info' };
+
+/**
+ * Serialize results as Checkstyle XML, one `<error>` per issue with the rule
+ * id as `source`; the message carries the explanation, viewport impact and
+ * suggestion
+ * @param {import('./index').FileResult[]} results
+ * @returns {string}
+ */
+function checkstyle(results) {
+  const files = results.map(({ filePath, issues, stats }) => {
+    const errors = stats.items.map((item) => {
+      const issue = issues[item.idx];
+      const message = [
+        issue.selector ? `${item.title} (${issue.selector.replace(/\s+/g, ' ')})` : item.title,
+        item.explanation,
+        item.viewportImpact && `Viewport impact: ${item.viewportImpact}`,
+        item.suggestion && `Suggestion: ${item.suggestion}`
+      ].filter(Boolean).join('. ');
+      return `    <error line="${issue.range.start.line + 1}" column="${issue.range.start.character + 1}" severity="${SEVERITIES[item.sev] || 'info'}" message="${escapeXml(message)}" source="${escapeXml(issue.rule || '')}"/>`;
+    });
+    return [`  <file name="${escapeXml(filePath)}">`, ...errors, '  </file>'].join('\n');
+  });
+
+  return ['<?xml version="1.0" encoding="UTF-8"?>', '<checkstyle version="4.3">', ...files, '</checkstyle>', ''].join('\n');
+}
+
+module.exports = { checkstyle };
@@ -0,0 +1,63 @@
+/**
+ * Box Model Sentinel - Reporters
+ * Formatos de saída embutidos e carregamento de reporters por caminho
+ */
+
+const path = require('path');
+const { stylish } = require('./stylish');
+const { sarif } = require('./sarif');
+const { json } = require('./json');
+const { junit } = require('./junit');
+const { checkstyle } = require('./checkstyle');
+
+/**
+ * @typedef {Object} FileResult
+ * @property {string} filePath - Absolute path
+ * @property {string} source - File text
+ * @property {object[]} issues - Issues from analyzeCss
+ * @property {{counts: object, typeCounts: object, items: object[]}} stats - buildStatsModel
+ *   of the issues, without visualizations; `items[i]` describes `issues[i]`
+ */
+
+/**
+ * @typedef {Object} ReporterContext
+ * @property {string} cwd - Paths are shown relative to it
+ * @property {boolean} color - Whether to emit ANSI colors
+ * @property {{counts: object, typeCounts: object}} stats - Totals over all files
+ */
+
+/**
+ * A reporter turns results into the text written to stdout or the output file
+ * @typedef {(results: FileResult[], context: ReporterContext) => string} Reporter
+ */
+
+/** Built-in reporters by `--format` name */
+const REPORTERS = { stylish, sarif, json, junit, checkstyle };
+
+/**
+ * Reporter for a `--format` value: a built-in name, or the path of a module
+ * exporting a reporter function
+ * @param {string} format
+ * @param {string} cwd - Relative paths resolve from it
+ * @returns {Reporter}
+ * @throws {Error} When the format is unknown or the module is not a reporter
+ */
+function loadReporter(format, cwd) {
+  if (Object.prototype.hasOwnProperty.call(REPORTERS, format)) return REPORTERS[format];
+  if (!/[\\/]|\.[cm]?js$/.test(format)) {
+    throw new Error(`Unknown format "${format}"; use ${Object.keys(REPORTERS).join(', ')} or the path of a reporter module`);
+  }
+
+  const file = path.resolve(cwd, format);
+  let loaded;
+  try {
+    loaded = require(file);
+  } catch (e) {
+    throw new Error(`Cannot load reporter ${file}: ${e.message}`);
+  }
+  const reporter = typeof loaded === 'function' ? loaded : loaded && loaded.default;
+  if (typeof reporter !== 'function') throw new Error(`Reporter ${file} must export a function`);
+  return reporter;
+}
+
+module.exports = { REPORTERS, loadReporter };
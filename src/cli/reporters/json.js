@@ -0,0 +1,31 @@
+/**
+ * Box Model Sentinel - JSON Reporter
+ * Saída JSON com os contadores e itens do modelo de estatísticas
+ */
+
+const path = require('path');
+
+/**
+ * Serialize results as JSON: severity and type counts overall and per file,
+ * and per file the stats items with the rule id, selector and zero-based range
+ * of each issue
+ * @param {import('./index').FileResult[]} results
+ * @param {import('./index').ReporterContext} context
+ * @returns {string}
+ */
+function json(results, { cwd, stats }) {
+  const files = results.map(({ filePath, issues, stats: fileStats }) => ({
+    filePath: path.relative(cwd, filePath).split(path.sep).join('/'),
+    counts: fileStats.counts,
+    typeCounts: fileStats.typeCounts,
+    items: fileStats.items.map(({ visualization, ...item }) => ({
+      ...item,
+      rule: issues[item.idx].rule,
+      selector: issues[item.idx].selector,
+      range: issues[item.idx].range
+    }))
+  }));
+  return `${JSON.stringify({ counts: stats.counts, typeCounts: stats.typeCounts, files }, null, 2)}\n`;
+}
+
+module.exports = { json };
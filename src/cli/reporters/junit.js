@@ -0,0 +1,79 @@
+/**
+ * Box Model Sentinel - JUnit Reporter
+ * Saída JUnit XML para painéis de testes: uma suíte por arquivo, um caso por issue
+ */
+
+const path = require('path');
+const { escapeXml } = require('./xml');
+
+/**
+ * `<property>` elements for severity and type counts
+ * @param {{counts: object, typeCounts: object}} stats
+ * @param {string} indent
+ * @returns {string}
+ */
+function properties({ counts, typeCounts }, indent) {
+  const entries = [
+    ...Object.entries(counts).map(([name, value]) => [`severity.${name}`, value]),
+    ...Object.entries(typeCounts).map(([name, value]) => [`type.${name}`, value])
+  ];
+  return [
+    `${indent}<properties>`,
+    ...entries.map(([name, value]) => `${indent}  <property name="${escapeXml(name)}" value="${value}"/>`),
+    `${indent}</properties>`
+  ].join('\n');
+}
+
+/**
+ * Serialize results as JUnit XML. Each file is a test suite and each issue a
+ * failed test case; a file without issues has one passing case.
+ * @param {import('./index').FileResult[]} results
+ * @param {import('./index').ReporterContext} context
+ * @returns {string}
+ */
+function junit(results, { cwd, stats }) {
+  const suites = [];
+  let tests = 0;
+  let failures = 0;
+
+  for (const { filePath, issues, stats: fileStats } of results) {
+    const name = escapeXml(path.relative(cwd, filePath).split(path.sep).join('/'));
+    const cases = fileStats.items.map((item) => {
+      const issue = issues[item.idx];
+      const { line, character } = issue.range.start;
+      const title = escapeXml(`${issue.rule || item.title}: ${item.title}${issue.selector ? ` (${issue.selector.replace(/\s+/g, ' ')})` : ''}`);
+      const body = [
+        `${line + 1}:${character + 1} ${item.title}`,
+        item.explanation && `Explanation: ${item.explanation}`,
+        item.viewportImpact && `Viewport Impact: ${item.viewportImpact}`,
+        item.suggestion && `Suggestion: ${item.suggestion}`
+      ].filter(Boolean).join('\n');
+      return [
+        `    <testcase name="${title}" classname="${name}">`,
+        `      <failure type="${escapeXml(item.sev)}" message="${escapeXml(`${item.title}: ${item.explanation}`)}">${escapeXml(body)}</failure>`,
+        '    </testcase>'
+      ].join('\n');
+    });
+    if (!cases.length) cases.push(`    <testcase name="${name}" classname="${name}"/>`);
+
+    tests += cases.length;
+    failures += issues.length;
+    suites.push([
+      `  <testsuite name="${name}" tests="${cases.length}" failures="${issues.length}" errors="0">`,
+      properties(fileStats, '    '),
+      ...cases,
+      '  </testsuite>'
+    ].join('\n'));
+  }
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites name="Box Model Sentinel" tests="${tests}" failures="${failures}" errors="0">`,
+    properties(stats, '  '),
+    ...suites,
+    '</testsuites>',
+    ''
+  ].join('\n');
+}
+
+module.exports = { junit };
@@ -0,0 +1,167 @@
+/**
+ * Box Model Sentinel - SARIF Reporter
+ * Serializa issues em SARIF 2.1.0 para painéis de code scanning
+ */
+
+const crypto = require('crypto');
+const path = require('path');
+const { pathToFileURL } = require('url');
+const { RULES, getRule } = require('../../engine/rules');
+
+const SCHEMA = 'https://json.schemastore.org/sarif-2.1.0.json';
+const INFORMATION_URI = 'https://github.com/mikaelcarrara/box-model-sentinel';
+const FINGERPRINT = 'bmsIssue/v1';
+
+/** SARIF level by severity */
+const LEVELS = { critical: 'error', medium: 'warning', low: 'note' };
+
+/**
+ * Forward-slash path relative to the base, percent-encoded for a URI
+ * @param {string} filePath
+ * @param {string} cwd
+ * @returns {string}
+ */
+function relativeUri(filePath, cwd) {
+  return path.relative(cwd, filePath).split(path.sep).map(encodeURIComponent).join('/');
+}
+
+/**
+ * Identifier-style name for a rule title, e.g. "Fixed width" → "FixedWidth"
+ * @param {string} title
+ * @returns {string}
+ */
+function ruleName(title) {
+  return title.split(/[^A-Za-z0-9]+/).filter(Boolean).map(w => w[0].toUpperCase() + w.slice(1)).join('');
+}
+
+/**
+ * SARIF region for an engine range; lines and columns are 1-based and the
+ * end column is exclusive
+ * @param {import('../../engine/lint-engine').Range} range
+ * @returns {object}
+ */
+function regionOf(range) {
+  return {
+    startLine: range.start.line + 1,
+    startColumn: range.start.character + 1,
+    endLine: range.end.line + 1,
+    endColumn: range.end.character + 1
+  };
+}
+
+/**
+ * Fingerprint that survives unrelated edits: it hashes what the issue is
+ * about (rule, file, selector and flagged source text) instead of where it
+ * is, and numbers repeats of the same hash in a file
+ * @param {object} issue
+ * @param {string} file - Relative path
+ * @param {string} source - File text
+ * @param {Map<string, number>} seen - Repeats per hash in this file
+ * @returns {string}
+ */
+function fingerprintOf(issue, file, source, seen) {
+  const loc = issue.loc;
+  const snippet = loc && source && Number.isInteger(loc.start.offset) && Number.isInteger(loc.end.offset)
+    ? source.slice(loc.start.offset, loc.end.offset)
+    : '';
+  const normalize = (text) => String(text || '').replace(/\s+/g, ' ').trim();
+  const hash = crypto.createHash('sha256')
+    .update([issue.rule || issue.issue, file, normalize(issue.selector), normalize(snippet)].join('\0'))
+    .digest('hex')
+    .slice(0, 32);
+  const occurrence = (seen.get(hash) || 0) + 1;
+  seen.set(hash, occurrence);
+  return `${hash}:${occurrence}`;
+}
+
+/**
+ * Markdown message: the explanation, viewport impact and suggestion
+ * @param {object} issue
+ * @returns {string}
+ */
+function markdownOf(issue) {
+  return [
+    `**${issue.issue}**`,
+    issue.explanation && `**Explanation:** ${issue.explanation}`,
+    issue.viewportImpact && `**Viewport Impact:** ${issue.viewportImpact}`,
+    (issue.suggestion || issue.correction) && `**Suggestion:** ${issue.suggestion || issue.correction}`
+  ].filter(Boolean).join('\n\n');
+}
+
+/**
+ * Serialize results as a SARIF 2.1.0 log with one run. Every rule in the
+ * registry is listed so rule indexes are the same from run to run.
+ * @param {import('./index').FileResult[]} results - `source` is used for fingerprints
+ * @param {{cwd: string}} context - Result paths are relative to it
+ * @returns {string}
+ */
+function sarif(results, { cwd }) {
+  const ruleIndex = new Map(RULES.map((rule, i) => [rule.id, i]));
+  const sarifResults = [];
+
+  for (const { filePath, source, issues } of results) {
+    const uri = relativeUri(filePath, cwd);
+    const seen = new Map();
+    for (const issue of issues) {
+      const rule = getRule(issue.rule);
+      const location = (range, message) => ({
+        physicalLocation: {
+          artifactLocation: { uri, uriBaseId: '%SRCROOT%' },
+          region: regionOf(range)
+        },
+        ...(message ? { message: { text: message } } : {})
+      });
+
+      sarifResults.push({
+        ruleId: rule ? rule.id : issue.issue,
+        ...(rule ? { ruleIndex: ruleIndex.get(rule.id) } : {}),
+        level: LEVELS[issue.severity] || 'note',
+        message: {
+          text: issue.explanation ? `${issue.issue}: ${issue.explanation}` : issue.issue,
+          markdown: markdownOf(issue)
+        },
+        locations: [location(issue.range)],
+        ...(issue.related && issue.related.length
+          ? { relatedLocations: issue.related.map((r, id) => ({ id, ...location(r.range, r.message) })) }
+          : {}),
+        partialFingerprints: { [FINGERPRINT]: fingerprintOf(issue, uri, source, seen) },
+        properties: {
+          severity: issue.severity,
+          selector: issue.selector,
+          explanation: issue.explanation,
+          viewportImpact: issue.viewportImpact,
+          suggestion: issue.suggestion || issue.correction
+        }
+      });
+    }
+  }
+
+  const log = {
+    $schema: SCHEMA,
+    version: '2.1.0',
+    runs: [{
+      tool: {
+        driver: {
+          name: 'Box Model Sentinel',
+          version: require('../../../package.json').version,
+          informationUri: INFORMATION_URI,
+          rules: RULES.map(rule => ({
+            id: rule.id,
+            name: ruleName(rule.issue),
+            shortDescription: { text: rule.issue },
+            helpUri: rule.docs,
+            defaultConfiguration: { level: LEVELS[rule.severity] },
+            properties: { category: rule.category, tags: [rule.category] }
+          }))
+        }
+      },
+      originalUriBaseIds: {
+        '%SRCROOT%': { uri: pathToFileURL(cwd.endsWith(path.sep) ? cwd : cwd + path.sep).href }
+      },
+      results: sarifResults
+    }]
+  };
+  return `${JSON.stringify(log, null, 2)}\n`;
+}
+
+module.exports = { sarif };
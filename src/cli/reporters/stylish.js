@@ -0,0 +1,58 @@
+/**
+ * Box Model Sentinel - Stylish Reporter
+ * Saída de terminal agrupada por arquivo, com arquivo:linha:coluna
+ */
+
+const path = require('path');
+
+const COLORS = {
+  critical: 31, // red
+  medium: 33, // yellow
+  low: 34, // blue
+  dim: 90,
+  bold: 1
+};
+
+/**
+ * Format results for a terminal: one aligned line per issue in source
+ * order, grouped by file, and a summary by severity
+ * @param {import('./index').FileResult[]} results
+ * @param {import('./index').ReporterContext} context
+ * @returns {string} Empty when there are no issues
+ */
+function stylish(results, { cwd, color }) {
+  const paint = (code, text) => (color ? `\u001b[${code}m${text}\u001b[0m` : text);
+  const counts = { critical: 0, medium: 0, low: 0 };
+  const blocks = [];
+
+  for (const { filePath, issues } of results) {
+    if (!issues.length) continue;
+    const name = path.relative(cwd, filePath) || filePath;
+    const sorted = [...issues].sort((a, b) =>
+      a.range.start.line - b.range.start.line || a.range.start.character - b.range.start.character);
+    const rows = sorted.map((issue) => {
+      const { line, character } = issue.range.start;
+      counts[issue.severity] = (counts[issue.severity] || 0) + 1;
+      return [
+        `${name}:${line + 1}:${character + 1}`,
+        issue.severity,
+        issue.selector ? `${issue.issue} (${issue.selector.replace(/\s+/g, ' ')})` : issue.issue,
+        issue.rule || ''
+      ];
+    });
+    const widths = [0, 1, 2].map(i => Math.max(...rows.map(row => row[i].length)));
+    blocks.push(rows.map(([location, severity, message, rule]) => [
+      `  ${location.padEnd(widths[0])}`,
+      paint(COLORS[severity] || COLORS.dim, severity.padEnd(widths[1])),
+      message.padEnd(widths[2]),
+      paint(COLORS.dim, rule)
+    ].join('  ').trimEnd()).join('\n'));
+  }
+
+  const total = counts.critical + counts.medium + counts.low;
+  if (!total) return '';
+  const summary = `✖ ${total} problem${total === 1 ? '' : 's'} (${counts.critical} critical, ${counts.medium} medium, ${counts.low} low)`;
+  return `\n${blocks.join('\n\n')}\n\n${paint(COLORS.bold, paint(counts.critical ? COLORS.critical : COLORS.medium, summary))}\n`;
+}
+
+module.exports = { stylish };
@@ -0,0 +1,20 @@
+/**
+ * Box Model Sentinel - XML
+ * Escape de texto e atributos para os reporters XML
+ */
+
+const ENTITIES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&apos;' };
+
+/**
+ * Escape text for an XML attribute or element, dropping characters XML 1.0
+ * does not allow
+ * @param {*} value
+ * @returns {string}
+ */
+function escapeXml(value) {
+  return String(value === undefined || value === null ? '' : value)
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+    .replace(/[&<>"']/g, c => ENTITIES[c]);
+}
+
+module.exports = { escapeXml };
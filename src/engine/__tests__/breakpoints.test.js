@@ -0,0 +1,73 @@
+/**
+ * Tests for the breakpoint inventory
+ */
+
+const { parseRules } = require('../parser');
+const { collectBreakpoints, nearestBreakpoint, isOnScale, buildInventory } = require('../breakpoints');
+
+describe('breakpoints', () => {
+  describe('collectBreakpoints', () => {
+    test('finds each width value once, at its location in the media query', () => {
+      const css = [
+        '@media (max-width: 767px) { .a { color: red } .b { color: red } }',
+        '@media (min-width: 48em) and',
+        '  (width < 1024px) { .a { color: blue } }'
+      ].join('\n');
+      const uses = collectBreakpoints(parseRules(css).rules);
+
+      expect(uses.map(u => [u.px, u.text, u.feature])).toEqual([
+        [767, '767px', 'max-width'],
+        [768, '48em', 'min-width'],
+        [1024, '1024px', 'max-width']
+      ]);
+      const { start, end } = uses[2].loc;
+      expect(css.slice(start.offset, end.offset)).toBe('1024px');
+      expect([start.line, start.column]).toEqual([2, 11]);
+    });
+
+    test('ignores values it cannot resolve', () => {
+      expect(collectBreakpoints(parseRules('@media (min-width: $md) { .a { color: red } }', { syntax: 'scss' }).rules)).toEqual([]);
+    });
+  });
+
+  describe('scale', () => {
+    test('snaps to the nearest token', () => {
+      const scale = [480, 768, 1024, 1280];
+
+      expect(nearestBreakpoint(767, scale)).toBe(768);
+      expect(nearestBreakpoint(1023.98, scale)).toBe(1024);
+      expect(nearestBreakpoint(624, scale)).toBe(768);
+      expect(nearestBreakpoint(600, [])).toBeNull();
+      expect(isOnScale(768, scale)).toBe(true);
+      expect(isOnScale(767, scale)).toBe(false);
+    });
+  });
+
+  describe('buildInventory', () => {
+    test('counts uses and files per value and compares them with the scale', () => {
+      const uses = [
+        { px: 768, text: '768px', file: 'a.css' },
+        { px: 768, text: '48em', file: 'b.scss' },
+        { px: 767, text: '767px', file: 'a.css' },
+        { px: 768, text: '768px', file: 'a.css' }
+      ];
+
+      expect(buildInventory(uses, [480, 768])).toEqual([
+        { px: 767, texts: ['767px'], count: 1, files: 1, onScale: false, nearest: 768 },
+        { px: 768, texts: ['768px', '48em'], count: 3, files: 2, onScale: true, nearest: 768 }
+      ]);
+    });
+
+    test('compares each use with the scale of its file', () => {
+      const uses = [
+        { px: 768, text: '768px', file: 'a.css', scale: [768] },
+        { px: 768, text: '768px', file: 'b.css', scale: [600, 900] },
+        { px: 900, text: '900px', file: 'b.css', scale: [600, 900] },
+        { px: 900, text: '900px', file: 'c.css', scale: [] }
+      ];
+
+      expect(buildInventory(uses).map(e => [e.px, e.onScale, e.nearest])).toEqual([[768, false, 900], [900, true, 900]]);
+      expect(buildInventory([{ px: 768, text: '768px', scale: [] }]).map(e => [e.onScale, e.nearest])).toEqual([[false, null]]);
+    });
+  });
+});
@@ -0,0 +1,141 @@
+/**
+ * Tests for project config files
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { findConfigFile, matchGlob, resolveConfig } = require('../config');
+
+describe('config', () => {
+  let root;
+
+  /** Write files under the temporary project root */
+  const write = (files) => {
+    for (const [name, contents] of Object.entries(files)) {
+      const file = path.join(root, name);
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      fs.writeFileSync(file, typeof contents === 'string' ? contents : JSON.stringify(contents));
+    }
+  };
+
+  beforeEach(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'bms-config-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  describe('findConfigFile', () => {
+    test('finds the nearest config file up the tree', () => {
+      write({ '.bmsrc.json': {}, 'packages/ui/bms.config.js': 'module.exports = {};', 'packages/ui/src/a.css': '' });
+
+      expect(findConfigFile(path.join(root, 'packages/ui/src'))).toBe(path.join(root, 'packages/ui/bms.config.js'));
+      expect(findConfigFile(path.join(root, 'packages'))).toBe(path.join(root, '.bmsrc.json'));
+    });
+  });
+
+  describe('matchGlob', () => {
+    test('matches directory globs against the relative path and bare globs against the file name', () => {
+      expect(matchGlob('components/**', 'components/card/card.scss')).toBe(true);
+      expect(matchGlob('components/**', 'legacy/components/card.scss')).toBe(false);
+      expect(matchGlob('**/legacy/*.css', 'src/legacy/old.css')).toBe(true);
+      expect(matchGlob('**/legacy/*.css', 'legacy/old.css')).toBe(true);
+      expect(matchGlob('*.{scss,sass}', 'src/a.sass')).toBe(true);
+      expect(matchGlob('./src/?.css', 'src/a.css')).toBe(true);
+      expect(matchGlob('src/*.css', 'src/deep/a.css')).toBe(false);
+    });
+  });
+
+  describe('resolveConfig', () => {
+    test('layers presets, the config file and matching overrides over the fallback', () => {
+      write({
+        'shared.json': { extends: 'bms:pragmatic', rules: { 'bms/fixed-height': 'off' } },
+        'app/.bmsrc.json': {
+          extends: '../shared.json',
+          fixedWidthThreshold: 480,
+          overrides: [
+            { files: 'components/**', mode: 'strict', rules: { 'bms/fixed-width': 'critical' } },
+            { files: 'legacy/**', excludedFiles: 'legacy/keep.css', rules: { 'bms/fixed-width': 'off' } }
+          ]
+        }
+      });
+      const fallback = { mode: 'strict', fixedWidthThreshold: 320, rules: { 'bms/parse-error': 'low' } };
+      const at = (file) => resolveConfig(path.join(root, file), fallback);
+
+      expect(at('app/components/card/card.css').config).toEqual({
+        mode: 'strict',
+        fixedWidthThreshold: 480,
+        rules: { 'bms/parse-error': 'low', 'bms/fixed-height': 'off', 'bms/fixed-width': 'critical' }
+      });
+      expect(at('app/legacy/old.css').config.rules['bms/fixed-width']).toBe('off');
+      expect(at('app/legacy/keep.css').config.rules['bms/fixed-width']).toBeUndefined();
+      expect(at('app/main.css').config.mode).toBe('pragmatic');
+      expect(at('other/main.css')).toEqual({ config: fallback, file: null, problems: [] });
+    });
+
+    test('keeps the options of a rule when a later layer only changes its level', () => {
+      write({
+        'shared.json': { rules: { 'bms/off-scale-value': ['low', { scale: [4, 8], properties: ['gap'] }] } },
+        '.bmsrc.json': {
+          extends: './shared.json',
+          rules: { 'bms/off-scale-value': 'medium' },
+          overrides: [{ files: 'legacy/**', rules: { 'bms/off-scale-value': ['on', { scale: [5] }] } }]
+        }
+      });
+
+      expect(resolveConfig(path.join(root, 'a.css')).config.rules['bms/off-scale-value'])
+        .toEqual(['medium', { scale: [4, 8], properties: ['gap'] }]);
+      expect(resolveConfig(path.join(root, 'legacy/a.css')).config.rules['bms/off-scale-value'])
+        .toEqual(['on', { scale: [5], properties: ['gap'] }]);
+    });
+
+    test('reports broken files, unknown options and circular extends and keeps the rest', () => {
+      write({
+        'a/.bmsrc': { extends: ['./b.json', 'no-such-preset'], mode: 'pragmatic', debounceMs: 10 },
+        'a/b.json': { extends: './.bmsrc' },
+        'c/.bmsrc.json': '{ "mode": '
+      });
+
+      const { config, problems } = resolveConfig(path.join(root, 'a/x.css'), { mode: 'strict' });
+      expect(config).toEqual({ mode: 'pragmatic' });
+      expect(problems).toEqual([
+        `${path.join(root, 'a/.bmsrc')}: circular "extends"`,
+        `${path.join(root, 'a/.bmsrc')}: cannot find preset "no-such-preset"`,
+        `${path.join(root, 'a/.bmsrc')}: unknown option "debounceMs"`
+      ]);
+
+      const broken = resolveConfig(path.join(root, 'c/x.css'), { mode: 'strict' });
+      expect(broken.config).toEqual({ mode: 'strict' });
+      expect(broken.problems).toHaveLength(1);
+    });
+
+    test('loads bms.config.js', () => {
+      write({ 'bms.config.js': 'module.exports = { breakpoints: [768] };' });
+
+      expect(resolveConfig(path.join(root, 'a.css')).config).toEqual({ breakpoints: [768] });
+    });
+
+    test('re-reads a config file when it changes', () => {
+      const file = path.join(root, '.bmsrc.json');
+      write({ '.bmsrc.json': { breakpoints: [768] } });
+      expect(resolveConfig(path.join(root, 'a.css')).config).toEqual({ breakpoints: [768] });
+
+      write({ '.bmsrc.json': { breakpoints: [768, 1024] } });
+      const later = new Date(Date.now() + 5000);
+      fs.utimesSync(file, later, later);
+      expect(resolveConfig(path.join(root, 'a.css')).config).toEqual({ breakpoints: [768, 1024] });
+    });
+
+    test('resolves the token file from the config file that sets it', () => {
+      write({
+        '.bmsrc.json': { designTokens: 'tokens.json', overrides: [{ files: 'legacy/**', designTokens: '../tokens/legacy.json' }] },
+        'packages/ui/.bmsrc.json': { extends: '../../.bmsrc.json' }
+      });
+
+      expect(resolveConfig(path.join(root, 'packages/ui/a.css')).config.designTokens).toBe(path.join(root, 'tokens.json'));
+      expect(resolveConfig(path.join(root, 'legacy/a.css')).config.designTokens).toBe(path.join(root, '../tokens/legacy.json'));
+    });
+  });
+});
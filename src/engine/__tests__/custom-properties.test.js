@@ -0,0 +1,110 @@
+/**
+ * Tests for custom property resolution
+ */
+
+const { parseRules } = require('../parser');
+const { collectDefinitions, findDefinition, findVarCalls, resolveCustomProperties } = require('../custom-properties');
+
+const resolve = (css) => resolveCustomProperties(parseRules(css).rules);
+
+describe('custom-properties', () => {
+  describe('findVarCalls', () => {
+    test('splits name and fallback at the first top-level comma', () => {
+      expect(findVarCalls('0 var(--a) var(--b, min(1px, 2px), 3px)')).toEqual([
+        { start: 2, end: 10, name: '--a', fallback: null },
+        { start: 11, end: 39, name: '--b', fallback: 'min(1px, 2px), 3px' }
+      ]);
+    });
+
+    test('keeps an empty fallback distinct from none', () => {
+      expect(findVarCalls('var(--a,)')[0].fallback).toBe('');
+    });
+  });
+
+  describe('collectDefinitions', () => {
+    test('records each definition with its selector, context and location', () => {
+      const { rules } = parseRules(':root { --w: 1px; --w: 2px }\n@media (max-width: 600px) { :root { --w: 3px } }');
+      const defs = collectDefinitions(rules).get('--w');
+
+      expect(defs.map(d => [d.value, d.selector, d.context])).toEqual([
+        ['2px', ':root', []],
+        ['3px', ':root', ['@media (max-width: 600px)']]
+      ]);
+      expect(defs[1].loc.start).toMatchObject({ line: 1, column: 36 });
+    });
+  });
+
+  describe('findDefinition', () => {
+    const { rules } = parseRules([
+      ':root { --w: 1px }',
+      '.card { --w: 2px }',
+      '.card:hover { --w: 3px }',
+      '@media (max-width: 600px) { :root { --w: 4px } }'
+    ].join('\n'));
+    const table = collectDefinitions(rules);
+    const lookup = (selector, atRules = []) => findDefinition(table, '--w', { selector, atRules }).value;
+
+    test('prefers the closest scope', () => {
+      expect(lookup('.page')).toBe('1px');
+      expect(lookup('.card')).toBe('2px');
+      expect(lookup('.card .title')).toBe('2px');
+      expect(lookup('.card.is-open')).toBe('2px');
+      expect(lookup('.card:hover')).toBe('3px');
+      expect(lookup('.cardigan')).toBe('1px');
+    });
+
+    test('applies media-conditioned definitions only inside matching conditions', () => {
+      expect(lookup('.page', [{ type: 'media', condition: '(max-width: 600px)' }])).toBe('4px');
+      expect(lookup('.page', [{ type: 'media', condition: '(max-width: 900px)' }])).toBe('1px');
+    });
+  });
+
+  describe('resolveCustomProperties', () => {
+    test('substitutes var() and keeps the source text', () => {
+      const rules = resolve(':root { --sidebar-w: 640px }\n.sidebar { width: var(--sidebar-w) }');
+      const decl = rules[1].decls[0];
+
+      expect(rules[1].declarations.width).toBe('640px');
+      expect(decl).toMatchObject({ value: '640px', rawValue: 'var(--sidebar-w)' });
+      expect(decl.customProperties).toEqual([
+        { name: '--sidebar-w', value: '640px', selector: ':root', loc: expect.any(Object) }
+      ]);
+      expect(rules[1].effective.width).toBe(decl);
+    });
+
+    test('follows chained references and falls back when undefined', () => {
+      const rules = resolve(':root { --a: 10px; --b: var(--a) }\n.x { margin: var(--b) var(--none, 4px) var(--none) }');
+
+      expect(rules[1].declarations.margin).toBe('10px 4px var(--none)');
+      expect(rules[1].decls[0].customProperties.map(d => d.name)).toEqual(['--b', '--a']);
+    });
+
+    test('treats reference cycles as invalid and uses the fallback', () => {
+      const rules = resolve('.x { --a: var(--b); --b: var(--a); width: var(--a, 20px); height: var(--b) }');
+
+      expect(rules[0].declarations.width).toBe('20px');
+      expect(rules[0].declarations.height).toBe('var(--b)');
+    });
+
+    test('adds the variants of a rule under media-scoped definitions it references', () => {
+      const rules = resolve(':root { --w: 100% }\n@media (min-width: 900px) { :root { --w: 640px } }\n.a { width: var(--w); height: 10px }');
+
+      expect(rules.map(r => [r.selector, r.atRules.map(a => a.condition), r.declarations])).toEqual([
+        [':root', [], { '--w': '100%' }],
+        [':root', ['(min-width: 900px)'], { '--w': '640px' }],
+        ['.a', [], { width: '100%', height: '10px' }],
+        ['.a', ['(min-width: 900px)'], { width: '640px' }]
+      ]);
+      expect(rules[3].variantOf.selector).toBe('.a');
+      expect(rules[3].decls[0].loc).toBe(rules[2].decls[0].loc);
+      expect(rules[3].decls[0].customProperties[0].loc).toBe(rules[1].decls[0].loc);
+    });
+
+    test('leaves rules without var() untouched', () => {
+      const { rules } = parseRules(':root { --a: 1px }\n.x { width: 1px }');
+      const resolved = resolveCustomProperties(rules);
+
+      expect(resolved[1]).toBe(rules[1]);
+    });
+  });
+});
@@ -0,0 +1,182 @@
+/**
+ * Tests for per-issue fixes
+ */
+
+const { analyzeCss } = require('../lint-engine');
+const { parseRules } = require('../parser');
+const { fixesFor, applyEdits, fixAll } = require('../fixes');
+
+/** Source after each fix for the first issue of a rule, keyed by title */
+const fixed = (text, rule, language = 'css') => {
+  const issue = analyzeCss(text, { language }).find(i => i.rule === rule);
+  expect(issue).toBeDefined();
+  return Object.fromEntries(fixesFor(issue, text, { language }).map(f => [f.title, applyEdits(text, f.edits)]));
+};
+
+describe('fixes', () => {
+  test('splits a fixed width into a fluid width capped by max-width', () => {
+    const css = '.card {\n  width: 600px;\n}\n.tag { width: 400px !important }\n';
+
+    expect(fixed(css, 'bms/fixed-width')['Use width: 100% with max-width: 600px'])
+      .toBe('.card {\n  width: 100%;\n  max-width: 600px;\n}\n.tag { width: 400px !important }\n');
+
+    const inline = analyzeCss(css).filter(i => i.rule === 'bms/fixed-width')[1];
+    expect(applyEdits(css, fixesFor(inline, css)[0].edits))
+      .toBe('.card {\n  width: 600px;\n}\n.tag { width: 100% !important; max-width: 400px !important }\n');
+  });
+
+  test('adds flex-wrap after display in each syntax', () => {
+    expect(fixed('.row {\n  display: flex;\n  gap: 1rem;\n}', 'bms/flex-nowrap')['Add flex-wrap: wrap'])
+      .toBe('.row {\n  display: flex;\n  flex-wrap: wrap;\n  gap: 1rem;\n}');
+    expect(fixed('.row { display: flex }', 'bms/flex-nowrap')['Add flex-wrap: wrap'])
+      .toBe('.row { display: flex; flex-wrap: wrap }');
+    expect(fixed('.row\n  display: flex\n', 'bms/flex-nowrap', 'sass')['Add flex-wrap: wrap'])
+      .toBe('.row\n  display: flex\n  flex-wrap: wrap\n');
+  });
+
+  test('turns px grid columns into auto-fit tracks and 100vw into 100%', () => {
+    const css = '.grid { display: grid; grid-template-columns: repeat(2, 240px) 200px; }\n.hero { width: 100vw; }';
+
+    expect(fixed(css, 'bms/rigid-grid-tracks')['Use repeat(auto-fit, minmax(200px, 1fr))'])
+      .toContain('grid-template-columns: repeat(auto-fit, minmax(200px, 1fr));');
+    expect(fixed(css, 'bms/100vw-width')['Replace 100vw with 100%']).toContain('.hero { width: 100%; }');
+    expect(Object.keys(fixed('.g { display: grid; grid-template-rows: 100px 200px; }', 'bms/rigid-grid-tracks')))
+      .toEqual(['Suppress bms/rigid-grid-tracks for this line']);
+  });
+
+  test('rewrites nowrap, !important and overridden declarations', () => {
+    const css = '.a {\n  display: flex;\n  flex-flow: row nowrap;\n  flex-basis: 400px;\n  margin: 0 !important;\n  padding: 1px;\n  padding: 2px;\n}';
+
+    expect(fixed(css, 'bms/flex-basis-nowrap')['Change nowrap to wrap in flex-flow']).toContain('flex-flow: row wrap;');
+    expect(fixed(css, 'bms/important-layout')['Remove !important']).toContain('  margin: 0;\n');
+    expect(fixed(css, 'bms/overridden-declaration')['Remove the overridden padding declaration'])
+      .toContain('  margin: 0 !important;\n  padding: 2px;\n}');
+  });
+
+  test('removes an inline declaration without leaving a double space', () => {
+    expect(fixed('.c { width: 10px !important; width: 20px; }', 'bms/overridden-declaration')['Remove the overridden width declaration'])
+      .toBe('.c { width: 10px !important; }');
+    expect(fixed('.c { padding: 1px; padding: 2px; }', 'bms/overridden-declaration')['Remove the overridden padding declaration'])
+      .toBe('.c { padding: 2px; }');
+  });
+
+  test('suppresses the line with a comment, or extends the one above', () => {
+    const scss = '.a {\n  width: 600px;\n}';
+    expect(fixed(scss, 'bms/fixed-width', 'scss')['Suppress bms/fixed-width for this line'])
+      .toBe('.a {\n  // bms-disable-next-line bms/fixed-width\n  width: 600px;\n}');
+
+    const css = '.a {\n  /* bms-disable-next-line bms/fixed-height -- hero */\n  width: 600px;\n  height: 400px;\n}';
+    const suppressed = fixed(css, 'bms/fixed-width')['Suppress bms/fixed-width for this line'];
+    expect(suppressed).toBe('.a {\n  /* bms-disable-next-line bms/fixed-height bms/fixed-width -- hero */\n  width: 600px;\n  height: 400px;\n}');
+    expect(analyzeCss(suppressed).map(i => i.rule)).not.toContain('bms/fixed-width');
+  });
+
+  test('removes unused suppressions, or only the unused rule ids', () => {
+    expect(fixed('/* bms-disable-next-line bms/fixed-width */\n.a { color: red; }\n', 'bms/unused-suppression'))
+      .toEqual({ 'Remove the unused suppression comment': '.a { color: red; }\n' });
+
+    const css = '.a {\n  /* bms-disable-next-line bms/fixed-width, bms/fixed-box */\n  width: 600px;\n}';
+    expect(fixed(css, 'bms/unused-suppression')['Remove bms/fixed-box from the suppression comment'])
+      .toBe('.a {\n  /* bms-disable-next-line bms/fixed-width */\n  width: 600px;\n}');
+  });
+
+  test('offers only the suppression when the source no longer matches the issue', () => {
+    const css = '.a { width: 600px; }';
+    const issue = analyzeCss(css).find(i => i.rule === 'bms/fixed-width');
+    const edited = '.a { width: 60em; }';
+
+    expect(fixesFor(issue, edited).map(f => f.title)).toEqual(['Suppress bms/fixed-width for this line']);
+    expect(fixesFor({ ...issue, loc: null }, css)).toEqual([]);
+  });
+
+  test('converts fixed widths and spacing to rem with the configured root size', () => {
+    const css = '.a {\n  width: 600px;\n  padding: 0 24px;\n}';
+    const config = { rootFontSize: 10, remPrecision: 4 };
+    const fixesOf = (rule) => fixesFor(analyzeCss(css).find(i => i.rule === rule), css, { config });
+
+    expect(fixesOf('bms/fixed-width').map(f => [f.title, Boolean(f.preferred)])).toEqual([
+      ['Use width: 100% with max-width: 600px', true],
+      ['Convert px to rem: 60rem', false],
+      ['Make fluid: clamp(30rem, 24rem + 18.75vw, 60rem) (300px at 320px to 600px at 1920px)', false],
+      ['Suppress bms/fixed-width for this line', false]
+    ]);
+    const [spacing] = fixesOf('bms/fixed-spacing');
+    expect(spacing).toMatchObject({ title: 'Convert px to rem: 0 2.4rem', preferred: true, safe: false });
+    expect(applyEdits(css, spacing.edits)).toBe('.a {\n  width: 600px;\n  padding: 0 2.4rem;\n}');
+    expect(fixesFor(analyzeCss(css).find(i => i.rule === 'bms/fixed-spacing'), css, { config: { remProperties: ['width'] } }).map(f => f.title))
+      .not.toContain('Convert px to rem: 0 1.5rem');
+  });
+
+  test('shares one parsed tree between the issues of a text', () => {
+    const css = '.a {\n  width: 600px;\n  display: flex;\n}';
+    const parsed = parseRules(css);
+
+    for (const issue of analyzeCss(css)) {
+      expect(fixesFor(issue, css, { parsed })).toEqual(fixesFor(issue, css));
+    }
+  });
+
+  test('marks only behavior-preserving rewrites as safe', () => {
+    const css = '.a {\n  padding: 1px;\n  padding: 2px;\n  width: 600px;\n}';
+    const safety = (rule) => fixesFor(analyzeCss(css).find(i => i.rule === rule), css).map(f => f.safe);
+
+    expect(safety('bms/overridden-declaration')).toEqual([true, false]);
+    expect(safety('bms/fixed-width')).toEqual([false, false, false, false]);
+  });
+
+  test('makes fixed widths and spacing fluid between the configured viewports', () => {
+    const css = '.a {\n  padding: 0 24px;\n  width: var(--w, 600px);\n}';
+    const config = { viewportMin: 400, viewportMax: 1200, fluidMinScale: 0.75 };
+    const spacing = fixesFor(analyzeCss(css).find(i => i.rule === 'bms/fixed-spacing'), css, { config })
+      .find(f => f.title.startsWith('Make fluid'));
+
+    expect(spacing).toMatchObject({
+      title: 'Make fluid: 0 clamp(1.125rem, 0.9375rem + 0.75vw, 1.5rem) (18px at 400px to 24px at 1200px)',
+      safe: false
+    });
+    expect(spacing.preferred).toBeUndefined();
+    expect(applyEdits(css, spacing.edits)).toContain('  padding: 0 clamp(1.125rem, 0.9375rem + 0.75vw, 1.5rem);\n');
+    expect(fixesFor(analyzeCss('.a { margin: 24px 32px; }').find(i => i.rule === 'bms/fixed-spacing'), '.a { margin: 24px 32px; }')
+      .find(f => f.title.startsWith('Make fluid')).title)
+      .toBe('Make fluid: clamp(0.75rem, 0.6rem + 0.75vw, 1.5rem) clamp(1rem, 0.8rem + 1vw, 2rem)');
+  });
+
+  test('replaces an off-scale length with the nearest step', () => {
+    const css = '.a { margin: 0 13px; }';
+    const config = { tokenScale: [0, 4, 8, 12] };
+    const issue = analyzeCss(css, { config }).find(i => i.rule === 'bms/off-scale-value');
+    const [fix] = fixesFor(issue, css, { config });
+
+    expect(fix).toMatchObject({ title: 'Use 12px', preferred: true, safe: false });
+    expect(applyEdits(css, fix.edits)).toBe('.a { margin: 0 12px; }');
+    expect(fixesFor(issue, '.a { margin: 0 14px; }').map(f => f.title)).toEqual(['Suppress bms/off-scale-value for this line']);
+  });
+
+  describe('fixAll', () => {
+    const css = '/* bms-disable-next-line bms/fixed-height */\n.a {\n  padding: 1px;\n  padding: 2px;\n  padding: 3px;\n  width: 600px;\n  display: flex;\n}\n';
+
+    test('applies safe fixes over several passes and reports what is left', () => {
+      const { output, fixes, issues } = fixAll(css);
+
+      expect(output).toBe('.a {\n  padding: 3px;\n  width: 600px;\n  display: flex;\n}\n');
+      expect(fixes.map(f => f.rule)).toEqual(['bms/unused-suppression', 'bms/overridden-declaration', 'bms/overridden-declaration']);
+      expect(issues.map(i => i.rule)).toEqual(expect.arrayContaining(['bms/fixed-width', 'bms/flex-nowrap']));
+      expect(issues.map(i => i.rule)).not.toContain('bms/overridden-declaration');
+    });
+
+    test('keeps overridden declarations that may be fallbacks', () => {
+      const fallbacks = '.hero { height: 100vh; height: 100dvh; }\n.b { display: flex; display: grid; }\n.g { grid-template-columns: repeat(2, 1fr); grid-template-columns: repeat(3, 1fr); }\n';
+      const issue = analyzeCss(fallbacks).find(i => i.rule === 'bms/overridden-declaration');
+
+      expect(fixAll(fallbacks).output).toBe(fallbacks);
+      expect(fixesFor(issue, fallbacks)[0]).toMatchObject({ title: 'Remove the overridden grid-template-columns declaration', safe: false });
+    });
+
+    test('applies suggestions for chosen rules on request', () => {
+      const { output } = fixAll(css, { rules: ['bms/fixed-width', 'bms/flex-nowrap'], safeOnly: false });
+
+      expect(output).toContain('  padding: 1px;\n  padding: 2px;\n  padding: 3px;\n  width: 100%;\n  max-width: 600px;\n  display: flex;\n  flex-wrap: wrap;\n}');
+      expect(fixAll('.a { color: red; }\n')).toEqual({ output: '.a { color: red; }\n', fixes: [], issues: [] });
+    });
+  });
+});
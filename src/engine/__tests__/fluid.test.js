@@ -0,0 +1,51 @@
+/**
+ * Tests for fluid clamp() sizes
+ */
+
+const { fluidClamp, fluidViewports, sizesAt, parseSizeRange, fluidValue } = require('../fluid');
+
+describe('fluid', () => {
+  test('interpolates between the sizes at the two viewports, in rem and vw', () => {
+    const fluid = fluidClamp(16, 32, { viewportMin: 320, viewportMax: 1280 });
+
+    expect(fluid.expression).toBe('clamp(1rem, 0.6667rem + 1.6667vw, 2rem)');
+    expect(sizesAt(fluid, [0, 320, 800, 1280, 1920])).toEqual([
+      { viewport: 0, size: 16 },
+      { viewport: 320, size: 16 },
+      { viewport: 800, size: 24 },
+      { viewport: 1280, size: 32 },
+      { viewport: 1920, size: 32 }
+    ]);
+    expect(fluidClamp(16, 32, { rootFontSize: 10, remPrecision: 2 }).expression).toBe('clamp(1.6rem, 1.28rem + 1vw, 3.2rem)');
+  });
+
+  test('writes negative terms as subtractions and drops zero ones', () => {
+    expect(fluidClamp(32, 16).expression).toBe('clamp(1rem, 2.2rem - 1vw, 2rem)');
+    expect(fluidClamp(32, 16).sizeAt(1920)).toBe(16);
+    expect(fluidClamp(16, 32, { viewportMin: 400, viewportMax: 800 }).expression).toBe('clamp(1rem, 4vw, 2rem)');
+    expect(fluidClamp(8, 64, { viewportMin: 400, viewportMax: 800 }).expression).toBe('clamp(0.5rem, -3rem + 14vw, 4rem)');
+    expect(fluidClamp(20, 20).expression).toBe('clamp(1.25rem, 1.25rem, 1.25rem)');
+    expect(() => fluidClamp(16, 32, { viewportMin: 800, viewportMax: 800 })).toThrow(RangeError);
+    expect(() => fluidClamp(NaN, 32)).toThrow(RangeError);
+  });
+
+  test('shows sizes at the breakpoint scale, else the simulated viewports', () => {
+    expect(fluidViewports({ breakpoints: [1024, 480, 768], viewports: [320] })).toEqual([480, 768, 1024]);
+    expect(fluidViewports({ breakpoints: [], viewports: [375, 320] })).toEqual([320, 375]);
+    expect(fluidViewports()).toEqual([320, 375, 768, 1024, 1440, 1920]);
+  });
+
+  test('parses a typed min and max size', () => {
+    expect(['16 32', '16px, 32px', '16-32', '12.5px to 24px'].map(parseSizeRange))
+      .toEqual([[16, 32], [16, 32], [16, 32], [12.5, 24]]);
+    expect(['16', '16 32 48', 'small large', ''].map(parseSizeRange)).toEqual([null, null, null, null]);
+  });
+
+  test('makes the px lengths of a value fluid, keeping hairlines, zero and negatives', () => {
+    const { value, sizes } = fluidValue('0 24px 1px -8px url(a24px.png)', { fluidMinScale: 0.5 });
+
+    expect(value).toBe('0 clamp(0.75rem, 0.6rem + 0.75vw, 1.5rem) 1px -8px url(a24px.png)');
+    expect(sizes.map(s => [s.minSize, s.maxSize])).toEqual([[12, 24]]);
+    expect(fluidValue('24px', { viewportMin: 800, viewportMax: 800 })).toEqual({ value: '24px', sizes: [] });
+  });
+});
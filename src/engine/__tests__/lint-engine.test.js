@@ -0,0 +1,196 @@
+/**
+ * Tests for the headless lint engine
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { analyzeCss, LintEngine, DEFAULT_SETTINGS } = require('../lint-engine');
+
+describe('lint-engine', () => {
+  describe('analyzeCss', () => {
+    test('returns issues with rule ids and plain zero-based ranges', () => {
+      const issues = analyzeCss('.card {\n  width: 600px;\n}');
+
+      expect(issues).toHaveLength(1);
+      expect(issues[0]).toMatchObject({
+        issue: 'Fixed width',
+        rule: 'bms/fixed-width',
+        severity: 'medium',
+        selector: '.card',
+        lineNumber: 1,
+        range: { start: { line: 1, character: 9 }, end: { line: 1, character: 14 } }
+      });
+    });
+
+    test('applies the config over the defaults', () => {
+      const css = '.card { width: 200px; padding: 32px; }';
+      const rules = (config) => analyzeCss(css, { config }).map(i => `${i.rule}:${i.severity}`);
+
+      expect(rules({})).toEqual(['bms/fixed-width:medium', 'bms/fixed-spacing:low']);
+      expect(rules({ rules: { 'bms/fixed-width': 'critical', 'bms/fixed-spacing': 'off' } })).toEqual(['bms/fixed-width:critical']);
+      expect(rules({ mode: 'pragmatic' })).toEqual(['bms/fixed-spacing:low']);
+    });
+
+    test('parses the given language', () => {
+      const issues = analyzeCss('.card\n  width: 600px\n', { language: 'sass' });
+
+      expect(issues.map(i => [i.rule, i.range.start.line])).toEqual([['bms/fixed-width', 1]]);
+    });
+  });
+
+  describe('fixed dimensions', () => {
+    test('a width bounded by its containing block is not fixed', () => {
+      const fixedWidth = (css) => analyzeCss(css).filter(i => i.rule === 'bms/fixed-width').map(i => i.value);
+
+      expect(fixedWidth('.a { width: min(100%, 300px); }')).toEqual([]);
+      expect(fixedWidth('.a { width: 300px; width: min(100%, 300px); }')).toEqual([]);
+      expect(fixedWidth('.a { width: 600px; }')).toEqual(['600px']);
+    });
+  });
+
+  describe('cumulative overflow', () => {
+    test('applies the universal box-sizing reset', () => {
+      const cumulative = (css) => analyzeCss(css).filter(i => i.issue === 'Cumulative horizontal overflow').map(i => i.selector);
+
+      expect(cumulative('* { box-sizing: border-box } .a { width: 300px; padding: 0 20px }')).toEqual([]);
+      expect(cumulative('.a { width: 300px; padding: 0 20px }')).toEqual(['.a']);
+    });
+  });
+
+  describe('custom properties', () => {
+    test('evaluates a usage under the media queries of the definitions it references', () => {
+      const css = ':root { --w: 100% }\n@media (min-width: 900px) { :root { --w: 640px } }\n.a { width: var(--w) }';
+      const issues = analyzeCss(css).filter(i => i.selector === '.a');
+
+      expect(issues.map(i => [i.rule, i.value, i.range.start.line])).toEqual([['bms/fixed-width', '640px', 2]]);
+      expect(issues[0].related.map(r => [r.message, r.range.start.line])).toEqual([['--w: 640px is defined here (:root)', 1]]);
+    });
+  });
+
+  describe('overridden declarations', () => {
+    const overridden = (css) => analyzeCss(css).filter(i => i.rule === 'bms/overridden-declaration').map(i => i.value);
+
+    test('reports a value redeclared in the same terms', () => {
+      expect(overridden('.a { padding: 1px; padding: 2px; width: 10px !important; width: 20px; }')).toEqual(['1px', '20px']);
+    });
+
+    test('reports keywords and lengths redeclared in other terms', () => {
+      expect(overridden('.a { position: absolute; position: relative; }')).toEqual(['absolute']);
+      expect(overridden('.a { display: block; display: none; }')).toEqual(['block']);
+      expect(overridden('.a { overflow: hidden; overflow: auto; }')).toEqual(['hidden']);
+      expect(overridden('.a { width: 300px; width: 50%; }')).toEqual(['300px']);
+      expect(overridden('.a { width: 50%; width: 300px; }')).toEqual(['50%']);
+      expect(overridden('.a { display: grid; display: flex; }')).toEqual(['grid']);
+    });
+
+    test('keeps fallbacks for newer units and keywords', () => {
+      expect(overridden('.hero { height: 100vh; height: 100dvh; min-height: 100vh; min-height: 100svh; }')).toEqual([]);
+      expect(overridden('.b { display: flex; display: grid; }\n.f { display: block; display: contents; }')).toEqual([]);
+      expect(overridden('.g { width: 50cqw; width: 50cqi; }\n.h { width: 100vw; width: 100dvw; }')).toEqual(['50cqw']);
+      expect(overridden('.c { width: 100%; width: stretch; }\n.d { width: 100%; width: fit-content; }')).toEqual([]);
+      expect(overridden('.e { width: -webkit-fill-available; width: stretch; }')).toEqual([]);
+    });
+  });
+
+  describe('breakpoint edges', () => {
+    const edges = (css, rules = {}) => analyzeCss(css, { config: { rules } })
+      .filter(i => i.rule === 'bms/breakpoint-overlap' || i.rule === 'bms/breakpoint-gap');
+    const pair = (first, second, decls = ['width: 100%', 'width: 50%']) =>
+      `@media ${first} { .a { ${decls[0]} } }\n@media ${second} { .a { ${decls[1]} } }`;
+
+    test('reports blocks that both apply at a shared edge', () => {
+      const issues = edges(pair('(max-width: 768px)', '(min-width: 768px)'));
+
+      expect(issues.map(i => [i.rule, i.property, i.range.start.line])).toEqual([['bms/breakpoint-overlap', 'width', 1]]);
+      expect(issues[0].explanation).toBe('@media (max-width: 768px) and @media (min-width: 768px) both apply to .a at exactly 768px: width is 100% in one and 50% in the other');
+      expect(issues[0].related.map(r => [r.message, r.range.start.line])).toEqual([['.a in @media (max-width: 768px)', 0]]);
+    });
+
+    test('reports a width neither block applies at', () => {
+      const issues = edges(pair('(max-width: 767px)', '(min-width: 769px)'));
+
+      expect(issues.map(i => i.rule)).toEqual(['bms/breakpoint-gap']);
+      expect(issues[0].explanation).toBe('Neither @media (max-width: 767px) nor @media (min-width: 769px) applies to .a at exactly 768px');
+    });
+
+    test('stays quiet for ranges that meet', () => {
+      expect(edges(pair('(max-width: 767.98px)', '(min-width: 768px)'))).toEqual([]);
+      expect(edges(pair('(width < 768px)', '(width >= 768px)'))).toEqual([]);
+    });
+
+    test('stays quiet for nested ranges, blocks without a shared property and equal values', () => {
+      expect(edges(pair('(min-width: 600px)', '(min-width: 600px) and (max-width: 900px)'))).toEqual([]);
+      expect(edges(pair('(max-width: 768px)', '(min-width: 768px)', ['width: 100%', 'color: red']))).toEqual([]);
+      expect(edges(pair('(max-width: 768px)', '(min-width: 768px)', ['width: 100%', 'width: 100%']))).toEqual([]);
+    });
+
+    test('treats overlaps and gaps wider than the tolerance as intentional', () => {
+      const overlapping = pair('(max-width: 770px)', '(min-width: 768px)');
+      const apart = pair('(max-width: 760px)', '(min-width: 770px)');
+
+      expect(edges(overlapping).map(i => i.rule)).toEqual(['bms/breakpoint-overlap']);
+      expect(edges(overlapping, { 'bms/breakpoint-overlap': ['on', { tolerance: 1 }] })).toEqual([]);
+      expect(edges(apart)).toEqual([]);
+      expect(edges(apart, { 'bms/breakpoint-gap': ['on', { tolerance: 16 }] }).map(i => i.rule)).toEqual(['bms/breakpoint-gap']);
+    });
+  });
+
+  describe('off-scale values', () => {
+    const css = '.a {\n  margin: 0 13px -10px;\n  padding: 1.1rem;\n  gap: var(--gap);\n  border-radius: 5px;\n  top: 3px;\n}';
+    const offScale = ({ rules, ...config }) => analyzeCss(css, { config: { ...config, rules: { 'bms/fixed-spacing': 'off', ...rules } } });
+
+    test('reports raw lengths off the configured scale and suggests the nearest value', () => {
+      const issues = offScale({ tokenScale: [0, 4, 8, 12, 16] });
+
+      expect(issues.map(i => [i.rule, i.value, i.replacement, i.range.start.character])).toEqual([
+        ['bms/off-scale-value', '13px', '12px', 12],
+        ['bms/off-scale-value', '-10px', '-8px', 17],
+        ['bms/off-scale-value', '1.1rem', '1rem', 11],
+        ['bms/off-scale-value', '5px', '4px', 17]
+      ]);
+      expect(issues[0].correction).toBe('Use 12px, the nearest value on the scale');
+      expect(offScale({})).toEqual([]);
+      expect(offScale({ tokenScale: [4], rules: { 'bms/off-scale-value': ['on', { properties: ['border-radius'] }] } }).map(i => i.value)).toEqual(['5px']);
+      expect(offScale({ tokenScale: [4], ignoreSelectors: ['.a'] })).toEqual([]);
+    });
+
+    test('suggests var() references to the nearest design token', () => {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bms-tokens-'));
+      try {
+        const file = path.join(dir, 'tokens.json');
+        fs.writeFileSync(file, JSON.stringify({ space: { $type: 'dimension', 1: { $value: '4px' }, 2: { $value: '8px' }, 3: { $value: '0.75rem' } } }));
+        const issues = offScale({ designTokens: file });
+
+        expect(issues.map(i => i.replacement)).toEqual(['var(--space-3)', 'calc(var(--space-2) * -1)', 'var(--space-3)', 'var(--space-1)']);
+        expect(issues[0]).toMatchObject({ explanation: '13px matches no design token', correction: 'Use var(--space-3) (0.75rem), the nearest token' });
+      } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+    });
+  });
+
+  describe('LintEngine', () => {
+    test('reads the breakpoint scale of a stylesheet from its project config', () => {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bms-scale-'));
+      try {
+        fs.writeFileSync(path.join(dir, '.bmsrc.json'), JSON.stringify({ breakpoints: [600, 900] }));
+        const engine = new LintEngine({ breakpoints: [768] });
+
+        expect(engine.breakpointScale(path.join(dir, 'a.css'))).toEqual([600, 900]);
+        expect(engine.breakpointScale()).toEqual([768]);
+        expect(new LintEngine({ breakpoints: [768], rules: { 'bms/off-scale-breakpoint': 'off' } }).breakpointScale()).toEqual([]);
+      } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+    });
+
+    test('keeps its settings across stylesheets', () => {
+      const engine = new LintEngine({ breakpoints: [768] });
+
+      expect(engine.settings).toEqual({ ...DEFAULT_SETTINGS, breakpoints: [768] });
+      engine.detectIssues('@media (max-width: 767px) { .a { color: red } }');
+      expect(engine.detectIssues('@media (max-width: 767px) { .a { color: red } }').map(i => i.rule)).toEqual(['bms/off-scale-breakpoint']);
+    });
+  });
+});
@@ -0,0 +1,113 @@
+/**
+ * Tests for media query ranges
+ */
+
+const { parseRules } = require('../parser');
+const {
+  interval,
+  union,
+  complement,
+  contains,
+  overlap,
+  gaps,
+  lowerBound,
+  formatRanges,
+  parseMediaQueryList,
+  mediaBreakpoints,
+  mediaRanges,
+  ruleRanges
+} = require('../media-query');
+
+const ranges = (condition) => formatRanges(mediaRanges(condition));
+
+describe('media-query', () => {
+  describe('mediaRanges', () => {
+    test('converts min-width and max-width, including em and rem', () => {
+      expect(ranges('(min-width: 768px)')).toBe('≥ 768px');
+      expect(ranges('(max-width: 767.98px)')).toBe('≤ 767.98px');
+      expect(ranges('screen and (min-width: 48em) and (max-width: 64rem)')).toBe('768px–1024px');
+    });
+
+    test('understands range syntax with inclusive and exclusive bounds', () => {
+      expect(ranges('(400px <= width <= 700px)')).toBe('400px–700px');
+      expect(ranges('(width > 600px)')).toBe('> 600px');
+      expect(ranges('(1024px > width)')).toBe('< 1024px');
+      expect(contains(mediaRanges('(width < 600px)'), 600)).toBe(false);
+      expect(contains(mediaRanges('(width <= 600px)'), 600)).toBe(true);
+    });
+
+    test('combines and, or, not and comma lists', () => {
+      expect(ranges('(max-width: 300px), (min-width: 1200px)')).toBe('≤ 300px, ≥ 1200px');
+      expect(ranges('(width > 600px) or (max-width: 300px)')).toBe('≤ 300px, > 600px');
+      expect(ranges('not (min-width: 600px)')).toBe('< 600px');
+      expect(ranges('not screen and (max-width: 600px)')).toBe('> 600px');
+      expect(ranges('((min-width: 400px) and (max-width: 500px)) or (min-width: 900px)')).toBe('400px–500px, ≥ 900px');
+    });
+
+    test('media types and features other than width', () => {
+      expect(ranges('print')).toBe('no width');
+      expect(ranges('not print')).toBe('any width');
+      expect(ranges('(hover: hover) and (min-width: 600px)')).toBe('≥ 600px');
+      expect(ranges('not (hover: hover)')).toBe('any width');
+      // Preprocessor variables are not media types we know
+      expect(ranges('@tablet')).toBe('any width');
+      expect(ranges('(min-width: $md)')).toBe('any width');
+    });
+  });
+
+  describe('parseMediaQueryList', () => {
+    test('flags queries whose width conditions contradict each other', () => {
+      const queries = parseMediaQueryList('print, (min-width: 1024px) and (max-width: 768px), (width > 600px) and (width < 600px)');
+
+      expect(queries.map(q => q.unreachable)).toEqual([false, true, true]);
+      expect(queries[1].text).toBe('(min-width: 1024px) and (max-width: 768px)');
+    });
+  });
+
+  describe('mediaBreakpoints', () => {
+    test('lists width values with the bound they set and their offsets', () => {
+      const condition = 'screen and (min-width: 48em), (400px <= width < 700px), (1024px > width)';
+      const found = mediaBreakpoints(condition);
+
+      expect(found.map(b => [b.feature, b.text, b.px])).toEqual([
+        ['min-width', '48em', 768],
+        ['min-width', '400px', 400],
+        ['max-width', '700px', 700],
+        ['max-width', '1024px', 1024]
+      ]);
+      expect(found.map(b => condition.slice(b.start, b.end))).toEqual(['48em', '400px', '700px', '1024px']);
+    });
+  });
+
+  describe('range sets', () => {
+    test('overlap and gaps between breakpoints', () => {
+      const small = mediaRanges('(max-width: 768px)');
+      const large = mediaRanges('(min-width: 768px)');
+
+      expect(formatRanges(overlap(small, large))).toBe('768px');
+      expect(overlap(mediaRanges('(max-width: 767px)'), large)).toEqual([]);
+      expect(formatRanges(gaps([mediaRanges('(max-width: 767px)'), mediaRanges('(min-width: 769px)')], 320, 1920))).toBe('(767px, 769px)');
+      expect(gaps([small, large], 320, 1920)).toEqual([]);
+    });
+
+    test('complement and union stay normalized', () => {
+      expect(complement([interval(100, 200)])).toEqual([interval(0, 100, true, false), interval(200, Infinity, false)]);
+      expect(union([interval(0, 100)], [interval(100, 200, false)])).toEqual([interval(0, 200)]);
+    });
+
+    test('lowerBound rounds an excluded bound up to the next pixel', () => {
+      expect(lowerBound(mediaRanges('(min-width: 768px)'))).toBe(768);
+      expect(lowerBound(mediaRanges('(width > 768px)'))).toBe(769);
+      expect(lowerBound([])).toBeNull();
+    });
+  });
+
+  describe('ruleRanges', () => {
+    test('intersects the media queries a rule is nested in', () => {
+      const { rules } = parseRules('@media (min-width: 600px) { @supports (display: grid) { @media (max-width: 900px) { .a { color: red } } } }');
+
+      expect(formatRanges(ruleRanges(rules[0]))).toBe('600px–900px');
+      expect(rules[0].atRules[0].conditionLoc.start.column).toBe(7);
+    });
+  });
+});
@@ -0,0 +1,379 @@
+/**
+ * Tests for the CSS parser
+ */
+
+const { tokenize, parse, parseRules, stripComments, createLocator, getMediaConditions, getContextKey, resolveSelector, cascade } = require('../parser');
+
+describe('parser', () => {
+  describe('createLocator', () => {
+    test('maps offsets to zero-based line and column', () => {
+      const locate = createLocator('a\nbc\n\nd');
+      expect(locate(0)).toEqual({ line: 0, column: 0, offset: 0 });
+      expect(locate(3)).toEqual({ line: 1, column: 1, offset: 3 });
+      expect(locate(6)).toEqual({ line: 3, column: 0, offset: 6 });
+    });
+  });
+
+  describe('tokenize', () => {
+    const significant = (css, options) => tokenize(css, options).tokens.filter(t => t.type !== 'whitespace');
+
+    test('produces numeric, ident and punctuation tokens', () => {
+      const tokens = significant('width: calc(12.5px + 50%) !important;');
+
+      expect(tokens.map(t => t.type)).toEqual(['ident', ':', 'function', 'dimension', 'delim', 'percentage', ')', 'delim', 'ident', ';']);
+      expect(tokens[3]).toMatchObject({ value: 12.5, unit: 'px', start: 12, end: 18 });
+      expect(tokens[5].value).toBe(50);
+    });
+
+    test('handles numbers, hashes, escapes and CDO/CDC', () => {
+      const tokens = significant('-3e2 +.5 #fff #1a \\31 a --x <!-- -->');
+
+      expect(tokens.map(t => [t.type, t.value])).toEqual([
+        ['number', -300], ['number', 0.5], ['hash', 'fff'], ['hash', '1a'],
+        ['ident', '1a'], ['ident', '--x'], ['CDO', '<!--'], ['CDC', '-->']
+      ]);
+      expect(tokens[2].id).toBe(true);
+      expect(tokens[3].id).toBe(false);
+    });
+
+    test('reads unquoted url() as a single token', () => {
+      const tokens = significant('url( data:image/svg+xml;utf8,<svg>{}</svg> ) url("a.png")');
+
+      expect(tokens[0]).toMatchObject({ type: 'url', value: 'data:image/svg+xml;utf8,<svg>{}</svg>' });
+      expect(tokens.slice(1).map(t => t.type)).toEqual(['function', 'string', ')']);
+    });
+
+    test('reports bad strings and bad urls with their offsets', () => {
+      const { tokens, errors } = tokenize('"abc\n x url(a b) /* open');
+
+      expect(tokens.map(t => t.type)).toEqual(['bad-string', 'whitespace', 'ident', 'whitespace', 'bad-url', 'whitespace', 'comment']);
+      expect(errors.map(e => [e.message, e.start])).toEqual([
+        ['Unterminated string', 0],
+        ['Unexpected whitespace in url()', 13],
+        ['Unterminated comment', 17]
+      ]);
+    });
+
+    test('recognizes preprocessor comments and interpolation', () => {
+      expect(significant('a // b', { syntax: 'css' }).map(t => t.type)).toEqual(['ident', 'delim', 'delim', 'ident']);
+      expect(significant('a // b', { syntax: 'scss' }).map(t => t.type)).toEqual(['ident', 'comment']);
+      expect(significant('.x-#{$a + 1}', { syntax: 'scss' }).map(t => t.type)).toEqual(['delim', 'ident', 'interpolation']);
+      expect(significant('.x-@{a}', { syntax: 'less' })[2]).toMatchObject({ type: 'interpolation', value: '@{a}' });
+    });
+
+    test('strips comments but keeps comment markers inside strings', () => {
+      expect(stripComments('a /* x */ { content: "/* y */" }')).toBe('a  { content: "/* y */" }');
+    });
+  });
+
+  describe('parse', () => {
+    test('builds rule, at-rule and declaration nodes', () => {
+      const root = parse('@import "x.css";\n.a { width: 10px; }\n@media (max-width: 600px) { .b { color: red } }');
+
+      expect(root.type).toBe('stylesheet');
+      expect(root.nodes.map(n => n.type)).toEqual(['atrule', 'rule', 'atrule']);
+      expect(root.nodes[0]).toMatchObject({ name: 'import', params: '"x.css"', nodes: null });
+      expect(root.nodes[1].nodes[0]).toMatchObject({ type: 'decl', prop: 'width', value: '10px' });
+      expect(root.nodes[2].nodes[0]).toMatchObject({ type: 'rule', selector: '.b' });
+    });
+
+    test('records start and end positions for every node', () => {
+      const css = '.a {\n  width: 10px;\n}\n';
+      const rule = parse(css).nodes[0];
+      const decl = rule.nodes[0];
+
+      expect(rule.loc.start).toEqual({ line: 0, column: 0, offset: 0 });
+      expect(rule.loc.end).toEqual({ line: 2, column: 1, offset: 21 });
+      expect(rule.selectorLoc.end.column).toBe(2);
+      expect(decl.loc.start).toEqual({ line: 1, column: 2, offset: 7 });
+      expect(decl.valueLoc.start.column).toBe(9);
+      expect(decl.valueLoc.end.column).toBe(13);
+      expect(css.slice(decl.valueLoc.start.offset, decl.valueLoc.end.offset)).toBe('10px');
+    });
+
+    test('ignores braces and selectors inside comments and strings', () => {
+      const root = parse('/* .fake { width: 1px } */\n.a::before { content: "}"; width: 2px }');
+
+      expect(root.nodes).toHaveLength(1);
+      expect(root.nodes[0].nodes.map(d => d.prop)).toEqual(['content', 'width']);
+      expect(root.comments).toHaveLength(1);
+      expect(root.comments[0].loc.start.line).toBe(0);
+    });
+
+    test('recovers from an unclosed block', () => {
+      const root = parse('.a { width: 10px;');
+      expect(root.nodes[0].nodes[0]).toMatchObject({ prop: 'width', value: '10px' });
+    });
+  });
+
+  describe('error recovery', () => {
+    const describeErrors = (css) => parse(css).errors.map(e => [e.message, e.loc.start.line, e.loc.start.column]);
+
+    test('well-formed stylesheets have no errors', () => {
+      expect(parse('.a { content: "}"; background: url(x.png); width: calc(100% - 2px) }').errors).toEqual([]);
+    });
+
+    test('points at the opening brace of an unclosed block', () => {
+      expect(describeErrors('.a {\n  width: 10px;\n.b { color: red }')).toEqual([['Unclosed block: expected \'}\'', 0, 3]]);
+    });
+
+    test('skips an invalid declaration up to the next semicolon', () => {
+      const root = parse('.a { width 10px; height: 2px }');
+
+      expect(root.nodes[0].nodes.map(d => d.prop)).toEqual(['height']);
+      expect(describeErrors('.a { width 10px; height: 2px }')).toEqual([['Invalid declaration: expected \'property: value\'', 0, 5]]);
+    });
+
+    test('reports an unclosed function and keeps parsing the next rule', () => {
+      const root = parse('.a { width: calc(100% - 10px; }\n.b { width: 1px }');
+
+      expect(root.nodes.map(n => n.selector)).toEqual(['.a', '.b']);
+      expect(root.errors.map(e => e.message)).toEqual(['Unclosed \'calc(\': expected \')\'']);
+      expect(root.errors[0].loc.start.column).toBe(12);
+    });
+
+    test('reports stray closers and selectors without a block', () => {
+      expect(describeErrors('}\n.a { width: 1px }\n.orphan')).toEqual([
+        ['Unexpected \'}\'', 0, 0],
+        ['Unexpected end of file: expected \'{\'', 2, 0]
+      ]);
+    });
+
+    test('keeps the rest of the block after an unterminated string', () => {
+      const root = parse('.a { content: "abc\n; width: 5px }');
+
+      expect(root.nodes[0].nodes.map(d => d.prop)).toEqual(['content', 'width']);
+      expect(describeErrors('.a { content: "abc\n; width: 5px }')).toEqual([['Unterminated string', 0, 14]]);
+    });
+
+    test('exposes errors from parseRules and allows top-level preprocessor variables', () => {
+      expect(parseRules('.a { width: 1px').errors).toHaveLength(1);
+      expect(parseRules('$w: 1px;\n.a { width: $w }', { syntax: 'scss' }).errors).toEqual([]);
+      expect(parseRules('.a\n  width: 1px', { syntax: 'sass' }).errors).toEqual([]);
+    });
+  });
+
+  describe('parseRules', () => {
+    test('keeps the rules/declarations/at shape', () => {
+      const { rules } = parseRules('.a { width: 10px }\n@media (max-width: 600px) { .a { width: 100%; } }');
+
+      expect(rules).toHaveLength(2);
+      expect(rules[0]).toMatchObject({ selector: '.a', declarations: { width: '10px' }, at: null });
+      expect(rules[1].at).toMatchObject({ type: 'media', condition: '(max-width: 600px)' });
+      expect(rules[1].declarations.width).toBe('100%');
+    });
+
+    test('locates repeated selectors independently', () => {
+      const { rules } = parseRules('.a { width: 1px }\n.b { }\n.a { width: 2px }');
+
+      expect(rules[0].selectorLoc.start.line).toBe(0);
+      expect(rules[2].selectorLoc.start.line).toBe(2);
+      expect(rules[2].decls[0].valueLoc.start.line).toBe(2);
+    });
+
+    test('carries the full chain of nested conditional at-rules', () => {
+      const { rules } = parseRules(
+        '@media (max-width: 900px) { @supports (display: grid) { .a { width: 700px } } }\n' +
+        '@layer base { @container card (min-width: 200px) { .b { width: 1px } } }'
+      );
+
+      expect(rules.map(r => r.selector)).toEqual(['.a', '.b']);
+      expect(rules[0].atRules.map(a => a.type)).toEqual(['media', 'supports']);
+      expect(rules[0].atRules[1].condition).toBe('(display: grid)');
+      expect(rules[0].at.type).toBe('supports');
+      expect(rules[1].atRules.map(a => a.type)).toEqual(['layer', 'container']);
+      expect(getContextKey(rules[1])).toBe('@layer base > @container card (min-width: 200px)');
+    });
+
+    test('collects every media condition in the chain', () => {
+      const { rules } = parseRules('@media screen { @-moz-document url-prefix() { @media (max-width: 500px) { .c { } } } }');
+
+      expect(rules[0].atRules.map(a => a.type)).toEqual(['media', 'document', 'media']);
+      expect(getMediaConditions(rules[0])).toEqual(['screen', '(max-width: 500px)']);
+    });
+
+    test('does not treat keyframe selectors or @font-face as style rules', () => {
+      const { rules } = parseRules('@keyframes spin { from { width: 0 } to { width: 10px } }\n@font-face { font-family: x }\n.a { }');
+
+      expect(rules.map(r => r.selector)).toEqual(['.a']);
+      expect(rules[0].atRules).toEqual([]);
+      expect(rules[0].at).toBeNull();
+    });
+  });
+
+  describe('resolveSelector', () => {
+    test('replaces parent references and nests descendants', () => {
+      expect(resolveSelector(null, '.a, .b')).toBe('.a, .b');
+      expect(resolveSelector('.card', '&:hover')).toBe('.card:hover');
+      expect(resolveSelector('.card', '.title')).toBe('.card .title');
+      expect(resolveSelector('.x', '.card &:hover')).toBe('.card .x:hover');
+      expect(resolveSelector('.a, .b', '& + &, .c')).toBe('.a + .a, .a .c, .b + .b, .b .c');
+    });
+
+    test('does not split on commas inside functional pseudo-classes', () => {
+      expect(resolveSelector('.list', ':is(.a, .b) &')).toBe(':is(.a, .b) .list');
+    });
+  });
+
+  describe('scss syntax', () => {
+    const scss = [
+      '// Card component',
+      '$gutter: 24px;',
+      '@mixin size($w) { width: $w; }',
+      '.card {',
+      '  width: 400px; // fixed',
+      '  &:hover { width: 500px; }',
+      '  &-#{$gutter} { height: 10px; }',
+      '  @include size(300px);',
+      '  @media (max-width: 600px) {',
+      '    width: 100%;',
+      '  }',
+      '}'
+    ].join('\n');
+
+    test('resolves nested selectors into their compiled form', () => {
+      const { rules } = parseRules(scss, { syntax: 'scss' });
+
+      expect(rules.map(r => r.selector)).toEqual(['.card', '.card:hover', '.card-#{$gutter}', '.card']);
+      expect(rules[0].declarations).toEqual({ width: '400px' });
+    });
+
+    test('keeps source positions of nested rules and declarations', () => {
+      const { rules } = parseRules(scss, { syntax: 'scss' });
+
+      expect(rules[1].selectorLoc.start).toMatchObject({ line: 5, column: 2 });
+      expect(rules[1].decls[0].valueLoc.start).toMatchObject({ line: 5, column: 19 });
+    });
+
+    test('applies declarations nested in @media to the parent selector', () => {
+      const { rules } = parseRules(scss, { syntax: 'scss' });
+      const media = rules[3];
+
+      expect(media.atRules.map(a => a.condition)).toEqual(['(max-width: 600px)']);
+      expect(media.declarations.width).toBe('100%');
+      expect(media.decls[0].loc.start.line).toBe(9);
+    });
+
+    test('tracks @include call sites and @mixin definitions', () => {
+      const { rules, mixins } = parseRules(scss, { syntax: 'scss' });
+
+      expect(rules[0].includes).toEqual([{ name: 'size', args: '300px', loc: expect.any(Object) }]);
+      expect(rules[0].includes[0].loc.start.line).toBe(7);
+      expect(mixins.map(m => m.name)).toEqual(['size']);
+      // Mixin bodies are not emitted as rules
+      expect(rules.some(r => r.selector.includes('size'))).toBe(false);
+    });
+
+    test('treats // as a comment and skips variables', () => {
+      const { rules, root } = parseRules(scss, { syntax: 'scss' });
+
+      expect(root.comments.map(c => c.text)).toEqual(['// Card component', '// fixed']);
+      expect(Object.keys(rules[0].declarations)).not.toContain('$gutter');
+    });
+
+    test('expands nested property groups', () => {
+      const { rules } = parseRules('.a { font: 12px { family: x; } }', { syntax: 'scss' });
+
+      expect(rules).toHaveLength(1);
+      expect(rules[0].declarations).toEqual({ font: '12px', 'font-family': 'x' });
+    });
+
+    test('leaves // alone in plain CSS', () => {
+      const { rules } = parseRules('.a { background: url(//cdn.example/x.png); width: 1px }');
+
+      expect(rules[0].declarations.background).toBe('url(//cdn.example/x.png)');
+      expect(rules[0].declarations.width).toBe('1px');
+    });
+  });
+
+  describe('less syntax', () => {
+    const less = [
+      '@sidebar: 640px;',
+      '@gap: 30px;',
+      '.bordered(@w: 2px) when (@w > 1px) { border: @w solid; }',
+      '.card {',
+      '  width: @sidebar;',
+      '  padding: 0 @gap;',
+      '  .bordered(4px);',
+      '  &-@{gap} { height: 1px; }',
+      '  .inner when (@mode = dark) { height: 500px; }',
+      '}'
+    ].join('\n');
+
+    test('treats @name: value as variables and substitutes them', () => {
+      const { rules } = parseRules(less, { syntax: 'less' });
+
+      expect(rules[0].selector).toBe('.card');
+      expect(rules[0].declarations).toEqual({
+        width: '640px',
+        padding: '0 30px',
+        'padding-top': '0',
+        'padding-right': '30px',
+        'padding-bottom': '0',
+        'padding-left': '30px'
+      });
+      expect(rules[0].decls[0]).toMatchObject({ value: '640px', rawValue: '@sidebar' });
+      expect(rules[0].decls[0].valueLoc.start).toMatchObject({ line: 4, column: 9 });
+    });
+
+    test('tracks mixin calls and skips mixin definitions', () => {
+      const { rules, mixins } = parseRules(less, { syntax: 'less' });
+
+      expect(rules[0].includes).toEqual([{ name: '.bordered', args: '4px', loc: expect.any(Object) }]);
+      expect(mixins).toEqual([{ name: '.bordered', params: '@w: 2px', loc: expect.any(Object) }]);
+      expect(rules.some(r => r.selector.includes('bordered'))).toBe(false);
+    });
+
+    test('resolves nested selectors and separates guards', () => {
+      const { rules } = parseRules(less, { syntax: 'less' });
+
+      expect(rules.map(r => r.selector)).toEqual(['.card', '.card-@{gap}', '.card .inner']);
+      expect(rules[2].guard).toBe('(@mode = dark)');
+    });
+  });
+
+  describe('sass syntax', () => {
+    test('delegates to the indented parser and flattens the same way', () => {
+      const sass = ['$w: 700px', '.card', '  width: $w', '  &:hover', '    height: 400px'].join('\n');
+      const { rules } = parseRules(sass, { syntax: 'sass' });
+
+      expect(rules.map(r => r.selector)).toEqual(['.card', '.card:hover']);
+      expect(rules[0].declarations).toEqual({ width: '700px' });
+      expect(rules[1].decls[0].valueLoc.start).toMatchObject({ line: 4, column: 12 });
+    });
+  });
+
+  describe('declaration order and cascade', () => {
+    test('keeps duplicates in source order with !important as a flag', () => {
+      const { rules } = parseRules('.a { width: 300px; width: min(100%, 300px); height: 1px ! important; }');
+
+      expect(rules[0].decls.map(d => [d.prop, d.value, d.important])).toEqual([
+        ['width', '300px', false],
+        ['width', 'min(100%, 300px)', false],
+        ['height', '1px', true]
+      ]);
+      expect(rules[0].decls[2].loc.end.column).toBe(67);
+      expect(rules[0].decls[2].valueLoc.end.column).toBe(55);
+    });
+
+    test('computes the effective value per property', () => {
+      const { rules } = parseRules('.a { width: 300px; width: min(100%, 300px); }');
+
+      expect(rules[0].declarations.width).toBe('min(100%, 300px)');
+      expect(rules[0].effective.width).toBe(rules[0].decls[1]);
+    });
+
+    test('an earlier !important wins over a later normal declaration', () => {
+      const decls = [
+        { prop: 'width', value: '10px', important: true },
+        { prop: 'width', value: '20px', important: false },
+        { prop: 'height', value: '1px', important: true },
+        { prop: 'height', value: '2px', important: true }
+      ];
+      const effective = cascade(decls);
+
+      expect(effective.width).toBe(decls[0]);
+      expect(effective.height).toBe(decls[3]);
+    });
+  });
+});
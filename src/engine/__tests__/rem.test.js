@@ -0,0 +1,59 @@
+/**
+ * Tests for px to rem conversion
+ */
+
+const { convertPx, isRemProperty, remEdits, DEFAULT_REM_PROPERTIES } = require('../rem');
+const { applyEdits } = require('../fixes');
+
+describe('rem', () => {
+  describe('convertPx', () => {
+    test('converts lengths with the root size and precision, keeping hairlines', () => {
+      expect(convertPx('0 24px 1px -8px')).toBe('0 1.5rem 1px -0.5rem');
+      expect(convertPx('calc(100% - 13px)', { rootFontSize: 16, remPrecision: 2 })).toBe('calc(100% - 0.81rem)');
+      expect(convertPx('20px', { rootFontSize: 10 })).toBe('2rem');
+      expect(convertPx('0.5px .75px 0px')).toBe('0.5px .75px 0px');
+    });
+
+    test('leaves strings, url() and identifiers alone', () => {
+      expect(convertPx('url(icon-24px.svg) 32px')).toBe('url(icon-24px.svg) 2rem');
+      expect(convertPx('var(--space-16px, 16px)')).toBe('var(--space-16px, 1rem)');
+      expect(convertPx('"12px" $gap-8px')).toBe('"12px" $gap-8px');
+    });
+  });
+
+  test('isRemProperty matches names and trailing-* prefixes', () => {
+    expect(isRemProperty('padding-inline-start', DEFAULT_REM_PROPERTIES)).toBe(true);
+    expect(isRemProperty('Width', DEFAULT_REM_PROPERTIES)).toBe(true);
+    expect(isRemProperty('border-width', DEFAULT_REM_PROPERTIES)).toBe(false);
+    expect(isRemProperty('box-shadow', DEFAULT_REM_PROPERTIES)).toBe(false);
+  });
+
+  describe('remEdits', () => {
+    const scss = [
+      '@mixin card { padding: 16px; }',
+      '.a {',
+      '  margin: 0 24px;',
+      '  border: 2px solid;',
+      '  @media (min-width: 768px) { width: 320px; }',
+      '}'
+    ].join('\n');
+
+    test('converts allowed declarations everywhere, media queries and borders excluded', () => {
+      expect(applyEdits(scss, remEdits(scss, { language: 'scss' }))).toBe([
+        '@mixin card { padding: 1rem; }',
+        '.a {',
+        '  margin: 0 1.5rem;',
+        '  border: 2px solid;',
+        '  @media (min-width: 768px) { width: 20rem; }',
+        '}'
+      ].join('\n'));
+    });
+
+    test('limits changes to a span and to the configured properties', () => {
+      const line = scss.indexOf('  margin');
+      expect(remEdits(scss, { language: 'scss', start: line, end: line + 5 }).map(e => e.newText)).toEqual(['0 1.5rem']);
+      expect(remEdits(scss, { language: 'scss', config: { remProperties: ['border*'], rootFontSize: 8 } }).map(e => e.newText))
+        .toEqual(['0.25rem solid']);
+    });
+  });
+});
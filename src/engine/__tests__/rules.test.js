@@ -0,0 +1,96 @@
+/**
+ * Tests for the rule registry
+ */
+
+const { RULES, getRule, ruleForIssue, detectorNames, resolveRuleSettings } = require('../rules');
+const { VISUALIZER_TYPES } = require('../stats-model');
+
+describe('rules', () => {
+  describe('registry', () => {
+    test('every rule has a unique bms/ id, a severity and docs', () => {
+      const ids = RULES.map(r => r.id);
+
+      expect(new Set(ids).size).toBe(ids.length);
+      for (const rule of RULES) {
+        expect(rule.id).toMatch(/^bms\/[a-z0-9-]+$/);
+        expect(['critical', 'medium', 'low']).toContain(rule.severity);
+        expect(rule.docs).toMatch(/^https:\/\//);
+      }
+    });
+
+    test('issues with the same title map to the rule of their detector', () => {
+      expect(ruleForIssue('detectMediaConflicts', 'Media query instability').id).toBe('bms/media-divergence');
+      expect(ruleForIssue('detectMediaWidthInstability', 'Media query instability').id).toBe('bms/media-width-instability');
+      expect(ruleForIssue('detectFixedDimensions', 'Parse error')).toBeNull();
+      expect(getRule('bms/fixed-width').issue).toBe('Fixed width');
+    });
+
+    test('marks the rules whose issues ignoreSelectors can skip', () => {
+      expect(getRule('bms/fluid-minimum').ignorable).toBe(true);
+      expect(getRule('bms/off-scale-value').ignorable).toBe(true);
+      expect(RULES.filter(r => !r.ignorable).map(r => r.id)).toEqual([
+        'bms/mixed-box-sizing',
+        'bms/unreachable-media',
+        'bms/off-scale-breakpoint',
+        'bms/parse-error',
+        'bms/unused-suppression'
+      ]);
+    });
+
+    test('every issue title has a visualizer type, null when nothing is drawn', () => {
+      for (const rule of RULES) {
+        expect(VISUALIZER_TYPES).toHaveProperty([rule.issue]);
+      }
+      expect(VISUALIZER_TYPES['Off-scale value']).toBeNull();
+    });
+
+    test('lists each detector once, in run order', () => {
+      const names = detectorNames();
+
+      expect(names[0]).toBe('detectFixedDimensions');
+      expect(names[names.length - 1]).toBe('detectParseErrors');
+      expect(new Set(names).size).toBe(names.length);
+    });
+  });
+
+  describe('resolveRuleSettings', () => {
+    test('defaults come from the registry and the legacy settings', () => {
+      const { rules, problems } = resolveRuleSettings({}, { fixedWidthThreshold: 400, breakpoints: [768] });
+
+      expect(problems).toEqual([]);
+      expect(rules.get('bms/fixed-width')).toEqual({ enabled: true, severity: 'medium', options: { threshold: 400 } });
+      expect(rules.get('bms/off-scale-breakpoint').options.scale).toEqual([768]);
+      expect(rules.get('bms/breakpoint-gap').options.tolerance).toBe(4);
+      expect(resolveRuleSettings({}, { tokenScale: [4, 8] }).rules.get('bms/off-scale-value').options).toMatchObject({ scale: [4, 8] });
+    });
+
+    test('turns rules off, re-levels them and applies options', () => {
+      const { rules } = resolveRuleSettings({
+        'bms/fixed-height': 'off',
+        'bms/overridden-declaration': 'critical',
+        'bms/fixed-spacing': ['on', { threshold: 16 }]
+      });
+
+      expect(rules.get('bms/fixed-height').enabled).toBe(false);
+      expect(rules.get('bms/overridden-declaration').severity).toBe('critical');
+      expect(rules.get('bms/fixed-spacing')).toEqual({ enabled: true, severity: 'low', options: { threshold: 16 } });
+    });
+
+    test('reports unknown rules, bad levels and bad options without applying them', () => {
+      const { rules, problems } = resolveRuleSettings({
+        'bms/nope': 'off',
+        'bms/fixed-width': ['error', { threshold: '400', max: 1 }],
+        'bms/off-scale-value': ['on', { properties: 'margin' }]
+      });
+
+      expect(problems).toEqual([
+        'Unknown rule "bms/nope"',
+        'bms/fixed-width: invalid level "error", expected "off", "on", "critical", "medium", "low"',
+        'bms/fixed-width: option "threshold" must be of type number',
+        'bms/fixed-width: unknown option "max"',
+        'bms/off-scale-value: option "properties" must be of type string[]'
+      ]);
+      expect(rules.get('bms/fixed-width')).toEqual({ enabled: true, severity: 'medium', options: { threshold: undefined } });
+    });
+  });
+});
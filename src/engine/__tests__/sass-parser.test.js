@@ -0,0 +1,52 @@
+/**
+ * Tests for the indented Sass parser
+ */
+
+const { parseIndented } = require('../sass-parser');
+const { createLocator } = require('../parser');
+
+const parse = (source) => parseIndented(source, createLocator(source));
+
+describe('parseIndented', () => {
+  test('nests blocks by indentation', () => {
+    const root = parse(['.card', '  width: 10px', '  .title', '    height: 2px', '.other', '  color: red'].join('\n'));
+
+    expect(root.nodes.map(n => n.selector)).toEqual(['.card', '.other']);
+    expect(root.nodes[0].nodes.map(n => n.type)).toEqual(['decl', 'rule']);
+    expect(root.nodes[0].nodes[1].nodes[0]).toMatchObject({ prop: 'height', value: '2px' });
+  });
+
+  test('records declaration and block positions', () => {
+    const root = parse(['.card', '  width: 10px', '  .title', '    height: 2px'].join('\n'));
+    const card = root.nodes[0];
+    const width = card.nodes[0];
+
+    expect(width.loc.start).toMatchObject({ line: 1, column: 2 });
+    expect(width.valueLoc.start).toMatchObject({ line: 1, column: 9 });
+    expect(width.valueLoc.end).toMatchObject({ line: 1, column: 13 });
+    expect(card.loc.end).toMatchObject({ line: 3, column: 15 });
+  });
+
+  test('parses at-rules and the = / + mixin shorthands', () => {
+    const root = parse(['=size($s)', '  width: $s', '.a', '  +size(10px)', '  @media (max-width: 600px)', '    width: 1px'].join('\n'));
+
+    expect(root.nodes[0]).toMatchObject({ type: 'atrule', name: 'mixin', params: 'size($s)' });
+    expect(root.nodes[1].nodes[0]).toMatchObject({ type: 'atrule', name: 'include', params: 'size(10px)', nodes: null });
+    expect(root.nodes[1].nodes[1]).toMatchObject({ type: 'atrule', name: 'media', params: '(max-width: 600px)' });
+    expect(root.nodes[1].nodes[1].nodes[0]).toMatchObject({ prop: 'width', value: '1px' });
+  });
+
+  test('collects comments, including indented continuation lines', () => {
+    const root = parse(['// heading', '   more', '.a', '  width: 1px // trailing', '  background: url(//cdn/x.png)'].join('\n'));
+
+    expect(root.comments.map(c => c.text)).toEqual(['// heading\n   more', '// trailing']);
+    expect(root.nodes[0].nodes.map(d => d.value)).toEqual(['1px', 'url(//cdn/x.png)']);
+  });
+
+  test('joins selector lists continued after a trailing comma', () => {
+    const root = parse(['.a,', '.b', '  width: 1px'].join('\n'));
+
+    expect(root.nodes).toHaveLength(1);
+    expect(root.nodes[0].selector).toBe('.a, .b');
+  });
+});
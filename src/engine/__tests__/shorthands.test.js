@@ -0,0 +1,119 @@
+/**
+ * Tests for shorthand expansion
+ */
+
+const { parseRules } = require('../parser');
+const { splitValue, longhandNames, expandShorthand } = require('../shorthands');
+
+/** Longhand → value map for a shorthand */
+const expand = (prop, value) => {
+  const longhands = expandShorthand(prop, value);
+  return longhands && Object.fromEntries(longhands.map(l => [l.prop, l.value]));
+};
+
+describe('shorthands', () => {
+  describe('splitValue', () => {
+    test('splits on top-level whitespace and slashes', () => {
+      expect(splitValue('1fr minmax(0, 2fr) / "a b"').map(p => p.text)).toEqual(['1fr', 'minmax(0, 2fr)', '/', '"a b"']);
+      expect(splitValue(' 0  40px')).toEqual([{ text: '0', start: 1, end: 2 }, { text: '40px', start: 4, end: 8 }]);
+    });
+  });
+
+  describe('expandShorthand', () => {
+    test('expands 1–4 value box shorthands', () => {
+      expect(expand('padding', '0 40px')).toEqual({
+        'padding-top': '0', 'padding-right': '40px', 'padding-bottom': '0', 'padding-left': '40px'
+      });
+      expect(expand('margin', '1px 2px 3px')).toMatchObject({ 'margin-left': '2px', 'margin-bottom': '3px' });
+      expect(expand('inset', '0 auto 0 10px')).toEqual({ top: '0', right: 'auto', bottom: '0', left: '10px' });
+      expect(expand('margin-inline', 'auto')).toEqual({ 'margin-inline-start': 'auto', 'margin-inline-end': 'auto' });
+    });
+
+    test('expands every form of flex', () => {
+      const flex = (value) => {
+        const l = expand('flex', value);
+        return l && [l['flex-grow'], l['flex-shrink'], l['flex-basis']];
+      };
+      expect(flex('0 0 300px')).toEqual(['0', '0', '300px']);
+      expect(flex('300px')).toEqual(['1', '1', '300px']);
+      expect(flex('1')).toEqual(['1', '1', '0%']);
+      expect(flex('2 0')).toEqual(['2', '0', '0%']);
+      expect(flex('1 300px')).toEqual(['1', '1', '300px']);
+      expect(flex('300px 0 0')).toEqual(['0', '0', '300px']);
+      expect(flex('1 1 0')).toEqual(['1', '1', '0']);
+      expect(flex('none')).toEqual(['0', '0', 'auto']);
+      expect(flex('auto')).toEqual(['1', '1', 'auto']);
+      expect(expand('flex-flow', 'wrap column')).toEqual({ 'flex-direction': 'column', 'flex-wrap': 'wrap' });
+    });
+
+    test('expands grid-template and grid', () => {
+      expect(expand('grid-template', '100px 1fr / 200px 300px')).toEqual({
+        'grid-template-rows': '100px 1fr', 'grid-template-columns': '200px 300px', 'grid-template-areas': 'none'
+      });
+      expect(expand('grid-template', '"a b" 80px "c d" / 1fr 240px')).toEqual({
+        'grid-template-rows': '80px auto', 'grid-template-columns': '1fr 240px', 'grid-template-areas': '"a b" "c d"'
+      });
+      expect(expand('grid', 'auto-flow dense 120px / repeat(3, 200px)')).toMatchObject({
+        'grid-auto-flow': 'row dense', 'grid-auto-rows': '120px', 'grid-template-columns': 'repeat(3, 200px)'
+      });
+      expect(expand('grid', '100px / auto-flow')).toMatchObject({
+        'grid-template-rows': '100px', 'grid-auto-flow': 'column', 'grid-auto-columns': 'auto'
+      });
+    });
+
+    test('expands border and place-* shorthands', () => {
+      expect(expand('border', '2px solid red')).toMatchObject({
+        'border-left-width': '2px', 'border-left-style': 'solid', 'border-top-color': 'red'
+      });
+      expect(expand('border-right', 'none')).toEqual({
+        'border-right-width': 'medium', 'border-right-style': 'none', 'border-right-color': 'currentcolor'
+      });
+      expect(expand('border-width', '1px 4px')).toMatchObject({ 'border-left-width': '4px', 'border-top-width': '1px' });
+      expect(expand('place-items', 'center')).toEqual({ 'align-items': 'center', 'justify-items': 'center' });
+      expect(expand('place-content', 'safe center space-between')).toEqual({
+        'align-content': 'safe center', 'justify-content': 'space-between'
+      });
+    });
+
+    test('applies CSS-wide keywords to every longhand', () => {
+      expect(expand('padding', 'inherit')).toEqual({
+        'padding-top': 'inherit', 'padding-right': 'inherit', 'padding-bottom': 'inherit', 'padding-left': 'inherit'
+      });
+      expect(longhandNames('place-self')).toEqual(['align-self', 'justify-self']);
+    });
+
+    test('leaves longhands, var() and unrecognized values alone', () => {
+      expect(expandShorthand('width', '10px')).toBeNull();
+      expect(expandShorthand('padding', 'var(--p)')).toBeNull();
+      expect(expandShorthand('margin', '1px 2px 3px 4px 5px')).toBeNull();
+    });
+  });
+
+  describe('rules', () => {
+    test('longhands join the cascade in source order', () => {
+      const { rules } = parseRules('.a { padding-left: 5px; padding: 0 40px; margin: 0; margin-top: 8px }');
+
+      expect(rules[0].declarations['padding-left']).toBe('40px');
+      expect(rules[0].declarations['margin-top']).toBe('8px');
+      expect(rules[0].effective['padding-left'].shorthand).toBe('padding');
+      // Authored declarations are kept as written
+      expect(rules[0].decls.map(d => d.prop)).toEqual(['padding-left', 'padding', 'margin', 'margin-top']);
+    });
+
+    test('narrows longhand value locations to their text in the shorthand', () => {
+      const css = '.a { flex: 0 0 300px }';
+      const { rules } = parseRules(css);
+      const { start, end } = rules[0].effective['flex-basis'].valueLoc;
+
+      expect(css.slice(start.offset, end.offset)).toBe('300px');
+      expect(rules[0].effective['flex-grow'].valueLoc.start.column).toBe(11);
+    });
+
+    test('an !important longhand survives a later shorthand', () => {
+      const { rules } = parseRules('.a { margin-left: 1px !important; margin: 0 }');
+
+      expect(rules[0].declarations['margin-left']).toBe('1px');
+      expect(rules[0].declarations['margin-right']).toBe('0');
+    });
+  });
+});
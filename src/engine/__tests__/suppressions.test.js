@@ -0,0 +1,82 @@
+/**
+ * Tests for suppression comments
+ */
+
+const { findDirectives, applySuppressions } = require('../suppressions');
+
+/** Issue for a rule starting at a line, as the engine hands them over */
+const issueAt = (css, rule, line) => {
+  const offset = css.split('\n').slice(0, line).reduce((sum, l) => sum + l.length + 1, 0);
+  return { rule, loc: { start: { line, column: 0, offset }, end: { line, column: 1, offset: offset + 1 } } };
+};
+
+describe('suppressions', () => {
+  describe('findDirectives', () => {
+    test('reads the kind, rule ids and location, ignoring the reason', () => {
+      const css = [
+        '.a {',
+        '  /* bms-disable-next-line bms/fixed-width, bms/fixed-box -- legacy banner */',
+        '  width: 600px;',
+        '}',
+        '/* bms-disable */'
+      ].join('\n');
+      const directives = findDirectives(css);
+
+      expect(directives.map(d => [d.kind, d.rules])).toEqual([
+        ['disable-next-line', ['bms/fixed-width', 'bms/fixed-box']],
+        ['disable', null]
+      ]);
+      expect(directives[0].loc.start).toEqual({ line: 1, column: 2, offset: 7 });
+      expect(directives[1].loc.end.line).toBe(4);
+    });
+
+    test('understands line comments and skips look-alikes', () => {
+      const scss = '// bms-disable-file bms/fixed-spacing\n/* bms-disabled */\n/* see bms-disable */\n.a { content: "/* bms-disable */"; }';
+
+      expect(findDirectives(scss, { syntax: 'scss' }).map(d => [d.kind, d.rules])).toEqual([
+        ['disable-file', ['bms/fixed-spacing']]
+      ]);
+    });
+  });
+
+  describe('applySuppressions', () => {
+    test('next-line, block and file directives each hide the issues they cover', () => {
+      const css = [
+        '/* bms-disable-file bms/fixed-height */',   // 0
+        '/* bms-disable-next-line bms/fixed-width */',
+        '.a { width: 600px; height: 300px; }',       // 2
+        '/* bms-disable bms/fixed-box */',
+        '.b { width: 32px; height: 32px; }',         // 4
+        '/* bms-enable */',
+        '.c { width: 32px; height: 32px; }'          // 6
+      ].join('\n');
+      const issues = [
+        issueAt(css, 'bms/fixed-width', 2),
+        issueAt(css, 'bms/fixed-height', 2),
+        issueAt(css, 'bms/fixed-box', 4),
+        issueAt(css, 'bms/fixed-width', 4),
+        issueAt(css, 'bms/fixed-box', 6)
+      ];
+      const result = applySuppressions(issues, findDirectives(css));
+
+      expect(result.issues).toEqual([issues[3], issues[4]]);
+      expect(result.unused).toEqual([]);
+    });
+
+    test('reports directives and rule ids that suppress nothing', () => {
+      const css = [
+        '/* bms-disable-next-line */',
+        '.a { color: red; }',
+        '/* bms-disable bms/fixed-width bms/nope */',
+        '.b { width: 600px; }'
+      ].join('\n');
+      const { issues, unused } = applySuppressions([issueAt(css, 'bms/fixed-width', 3)], findDirectives(css));
+
+      expect(issues).toEqual([]);
+      expect(unused.map(u => [u.directive.kind, u.rules])).toEqual([
+        ['disable-next-line', null],
+        ['disable', ['bms/nope']]
+      ]);
+    });
+  });
+});
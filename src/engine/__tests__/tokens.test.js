@@ -0,0 +1,86 @@
+/**
+ * Tests for design token scales
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { lengthPx, scaleSteps, parseDesignTokens, loadDesignTokens, nearestStep, stepFor } = require('../tokens');
+
+const TOKENS = {
+  space: {
+    $type: 'dimension',
+    1: { $value: '4px' },
+    2: { $value: '8px' },
+    3: { $value: { value: 0.75, unit: 'rem' } },
+    gutter: { $value: '{space.2}' }
+  },
+  radius: { pill: { $type: 'borderRadius', $value: '999px' } },
+  color: { $type: 'color', brand: { $value: '#f00' } },
+  loose: { $value: '2rem' }
+};
+
+describe('tokens', () => {
+  test('reads px and rem lengths in px', () => {
+    expect([lengthPx('12px'), lengthPx('1.5rem'), lengthPx('1rem', 10), lengthPx(8), lengthPx('1em'), lengthPx('auto')])
+      .toEqual([12, 24, 10, 8, null, null]);
+    expect(scaleSteps([0, 4, '1rem', 'auto']).map(s => [s.px, s.value])).toEqual([[0, '0px'], [4, '4px'], [16, '1rem']]);
+  });
+
+  test('collects dimension tokens with inherited types, aliases and unit objects', () => {
+    const { steps, problems } = parseDesignTokens(TOKENS);
+
+    expect(problems).toEqual([]);
+    expect(steps.map(s => [s.name, s.px, s.variable])).toEqual([
+      ['space.1', 4, '--space-1'],
+      ['space.2', 8, '--space-2'],
+      ['space.3', 12, '--space-3'],
+      ['space.gutter', 8, '--space-gutter'],
+      ['radius.pill', 999, '--radius-pill'],
+      ['loose', 32, '--loose']
+    ]);
+  });
+
+  test('reports broken aliases and typed values that are not lengths', () => {
+    const { steps, problems } = parseDesignTokens({
+      space: { $type: 'dimension', a: { $value: '{space.b}' }, b: { $value: '{space.a}' }, c: { $value: '{nope}' }, d: { $value: 'auto' } }
+    });
+
+    expect(steps).toEqual([]);
+    expect(problems).toEqual([
+      'space.a: circular alias {space.a}',
+      'space.b: circular alias {space.b}',
+      'space.c: unknown token {nope}',
+      'space.d: "auto" is not a px or rem length'
+    ]);
+    expect(parseDesignTokens([]).problems).toEqual(['expected an object of token groups']);
+  });
+
+  test('loads a token file and reports one that cannot be read', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bms-tokens-'));
+    try {
+      const file = path.join(dir, 'tokens.json');
+      fs.writeFileSync(file, JSON.stringify(TOKENS));
+      expect(loadDesignTokens(file).steps).toHaveLength(6);
+
+      fs.writeFileSync(file, '{');
+      const later = new Date(Date.now() + 5000);
+      fs.utimesSync(file, later, later);
+      expect(loadDesignTokens(file).problems[0]).toMatch(/^.*tokens\.json: /);
+      expect(loadDesignTokens(path.join(dir, 'missing.json')).steps).toEqual([]);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  test('finds the step a value is on, or the nearest one', () => {
+    const steps = scaleSteps([4, 8, 12, 16]);
+
+    expect(stepFor(12, steps).value).toBe('12px');
+    expect(stepFor(13, steps)).toBeNull();
+    expect(nearestStep(13, steps).px).toBe(12);
+    expect(nearestStep(10, steps).px).toBe(8);
+    expect(nearestStep(100, steps).px).toBe(16);
+    expect(nearestStep(4, [])).toBeNull();
+  });
+});
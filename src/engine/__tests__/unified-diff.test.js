@@ -0,0 +1,38 @@
+/**
+ * Tests for the unified diff writer
+ */
+
+const { unifiedDiff } = require('../unified-diff');
+
+describe('unifiedDiff', () => {
+  test('writes hunks with three lines of context, merging close changes', () => {
+    const before = Array.from({ length: 12 }, (_, i) => `${i + 1}`).join('\n') + '\n';
+    const after = before.replace('2\n', 'two\n').replace('11\n', 'eleven\n');
+
+    expect(unifiedDiff(before, after, { fromFile: 'a/x.css', toFile: 'b/x.css' })).toBe([
+      '--- a/x.css',
+      '+++ b/x.css',
+      '@@ -1,5 +1,5 @@',
+      ' 1',
+      '-2',
+      '+two',
+      ' 3',
+      ' 4',
+      ' 5',
+      '@@ -8,5 +8,5 @@',
+      ' 8',
+      ' 9',
+      ' 10',
+      '-11',
+      '+eleven',
+      ' 12',
+      ''
+    ].join('\n'));
+  });
+
+  test('handles added files, removed lines and a missing final newline', () => {
+    expect(unifiedDiff('', 'a\n')).toBe('--- a\n+++ b\n@@ -0,0 +1 @@\n+a\n');
+    expect(unifiedDiff('a\nb', 'a\nb\n')).toBe('--- a\n+++ b\n@@ -1,2 +1,2 @@\n a\n-b\n\\ No newline at end of file\n+b\n');
+    expect(unifiedDiff('a\nb\n', 'a\nb\n')).toBe('');
+  });
+});
@@ -0,0 +1,64 @@
+/**
+ * Tests for the length expression evaluator
+ */
+
+const { evaluateLength } = require('../value-evaluator');
+
+/** [kind, min, max] rounded to whole pixels */
+const summary = (value, options) => {
+  const m = evaluateLength(value, options);
+  return m && [m.kind, Math.round(m.min), Math.round(m.max)];
+};
+
+describe('value-evaluator', () => {
+  describe('evaluateLength', () => {
+    test('classifies fixed lengths', () => {
+      expect(summary('600px')).toEqual(['fixed', 600, 600]);
+      expect(summary('calc(20rem + 10px)')).toEqual(['fixed', 330, 330]);
+      expect(summary('1in')).toEqual(['fixed', 96, 96]);
+      expect(summary('min(600px, 700px)')).toEqual(['fixed', 600, 600]);
+    });
+
+    test('classifies fluid lengths over the viewport span', () => {
+      expect(summary('calc(100% - 40px)')).toEqual(['fluid', 280, 1880]);
+      expect(summary('50vw')).toEqual(['fluid', 160, 960]);
+      expect(summary('calc((100vw - 2 * 20px) / 3)')).toEqual(['fluid', 93, 627]);
+      expect(summary('calc(-1 * 10vw)')).toEqual(['fluid', -192, -32]);
+    });
+
+    test('classifies bounded-fluid lengths', () => {
+      expect(summary('min(100%, 600px)')).toEqual(['bounded-fluid', 320, 600]);
+      expect(summary('max(50%, 300px)')).toEqual(['bounded-fluid', 300, 960]);
+      expect(summary('clamp(320px, 50vw, 960px)')).toEqual(['bounded-fluid', 320, 960]);
+      // Pinned across the viewport span, but a narrower containing block shrinks it
+      expect(summary('min(100%, 300px)')).toEqual(['bounded-fluid', 300, 300]);
+    });
+
+    test('uses the configured viewport span', () => {
+      const options = { viewportMin: 360, viewportMax: 1280 };
+
+      expect(summary('clamp(400px, 50vw, 960px)', options)).toEqual(['bounded-fluid', 400, 640]);
+      expect(evaluateLength('calc(100% + 20px)', options).at(360)).toBe(380);
+      // Pinned at its minimum across the whole span
+      expect(summary('clamp(320px, 10vw, 960px)', options)).toEqual(['fixed', 320, 320]);
+    });
+
+    test('the clamp() minimum wins over a smaller maximum', () => {
+      expect(summary('clamp(500px, 10vw, 300px)')).toEqual(['fixed', 500, 500]);
+    });
+
+    test('height-relative units are fluid', () => {
+      expect(summary('50vh', { viewportHeight: 900 })).toEqual(['fluid', 450, 450]);
+    });
+
+    test('returns null for values that are not a single computable length', () => {
+      for (const value of ['auto', '0', 'var(--w)', '10px 20px', 'fit-content(300px)', 'calc(10px * 2px)', 'calc(1px + 1', '']) {
+        expect(evaluateLength(value)).toBeNull();
+      }
+    });
+
+    test('lists the units used', () => {
+      expect(evaluateLength('clamp(1rem, 2.5vw, 40px)').units.sort()).toEqual(['px', 'rem', 'vw']);
+    });
+  });
+});
@@ -0,0 +1,92 @@
+/**
+ * Tests for the viewport simulator
+ */
+
+const { parseRules } = require('../parser');
+const { mediaMatches, groupBySelector, boxSizingScope, computeBox, simulateViewports } = require('../viewport-simulator');
+
+/** Simulated box of a selector at one viewport */
+const boxOf = (css, selector, viewport) => {
+  const { rules } = parseRules(css);
+  return computeBox(groupBySelector(rules).get(selector), selector, viewport, boxSizingScope(rules));
+};
+
+describe('viewport-simulator', () => {
+  describe('mediaMatches', () => {
+    test('evaluates min-width and max-width in px, em and rem', () => {
+      expect(mediaMatches('(max-width: 768px)', 768)).toBe(true);
+      expect(mediaMatches('(max-width: 768px)', 1024)).toBe(false);
+      expect(mediaMatches('screen and (min-width: 48em)', 768)).toBe(true);
+      expect(mediaMatches('(min-width: 48rem)', 767)).toBe(false);
+    });
+
+    test('handles media types, not and comma lists', () => {
+      expect(mediaMatches('print', 1024)).toBe(false);
+      expect(mediaMatches('not print', 1024)).toBe(true);
+      expect(mediaMatches('(max-width: 400px), (min-width: 1200px)', 1440)).toBe(true);
+      expect(mediaMatches('(max-width: 400px), (min-width: 1200px)', 768)).toBe(false);
+    });
+  });
+
+  describe('computeBox', () => {
+    test('adds padding, border and margin to a content-box width', () => {
+      const box = boxOf('.a { width: 300px; padding: 0 10px; border: 2px solid; margin: 0 5px }', '.a', 320);
+
+      expect(box.borderBox).toBe(324);
+      expect(box.marginBox).toBe(334);
+      expect(box.extras).toEqual({ padding: 20, border: 4, margin: 10 });
+      expect(box.exceeds).toBe(true);
+      expect(box.overflow).toBe(14);
+    });
+
+    test('keeps padding inside a border-box width', () => {
+      const box = boxOf('.a { box-sizing: border-box; width: 100%; padding: 0 24px }', '.a', 375);
+
+      expect(box.contentWidth).toBe(327);
+      expect(box.marginBox).toBe(375);
+      expect(box.exceeds).toBe(false);
+    });
+
+    test('starts from the box-sizing of universal and root rules', () => {
+      const width = (css) => boxOf(`${css} .a { width: 300px; padding: 0 20px }`, '.a', 320).borderBox;
+
+      expect(width('* { box-sizing: border-box }')).toBe(300);
+      expect(width('*, *::before, *::after { box-sizing: border-box }')).toBe(300);
+      expect(width('html { box-sizing: border-box } *, *::before, *::after { box-sizing: inherit }')).toBe(300);
+      expect(width(':root { box-sizing: content-box } * { box-sizing: inherit }')).toBe(340);
+      expect(width('@media (min-width: 1024px) { * { box-sizing: border-box } }')).toBe(340);
+      expect(boxOf('* { box-sizing: border-box } .a { box-sizing: content-box; width: 300px; padding: 0 20px }', '.a', 320).borderBox).toBe(340);
+    });
+
+    test('cascades the rules whose media queries match', () => {
+      const css = '.a { width: 1200px } @media (max-width: 768px) { .a { width: 100% } }';
+
+      expect(boxOf(css, '.a', 375).borderBox).toBe(375);
+      expect(boxOf(css, '.a', 1024).borderBox).toBe(1200);
+      expect(boxOf(css, '.a', 1024).sources.width.value).toBe('1200px');
+    });
+
+    test('auto widths fill the viewport and min/max-width clamp', () => {
+      expect(boxOf('.a { margin: 0 20px; border: none }', '.a', 320).marginBox).toBe(320);
+      expect(boxOf('.a { width: 100%; max-width: 600px }', '.a', 1440).borderBox).toBe(600);
+      expect(boxOf('.a { width: 50%; min-width: 400px }', '.a', 375).borderBox).toBe(400);
+      expect(boxOf('.a { width: clamp(200px, 50vw, 500px) }', '.a', 768).borderBox).toBe(384);
+    });
+
+    test('returns null when the width cannot be computed', () => {
+      expect(boxOf('.a { width: var(--w) }', '.a', 320)).toBeNull();
+      expect(boxOf('@media (min-width: 1024px) { .a { width: 10px } }', '.a', 320)).toBeNull();
+    });
+  });
+
+  describe('simulateViewports', () => {
+    test('simulates sized selectors at each target viewport', () => {
+      const { rules } = parseRules('.a, .b { width: 400px } .c { color: red }');
+      const boxes = simulateViewports(rules, { viewports: [320, 1024] });
+
+      expect(boxes.map(b => `${b.selector}@${b.viewport}:${b.exceeds}`)).toEqual([
+        '.a@320:true', '.a@1024:false', '.b@320:true', '.b@1024:false'
+      ]);
+    });
+  });
+});
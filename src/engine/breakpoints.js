@@ -0,0 +1,149 @@
+/**
+ * Box Model Sentinel - Breakpoints
+ * Inventário de breakpoints e comparação com a escala configurada
+ */
+
+const { mediaBreakpoints } = require('./media-query');
+
+/**
+ * @typedef {Object} BreakpointUse
+ * @property {number} px - Value in px
+ * @property {string} text - Value as written
+ * @property {'min-width'|'max-width'|'width'} feature
+ * @property {string} condition - The media query list it appears in
+ * @property {import('./parser').SourceLocation|null} loc - Location of the value
+ * @property {string} [file] - Set by workspace scans
+ * @property {number[]} [scale] - Breakpoint scale of the file, set by workspace scans
+ */
+
+/**
+ * @typedef {Object} InventoryEntry
+ * @property {number} px
+ * @property {string[]} texts - Distinct spellings (`768px`, `48em`)
+ * @property {number} count - Uses across all files
+ * @property {number} files - Number of files using the value
+ * @property {boolean} onScale - Whether the value is a token of the scale
+ * @property {number|null} nearest - Closest scale token, null without a scale
+ */
+
+/**
+ * Location of `text.slice(start, end)` given the location of `text`
+ * @param {import('./parser').SourceLocation} loc
+ * @param {string} text
+ * @param {number} start
+ * @param {number} end
+ * @returns {import('./parser').SourceLocation}
+ */
+function locWithin(loc, text, start, end) {
+  const position = (index) => {
+    const before = text.slice(0, index);
+    const newline = before.lastIndexOf('\n');
+    const lines = before.split('\n').length - 1;
+    return {
+      line: loc.start.line + lines,
+      column: newline === -1 ? loc.start.column + index : index - newline - 1,
+      offset: loc.start.offset + index
+    };
+  };
+  return { start: position(start), end: position(end) };
+}
+
+/**
+ * Every width breakpoint in the media queries around a stylesheet's rules,
+ * each media at-rule counted once
+ * @param {object[]} rules - Rules from parseRules
+ * @param {{rootFontSize?: number}} [options]
+ * @returns {BreakpointUse[]}
+ */
+function collectBreakpoints(rules, options = {}) {
+  const uses = [];
+  const seen = new Set();
+  for (const rule of rules) {
+    for (const at of rule.atRules || []) {
+      if (at.type !== 'media') continue;
+      const loc = at.conditionLoc || null;
+      const key = loc ? loc.start.offset : `${at.loc ? at.loc.start.offset : ''}|${at.condition}`;
+      if (seen.has(key)) continue;
+      seen.add(key);
+
+      for (const bp of mediaBreakpoints(at.condition, options)) {
+        uses.push({
+          px: bp.px,
+          text: bp.text,
+          feature: bp.feature,
+          condition: at.condition,
+          loc: loc ? locWithin(loc, at.condition, bp.start, bp.end) : at.loc || null
+        });
+      }
+    }
+  }
+  return uses;
+}
+
+/**
+ * Closest token of a breakpoint scale (the larger one on a tie)
+ * @param {number} px
+ * @param {number[]} scale
+ * @returns {number|null}
+ */
+function nearestBreakpoint(px, scale) {
+  let best = null;
+  for (const token of scale || []) {
+    if (!Number.isFinite(token)) continue;
+    if (best === null || Math.abs(token - px) < Math.abs(best - px) || (Math.abs(token - px) === Math.abs(best - px) && token > best)) {
+      best = token;
+    }
+  }
+  return best;
+}
+
+/**
+ * Whether a value is one of the scale tokens
+ * @param {number} px
+ * @param {number[]} scale
+ * @returns {boolean}
+ */
+function isOnScale(px, scale) {
+  return (scale || []).some(token => Math.abs(token - px) < 0.001);
+}
+
+/**
+ * Group breakpoint uses by value and compare each value with the scale. A
+ * value is on the scale when every use from a file with a scale is on it.
+ * @param {BreakpointUse[]} uses
+ * @param {number[]} [scale] - For uses without their own `scale`
+ * @returns {InventoryEntry[]} Sorted by value
+ */
+function buildInventory(uses, scale = []) {
+  const byValue = new Map();
+  for (const use of uses) {
+    const px = Math.round(use.px * 100) / 100;
+    if (!byValue.has(px)) byValue.set(px, { px, texts: new Set(), count: 0, files: new Set(), scales: [] });
+    const entry = byValue.get(px);
+    entry.texts.add(use.text);
+    entry.count++;
+    if (use.file) entry.files.add(use.file);
+    entry.scales.push(Array.isArray(use.scale) ? use.scale : scale);
+  }
+  return [...byValue.values()]
+    .sort((a, b) => a.px - b.px)
+    .map((entry) => {
+      const scales = entry.scales.filter(s => s.length);
+      const off = scales.find(s => !isOnScale(entry.px, s));
+      return {
+        px: entry.px,
+        texts: [...entry.texts],
+        count: entry.count,
+        files: entry.files.size,
+        onScale: scales.length > 0 && !off,
+        nearest: scales.length ? nearestBreakpoint(entry.px, off || scales[0]) : null
+      };
+    });
+}
+
+module.exports = {
+  collectBreakpoints,
+  nearestBreakpoint,
+  isOnScale,
+  buildInventory
+};
@@ -0,0 +1,330 @@
+/**
+ * Box Model Sentinel - Config
+ * Arquivos de configuração do projeto (.bmsrc, bms.config.js) com extends e overrides por glob
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/** File names looked up in each directory, in order of precedence */
+const CONFIG_FILES = ['.bmsrc.json', '.bmsrc', 'bms.config.js'];
+
+/** Options a config file may set; the rest stay editor settings */
+const OPTIONS = [
+  'mode',
+  'maxProblems',
+  'fixedWidthThreshold',
+  'fixedHeightThreshold',
+  'fixedSpacingThreshold',
+  'ignoreSelectors',
+  'viewportMin',
+  'viewportMax',
+  'viewports',
+  'breakpoints',
+  'rootFontSize',
+  'remPrecision',
+  'remProperties',
+  'fluidMinScale',
+  'tokenScale',
+  'designTokens',
+  'rules'
+];
+
+/** Options holding a file path, resolved from the config file that sets them */
+const PATH_OPTIONS = ['designTokens'];
+
+/** Built-in presets for `extends` */
+const PRESETS = Object.freeze({
+  'bms:recommended': {},
+  'bms:pragmatic': { mode: 'pragmatic' }
+});
+
+/**
+ * @typedef {Object} Override
+ * @property {string[]} files - Globs, relative to `dir`
+ * @property {string[]} excludedFiles - Globs, relative to `dir`
+ * @property {string} dir - Directory of the config file that declared it
+ * @property {Object<string, *>} settings
+ */
+
+/**
+ * @typedef {Object} ConfigLayer
+ * @property {Object<string, *>} settings
+ * @property {Override[]} overrides - In the order they apply
+ */
+
+/** @type {Map<string, {mtimeMs: number, data: *}>} */
+const cache = new Map();
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+const toArray = (value) => (value === undefined ? [] : Array.isArray(value) ? value : [value]);
+const emptyLayer = () => ({ settings: {}, overrides: [] });
+
+/**
+ * Nearest config file at or above a directory
+ * @param {string} dir
+ * @returns {string|null}
+ */
+function findConfigFile(dir) {
+  let current = path.resolve(dir);
+  for (;;) {
+    for (const name of CONFIG_FILES) {
+      const file = path.join(current, name);
+      try {
+        if (fs.statSync(file).isFile()) return file;
+      } catch (_) {}
+    }
+    const parent = path.dirname(current);
+    if (parent === current) return null;
+    current = parent;
+  }
+}
+
+/**
+ * Contents of a config file, re-read when it changes on disk
+ * @param {string} file
+ * @returns {*}
+ */
+function readConfigFile(file) {
+  const { mtimeMs } = fs.statSync(file);
+  const hit = cache.get(file);
+  if (hit && hit.mtimeMs === mtimeMs) return hit.data;
+
+  let data;
+  if (file.endsWith('.js')) {
+    delete require.cache[require.resolve(file)];
+    data = require(file);
+  } else {
+    data = JSON.parse(fs.readFileSync(file, 'utf8'));
+  }
+  cache.set(file, { mtimeMs, data });
+  return data;
+}
+
+/**
+ * A rule entry over an earlier one: the later level wins and options merge,
+ * so a level-only entry keeps the options set before it
+ * @param {*} base - `level` or `[level, options]`
+ * @param {*} over
+ * @returns {*}
+ */
+function mergeRuleEntry(base, over) {
+  const baseOptions = Array.isArray(base) && isObject(base[1]) ? base[1] : null;
+  if (!baseOptions) return over;
+  if (typeof over === 'string') return [over, baseOptions];
+  if (Array.isArray(over) && (over[1] === undefined || isObject(over[1]))) return [over[0], { ...baseOptions, ...over[1] }];
+  return over;
+}
+
+/**
+ * Later settings over earlier ones; `rules` are merged rule by rule, see
+ * `mergeRuleEntry`
+ * @param {Object<string, *>} base
+ * @param {Object<string, *>} over
+ * @returns {Object<string, *>}
+ */
+function mergeSettings(base, over) {
+  const merged = { ...base, ...over };
+  if (isObject(base.rules) && isObject(over.rules)) {
+    merged.rules = { ...base.rules };
+    for (const [id, entry] of Object.entries(over.rules)) merged.rules[id] = mergeRuleEntry(base.rules[id], entry);
+  }
+  return merged;
+}
+
+/**
+ * @param {ConfigLayer} base
+ * @param {ConfigLayer} over
+ * @returns {ConfigLayer}
+ */
+function mergeLayers(base, over) {
+  return { settings: mergeSettings(base.settings, over.settings), overrides: [...base.overrides, ...over.overrides] };
+}
+
+/**
+ * Known options of a config object
+ * @param {Object<string, *>} data
+ * @param {string} name - Where it comes from, for problems
+ * @param {string[]} problems
+ * @param {string[]} structural - Keys handled by the caller
+ * @param {string} dir - Directory relative paths resolve from
+ * @returns {Object<string, *>}
+ */
+function pickSettings(data, name, problems, structural, dir) {
+  const settings = {};
+  for (const [key, value] of Object.entries(data)) {
+    if (structural.includes(key)) continue;
+    if (!OPTIONS.includes(key)) problems.push(`${name}: unknown option "${key}"`);
+    else if (PATH_OPTIONS.includes(key) && typeof value === 'string' && value) settings[key] = path.resolve(dir, value);
+    else settings[key] = value;
+  }
+  return settings;
+}
+
+/**
+ * Flatten a config object, its `extends` chain and its `overrides`
+ * @param {*} data
+ * @param {string} dir - Directory relative paths resolve from
+ * @param {string} name - Where it comes from, for problems
+ * @param {string[]} problems
+ * @param {string[]} chain - Files being loaded, to stop circular extends
+ * @returns {ConfigLayer}
+ */
+function flattenConfig(data, dir, name, problems, chain) {
+  if (!isObject(data)) {
+    problems.push(`${name}: expected an object`);
+    return emptyLayer();
+  }
+
+  let layer = emptyLayer();
+  for (const source of toArray(data.extends)) {
+    if (typeof source !== 'string') problems.push(`${name}: "extends" entries must be strings`);
+    else layer = mergeLayers(layer, loadPreset(source, dir, name, problems, chain));
+  }
+
+  const own = { settings: pickSettings(data, name, problems, ['extends', 'overrides'], dir), overrides: [] };
+  toArray(data.overrides).forEach((entry, i) => {
+    const where = `${name}: overrides[${i}]`;
+    if (!isObject(entry) || !toArray(entry.files).length) {
+      problems.push(`${where} needs "files"`);
+      return;
+    }
+    own.overrides.push({
+      files: toArray(entry.files).map(String),
+      excludedFiles: toArray(entry.excludedFiles).map(String),
+      dir,
+      settings: pickSettings(entry, where, problems, ['files', 'excludedFiles'], dir)
+    });
+  });
+  return mergeLayers(layer, own);
+}
+
+/**
+ * Load a config file with everything it extends
+ * @param {string} file
+ * @param {string[]} problems
+ * @param {string[]} [chain]
+ * @returns {ConfigLayer}
+ */
+function loadConfigFile(file, problems, chain = []) {
+  if (chain.includes(file)) {
+    problems.push(`${file}: circular "extends"`);
+    return emptyLayer();
+  }
+  let data;
+  try {
+    data = readConfigFile(file);
+  } catch (e) {
+    problems.push(`${file}: ${e.message}`);
+    return emptyLayer();
+  }
+  return flattenConfig(data, path.dirname(file), file, problems, [...chain, file]);
+}
+
+/**
+ * Resolve an `extends` entry: a built-in preset, a path relative to the
+ * extending file, or a package
+ * @param {string} source
+ * @param {string} dir
+ * @param {string} name
+ * @param {string[]} problems
+ * @param {string[]} chain
+ * @returns {ConfigLayer}
+ */
+function loadPreset(source, dir, name, problems, chain) {
+  if (Object.prototype.hasOwnProperty.call(PRESETS, source)) {
+    return flattenConfig(PRESETS[source], dir, source, problems, chain);
+  }
+  if (source.startsWith('.') || path.isAbsolute(source)) {
+    return loadConfigFile(path.resolve(dir, source), problems, chain);
+  }
+  let file;
+  try {
+    file = require.resolve(source, { paths: [dir] });
+  } catch (_) {
+    problems.push(`${name}: cannot find preset "${source}"`);
+    return emptyLayer();
+  }
+  return loadConfigFile(file, problems, chain);
+}
+
+/**
+ * Regular expression for a glob: `**` spans directories, `*` and `?` stay
+ * within one, `{a,b}` lists alternatives
+ * @param {string} glob
+ * @returns {RegExp}
+ */
+function globToRegExp(glob) {
+  const escape = (s) => s.replace(/[.+^$()|[\]\\]/g, '\\$&');
+  let source = '';
+  for (let i = 0; i < glob.length; i++) {
+    const c = glob[i];
+    if (c === '*' && glob[i + 1] === '*') {
+      i++;
+      if (glob[i + 1] === '/') {
+        i++;
+        source += '(?:[^/]*/)*';
+      } else {
+        source += '.*';
+      }
+    } else if (c === '*') {
+      source += '[^/]*';
+    } else if (c === '?') {
+      source += '[^/]';
+    } else if (c === '{' && glob.indexOf('}', i) > i) {
+      const end = glob.indexOf('}', i);
+      source += `(?:${glob.slice(i + 1, end).split(',').map(escape).join('|')})`;
+      i = end;
+    } else {
+      source += escape(c);
+    }
+  }
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Whether a relative path matches a glob. Globs without a slash match the
+ * file name in any directory.
+ * @param {string} glob
+ * @param {string} relative - Forward-slash path
+ * @returns {boolean}
+ */
+function matchGlob(glob, relative) {
+  const pattern = glob.replace(/^\.\//, '');
+  const subject = pattern.includes('/') ? relative : relative.slice(relative.lastIndexOf('/') + 1);
+  return globToRegExp(pattern).test(subject);
+}
+
+/**
+ * Configuration for a stylesheet: the nearest config file, with its
+ * `extends` and the `overrides` matching the file, over the fallback
+ * settings
+ * @param {string} filePath - Absolute path of the stylesheet
+ * @param {Object<string, *>} [fallback] - Editor settings
+ * @returns {{config: Object<string, *>, file: string|null, problems: string[]}}
+ */
+function resolveConfig(filePath, fallback = {}) {
+  const problems = [];
+  const file = findConfigFile(path.dirname(filePath));
+  if (!file) return { config: { ...fallback }, file: null, problems };
+
+  const layer = loadConfigFile(file, problems);
+  let config = mergeSettings(fallback, layer.settings);
+  for (const override of layer.overrides) {
+    const relative = path.relative(override.dir, filePath).split(path.sep).join('/');
+    if (relative.startsWith('../')) continue;
+    const matches = (glob) => matchGlob(glob, relative);
+    if (override.files.some(matches) && !override.excludedFiles.some(matches)) {
+      config = mergeSettings(config, override.settings);
+    }
+  }
+  return { config, file, problems };
+}
+
+module.exports = {
+  CONFIG_FILES,
+  PRESETS,
+  findConfigFile,
+  matchGlob,
+  resolveConfig
+};
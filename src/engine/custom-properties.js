@@ -0,0 +1,302 @@
+/**
+ * Box Model Sentinel - Custom Properties
+ * Tabela de custom properties por escopo e resolução de var() com fallbacks
+ */
+
+const { cascade, getContextKey, splitSelectorList } = require('./parser');
+const { expandDeclarations } = require('./shorthands');
+
+/**
+ * @typedef {Object} CustomPropertyDefinition
+ * @property {string} name - Property name, including the leading `--`
+ * @property {string} value - Declared (unresolved) value
+ * @property {string} selector - Selector of the defining rule
+ * @property {string[]} context - At-rule chain the definition is conditioned on
+ * @property {import('./parser').SourceLocation} loc - Location of the declaration
+ * @property {object} rule - Defining rule
+ */
+
+/** Selectors whose custom properties every element inherits */
+const ROOT_SELECTORS = new Set([':root', 'html', ':host', 'body', '*']);
+
+/** Nesting depth after which a chain of var() references is given up */
+const MAX_DEPTH = 32;
+
+/**
+ * @param {object} rule
+ * @returns {string[]} at-rule chain entries (`@media (max-width: 600px)`, ...)
+ */
+function contextOf(rule) {
+  const key = getContextKey(rule);
+  return key ? key.split(' > ') : [];
+}
+
+/**
+ * Build the custom-property table: every cascade-effective `--*` declaration,
+ * keyed by name, in source order
+ * @param {object[]} rules - Rules from parseRules
+ * @returns {Map<string, CustomPropertyDefinition[]>}
+ */
+function collectDefinitions(rules) {
+  const table = new Map();
+  for (const rule of rules) {
+    for (const [name, decl] of Object.entries(rule.effective || {})) {
+      if (!name.startsWith('--')) continue;
+      if (!table.has(name)) table.set(name, []);
+      table.get(name).push({
+        name,
+        value: decl.value,
+        selector: rule.selector,
+        context: contextOf(rule),
+        loc: decl.loc,
+        rule
+      });
+    }
+  }
+  return table;
+}
+
+/**
+ * Split a complex selector into compounds, dropping the combinators
+ * @param {string} selector
+ * @returns {string[]}
+ */
+function compounds(selector) {
+  return selector.trim().split(/\s*[\s>+~]\s*/).filter(Boolean);
+}
+
+/**
+ * How closely a definition's selector scopes a using selector:
+ * 3 same selector, 2 same element in another state (`.card` → `.card:hover`),
+ * 1 ancestor (`.card` → `.card .title`), 0 document root, -1 unrelated
+ * @param {string} defining
+ * @param {string} using
+ * @returns {number}
+ */
+function scopeLevel(defining, using) {
+  let best = -1;
+  for (const def of splitSelectorList(defining)) {
+    if (ROOT_SELECTORS.has(def.toLowerCase())) {
+      best = Math.max(best, 0);
+      continue;
+    }
+    for (const use of splitSelectorList(using)) {
+      if (use === def) return 3;
+      const extendsDef = (s) => s.startsWith(def) && /^[.:#[]/.test(s.slice(def.length));
+      if (extendsDef(use)) {
+        best = Math.max(best, 2);
+        continue;
+      }
+      const parts = compounds(use);
+      const ancestors = compounds(def).length > 1
+        ? (use.startsWith(def) && /^\s*[\s>]/.test(use.slice(def.length)) ? [def] : [])
+        : parts.slice(0, -1);
+      if (ancestors.some(p => p === def || extendsDef(p))) best = Math.max(best, 1);
+    }
+  }
+  return best;
+}
+
+/**
+ * Find the definition of a custom property that applies to a rule: it must
+ * scope the rule's selector and its conditions must all hold in the rule's
+ * context. The closest scope wins, then the later definition.
+ * @param {Map<string, CustomPropertyDefinition[]>} table
+ * @param {string} name
+ * @param {object} rule - Using rule
+ * @returns {CustomPropertyDefinition|null}
+ */
+function findDefinition(table, name, rule) {
+  const context = new Set(contextOf(rule));
+  let found = null;
+  let foundLevel = -1;
+  for (const def of table.get(name) || []) {
+    if (!def.context.every(c => context.has(c))) continue;
+    const level = scopeLevel(def.selector, rule.selector);
+    if (level >= 0 && level >= foundLevel) {
+      found = def;
+      foundLevel = level;
+    }
+  }
+  return found;
+}
+
+/**
+ * Locate the `var(` calls of a value with their name and fallback
+ * @param {string} value
+ * @returns {{start: number, end: number, name: string, fallback: string|null}[]}
+ */
+function findVarCalls(value) {
+  const calls = [];
+  const re = /\bvar\(/gi;
+  let m;
+  while ((m = re.exec(value))) {
+    let depth = 1;
+    let quote = null;
+    let comma = -1;
+    let i = m.index + m[0].length;
+    for (; i < value.length && depth > 0; i++) {
+      const ch = value[i];
+      if (quote) {
+        if (ch === '\\') i++;
+        else if (ch === quote) quote = null;
+      } else if (ch === '"' || ch === '\'') quote = ch;
+      else if (ch === '(') depth++;
+      else if (ch === ')') depth--;
+      else if (ch === ',' && depth === 1 && comma === -1) comma = i;
+    }
+    if (depth > 0) break;
+
+    const argsStart = m.index + m[0].length;
+    const argsEnd = i - 1;
+    calls.push({
+      start: m.index,
+      end: i,
+      name: value.slice(argsStart, comma === -1 ? argsEnd : comma).trim(),
+      fallback: comma === -1 ? null : value.slice(comma + 1, argsEnd).trim()
+    });
+    re.lastIndex = i;
+  }
+  return calls;
+}
+
+/**
+ * Substitute the var() references of a value as seen from a rule. References
+ * without an applicable definition use their fallback; unresolvable ones
+ * (no definition, no fallback, or a reference cycle) are left untouched.
+ * @param {string} value
+ * @param {object} rule - Rule the value is computed on
+ * @param {Map<string, CustomPropertyDefinition[]>} table
+ * @param {Set<string>} [seen] - Names being resolved, to detect cycles
+ * @returns {{value: string, definitions: CustomPropertyDefinition[], resolved: boolean}}
+ */
+function resolveValue(value, rule, table, seen = new Set()) {
+  const definitions = [];
+  let resolved = true;
+  let out = '';
+  let cursor = 0;
+
+  for (const call of findVarCalls(value)) {
+    out += value.slice(cursor, call.start);
+    cursor = call.end;
+
+    let replacement = null;
+    const def = seen.size < MAX_DEPTH && !seen.has(call.name) ? findDefinition(table, call.name, rule) : null;
+    if (def) {
+      const inner = resolveValue(def.value, def.rule, table, new Set([...seen, call.name]));
+      if (inner.resolved) {
+        replacement = inner.value;
+        definitions.push(def, ...inner.definitions);
+      }
+    }
+    if (replacement === null && call.fallback !== null) {
+      const inner = resolveValue(call.fallback, rule, table, seen);
+      if (inner.resolved) {
+        replacement = inner.value;
+        definitions.push(...inner.definitions);
+      }
+    }
+    if (replacement === null) {
+      resolved = false;
+      replacement = value.slice(call.start, call.end);
+    }
+    out += replacement;
+  }
+
+  return { value: out + value.slice(cursor), definitions, resolved };
+}
+
+/**
+ * A rule with its var() references substituted as seen from the rule
+ * @param {object} rule
+ * @param {Map<string, CustomPropertyDefinition[]>} table
+ * @returns {object} The rule itself when nothing changed
+ */
+function resolveRule(rule, table) {
+  let changed = false;
+  const decls = (rule.decls || []).map((d) => {
+    if (d.prop.startsWith('--') || !/\bvar\(/i.test(d.value)) return d;
+    const { value, definitions } = resolveValue(d.value, rule, table);
+    if (value === d.value) return d;
+    changed = true;
+    return {
+      ...d,
+      value,
+      rawValue: d.rawValue !== undefined ? d.rawValue : d.value,
+      customProperties: definitions.map(def => ({ name: def.name, value: def.value, selector: def.selector, loc: def.loc }))
+    };
+  });
+  return changed ? withDecls(rule, decls) : rule;
+}
+
+/**
+ * @param {object} rule
+ * @param {object[]} decls
+ * @returns {object} The rule with `decls` and the cascade recomputed from them
+ */
+function withDecls(rule, decls) {
+  const effective = cascade(expandDeclarations(decls));
+  const declarations = {};
+  for (const prop of Object.keys(effective)) declarations[prop] = effective[prop].value;
+  return { ...rule, decls, effective, declarations };
+}
+
+/**
+ * The rule as it computes under the conditions of definitions it references
+ * from inside at-rules it is not in (`@media (min-width: 900px) { :root {
+ * --w: 640px } }` for `.a { width: var(--w) }`). Each variant adds those
+ * at-rules to the rule's own and keeps only the declarations whose value
+ * changes, at their source location; `variantOf` is the rule itself.
+ * @param {object} rule
+ * @param {object} resolved - The rule as resolved outside those conditions
+ * @param {Map<string, CustomPropertyDefinition[]>} table
+ * @returns {object[]}
+ */
+function conditionedVariants(rule, resolved, table) {
+  const context = new Set(contextOf(rule));
+  const conditions = new Map();
+  for (const d of rule.decls || []) {
+    if (d.prop.startsWith('--')) continue;
+    for (const call of findVarCalls(d.value)) {
+      for (const def of table.get(call.name) || []) {
+        const extra = (def.rule.atRules || []).filter(a => !context.has(`@${a.type} ${a.condition}`));
+        if (!extra.length || scopeLevel(def.selector, rule.selector) < 0) continue;
+        conditions.set(extra.map(a => `@${a.type} ${a.condition}`).join(' > '), extra);
+      }
+    }
+  }
+
+  const variants = [];
+  for (const extra of conditions.values()) {
+    const atRules = [...(rule.atRules || []), ...extra];
+    const variant = resolveRule({ ...rule, at: atRules[atRules.length - 1], atRules }, table);
+    const decls = (variant.decls || []).filter((d, i) => d.customProperties && d.value !== resolved.decls[i].value);
+    if (decls.length) variants.push({ ...withDecls(variant, decls), variantOf: rule });
+  }
+  return variants;
+}
+
+/**
+ * Resolve var() in every property declaration so detectors see the computed
+ * value. Substituted declarations keep the source text in `rawValue` and list
+ * the definitions they used in `customProperties`. A rule referencing
+ * definitions made under conditions it is not in is followed by its variants
+ * under those conditions.
+ * @param {object[]} rules - Rules from parseRules
+ * @returns {object[]} Rules with resolved declarations
+ */
+function resolveCustomProperties(rules) {
+  const table = collectDefinitions(rules);
+  return rules.flatMap((rule) => {
+    const resolved = resolveRule(rule, table);
+    return resolved === rule ? [rule] : [resolved, ...conditionedVariants(rule, resolved, table)];
+  });
+}
+
+module.exports = {
+  collectDefinitions,
+  findDefinition,
+  findVarCalls,
+  resolveValue,
+  resolveCustomProperties
+};
@@ -0,0 +1,501 @@
+/**
+ * Box Model Sentinel - Fixes
+ * Correções por issue: reescreve a declaração apontada ou insere um comentário de supressão
+ */
+
+const { parseRules } = require('./parser');
+const { LintEngine } = require('./lint-engine');
+const { findDirectives } = require('./suppressions');
+const { splitValue } = require('./shorthands');
+const { DEFAULT_REM_PROPERTIES, isRemProperty, convertPx } = require('./rem');
+const { fluidValue } = require('./fluid');
+
+/**
+ * @typedef {Object} TextEdit
+ * @property {number} start - Offset of the first replaced character
+ * @property {number} end - Offset after the last replaced character
+ * @property {string} newText
+ */
+
+/**
+ * @typedef {Object} Fix
+ * @property {string} title
+ * @property {string} rule - Rule id of the issue it fixes
+ * @property {TextEdit[]} edits - In source order, never overlapping
+ * @property {boolean} safe - Behavior-preserving: the stylesheet renders the same afterwards
+ * @property {boolean} [preferred] - The rewrite to pick when there is one obvious choice
+ */
+
+const PX = /^(\d*\.?\d+)px$/i;
+/** A plain length; the group is its unit */
+const LENGTH = /^-?(?:\d+\.?\d*|\.\d+)(px|r?em|%|[sdl]?v(?:w|h|min|max|i|b)|ch|ex|cq(?:w|h|i|b|min|max))$/i;
+
+/** Analyze-and-fix rounds before fixAll stops; each fix can uncover another */
+const MAX_PASSES = 10;
+
+/**
+ * Source text between two offsets of a location
+ * @param {string} text
+ * @param {import('./parser').SourceLocation} loc
+ * @returns {string}
+ */
+function sourceOf(text, loc) {
+  return text.slice(loc.start.offset, loc.end.offset);
+}
+
+/**
+ * Whitespace before an offset on its line, or null when something else
+ * precedes it on that line
+ * @param {string} text
+ * @param {number} offset
+ * @returns {string|null}
+ */
+function indentAt(text, offset) {
+  const lineStart = text.lastIndexOf('\n', offset - 1) + 1;
+  const before = text.slice(lineStart, offset);
+  return /^[ \t]*$/.test(before) ? before : null;
+}
+
+/**
+ * Separator that puts a new declaration after an existing one: on its own
+ * line when the existing one is, else on the same line
+ * @param {string} text
+ * @param {object} decl
+ * @param {string} syntax
+ * @returns {string}
+ */
+function declarationSeparator(text, decl, syntax) {
+  const indent = indentAt(text, decl.loc.start.offset);
+  if (indent !== null) return `${syntax === 'sass' ? '' : ';'}\n${indent}`;
+  return '; ';
+}
+
+/**
+ * Edit that removes a span, together with its line when nothing else is on it.
+ * Inline, the spaces before it go too, or those after it when it opens the
+ * line or the block, so no double space is left.
+ * @param {string} text
+ * @param {number} start
+ * @param {number} end
+ * @returns {TextEdit}
+ */
+function removal(text, start, end) {
+  const lineStart = text.lastIndexOf('\n', start - 1) + 1;
+  const newline = text.indexOf('\n', end);
+  const lineEnd = newline === -1 ? text.length : newline;
+  if (/^[ \t]*$/.test(text.slice(lineStart, start)) && /^[ \t]*$/.test(text.slice(end, lineEnd))) {
+    return { start: lineStart, end: newline === -1 ? lineEnd : newline + 1, newText: '' };
+  }
+  const before = /[ \t]*$/.exec(text.slice(lineStart, start))[0].length;
+  const after = /^[ \t]*/.exec(text.slice(end, lineEnd))[0].length;
+  if (before && start - before > lineStart && text[start - before - 1] !== '{') return { start: start - before, end, newText: '' };
+  return { start, end: end + after, newText: '' };
+}
+
+/**
+ * Offset after a declaration's terminating semicolon, or its end when it has none
+ * @param {string} text
+ * @param {object} decl
+ * @returns {number}
+ */
+function declarationEnd(text, decl) {
+  const m = /^[ \t]*;/.exec(text.slice(decl.loc.end.offset));
+  return decl.loc.end.offset + (m ? m[0].length : 0);
+}
+
+/**
+ * The rule and declaration an issue location points into. Declarations are
+ * matched by offset; issues on a selector have no declaration.
+ * @param {{rules: object[]}} parsed
+ * @param {import('./parser').SourceLocation} loc
+ * @returns {{rule: object, decl: object|null}|null}
+ */
+function locate(parsed, loc) {
+  const at = loc.start.offset;
+  for (const rule of parsed.rules) {
+    const decl = (rule.decls || []).find(d => d.loc && d.loc.start.offset <= at && at < d.loc.end.offset);
+    if (decl) return { rule, decl };
+  }
+  const rule = parsed.rules.find(r => r.selectorLoc && r.selectorLoc.start.offset === at);
+  return rule ? { rule, decl: null } : null;
+}
+
+/**
+ * Whether a rule has a declaration of a property
+ * @param {object} rule
+ * @param {string} prop
+ * @returns {boolean}
+ */
+function declares(rule, prop) {
+  return (rule.decls || []).some(d => d.prop === prop);
+}
+
+/**
+ * Fix converting the px lengths of a declaration to rem, for properties in
+ * the `remProperties` allowlist
+ * @param {string} text
+ * @param {object|null} decl
+ * @param {object} config - Settings with rootFontSize, remPrecision and remProperties
+ * @returns {Array<Omit<Fix, 'rule'|'safe'>>}
+ */
+function remFix(text, decl, config) {
+  if (!decl || !isRemProperty(decl.prop, config.remProperties || DEFAULT_REM_PROPERTIES)) return [];
+  const value = sourceOf(text, decl.valueLoc);
+  const converted = convertPx(value, config);
+  if (converted === value) return [];
+  return [{
+    title: `Convert px to rem: ${converted}`,
+    edits: [{ start: decl.valueLoc.start.offset, end: decl.valueLoc.end.offset, newText: converted }]
+  }];
+}
+
+/**
+ * Fix turning the px lengths of a declaration into clamp() sizes that grow
+ * from `fluidMinScale` of each length at viewportMin to the length at
+ * viewportMax. The title gives the range of a lone length. Never preferred:
+ * how much a size should shrink is a design choice.
+ * @param {string} text
+ * @param {object|null} decl
+ * @param {object} config - Settings with fluidMinScale, the viewport span and the rem conversion
+ * @returns {Array<Omit<Fix, 'rule'|'safe'>>}
+ */
+function fluidFix(text, decl, config) {
+  if (!decl || decl.rawValue !== undefined) return [];
+  const { value, sizes } = fluidValue(sourceOf(text, decl.valueLoc), config);
+  if (!sizes.length) return [];
+  const [first] = sizes;
+  const range = sizes.length === 1
+    ? ` (${first.minSize}px at ${first.viewportMin}px to ${first.maxSize}px at ${first.viewportMax}px)`
+    : '';
+  return [{
+    title: `Make fluid: ${value}${range}`,
+    preferred: false,
+    edits: [{ start: decl.valueLoc.start.offset, end: decl.valueLoc.end.offset, newText: value }]
+  }];
+}
+
+/**
+ * px sizes of a track list made only of px tracks and `repeat(<n>, …)` of
+ * px tracks, or null when any track is something else
+ * @param {string} value
+ * @returns {number[]|null}
+ */
+function pxTracks(value) {
+  const sizes = [];
+  for (const { text } of splitValue(value)) {
+    const repeat = /^repeat\(\s*(\d+)\s*,([\s\S]*)\)$/i.exec(text);
+    const inner = repeat ? pxTracks(repeat[2]) : null;
+    const px = PX.exec(text);
+    if (inner && inner.length) sizes.push(...inner);
+    else if (px) sizes.push(Number(px[1]));
+    else return null;
+  }
+  return sizes;
+}
+
+/**
+ * Rewrites per rule id. Each gets the issue's rule and declaration and
+ * returns fixes without the rule id, or none when the source does not have
+ * the expected shape. Only rewrites that cannot change rendering are marked
+ * `safe`; the rest are suggestions. A lone rewrite is preferred unless it
+ * says otherwise.
+ * @type {Object<string, (ctx: {text: string, syntax: string, config: object, issue: object, rule: object, decl: object|null, parsed: object}) => Array<Omit<Fix, 'rule'|'safe'> & {safe?: boolean}>>}
+ */
+const REWRITES = {
+  'bms/fixed-width': ({ text, syntax, config, rule, decl }) => {
+    const value = decl && decl.prop === 'width' ? sourceOf(text, decl.valueLoc) : '';
+    if (!PX.test(value)) return [];
+    const important = decl.important ? ' !important' : '';
+    const fluid = declares(rule, 'max-width') ? [] : [{
+      title: `Use width: 100% with max-width: ${value}`,
+      preferred: true,
+      edits: [{
+        start: decl.loc.start.offset,
+        end: decl.loc.end.offset,
+        newText: `width: 100%${important}${declarationSeparator(text, decl, syntax)}max-width: ${value}${important}`
+      }]
+    }];
+    return [...fluid, ...remFix(text, decl, config), ...fluidFix(text, decl, config)];
+  },
+
+  'bms/fixed-spacing': ({ text, config, decl }) => [
+    ...remFix(text, decl, config).map(fix => ({ ...fix, preferred: true })),
+    ...fluidFix(text, decl, config)
+  ],
+
+  'bms/off-scale-value': ({ text, issue }) => {
+    // The issue points at the off-scale length itself and carries the nearest step
+    if (!issue.replacement || sourceOf(text, issue.loc) !== issue.value) return [];
+    return [{
+      title: `Use ${issue.replacement}`,
+      edits: [{ start: issue.loc.start.offset, end: issue.loc.end.offset, newText: issue.replacement }]
+    }];
+  },
+
+  'bms/fixed-height': ({ text, rule, decl }) => {
+    if (!decl || decl.prop !== 'height' || !PX.test(sourceOf(text, decl.valueLoc)) || declares(rule, 'min-height')) return [];
+    return [{
+      title: 'Use min-height instead of height',
+      edits: [{ start: decl.loc.start.offset, end: decl.loc.start.offset + 'height'.length, newText: 'min-height' }]
+    }];
+  },
+
+  'bms/fixed-min-dimension': ({ text, decl }) => {
+    // A percentage min-height resolves against an often indefinite height: only min-width is capped
+    const value = decl && decl.prop === 'min-width' ? sourceOf(text, decl.valueLoc) : '';
+    if (!PX.test(value)) return [];
+    return [{
+      title: `Cap min-width at the container: min(${value}, 100%)`,
+      edits: [{ start: decl.valueLoc.start.offset, end: decl.valueLoc.end.offset, newText: `min(${value}, 100%)` }]
+    }];
+  },
+
+  'bms/flex-nowrap': ({ text, syntax, rule, decl }) => {
+    if (!decl || decl.prop !== 'display' || declares(rule, 'flex-wrap') || declares(rule, 'flex-flow')) return [];
+    const end = declarationEnd(text, decl);
+    const indent = indentAt(text, decl.loc.start.offset);
+    const lead = indent !== null ? `\n${indent}` : ' ';
+    let newText = `${lead}flex-wrap: wrap;`;
+    if (syntax === 'sass') newText = `${lead}flex-wrap: wrap`;
+    else if (end === decl.loc.end.offset) newText = `;${lead}flex-wrap: wrap`;
+    return [{
+      title: 'Add flex-wrap: wrap',
+      edits: [{ start: end, end, newText }]
+    }];
+  },
+
+  'bms/flex-basis-nowrap': ({ text, rule }) => {
+    if (!rule) return [];
+    const wrap = [...(rule.decls || [])].reverse().find(d => d.prop === 'flex-wrap' || d.prop === 'flex-flow');
+    if (!wrap || wrap.rawValue !== undefined) return [];
+    const value = sourceOf(text, wrap.valueLoc);
+    const m = /\bnowrap\b/i.exec(value);
+    if (!m) return [];
+    const start = wrap.valueLoc.start.offset + m.index;
+    return [{
+      title: `Change nowrap to wrap in ${wrap.prop}`,
+      edits: [{ start, end: start + m[0].length, newText: 'wrap' }]
+    }];
+  },
+
+  'bms/rigid-grid-tracks': ({ text, decl }) => {
+    // auto-fit only repeats columns; rigid rows have no equivalent
+    if (!decl || decl.prop !== 'grid-template-columns' || decl.rawValue !== undefined) return [];
+    const sizes = pxTracks(sourceOf(text, decl.valueLoc));
+    if (!sizes || !sizes.length) return [];
+    const track = `repeat(auto-fit, minmax(${Math.min(...sizes)}px, 1fr))`;
+    return [{
+      title: `Use ${track}`,
+      edits: [{ start: decl.valueLoc.start.offset, end: decl.valueLoc.end.offset, newText: track }]
+    }];
+  },
+
+  'bms/100vw-width': ({ text, decl }) => {
+    const value = decl && decl.prop === 'width' ? sourceOf(text, decl.valueLoc) : '';
+    if (!/\b100vw\b/i.test(value)) return [];
+    return [{
+      title: 'Replace 100vw with 100%',
+      edits: [{ start: decl.valueLoc.start.offset, end: decl.valueLoc.end.offset, newText: value.replace(/\b100vw\b/gi, '100%') }]
+    }];
+  },
+
+  'bms/important-layout': ({ text, decl }) => {
+    const source = decl && decl.important ? sourceOf(text, decl.loc) : '';
+    const m = /\s*!\s*important\s*$/i.exec(source);
+    if (!m) return [];
+    const start = decl.loc.start.offset + m.index;
+    return [{
+      title: 'Remove !important',
+      edits: [{ start, end: decl.loc.end.offset, newText: '' }]
+    }];
+  },
+
+  'bms/overridden-declaration': ({ text, rule, decl }) => {
+    if (!decl) return [];
+    // Any other pair may be a fallback for browsers without the winning value
+    const winner = rule && rule.effective ? rule.effective[decl.prop] : null;
+    const unit = (value) => {
+      const m = LENGTH.exec(String(value).trim());
+      return m ? m[1].toLowerCase() : null;
+    };
+    return [{
+      title: `Remove the overridden ${decl.prop} declaration`,
+      safe: Boolean(winner && winner !== decl && unit(decl.value) !== null && unit(decl.value) === unit(winner.value)),
+      edits: [removal(text, decl.loc.start.offset, declarationEnd(text, decl))]
+    }];
+  },
+
+  'bms/unused-suppression': ({ text, syntax, issue }) => {
+    const directive = findDirectives(text, { syntax }).find(d => d.loc.start.offset === issue.loc.start.offset);
+    if (!directive) return [];
+    const unused = issue.unusedRules;
+    const kept = unused && directive.rules ? directive.rules.filter(id => !unused.includes(id)) : [];
+    if (!kept.length) {
+      return [{
+        title: 'Remove the unused suppression comment',
+        safe: true,
+        edits: [removal(text, directive.loc.start.offset, directive.loc.end.offset)]
+      }];
+    }
+    const ids = directiveIds(text, directive);
+    return [{
+      title: `Remove ${unused.join(', ')} from the suppression comment`,
+      safe: true,
+      edits: [{ start: ids.start, end: ids.end, newText: kept.join(ids.separator) }]
+    }];
+  }
+};
+
+/**
+ * Span of the rule id list in a directive comment and the separator it uses
+ * @param {string} text
+ * @param {import('./suppressions').Directive} directive
+ * @returns {{start: number, end: number, separator: string}}
+ */
+function directiveIds(text, directive) {
+  const comment = sourceOf(text, directive.loc);
+  const name = `bms-${directive.kind}`;
+  const after = comment.indexOf(name) + name.length;
+  const rest = comment.slice(after);
+  const cut = [rest.indexOf('--'), rest.indexOf('*/'), rest.length].filter(i => i !== -1)[0];
+  const list = rest.slice(0, cut);
+  const leading = /^\s*/.exec(list)[0].length;
+  const start = directive.loc.start.offset + after + leading;
+  return {
+    start,
+    end: start + list.trim().length,
+    separator: /,/.test(list) ? ', ' : ' '
+  };
+}
+
+/**
+ * Fix that silences a rule on the issue's line: a bms-disable-next-line
+ * comment above it, or the rule id added to the one already there
+ * @param {string} text
+ * @param {string} syntax
+ * @param {object} issue
+ * @returns {Fix}
+ */
+function suppression(text, syntax, issue) {
+  const title = `Suppress ${issue.rule} for this line`;
+  const line = issue.loc.start.line;
+  const existing = findDirectives(text, { syntax }).find(d => d.kind === 'disable-next-line' && d.rules && d.loc.end.line === line - 1);
+  if (existing) {
+    const ids = directiveIds(text, existing);
+    return { title, rule: issue.rule, safe: false, edits: [{ start: ids.end, end: ids.end, newText: `${ids.separator}${issue.rule}` }] };
+  }
+
+  const lineStart = issue.loc.start.offset - issue.loc.start.column;
+  const indent = /^[ \t]*/.exec(text.slice(lineStart))[0];
+  const comment = syntax === 'css'
+    ? `/* bms-disable-next-line ${issue.rule} */`
+    : `// bms-disable-next-line ${issue.rule}`;
+  return { title, rule: issue.rule, safe: false, edits: [{ start: lineStart, end: lineStart, newText: `${indent}${comment}\n` }] };
+}
+
+/**
+ * Fixes for an issue reported on a stylesheet: rewrites of the flagged
+ * declaration first, then a suppression comment. Issues come from
+ * `analyzeCss` on the same text; locations that no longer match the text
+ * produce no rewrites.
+ * @param {object} issue - With `rule` and `loc` (offsets included)
+ * @param {string} text - Stylesheet source
+ * @param {{language?: string, config?: object, parsed?: object}} [options] - `config` holds the
+ *   settings conversions read (rootFontSize, remPrecision, remProperties,
+ *   fluidMinScale, viewportMin, viewportMax); `parsed` is `parseRules` of the
+ *   text, so callers fixing several issues of one text parse it once
+ * @returns {Fix[]}
+ */
+function fixesFor(issue, text, { language = 'css', config = {}, parsed } = {}) {
+  if (!issue || !issue.rule || !issue.loc || !Number.isInteger(issue.loc.start.offset)) return [];
+  const syntax = ['scss', 'less', 'sass'].includes(language) ? language : 'css';
+  const fixes = [];
+
+  const rewrite = REWRITES[issue.rule];
+  if (rewrite) {
+    const tree = parsed || parseRules(text, { syntax });
+    const target = locate(tree, issue.loc) || { rule: null, decl: null };
+    const found = rewrite({ text, syntax, config, issue, parsed: tree, ...target });
+    fixes.push(...found.map(({ preferred = found.length === 1, ...f }) => ({
+      ...f,
+      rule: issue.rule,
+      safe: Boolean(f.safe),
+      ...(preferred ? { preferred: true } : {})
+    })));
+  }
+
+  if (issue.rule !== 'bms/unused-suppression') fixes.push(suppression(text, syntax, issue));
+  return fixes;
+}
+
+/**
+ * Apply edits to a text; edits must not overlap
+ * @param {string} text
+ * @param {TextEdit[]} edits
+ * @returns {string}
+ */
+function applyEdits(text, edits) {
+  let out = text;
+  for (const edit of [...edits].sort((a, b) => b.start - a.start || b.end - a.end)) {
+    out = out.slice(0, edit.start) + edit.newText + out.slice(edit.end);
+  }
+  return out;
+}
+
+/**
+ * One fix per issue, skipping fixes whose edits touch text an earlier one
+ * already changes; they are picked up by the next pass
+ * @param {object[]} issues
+ * @param {string} text
+ * @param {{language: string, config: object, rules: string[]|null, safeOnly: boolean}} options
+ * @returns {Fix[]}
+ */
+function chooseFixes(issues, text, { language, config, rules, safeOnly }) {
+  const chosen = [];
+  let lastEnd = -1;
+  const ordered = issues
+    .filter(i => i.loc && (!rules || rules.includes(i.rule)))
+    .sort((a, b) => a.loc.start.offset - b.loc.start.offset);
+
+  const syntax = ['scss', 'less', 'sass'].includes(language) ? language : 'css';
+  const parsed = ordered.some(i => REWRITES[i.rule]) ? parseRules(text, { syntax }) : undefined;
+  for (const issue of ordered) {
+    const fix = fixesFor(issue, text, { language, config, parsed }).find(f => f.preferred && (f.safe || !safeOnly));
+    if (!fix) continue;
+    const edits = [...fix.edits].sort((a, b) => a.start - b.start);
+    if (edits[0].start < lastEnd || (edits[0].start === lastEnd && edits[0].start === edits[0].end)) continue;
+    chosen.push(fix);
+    lastEnd = Math.max(...edits.map(e => e.end));
+  }
+  return chosen;
+}
+
+/**
+ * Apply the preferred fix of every issue, re-analyzing until nothing is left
+ * to fix. By default only safe fixes are applied.
+ * @param {string} text - Stylesheet source
+ * @param {{language?: string, config?: object, filePath?: string, rules?: string[]|null, safeOnly?: boolean}} [options]
+ *   `config` and `filePath` are as for `analyzeCss`; `rules` limits fixing to these rule ids
+ * @returns {{output: string, fixes: Fix[], issues: object[]}} The fixed text, the fixes applied
+ *   and the issues left in it
+ */
+function fixAll(text, { language = 'css', config, filePath, rules = null, safeOnly = true } = {}) {
+  const engine = new LintEngine(config);
+  let output = text;
+  const applied = [];
+  let issues = engine.detectIssues(output, { language, filePath });
+  for (let pass = 0; pass < MAX_PASSES; pass++) {
+    // The engine's config has the project config file applied
+    const chosen = chooseFixes(issues, output, { language, config: engine.config, rules, safeOnly });
+    if (!chosen.length) break;
+    output = applyEdits(output, chosen.flatMap(f => f.edits));
+    applied.push(...chosen);
+    issues = engine.detectIssues(output, { language, filePath });
+  }
+  return { output, fixes: applied, issues };
+}
+
+/** Rule ids with at least one rewrite besides the suppression comment */
+const FIXABLE_RULES = Object.freeze(Object.keys(REWRITES));
+
+module.exports = { FIXABLE_RULES, fixesFor, applyEdits, fixAll };
@@ -0,0 +1,124 @@
+/**
+ * Box Model Sentinel - Fluid Sizes
+ * Gera expressões clamp() que escalam linearmente entre dois viewports
+ */
+
+const { mapPx } = require('./rem');
+const { DEFAULT_VIEWPORTS } = require('./viewport-simulator');
+
+/**
+ * @typedef {Object} FluidSize
+ * @property {string} expression - `clamp(<min>rem, <offset>rem + <slope>vw, <max>rem)`
+ * @property {number} minSize - px at `viewportMin` and below
+ * @property {number} maxSize - px at `viewportMax` and above
+ * @property {number} viewportMin
+ * @property {number} viewportMax
+ * @property {(viewport: number) => number} sizeAt - Rendered px at a viewport width, rounded to 0.01
+ */
+
+/**
+ * Number rounded to a precision, without trailing zeros
+ * @param {number} n
+ * @param {number} precision
+ * @returns {number}
+ */
+function round(n, precision) {
+  // `|| 0` turns -0 into 0
+  return Number(n.toFixed(precision)) || 0;
+}
+
+/**
+ * clamp() growing linearly from `minSize` at `viewportMin` to `maxSize` at
+ * `viewportMax`. The bounds and the offset are in rem so the size follows
+ * the user's font size; the slope is in vw. Shrinking sizes (minSize above
+ * maxSize) work too.
+ * @param {number} minSize - px
+ * @param {number} maxSize - px
+ * @param {{viewportMin?: number, viewportMax?: number, rootFontSize?: number, remPrecision?: number}} [config]
+ * @returns {FluidSize}
+ * @throws {RangeError} When the viewports are equal or the sizes not finite
+ */
+function fluidClamp(minSize, maxSize, { viewportMin = 320, viewportMax = 1920, rootFontSize = 16, remPrecision = 4 } = {}) {
+  if (![minSize, maxSize, viewportMin, viewportMax, rootFontSize].every(Number.isFinite) || rootFontSize <= 0) {
+    throw new RangeError('Fluid sizes need finite sizes, viewports and root font size');
+  }
+  if (viewportMin === viewportMax) throw new RangeError('viewportMin and viewportMax must differ');
+
+  const slope = (maxSize - minSize) / (viewportMax - viewportMin);
+  const intercept = minSize - slope * viewportMin;
+  const rem = px => `${round(px / rootFontSize, remPrecision)}rem`;
+
+  // Offset then slope, zero terms left out and a negative one subtracted
+  const terms = [[round(intercept / rootFontSize, remPrecision), 'rem'], [round(slope * 100, remPrecision), 'vw']]
+    .filter(([n]) => n !== 0);
+  const preferred = terms.length
+    ? terms.map(([n, unit], i) => (i === 0 ? `${n}${unit}` : `${n < 0 ? '-' : '+'} ${Math.abs(n)}${unit}`)).join(' ')
+    : '0rem';
+
+  const lo = Math.min(minSize, maxSize);
+  const hi = Math.max(minSize, maxSize);
+  return {
+    expression: `clamp(${rem(lo)}, ${preferred}, ${rem(hi)})`,
+    minSize,
+    maxSize,
+    viewportMin,
+    viewportMax,
+    sizeAt: viewport => round(Math.min(hi, Math.max(lo, intercept + slope * viewport)), 2)
+  };
+}
+
+/**
+ * Viewports a fluid size is shown at: the configured breakpoints, else the
+ * simulated viewports, in ascending order
+ * @param {{breakpoints?: number[], viewports?: number[]}} [config]
+ * @returns {number[]}
+ */
+function fluidViewports({ breakpoints = [], viewports = DEFAULT_VIEWPORTS } = {}) {
+  const list = Array.isArray(breakpoints) && breakpoints.length ? breakpoints : viewports;
+  return [...new Set((Array.isArray(list) ? list : DEFAULT_VIEWPORTS).filter(Number.isFinite))].sort((a, b) => a - b);
+}
+
+/**
+ * Rendered size of a fluid expression at each viewport
+ * @param {FluidSize} fluid
+ * @param {number[]} viewports
+ * @returns {Array<{viewport: number, size: number}>}
+ */
+function sizesAt(fluid, viewports) {
+  return viewports.map(viewport => ({ viewport, size: fluid.sizeAt(viewport) }));
+}
+
+/**
+ * Min and max size typed as two px numbers, the unit optional, separated by
+ * spaces, a comma, a dash or "to" (e.g. "16 32", "16px, 32px", "16-32")
+ * @param {string} input
+ * @returns {[number, number]|null}
+ */
+function parseSizeRange(input) {
+  const m = /^\s*(\d*\.?\d+)(?:px)?(?:\s*(?:,|to|-|–)\s*|\s+)(\d*\.?\d+)(?:px)?\s*$/i.exec(String(input || ''));
+  return m ? [Number(m[1]), Number(m[2])] : null;
+}
+
+/**
+ * Rewrite the px lengths of a value as fluid sizes: each length is kept at
+ * `viewportMax` and scaled by `fluidMinScale` at `viewportMin`. Hairlines,
+ * zero and lengths in strings or url() are kept, as `mapPx` picks them.
+ * @param {string} value
+ * @param {{fluidMinScale?: number, viewportMin?: number, viewportMax?: number, rootFontSize?: number, remPrecision?: number}} [config]
+ * @returns {{value: string, sizes: FluidSize[]}} `sizes` in source order, empty when nothing changed
+ */
+function fluidValue(value, config = {}) {
+  const scale = Number.isFinite(config.fluidMinScale) ? config.fluidMinScale : 0.5;
+  const sizes = [];
+  if (config.viewportMin !== undefined && config.viewportMin === config.viewportMax) return { value, sizes };
+  const converted = mapPx(value, (px) => {
+    // Negative lengths (pull-in margins) have no sensible scale direction
+    if (px < 0) return null;
+    const fluid = fluidClamp(round(px * scale, 2), px, config);
+    sizes.push(fluid);
+    return fluid.expression;
+  });
+  return { value: converted, sizes };
+}
+
+module.exports = { fluidClamp, fluidViewports, sizesAt, parseSizeRange, fluidValue };
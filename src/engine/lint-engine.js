@@ -1,292 +1,261 @@
 /**
  * Box Model Sentinel - Lint Engine
- * Motor de análise em tempo real de integridade de CSS
+ * Motor de análise de integridade de CSS, independente do editor
  */
 
-const vscode = require('vscode');
 const path = require('path');
-const { parseRules } = require('./parser');
-const { AsciiVisualizer } = require('../ascii-visualizer/core/visualizer');
+const { parseRules, getMediaConditions, splitSelectorList } = require('./parser');
+const { resolveCustomProperties } = require('./custom-properties');
+const { evaluateLength } = require('./value-evaluator');
+const { splitValue } = require('./shorthands');
+const { DEFAULT_VIEWPORTS, boxSizingScope, computeBox, groupBySelector, ruleApplies } = require('./viewport-simulator');
+const { ALL, interval, intersect, union, contains, overlap, gaps, lowerBound, formatRanges, parseMediaQueryList, ruleRanges } = require('./media-query');
+const { collectBreakpoints, isOnScale, nearestBreakpoint } = require('./breakpoints');
+const { RULES, getRule, ruleForIssue, detectorNames, resolveRuleSettings } = require('./rules');
+const { findDirectives, applySuppressions } = require('./suppressions');
+const { resolveConfig } = require('./config');
+const { DEFAULT_REM_PROPERTIES, isRemProperty } = require('./rem');
+const { lengthPx, scaleSteps, loadDesignTokens, nearestStep, stepFor } = require('./tokens');
 
 /**
- * LintEngine handles real-time CSS analysis with debouncing
- * Integrates with the host diagnostic system
+ * Default analysis settings
  */
-class LintEngine {
-  constructor() {
-    /** @type {Map<string, NodeJS.Timeout>} */
-    this.debounceTimers = new Map();
-
-    /** @type {vscode.DiagnosticCollection} */
-    this.diagnosticCollection = null;
-
-    /** @type {Map<string, object[]>} Cache de issues por URI */
-    this.issuesByUri = new Map();
-
-    /** @type {Function|null} Callback legado quando análise completa (compat) */
-    this.onAnalysisCompleteCallback = null;
-    /** @type {Set<Function>} Observadores de análise completa */
-    this.analysisListeners = new Set();
-
-    /** ASCII Visualizer instance */
-    this.visualizer = new AsciiVisualizer();
-
-    /** Configuration */
-    this.config = {
-      debounceMs: 500,
-      maxProblems: 100,
-      enable: true,
-      mode: 'strict',
-      fixedWidthThreshold: 320,
-      fixedHeightThreshold: 320,
-      fixedSpacingThreshold: 24,
-      ignoreSelectors: [],
-      deltaIgnorePx: 5,
-      frameThresholdMs: 16
-    };
+const DEFAULT_SETTINGS = Object.freeze({
+  maxProblems: 100,
+  mode: 'strict',
+  fixedWidthThreshold: 320,
+  fixedHeightThreshold: 320,
+  fixedSpacingThreshold: 24,
+  ignoreSelectors: [],
+  viewportMin: 320,
+  viewportMax: 1920,
+  viewports: DEFAULT_VIEWPORTS,
+  breakpoints: [],
+  rootFontSize: 16,
+  remPrecision: 4,
+  remProperties: DEFAULT_REM_PROPERTIES,
+  fluidMinScale: 0.5,
+  tokenScale: [],
+  designTokens: '',
+  rules: {}
+});
 
-    this.loadConfiguration();
-  }
+/**
+ * Zero-based range; `character` is a column, as in editor positions
+ * @typedef {Object} Range
+ * @property {{line: number, character: number}} start
+ * @property {{line: number, character: number}} end
+ */
 
+/**
+ * LintEngine detects layout issues in a stylesheet. It has no editor
+ * dependency: issues carry plain-object ranges for adapters to convert.
+ */
+class LintEngine {
   /**
-   * Load configuration from editor settings
+   * @param {object} [settings] - Options over DEFAULT_SETTINGS
    */
-  loadConfiguration() {
-    const config = vscode.workspace.getConfiguration('boxModelSentinel');
-    this.config.debounceMs = config.get('debounceMs', 500);
-    this.config.maxProblems = config.get('maxProblems', 100);
-    this.config.enable = config.get('enable', true);
-    this.config.mode = config.get('mode', 'strict');
-    this.config.fixedWidthThreshold = config.get('fixedWidthThreshold', 320);
-    this.config.fixedHeightThreshold = config.get('fixedHeightThreshold', 320);
-    this.config.fixedSpacingThreshold = config.get('fixedSpacingThreshold', 24);
-    this.config.ignoreSelectors = config.get('ignoreSelectors', []);
-    this.config.deltaIgnorePx = config.get('deltaIgnorePx', 5);
-    this.config.frameThresholdMs = config.get('frameThresholdMs', 16);
+  constructor(settings = {}) {
+    /** Settings, the fallback under project config files */
+    this.settings = { ...DEFAULT_SETTINGS, ...settings };
+
+    /** Configuration of the stylesheet being analyzed */
+    this.config = { ...this.settings };
   }
 
   /**
-   * Set the diagnostic collection for this engine
-   * @param {vscode.DiagnosticCollection} collection
+   * Configuration for a stylesheet: the nearest `.bmsrc.json`, `.bmsrc` or
+   * `bms.config.js` over the settings. Problems are logged once.
+   * @param {string} [filePath] - Absolute path; none for unsaved text
+   * @returns {object}
    */
-  setDiagnosticCollection(collection) {
-    this.diagnosticCollection = collection;
+  configFor(filePath) {
+    if (!filePath) return { ...this.settings };
+    const { config, problems } = resolveConfig(filePath, this.settings);
+    const key = problems.join('; ');
+    if (key && key !== this.configProblems) console.warn(`[BMS-Engine] ⚠️ Invalid config file: ${key}`);
+    this.configProblems = key;
+    return config;
   }
 
   /**
-   * Get cached issues for a URI
-   * @param {vscode.Uri | string} uri
+   * Parse CSS and detect all layout issues
+   * @param {string} css
+   * @param {{language?: string, filePath?: string}} [options] - Language id
+   *   (css, scss, less, sass) and the file the text comes from
    * @returns {object[]}
    */
-  getIssuesForUri(uri) {
-    const uriStr = typeof uri === 'string' ? uri : uri.toString();
-    return this.issuesByUri.get(uriStr) || [];
-  }
+  detectIssues(css, { language = 'css', filePath } = {}) {
+    this.config = this.configFor(filePath);
+    const syntax = ['scss', 'less', 'sass'].includes(language) ? language : 'css';
+    const parsed = parseRules(css, { syntax });
+    // Detectors see computed values; definitions may live in ignored selectors
+    parsed.rules = resolveCustomProperties(parsed.rules);
 
-  /**
-   * Cache issues for a URI
-   * @private
-   * @param {vscode.Uri | string} uri
-   * @param {object[]} issues
-   */
-  _cacheIssues(uri, issues) {
-    const uriStr = typeof uri === 'string' ? uri : uri.toString();
-    this.issuesByUri.set(uriStr, issues);
+    // Apply ignoreSelectors filter upfront (simple includes match)
+    try {
+      const patterns = Array.isArray(this.config.ignoreSelectors)
+        ? this.config.ignoreSelectors.filter(s => typeof s === 'string' && s.trim()).map(s => s.toLowerCase())
+        : [];
+      if (patterns.length) {
+        parsed.rules = (parsed.rules || []).filter(r => {
+          const sel = String(r.selector || '').toLowerCase();
+          return !patterns.some(p => sel.includes(p));
+        });
+      }
+    } catch (_) {}
+
+    // The rule registry decides which detectors run and how their issues are reported
+    this.ruleSettings = this.resolveRules();
+    const layout = this.createLayout(parsed.rules);
+    const issues = [];
+    for (const name of detectorNames()) {
+      if (!RULES.some(rule => rule.detector === name && this.ruleSettings.get(rule.id).enabled)) continue;
+      const result = this[name]({ parsed, css, layout });
+      if (!Array.isArray(result)) continue;
+      for (const issue of result) {
+        const rule = ruleForIssue(name, issue.issue);
+        const settings = rule && this.ruleSettings.get(rule.id);
+        if (settings && !settings.enabled) continue;
+        if (rule) {
+          issue.rule = rule.id;
+          issue.severity = settings.severity;
+        }
+        issues.push(issue);
+      }
+    }
+
+    this.attachDefinitions(issues, parsed.rules);
+
+    // Inline bms-disable comments, and those that no longer suppress anything
+    const { issues: reported, unused } = applySuppressions(issues, findDirectives(css, { syntax }));
+    const unusedRule = this.ruleSettings.get('bms/unused-suppression');
+    if (unusedRule.enabled) {
+      reported.push(...unused.map(u => ({ ...this.unusedSuppressionIssue(u), rule: 'bms/unused-suppression', severity: unusedRule.severity })));
+    }
+
+    // Map selectors to line numbers
+    return this.mapIssuesToLines(reported);
   }
 
   /**
-   * Register a callback for when analysis is complete
-   * @param {Function} callback - Called with (uri, issues)
+   * Point issues reported on a var() usage at the custom property definitions
+   * that produced the offending value
+   * @param {object[]} issues
+   * @param {object[]} rules
    */
-  onAnalysisComplete(callback) {
-    this.onAnalysisCompleteCallback = callback;
+  attachDefinitions(issues, rules) {
+    const substituted = [];
+    for (const r of rules) {
+      for (const d of r.decls || []) {
+        if (d.customProperties && d.customProperties.length) substituted.push(d);
+      }
+    }
+    if (!substituted.length) return;
+
+    for (const issue of issues) {
+      if (!issue.loc) continue;
+      // A declaration and its variants under media-scoped definitions share a location
+      const covering = substituted.filter(d =>
+        d.loc.start.offset <= issue.loc.start.offset && issue.loc.end.offset <= d.loc.end.offset);
+      const decl = covering.find(d => issue.value !== undefined && String(d.value).includes(issue.value)) || covering[0];
+      if (!decl) continue;
+      issue.related = decl.customProperties.map(def => ({
+        message: `${def.name}: ${def.value} is defined here (${def.selector})`,
+        loc: def.loc
+      }));
+    }
   }
 
   /**
-   * Adiciona um listener para o evento de análise completa
-   * @param {(uri: vscode.Uri, issues: object[]) => void} listener
-   * @returns {() => void} função para remover o listener
+   * Issue for a suppression comment, or rule ids in it, that suppressed nothing
+   * @param {{directive: import('./suppressions').Directive, rules: string[]|null}} unused
+   * @returns {object}
    */
-  addAnalysisListener(listener) {
-    if (typeof listener === 'function') {
-      this.analysisListeners.add(listener);
-      return () => this.analysisListeners.delete(listener);
-    }
-    return () => {};
+  unusedSuppressionIssue({ directive, rules }) {
+    const name = `bms-${directive.kind}`;
+    const explanation = rules === null
+      ? `${name} does not suppress any issue`
+      : rules.map(id => (getRule(id) ? `${name} ${id}: no ${id} issue is reported here` : `${name}: "${id}" is not a rule`)).join('; ');
+    return {
+      issue: 'Unused suppression',
+      explanation,
+      viewportImpact: 'None; a stale suppression would hide a future regression',
+      severity: 'low',
+      correction: rules === null ? 'Remove the comment' : `Remove ${rules.join(', ')} from the comment`,
+      selector: '',
+      unusedRules: rules,
+      loc: directive.loc
+    };
   }
 
   /**
-   * Determine if a document should be analyzed
-   * @param {vscode.TextDocument} document
-   * @returns {boolean}
+   * Per-rule settings from the `rules` setting; configuration problems are
+   * logged once
+   * @returns {Map<string, import('./rules').RuleSettings>}
    */
-  shouldAnalyze(document) {
-    if (!this.config.enable) {
-      console.log(`[BMS-Engine] ⏸️  Extension disabled, skipping ${document.fileName}`);
-      return false;
-    }
-
-    const supportedLanguages = ['css', 'scss', 'less', 'sass'];
-    if (!supportedLanguages.includes(document.languageId)) {
-      console.log(`[BMS-Engine] ⏸️  Not a CSS/SCSS file (languageId=${document.languageId}): ${document.fileName}`);
-      return false;
-    }
-
-    // Ignore temporary or unsaved files
-    if (document.isUntitled && document.fileName.includes('Untitled')) {
-      console.log(`[BMS-Engine] ⏸️  Ignoring untitled file: ${document.fileName}`);
-      return false;
-    }
-
-    console.log(`[BMS-Engine] ✅ Will analyze file (languageId=${document.languageId}): ${document.fileName}`);
-    return true;
+  resolveRules() {
+    const { rules, problems } = resolveRuleSettings(this.config.rules, this.config);
+    const key = problems.join('; ');
+    if (key && key !== this.ruleProblems) console.warn(`[BMS-Engine] ⚠️ Invalid rules setting: ${key}`);
+    this.ruleProblems = key;
+    return rules;
   }
 
   /**
-   * Analyze a document (with debounce)
-   * @param {vscode.TextDocument} document
+   * Value of a rule option, configured or default
+   * @param {string} id - Rule id
+   * @param {string} name - Option name
+   * @returns {*}
    */
-  analyze(document) {
-    const fileUri = document.uri.toString();
-    console.log(`[BMS-Engine] ⏱️  Queuing analysis (debounce ${this.config.debounceMs}ms) for: ${document.fileName}`);
-
-    // Clear existing debounce timer for this file
-    if (this.debounceTimers.has(fileUri)) {
-      console.log(`[BMS-Engine] 🔄 Clearing previous timer for: ${document.fileName}`);
-      clearTimeout(this.debounceTimers.get(fileUri));
-    }
-
-    // Set new debounce timer
-    const timer = setTimeout(() => {
-      console.log(`[BMS-Engine] ⏲️  Debounce timer fired, executing analysis...`);
-      this.executeAnalysis(document);
-      this.debounceTimers.delete(fileUri);
-    }, this.config.debounceMs);
-
-    this.debounceTimers.set(fileUri, timer);
+  ruleOption(id, name) {
+    const settings = (this.ruleSettings || this.resolveRules()).get(id);
+    return settings ? settings.options[name] : undefined;
   }
 
   /**
-   * Execute the actual analysis
-   * @param {vscode.TextDocument} document
+   * Breakpoint scale bms/off-scale-breakpoint checks a stylesheet against,
+   * from its project config over the settings; empty when the rule is off
+   * @param {string} [filePath] - Absolute path; none for unsaved text
+   * @returns {number[]}
    */
-  executeAnalysis(document) {
-    try {
-      console.log(`[BMS-Engine] 🔬 Starting analysis of: ${document.uri.fsPath}`);
-      const css = document.getText();
-      const issues = this.detectIssues(css, document);
-
-      console.log(`[BMS-Engine] 📌 Detected ${issues.length} issues before filtering`);
-
-      // Limit number of issues
-      const limitedIssues = issues.slice(0, this.config.maxProblems);
-      console.log(`[BMS-Engine] ✂️  Limited to ${limitedIssues.length} issues (max: ${this.config.maxProblems})`);
-
-      // Cache issues for hover/code action providers
-      this._cacheIssues(document.uri, limitedIssues);
-
-      // Notificar observadores
-      if (this.onAnalysisCompleteCallback) {
-        try {
-          this.onAnalysisCompleteCallback(document.uri, limitedIssues);
-        } catch {}
-      }
-      if (this.analysisListeners.size > 0) {
-        for (const l of Array.from(this.analysisListeners)) {
-          try { l(document.uri, limitedIssues); } catch {}
-        }
-      }
-
-      // Convert issues to Diagnostics
-      const diagnostics = this.issuesToDiagnostics(limitedIssues, document);
-      console.log(`[BMS-Engine] 🎯 Created ${diagnostics.length} diagnostics`);
-
-      // Debug: print diagnostic details
-      if (diagnostics.length > 0) {
-        const first = diagnostics[0];
-        console.log(`[BMS-Engine] 📍 First diagnostic: line ${first.range.start.line}, message: ${first.message.split('\n')[0]}`);
-      }
-
-      // Update diagnostic collection
-      if (this.diagnosticCollection) {
-        console.log(`[BMS-Engine] 📤 Setting diagnostics in collection for: ${document.uri.fsPath}`);
-        this.diagnosticCollection.set(document.uri, diagnostics);
-        console.log(`[BMS-Engine] ✅ Diagnostics set successfully`);
-      } else {
-        console.error(`[BMS-Engine] ❌ DiagnosticCollection is not set!`);
-      }
-    } catch (error) {
-      console.error(`[BMS-Engine] ❌ Error analyzing ${document.fileName}:`, error);
-      // Clear diagnostics on error
-      if (this.diagnosticCollection) {
-        this.diagnosticCollection.set(document.uri, []);
-      }
-    }
+  breakpointScale(filePath) {
+    const config = this.configFor(filePath);
+    const settings = resolveRuleSettings(config.rules, config).rules.get('bms/off-scale-breakpoint');
+    return settings.enabled ? [].concat(settings.options.scale || []).filter(Number.isFinite) : [];
   }
 
   /**
-   * Parse CSS and detect all layout issues
-   * @param {string} css
-   * @param {vscode.TextDocument} document
-   * @returns {object[]}
+   * Steps values are checked against: the tokens of the `designTokens` file,
+   * then the `scale` values of bms/off-scale-value. Token file problems are
+   * logged once.
+   * @returns {import('./tokens').ScaleStep[]}
    */
-  detectIssues(css, document) {
-    if (['less', 'sass'].includes(document.languageId)) {
-      return this.detectIssuesFromText(css, document);
-    }
-    const parsed = parseRules(css);
-
-    // Apply ignoreSelectors filter upfront (simple includes match)
-    try {
-      const patterns = Array.isArray(this.config.ignoreSelectors)
-        ? this.config.ignoreSelectors.filter(s => typeof s === 'string' && s.trim()).map(s => s.toLowerCase())
-        : [];
-      if (patterns.length) {
-        parsed.rules = (parsed.rules || []).filter(r => {
-          const sel = String(r.selector || '').toLowerCase();
-          return !patterns.some(p => sel.includes(p));
-        });
-      }
-    } catch (_) {}
-
-    // Gather all issues from detectors
-    const detectors = [
-      this.detectFixedDimensions,
-      this.detectBoxModel,
-      this.detectOverflowHorizontal,
-      this.detectMediaConflicts,
-      this.detectOverflowMaskBody,
-      this.detectVwWidthRisk,
-      this.detectBreakpointFixedWidth,
-      this.detectMediaWidthInstability,
-      this.detectFlexFragility,
-      this.detectGridRigidity,
-      this.detectAbsoluteContainment,
-      this.detectAntiPatterns
-    ];
-
-    const issues = [];
-    for (const detector of detectors) {
-      const result = detector.call(this, { parsed, css });
-      if (Array.isArray(result)) {
-        issues.push(...result);
-      }
-    }
-
-    // Map selectors to line numbers
-    return this.mapIssuesToLines(issues, document);
+  valueScale() {
+    const steps = scaleSteps(this.ruleOption('bms/off-scale-value', 'scale'), this.config);
+    const file = this.config.designTokens;
+    if (typeof file !== 'string' || !file.trim()) return steps;
+
+    const { steps: tokens, problems } = loadDesignTokens(path.resolve(file), this.config);
+    const key = problems.join('; ');
+    if (key && key !== this.tokenProblems) console.warn(`[BMS-Engine] ⚠️ Invalid design tokens: ${key}`);
+    this.tokenProblems = key;
+    return [...tokens, ...steps];
   }
 
   /**
    * Centralized threshold decision
    * @param {'width'|'height'|'spacing'|'flex-basis'|'grid-track'} type
    * @param {number} numericValue
+   * @param {string} [ruleId] - Rule whose `threshold` option applies
    * @returns {boolean}
    */
-  shouldReportFixedValue(type, numericValue) {
+  shouldReportFixedValue(type, numericValue, ruleId) {
     const mode = (this.config.mode || 'strict').toLowerCase();
     if (mode === 'strict') return true;
     if (!Number.isFinite(numericValue)) return true;
+    const threshold = ruleId ? this.ruleOption(ruleId, 'threshold') : undefined;
+    if (Number.isFinite(threshold)) return numericValue > threshold;
     switch (type) {
       case 'width':
       case 'grid-track':
@@ -300,248 +269,169 @@ class LintEngine {
         return true;
     }
   }
+  /**
+   * Evaluate a length value (including calc/min/max/clamp) across the
+   * configured viewport span
+   * @param {string} value
+   * @param {number} [viewportMin] - Lower end of the span, defaults to the setting
+   * @returns {import('./value-evaluator').LengthEvaluation|null}
+   */
+  measure(value, viewportMin = this.config.viewportMin) {
+    return evaluateLength(value, { viewportMin, viewportMax: this.config.viewportMax });
+  }
 
   /**
-   * Map selector positions to line numbers in the document
-   * @param {object[]} issues
-   * @param {vscode.TextDocument} document
-   * @returns {object[]}
+   * Pixel size of a value that stays the same at every viewport, or null for
+   * fluid and bounded-fluid values (`calc(100% - 40px)`, `min(100%, 600px)`)
+   * @param {string} value
+   * @returns {number|null}
    */
-  mapIssuesToLines(issues, document) {
-    const text = document.getText();
-    const lines = text.split('\n');
+  fixedPx(value) {
+    const m = value ? this.measure(value) : null;
+    return m && m.kind === 'fixed' && m.units.includes('px') ? m.max : null;
+  }
 
-    return issues.map((issue) => {
-      // Find the line number where the selector appears
-      let lineNumber = 0;
-      for (let i = 0; i < lines.length; i++) {
-        if (lines[i].includes(issue.selector)) {
-          lineNumber = i;
-          break;
+  /**
+   * Viewport simulation over the parsed rules, computed on demand per
+   * selector and viewport width
+   * @param {object[]} rules
+   * @returns {{viewports: number[], box: (selector: string, viewport: number) => import('./viewport-simulator').SimulatedBox|null}}
+   */
+  createLayout(rules) {
+    const groups = groupBySelector(rules);
+    const scope = boxSizingScope(rules);
+    const cache = new Map();
+    const lo = Math.min(this.config.viewportMin, this.config.viewportMax);
+    const hi = Math.max(this.config.viewportMin, this.config.viewportMax);
+    const viewports = (Array.isArray(this.config.viewports) ? this.config.viewports : DEFAULT_VIEWPORTS)
+      .filter(w => Number.isFinite(w) && w >= lo && w <= hi)
+      .sort((a, b) => a - b);
+
+    return {
+      viewports,
+      box: (selector, viewport) => {
+        const key = `${viewport}|${selector}`;
+        if (!cache.has(key)) {
+          cache.set(key, groups.has(selector) ? computeBox(groups.get(selector), selector, viewport, scope) : null);
         }
+        return cache.get(key);
       }
+    };
+  }
 
-      // Try to locate the problematic value within the selector block
-      let targetLine = lineNumber;
-      let startChar = 0;
-      let endChar = 0;
-
-      const endBlockLine = (() => {
-        for (let i = lineNumber; i < lines.length; i++) {
-          if (/\}/.test(lines[i])) return i;
-        }
-        return Math.min(lines.length - 1, lineNumber + 10);
-      })();
+  /**
+   * Smallest target viewport at which a rule applies and the element it
+   * styles is wider than the viewport
+   * @param {object} layout - From createLayout
+   * @param {object} rule
+   * @param {(box: import('./viewport-simulator').SimulatedBox) => boolean} [accept] - Extra condition on the box
+   * @returns {{viewport: number, box: import('./viewport-simulator').SimulatedBox}|null}
+   */
+  firstOverflow(layout, rule, accept = () => true) {
+    for (const viewport of layout.viewports) {
+      if (!ruleApplies(rule, viewport)) continue;
+      for (const selector of splitSelectorList(rule.selector)) {
+        const box = layout.box(selector, viewport);
+        if (box && box.exceeds && accept(box)) return { viewport, box };
+      }
+    }
+    return null;
+  }
 
-      const unitRegex = /\b\d+(\.\d+)?\s*px\b/i;
-      const propertyRegex = issue.property
-        ? new RegExp(`${issue.property}\\s*:\\s*[^;]*\\b\\d+(?:\\.\\d+)?\\s*px\\b`, 'i')
-        : null;
+  /**
+   * Viewport widths within the configured span at which a rule's media
+   * queries match
+   * @param {object} rule
+   * @returns {import('./media-query').RangeSet}
+   */
+  supportedRanges(rule) {
+    const lo = Math.min(this.config.viewportMin, this.config.viewportMax);
+    const hi = Math.max(this.config.viewportMin, this.config.viewportMax);
+    return intersect(ruleRanges(rule), [interval(lo, hi)]);
+  }
 
-      let found = false;
-      for (let i = lineNumber; i <= endBlockLine; i++) {
-        const ln = lines[i] || '';
-        let match = null;
+  /**
+   * Location of the innermost media query around a rule
+   * @param {object} rule
+   * @returns {import('./parser').SourceLocation|null}
+   */
+  mediaLoc(rule) {
+    const media = (rule.atRules || []).filter(a => a.type === 'media').pop();
+    return (media && (media.conditionLoc || media.loc)) || rule.selectorLoc || rule.loc || null;
+  }
 
-        if (propertyRegex) {
-          match = ln.match(propertyRegex);
-        }
-        if (!match) {
-          match = ln.match(unitRegex);
-        }
-        if (match) {
-          targetLine = i;
-          const full = match[0];
-          const index = ln.indexOf(full);
-          // Highlight only the numeric unit part when possible
-          const unitMatch = full.match(unitRegex);
-          if (unitMatch) {
-            const unitIndex = ln.indexOf(unitMatch[0], index);
-            startChar = unitIndex;
-            endChar = unitIndex + unitMatch[0].length;
-          } else {
-            startChar = index;
-            endChar = index + full.length;
-          }
-          found = true;
-          break;
-        }
-      }
+  /**
+   * Narrowest viewport a rule applies at: the configured minimum, raised by
+   * the media queries around the rule
+   * @param {object} rule
+   * @returns {number|null} null when the rule never applies within the span
+   */
+  viewportFloor(rule) {
+    return lowerBound(this.supportedRanges(rule));
+  }
 
-      if (!found) {
-        const line = lines[lineNumber] || '';
-        const lineLength = line.length;
-        startChar = 0;
-        endChar = Math.max(1, lineLength);
-      }
 
+  /**
+   * Convert parser locations carried by issues into ranges
+   * @param {object[]} issues
+   * @returns {object[]}
+   */
+  mapIssuesToLines(issues) {
+    return issues.map((issue) => {
+      const loc = issue.loc || { start: { line: 0, column: 0 }, end: { line: 0, column: 1 } };
+      const toRange = (l) => ({
+        start: { line: l.start.line, character: l.start.column },
+        end: { line: l.end.line, character: l.end.column }
+      });
       return {
         ...issue,
         suggestion: issue.suggestion || issue.correction,
-        lineNumber: targetLine,
-        range: new vscode.Range(
-          new vscode.Position(targetLine, startChar),
-          new vscode.Position(targetLine, endChar)
-        )
+        lineNumber: loc.start.line,
+        range: toRange(loc),
+        related: issue.related && issue.related.map(r => ({ ...r, range: toRange(r.loc) }))
       };
     });
   }
 
-  detectIssuesFromText(css, document) {
-    const lines = css.split('\n');
-    const issues = [];
-    for (let i = 0; i < lines.length; i++) {
-      const ln = lines[i] || '';
-      const w = ln.match(/width:\s*(\d+(\.\d+)?)px/i);
-      const h = ln.match(/height:\s*(\d+(\.\d+)?)px/i);
-      if (w) {
-        const unit = w[0].match(/\d+(\.\d+)?\s*px/i)[0];
-        const unitIndex = ln.indexOf(unit);
-        issues.push({
-          issue: 'Fixed width',
-          explanation: 'Fixed pixel width reduces responsiveness',
-          viewportImpact: 'Constrained layout on smaller viewports',
-          severity: 'medium',
-          correction: 'Use relative units or max-width',
-          property: 'width',
-          value: w[0],
-          lineNumber: i,
-          range: new vscode.Range(new vscode.Position(i, unitIndex), new vscode.Position(i, unitIndex + unit.length))
-        });
-      }
-      if (h) {
-        const unit = h[0].match(/\d+(\.\d+)?\s*px/i)[0];
-        const unitIndex = ln.indexOf(unit);
-        issues.push({
-          issue: 'Fixed height',
-          explanation: 'Fixed pixel height can cause overflow',
-          viewportImpact: 'Vertical clipping on shorter viewports',
-          severity: 'medium',
-          correction: 'Use min-height or auto with constraints',
-          property: 'height',
-          value: h[0],
-          lineNumber: i,
-          range: new vscode.Range(new vscode.Position(i, unitIndex), new vscode.Position(i, unitIndex + unit.length))
-        });
-      }
-    }
-    return issues;
-  }
   /**
-   * Map lint engine issue to visualizer issue format
-   * @private
-   * @param {object} issue - Lint engine issue
-   * @returns {object} Visualizer issue
+   * Find the effective declaration node that sets a property in a rule
+   * @param {object} rule
+   * @param {string} prop
+   * @returns {object|null}
    */
-  mapToVisualizerIssue(issue) {
-    // Map issue names to visualizer types
-    const typeMap = {
-      'Fixed width': 'fixed-dimensions',
-      'Fixed height': 'fixed-dimensions',
-      'Fixed box dimensions': 'fixed-dimensions',
-      'Fixed minimum dimension': 'fixed-dimensions',
-      'Viewport width overflow': 'viewport-overflow',
-      'Horizontal overflow risk': 'overflow-horizontal',
-      'Cumulative horizontal overflow': 'overflow-horizontal',
-      'No-wrap fixed width': 'nowrap-fixed',
-      'Non-wrapping fixed flex basis': 'flex-fragility',
-      'Flex container without wrap': 'flex-fragility',
-      'Rigid flex item': 'flex-fragility',
-      'Rigid grid tracks': 'grid-rigidity',
-      'Fixed pixel spacing': 'fixed-spacing',
-      'Media query instability': 'media-instability',
-      'Body overflow masking': 'overflow-masking',
-      'Fixed width exceeds breakpoint': 'breakpoint-exceeded',
-      'Absolute positioning rigidity': 'absolute-rigidity',
-      'Mixed box-sizing': 'box-inconsistency',
-    };
-
-    const type = typeMap[issue.issue] || 'fixed-dimensions';
-    const category = type.includes('flex') ? 'flex' : 
-                     type.includes('grid') ? 'grid' : 
-                     type.includes('overflow') ? 'overflow' : 'other';
-    
-    return {
-      type,
-      severity: issue.severity || 'medium',
-      line: issue.lineNumber || 0,
-      selector: issue.selector || 'element',
-      property: issue.property || 'width',
-      value: issue.value || '600px',
-      suggestion: issue.correction || issue.suggestion || 'Use responsive units',
-      category,
-    };
+  findDeclaration(rule, prop) {
+    return (rule.effective && rule.effective[prop]) || null;
   }
 
   /**
-   * Convert issues to Diagnostics
-   * @param {object[]} issues
-   * @param {vscode.TextDocument} document
-   * @returns {vscode.Diagnostic[]}
+   * Location of a declaration value, narrowed to its px length when possible
+   * @param {object} decl
+   * @returns {import('./parser').SourceLocation}
    */
-  issuesToDiagnostics(issues, document) {
-    console.log(`[BMS-Engine] 🔄 Converting ${issues.length} issues to diagnostics`);
-    
-    return issues.map((issue, idx) => {
-      const severity = this.severityToDiagnosticSeverity(issue.severity);
-
-      // Build a detailed message
-      const message = `${issue.issue}\n\n**Explanation:** ${issue.explanation}\n\n**Viewport Impact:** ${issue.viewportImpact}\n\n**Suggestion:** ${issue.correction}`;
-
-      const diagnostic = new vscode.Diagnostic(
-        issue.range,
-        issue.issue,
-        severity
-      );
-
-      // Store full details as code
-      diagnostic.code = {
-        value: issue.issue.toLowerCase().replace(/\s+/g, '-'),
-        target: vscode.Uri.parse('https://github.com/mikaelcarrara/box-model-sentinel')
-      };
-
-      // Markdown message for hover
-      diagnostic.message = message;
-
-      diagnostic.source = 'Box Model Sentinel';
-
-      // Generate and store ASCII visualization in metadata
-      try {
-        const visualizerIssue = this.mapToVisualizerIssue(issue);
-        const visualization = this.visualizer.generate(visualizerIssue);
-        
-        // Store visualization in diagnostic metadata (custom property)
-        diagnostic.visualization = visualization.ascii;
-        diagnostic.visualizationData = visualization;
-      } catch (error) {
-        console.warn(`[BMS-Engine] Failed to generate visualization for issue:`, error);
-        // Continue without visualization
-      }
-
-      if (idx === 0) {
-        console.log(`[BMS-Engine] 📌 Example diagnostic 0: issue="${issue.issue}", line=${issue.lineNumber}, range=[${issue.range.start.line}:${issue.range.start.character} to ${issue.range.end.line}:${issue.range.end.character}]`);
-      }
-
-      return diagnostic;
-    });
+  declarationLoc(decl) {
+    const { start, end } = decl.valueLoc;
+    // Substituted values (variables, var()) no longer match the source text
+    const singleLine = decl.rawValue === undefined && start.line === end.line && end.offset - start.offset === decl.value.length;
+    const m = singleLine ? /\b\d+(?:\.\d+)?\s*px\b/i.exec(decl.value) : null;
+    if (!m) return decl.valueLoc;
+
+    const at = (delta) => ({ line: start.line, column: start.column + delta, offset: start.offset + delta });
+    return { start: at(m.index), end: at(m.index + m[0].length) };
   }
 
   /**
-   * Map severity level to DiagnosticSeverity
-   * @param {string} severity
-   * @returns {number}
+   * Resolve the source location for an issue: the px length inside the first
+   * matching declaration value, the whole value, or the rule selector
+   * @param {object} rule
+   * @param {...string} props - Candidate properties, in order of preference
+   * @returns {import('./parser').SourceLocation|null}
    */
-  severityToDiagnosticSeverity(severity) {
-    switch (severity?.toLowerCase()) {
-      case 'critical':
-        return vscode.DiagnosticSeverity.Error;
-      case 'medium':
-        return vscode.DiagnosticSeverity.Warning;
-      case 'low':
-        return vscode.DiagnosticSeverity.Information;
-      default:
-        return vscode.DiagnosticSeverity.Hint;
+  issueLoc(rule, ...props) {
+    for (const prop of props) {
+      const decl = this.findDeclaration(rule, prop);
+      if (decl && decl.valueLoc) return this.declarationLoc(decl);
     }
+    return rule.selectorLoc || rule.loc || null;
   }
 
   // ============ DETECTOR FUNCTIONS ============
@@ -559,11 +449,14 @@ class LintEngine {
       const h = r.declarations['height'];
       const mw = r.declarations['min-width'];
       const mh = r.declarations['min-height'];
-
-      if (w && /\b\d+px\b/i.test(w)) {
-        const m = /(\d+(?:\.\d+)?)px/i.exec(w);
-        const num = m ? parseFloat(m[1]) : NaN;
-        if (this.shouldReportFixedValue('width', num)) {
+      // Only lengths that never follow the viewport; calc/min/max/clamp are evaluated
+      const wPx = this.fixedPx(w);
+      const hPx = this.fixedPx(h);
+      const mwPx = this.fixedPx(mw);
+      const mhPx = this.fixedPx(mh);
+
+      if (wPx !== null) {
+        if (this.shouldReportFixedValue('width', wPx, 'bms/fixed-width')) {
           issues.push({
             issue: 'Fixed width',
             explanation: 'Fixed pixel width reduces responsiveness',
@@ -572,15 +465,14 @@ class LintEngine {
             correction: 'Use relative units or max-width',
             property: 'width',
             value: w,
-            selector: r.selector
+            selector: r.selector,
+            loc: this.issueLoc(r, 'width')
           });
         }
       }
 
-      if (h && /\b\d+px\b/i.test(h)) {
-        const m = /(\d+(?:\.\d+)?)px/i.exec(h);
-        const num = m ? parseFloat(m[1]) : NaN;
-        if (this.shouldReportFixedValue('height', num)) {
+      if (hPx !== null) {
+        if (this.shouldReportFixedValue('height', hPx, 'bms/fixed-height')) {
           issues.push({
             issue: 'Fixed height',
             explanation: 'Fixed pixel height can cause overflow',
@@ -589,46 +481,85 @@ class LintEngine {
             correction: 'Use min-height or auto with constraints',
             property: 'height',
             value: h,
-            selector: r.selector
+            selector: r.selector,
+            loc: this.issueLoc(r, 'height')
           });
         }
       }
 
-      if (w && h && /\b\d+px\b/i.test(w) && /\b\d+px\b/i.test(h)) {
+      if (wPx !== null && hPx !== null) {
         issues.push({
           issue: 'Fixed box dimensions',
           explanation: 'Fixed width and height create rigid boxes',
           viewportImpact: 'Breaks responsive scaling across devices',
           severity: 'critical',
           correction: 'Prefer fluid dimensions with min/max constraints',
-          selector: r.selector
+          selector: r.selector,
+          loc: this.issueLoc(r)
         });
       }
 
-      if ((mw && /\b\d+px\b/i.test(mw)) || (mh && /\b\d+px\b/i.test(mh))) {
+      if (mwPx !== null || mhPx !== null) {
         issues.push({
           issue: 'Fixed minimum dimension',
           explanation: 'Rigid minimum size blocks content reflow',
           viewportImpact: 'Triggers overflow below threshold viewports',
           severity: 'medium',
           correction: 'Use percentages or clamp with responsive units',
-          selector: r.selector
+          selector: r.selector,
+          loc: this.issueLoc(r, mwPx !== null ? 'min-width' : 'min-height')
         });
       }
     }
     return issues;
   }
 
+  detectFluidMinimum({ parsed }) {
+    const issues = [];
+    for (const r of parsed.rules) {
+      const floor = this.viewportFloor(r);
+      if (floor === null) continue;
+
+      for (const prop of ['width', 'min-width', 'flex-basis']) {
+        const v = r.declarations[prop];
+        const m = v ? this.measure(v, floor) : null;
+        // Fixed lengths are covered by the fixed-dimension detectors
+        if (!m || m.kind === 'fixed') continue;
+
+        const smallest = m.at(floor);
+        if (smallest > floor) {
+          issues.push({
+            issue: 'Fluid minimum exceeds viewport',
+            explanation: `${prop}: ${v} never gets narrower than ${Math.round(smallest)}px, wider than a ${floor}px viewport`,
+            viewportImpact: `Horizontal overflow between ${floor}px and ${Math.round(smallest)}px viewports`,
+            severity: 'critical',
+            correction: 'Lower the minimum (e.g. min(100%, …)) so it fits the smallest supported viewport',
+            property: prop,
+            value: v,
+            selector: r.selector,
+            loc: this.issueLoc(r, prop)
+          });
+          break;
+        }
+      }
+    }
+    return issues;
+  }
+
   detectBoxModel({ parsed }) {
     const issues = [];
     let borderBoxCount = 0;
     let contentBoxCount = 0;
+    let contentBoxRule = null;
 
     for (const r of parsed.rules) {
       const b = r.declarations['box-sizing'];
       if (!b) continue;
       if (/border-box/i.test(b)) borderBoxCount++;
-      if (/content-box/i.test(b)) contentBoxCount++;
+      if (/content-box/i.test(b)) {
+        contentBoxCount++;
+        if (!contentBoxRule) contentBoxRule = r;
+      }
     }
 
     if (borderBoxCount && contentBoxCount) {
@@ -638,14 +569,15 @@ class LintEngine {
         viewportImpact: 'Inconsistent widths across components',
         severity: 'medium',
         correction: 'Standardize on border-box for layout consistency',
-        selector: '*'
+        selector: '*',
+        loc: this.issueLoc(contentBoxRule, 'box-sizing')
       });
     }
 
     return issues;
   }
 
-  detectOverflowHorizontal({ parsed }) {
+  detectOverflowHorizontal({ parsed, layout }) {
     const issues = [];
     for (const r of parsed.rules) {
       try {
@@ -654,46 +586,51 @@ class LintEngine {
           continue;
         }
       } catch (_) {}
-      const w = r.declarations['width'];
-      const mw = r.declarations['min-width'];
       const ow = r.declarations['overflow-x'];
-      const mL = r.declarations['margin-left'];
-      const mR = r.declarations['margin-right'];
-      const pL = r.declarations['padding-left'];
-      const pR = r.declarations['padding-right'];
       const nowrap = r.declarations['white-space'];
 
-      if (ow && /visible/i.test(ow) && ((w && /\b\d+px\b/i.test(w)) || (mw && /\b\d+px\b/i.test(mw)))) {
+      // Computed widths: the first target viewport where this rule's width is in
+      // effect and the element ends up wider than the viewport
+      const owns = (box, prop) => Boolean(r.effective[prop] && box.sources[prop] === r.effective[prop]);
+      const extrasOf = (box) => box.extras.padding + box.extras.border + box.extras.margin;
+      const measured = ({ box, viewport }) => `${box.selector} is ${Math.round(box.marginBox)}px wide at a ${viewport}px viewport`;
+      const rigid = this.firstOverflow(layout, r, box => owns(box, 'width') || owns(box, 'min-width'));
+      const cumulative = this.firstOverflow(layout, r, box => owns(box, 'width') && extrasOf(box) > 0);
+
+      if (ow && /visible/i.test(ow) && rigid) {
         issues.push({
           issue: 'Horizontal overflow risk',
-          explanation: 'Visible overflow with fixed width can exceed viewport',
+          explanation: `Visible overflow with a width that exceeds the viewport: ${measured(rigid)}`,
           viewportImpact: 'Horizontal scrollbars on small screens',
           severity: 'medium',
           correction: 'Set overflow-x hidden or use max-width',
-          selector: r.selector
+          selector: r.selector,
+          loc: this.issueLoc(r, 'width', 'min-width')
         });
       }
 
-      const fixedPads = [mL, mR, pL, pR].filter((v) => v && /\b\d+px\b/i.test(v)).length;
-      if (fixedPads >= 2 && w && /\b\d+px\b/i.test(w)) {
+      if (cumulative) {
+        const { box } = cumulative;
         issues.push({
           issue: 'Cumulative horizontal overflow',
-          explanation: 'Fixed width with fixed paddings can exceed viewport',
+          explanation: `${measured(cumulative)}: ${Math.round(box.contentWidth)}px content + ${Math.round(extrasOf(box))}px of padding, border and margin`,
           viewportImpact: 'Content clipped or scrolls horizontally',
           severity: 'medium',
           correction: 'Use responsive paddings and width constraints',
-          selector: r.selector
+          selector: r.selector,
+          loc: this.issueLoc(r, 'width')
         });
       }
 
-      if (nowrap && /nowrap/i.test(nowrap) && ((w && /\b\d+px\b/i.test(w)) || (mw && /\b\d+px\b/i.test(mw)))) {
+      if (nowrap && /nowrap/i.test(nowrap) && rigid) {
         issues.push({
           issue: 'No-wrap fixed width',
-          explanation: 'No wrapping with fixed width increases overflow risk',
+          explanation: `No wrapping with a width that exceeds the viewport: ${measured(rigid)}`,
           viewportImpact: 'Text overflows on narrow screens',
           severity: 'low',
           correction: 'Allow wrapping or make width responsive',
-          selector: r.selector
+          selector: r.selector,
+          loc: this.issueLoc(r, 'white-space')
         });
       }
     }
@@ -704,7 +641,9 @@ class LintEngine {
     const issues = [];
     const bySelector = {};
 
+    // Variants under a custom property's conditions are not written media blocks
     for (const r of parsed.rules) {
+      if (r.variantOf) continue;
       const sel = r.selector;
       if (!bySelector[sel]) bySelector[sel] = [];
       bySelector[sel].push(r);
@@ -715,24 +654,26 @@ class LintEngine {
       const propsMap = {};
 
       for (const b of blocks) {
-        const cond = b.at && b.at.type === 'media' ? b.at.condition : 'base';
+        // Only the media part of the at-rule chain changes values across viewports
+        const cond = getMediaConditions(b).join(' and ') || 'base';
         for (const k of Object.keys(b.declarations)) {
           if (!propsMap[k]) propsMap[k] = [];
-          propsMap[k].push({ cond, value: b.declarations[k] });
+          propsMap[k].push({ cond, value: b.declarations[k], rule: b });
         }
       }
 
       for (const k of Object.keys(propsMap)) {
         const entries = propsMap[k];
-        const values = new Set(entries.map((e) => e.value));
-        if (values.size > 1) {
+        const divergent = entries.slice().reverse().find((e) => entries.some((o) => o.cond !== e.cond && o.value !== e.value));
+        if (divergent) {
           issues.push({
             issue: 'Media query instability',
             explanation: 'Property values diverge between base and breakpoints',
             viewportImpact: 'Layout shifts unpredictably across viewports',
             severity: 'medium',
             correction: 'Unify values or constrain ranges to avoid divergence',
-            selector: sel
+            selector: sel,
+            loc: this.issueLoc(divergent.rule, k)
           });
           break;
         }
@@ -755,7 +696,8 @@ class LintEngine {
             viewportImpact: 'Content clipped without visible scrollbars',
             severity: 'medium',
             correction: 'Prefer fixing causes; avoid global overflow-x: hidden',
-            selector: r.selector
+            selector: r.selector,
+            loc: this.issueLoc(r, 'overflow-x')
           });
         }
       }
@@ -774,37 +716,45 @@ class LintEngine {
           viewportImpact: 'Horizontal scroll or clipped edges on desktops',
           severity: 'medium',
           correction: 'Use 100% or calc(100vw - var(scrollbar))',
-          selector: r.selector
+          selector: r.selector,
+          loc: this.issueLoc(r, 'width')
         });
       }
     }
     return issues;
   }
 
-  detectBreakpointFixedWidth({ parsed }) {
+  detectBreakpointFixedWidth({ parsed, layout }) {
     const issues = [];
     for (const r of parsed.rules) {
-      if (!r.at || r.at.type !== 'media') continue;
-      const cond = r.at.condition || '';
-      const m = cond.match(/(\d+)\s*px/i);
-      if (!m) continue;
-
-      const breakpoint = parseInt(m[1], 10);
-      const w = r.declarations['width'];
-      const px = w && /(\d+)px/i.exec(w);
+      const width = r.effective['width'];
+      if (!width || !getMediaConditions(r).length) continue;
+
+      // Each range the rule applies in is narrowest at its lower bound: lay the
+      // element out there, with this rule's width in effect
+      let box = null;
+      let range = null;
+      for (const candidate of this.supportedRanges(r)) {
+        const bound = lowerBound([candidate]);
+        box = splitSelectorList(r.selector)
+          .map(sel => layout.box(sel, bound))
+          .find(b => b && b.sources.width === width && b.exceeds);
+        range = candidate;
+        if (box) break;
+      }
 
-      if (px) {
-        const val = parseInt(px[1], 10);
-        if (val > breakpoint) {
-          issues.push({
-            issue: 'Fixed width exceeds breakpoint',
-            explanation: 'Width in px inside max-width media exceeds the breakpoint',
-            viewportImpact: 'Guaranteed overflow below breakpoint',
-            severity: 'critical',
-            correction: 'Use fluid width or cap with max-width ≤ breakpoint',
-            selector: r.selector
-          });
-        }
+      if (box) {
+        issues.push({
+          issue: 'Fixed width exceeds breakpoint',
+          explanation: `${box.selector} is ${Math.round(box.marginBox)}px wide at ${box.viewport}px, the narrowest viewport of its ${formatRanges([range])} range`,
+          viewportImpact: 'Guaranteed overflow below breakpoint',
+          severity: 'critical',
+          correction: 'Use fluid width or cap with max-width ≤ breakpoint',
+          property: 'width',
+          value: width.value,
+          selector: r.selector,
+          loc: this.issueLoc(r, 'width')
+        });
       }
     }
     return issues;
@@ -816,11 +766,12 @@ class LintEngine {
     const mediaMap = {};
 
     for (const r of parsed.rules) {
-      if (r.at && r.at.type === 'media') {
+      if (r.variantOf) continue;
+      if (getMediaConditions(r).length) {
         const w = r.declarations['width'];
         if (w) {
           if (!mediaMap[r.selector]) mediaMap[r.selector] = [];
-          mediaMap[r.selector].push(w);
+          mediaMap[r.selector].push({ value: w, rule: r });
         }
       } else {
         const w = r.declarations['width'];
@@ -833,17 +784,18 @@ class LintEngine {
       const mediaWs = mediaMap[sel];
       if (!baseW) continue;
 
-      const bpx = /(\d+)px/i.exec(baseW);
+      const bpx = this.fixedPx(baseW);
       for (const mw of mediaWs) {
-        const mpx = /(\d+)px/i.exec(mw);
-        if (bpx && mpx && bpx[1] !== mpx[1]) {
+        const mpx = this.fixedPx(mw.value);
+        if (bpx !== null && mpx !== null && bpx !== mpx) {
           issues.push({
             issue: 'Media query instability',
             explanation: 'Fixed px width changes across base and media queries',
             viewportImpact: 'Layout width fluctuates unpredictably',
             severity: 'medium',
             correction: 'Use fluid widths or harmonize breakpoint widths',
-            selector: sel
+            selector: sel,
+            loc: this.issueLoc(mw.rule, 'width')
           });
           break;
         }
@@ -853,6 +805,149 @@ class LintEngine {
     return issues;
   }
 
+  detectUnreachableMediaQueries({ parsed }) {
+    const issues = [];
+    const seen = new Set();
+    for (const r of parsed.rules) {
+      // Widths the enclosing media queries leave for the next one in the chain
+      let outer = ALL;
+      for (const at of r.atRules || []) {
+        if (at.type !== 'media') continue;
+        const queries = parseMediaQueryList(at.condition);
+        const inner = intersect(outer, union(...queries.map(q => q.ranges)));
+        const loc = at.conditionLoc || at.loc;
+        const key = loc ? loc.start.offset : at.condition;
+
+        if (!seen.has(key)) {
+          seen.add(key);
+          const dead = queries.filter(q => q.unreachable);
+          let explanation = null;
+          if (dead.length) {
+            explanation = `${dead.map(q => q.text).join(', ')} matches no viewport width`;
+          } else if (outer.length && outer !== ALL && !inner.length && queries.some(q => q.ranges.length)) {
+            explanation = `${at.condition} never matches inside a media query limited to ${formatRanges(outer)}`;
+          }
+          if (explanation) {
+            issues.push({
+              issue: 'Unreachable media query',
+              explanation,
+              viewportImpact: 'Styles inside never apply at any viewport',
+              severity: 'medium',
+              correction: 'Fix the inverted or contradictory width bounds, or remove the block',
+              selector: `@media ${at.condition}`,
+              loc
+            });
+          }
+        }
+        outer = inner;
+      }
+    }
+    return issues;
+  }
+
+  detectBreakpointEdges({ parsed }) {
+    const issues = [];
+    // Wider overlaps and gaps between two blocks are taken as intentional
+    const overlapTolerance = this.ruleOption('bms/breakpoint-overlap', 'tolerance');
+    const gapTolerance = this.ruleOption('bms/breakpoint-gap', 'tolerance');
+    const lo = Math.min(this.config.viewportMin, this.config.viewportMax);
+    const hi = Math.max(this.config.viewportMin, this.config.viewportMax);
+
+    const wholePixels = (ranges, tolerance) => {
+      if (!ranges.length || ranges[ranges.length - 1].max - ranges[0].min > tolerance) return [];
+      const widths = [];
+      for (let w = Math.ceil(ranges[0].min); w <= ranges[ranges.length - 1].max; w++) {
+        if (contains(ranges, w)) widths.push(w);
+      }
+      return widths;
+    };
+    const list = (widths) => (widths.length === 1 ? `exactly ${widths[0]}px` : `${widths.join('px, ')}px`);
+    const media = (rule) => `@media ${getMediaConditions(rule).join(' and ')}`;
+
+    for (const [selector, rules] of groupBySelector(parsed.rules.filter(r => !r.variantOf))) {
+      // Blocks of this selector bounded by a width range inside the supported span
+      const blocks = rules
+        .filter(rule => getMediaConditions(rule).length)
+        .map(rule => ({ rule, ranges: this.supportedRanges(rule) }))
+        .filter(b => b.ranges.length && !(b.ranges.length === 1 && b.ranges[0].min === lo && b.ranges[0].max === hi));
+
+      for (let j = 1; j < blocks.length; j++) {
+        for (let i = 0; i < j; i++) {
+          const a = blocks[i];
+          const b = blocks[j];
+          const shared = Object.keys(b.rule.declarations).filter(p => p in a.rule.declarations);
+          if (!shared.length) continue;
+          const related = [{ message: `${selector} in ${media(a.rule)}`, loc: this.mediaLoc(a.rule) }];
+
+          // Both blocks apply at the edge where one range should hand over to the other
+          const common = overlap(a.ranges, b.ranges);
+          const nested = [a.ranges, b.ranges].some(r => JSON.stringify(r) === JSON.stringify(common));
+          const both = nested ? [] : wholePixels(common, overlapTolerance);
+          const diverging = shared.find(p => a.rule.declarations[p] !== b.rule.declarations[p]);
+          if (both.length && diverging) {
+            issues.push({
+              issue: 'Breakpoint overlap',
+              explanation: `${media(a.rule)} and ${media(b.rule)} both apply to ${selector} at ${list(both)}: ${diverging} is ${a.rule.declarations[diverging]} in one and ${b.rule.declarations[diverging]} in the other`,
+              viewportImpact: `Mixed styles at ${list(both)}, where the later block wins`,
+              severity: 'medium',
+              correction: 'Make the ranges meet without sharing a width (e.g. max-width: 767.98px and min-width: 768px, or range syntax width < 768px)',
+              property: diverging,
+              value: b.rule.declarations[diverging],
+              selector,
+              loc: this.mediaLoc(b.rule),
+              related
+            });
+            continue;
+          }
+
+          // Neither block applies in a dead zone between their ranges
+          const touches = (x, y, g) => x.ranges.some(r => r.max === g.min) && y.ranges.some(r => r.min === g.max);
+          for (const gap of gaps([a.ranges, b.ranges], lo, hi)) {
+            if (!touches(a, b, gap) && !touches(b, a, gap)) continue;
+            const uncovered = wholePixels([gap], gapTolerance).filter(w => !blocks.some(c => contains(c.ranges, w)));
+            if (!uncovered.length) continue;
+            issues.push({
+              issue: 'Breakpoint gap',
+              explanation: `Neither ${media(a.rule)} nor ${media(b.rule)} applies to ${selector} at ${list(uncovered)}`,
+              viewportImpact: `${shared[0]} falls back to the base styles at ${list(uncovered)}`,
+              severity: 'medium',
+              correction: 'Make the ranges meet (e.g. max-width: 767.98px and min-width: 768px, or range syntax width < 768px)',
+              property: shared[0],
+              value: b.rule.declarations[shared[0]],
+              selector,
+              loc: this.mediaLoc(b.rule),
+              related
+            });
+            break;
+          }
+        }
+      }
+    }
+    return issues;
+  }
+
+  detectOffScaleBreakpoints({ parsed }) {
+    const scale = [].concat(this.ruleOption('bms/off-scale-breakpoint', 'scale') || []).filter(Number.isFinite);
+    if (!scale.length) return [];
+
+    return collectBreakpoints(parsed.rules)
+      .filter(bp => !isOnScale(bp.px, scale))
+      .map((bp) => {
+        const nearest = nearestBreakpoint(bp.px, scale);
+        return {
+          issue: 'Off-scale breakpoint',
+          explanation: `${bp.text} is not on the breakpoint scale (${scale.join(', ')})`,
+          viewportImpact: 'Layouts switch at slightly different widths across the codebase',
+          severity: 'low',
+          correction: `Snap to ${nearest}px, the nearest breakpoint on the scale`,
+          property: bp.feature,
+          value: bp.text,
+          selector: `@media ${bp.condition.replace(/\s+/g, ' ')}`,
+          loc: bp.loc
+        };
+      });
+  }
+
   detectFlexFragility({ parsed }) {
     const issues = [];
     for (const r of parsed.rules) {
@@ -865,27 +960,22 @@ class LintEngine {
       const d = r.declarations['display'];
       if (!(d && /flex/i.test(d))) continue;
 
+      // Longhands, whether written out or set by flex / flex-flow
       const wrap = r.declarations['flex-wrap'];
       const basis = r.declarations['flex-basis'];
-      const flex = r.declarations['flex'];
-
-      if (wrap && /nowrap/i.test(wrap) && ((basis && /\b\d+px\b/i.test(basis)) || (flex && /\b0\s+0\s+\d+px\b/i.test(flex)))) {
-        let num = NaN;
-        if (basis) {
-          const mm = /(\d+(?:\.\d+)?)px/i.exec(basis);
-          if (mm) num = parseFloat(mm[1]);
-        } else if (flex) {
-          const mm = /\b0\s+0\s+(\d+(?:\.\d+)?)px\b/i.exec(flex);
-          if (mm) num = parseFloat(mm[1]);
-        }
-        if (this.shouldReportFixedValue('flex-basis', num)) {
+
+      const basisPx = this.fixedPx(basis);
+
+      if (wrap && /nowrap/i.test(wrap) && basisPx !== null) {
+        if (this.shouldReportFixedValue('flex-basis', basisPx, 'bms/flex-basis-nowrap')) {
           issues.push({
             issue: 'Non-wrapping fixed flex basis',
             explanation: 'No wrap with fixed basis causes overflow and rigidity',
             viewportImpact: 'Items overflow container on small screens',
             severity: 'critical',
             correction: 'Enable wrapping or use responsive flex-basis',
-            selector: r.selector
+            selector: r.selector,
+            loc: this.issueLoc(r, 'flex-basis')
           });
         }
       }
@@ -897,24 +987,24 @@ class LintEngine {
           viewportImpact: 'Children overflow on narrow screens',
           severity: 'medium',
           correction: 'Set flex-wrap: wrap when widths are rigid',
-          selector: r.selector
+          selector: r.selector,
+          loc: this.issueLoc(r, 'display')
         });
       }
 
       const grow = r.declarations['flex-grow'];
       const shrink = r.declarations['flex-shrink'];
 
-      if (grow === '0' && shrink === '0' && basis && /\b\d+px\b/i.test(basis)) {
-        const mm = /(\d+(?:\.\d+)?)px/i.exec(basis);
-        const num = mm ? parseFloat(mm[1]) : NaN;
-        if (this.shouldReportFixedValue('flex-basis', num)) {
+      if (grow === '0' && shrink === '0' && basisPx !== null) {
+        if (this.shouldReportFixedValue('flex-basis', basisPx, 'bms/rigid-flex-item')) {
           issues.push({
             issue: 'Rigid flex item',
             explanation: 'No growth or shrink with fixed basis reduces flexibility',
             viewportImpact: 'Poor reflow under varying viewport widths',
             severity: 'medium',
             correction: 'Allow shrink or use relative basis',
-            selector: r.selector
+            selector: r.selector,
+            loc: this.issueLoc(r, 'flex-basis')
           });
         }
       }
@@ -938,26 +1028,18 @@ class LintEngine {
       const acol = r.declarations['grid-auto-columns'];
       const trows = r.declarations['grid-template-rows'];
 
-      const pxCols = tcols && /\b\d+px\b/.test(tcols);
-      const pxRows = trows && /\b\d+px\b/.test(trows);
-      const pxAuto = acol && /\b\d+px\b/.test(acol);
+      const colTracks = this.rigidTracks(tcols);
+      const rowTracks = this.rigidTracks(trows);
+      const autoTracks = this.rigidTracks(acol);
+      const pxCols = colTracks.length > 0;
+      const pxRows = rowTracks.length > 0;
+      const pxAuto = autoTracks.length > 0;
 
       if (pxCols || pxRows || pxAuto) {
         let report = true;
         if ((this.config.mode || 'strict').toLowerCase() === 'pragmatic') {
-          const extractNums = (v) => {
-            const nums = [];
-            if (!v || typeof v !== 'string') return nums;
-            const re = /(\d+(?:\.\d+)?)px/ig;
-            let m;
-            while ((m = re.exec(v)) !== null) nums.push(parseFloat(m[1]));
-            return nums;
-          };
-          const allNums = []
-            .concat(extractNums(tcols))
-            .concat(extractNums(trows))
-            .concat(extractNums(acol));
-          report = allNums.some(n => this.shouldReportFixedValue('grid-track', n));
+          const allNums = [].concat(colTracks, rowTracks, autoTracks);
+          report = allNums.some(n => this.shouldReportFixedValue('grid-track', n, 'bms/rigid-grid-tracks'));
         }
         if (report) {
           issues.push({
@@ -966,7 +1048,12 @@ class LintEngine {
             viewportImpact: 'Grid fails to reflow on narrow or wide screens',
             severity: 'medium',
             correction: 'Use fr units or minmax with responsive bounds',
-            selector: r.selector
+            selector: r.selector,
+            loc: this.issueLoc(r, ...[
+              pxCols && 'grid-template-columns',
+              pxRows && 'grid-template-rows',
+              pxAuto && 'grid-auto-columns'
+            ].filter(Boolean))
           });
         }
       }
@@ -974,6 +1061,35 @@ class LintEngine {
     return issues;
   }
 
+  /**
+   * Sizes of the tracks in a track list that cannot adapt to the viewport.
+   * `minmax()` is rigid only when both bounds are fixed; `repeat(auto-fit|auto-fill, …)`
+   * and `fit-content()` adapt.
+   * @param {string} value
+   * @returns {number[]} px sizes of rigid tracks
+   */
+  rigidTracks(value) {
+    const sizes = [];
+    for (const { text } of splitValue(String(value || ''))) {
+      if (/^\[/.test(text) || text === '/') continue;
+      const repeat = /^repeat\(\s*([^,]+),([\s\S]*)\)$/i.exec(text);
+      if (repeat) {
+        if (/^\d+$/.test(repeat[1].trim())) sizes.push(...this.rigidTracks(repeat[2]));
+        continue;
+      }
+      const minmax = /^minmax\(([^,]+),([\s\S]*)\)$/i.exec(text);
+      if (minmax) {
+        const lo = this.fixedPx(minmax[1].trim());
+        const hi = this.fixedPx(minmax[2].trim());
+        if (lo !== null && hi !== null) sizes.push(Math.max(lo, hi));
+        continue;
+      }
+      const px = this.fixedPx(text);
+      if (px !== null) sizes.push(px);
+    }
+    return sizes;
+  }
+
   detectAbsoluteContainment({ parsed }) {
     const issues = [];
     for (const r of parsed.rules) {
@@ -992,20 +1108,19 @@ class LintEngine {
       const bottom = r.declarations['bottom'];
       const w = r.declarations['width'];
 
-      if (
-        (left && /\b\d+px\b/i.test(left)) ||
-        (right && /\b\d+px\b/i.test(right)) ||
-        (top && /\b\d+px\b/i.test(top)) ||
-        (bottom && /\b\d+px\b/i.test(bottom)) ||
-        (w && /\b\d+px\b/i.test(w))
-      ) {
+      const rigid = [['left', left], ['right', right], ['top', top], ['bottom', bottom], ['width', w]]
+        .filter(([, v]) => this.fixedPx(v) !== null)
+        .map(([k]) => k);
+
+      if (rigid.length) {
         issues.push({
           issue: 'Absolute positioning rigidity',
           explanation: 'Absolute positions with fixed pixels reduce adaptability',
           viewportImpact: 'Elements misalign under viewport changes',
           severity: 'medium',
           correction: 'Prefer relative offsets or responsive units',
-          selector: r.selector
+          selector: r.selector,
+          loc: this.issueLoc(r, ...rigid)
         });
       }
     }
@@ -1023,29 +1138,34 @@ class LintEngine {
       } catch (_) {}
       for (const k of Object.keys(r.declarations)) {
         const v = r.declarations[k];
+        const decl = this.findDeclaration(r, k);
 
-        if (typeof v === 'string' && /!important/i.test(v) && /^(width|height|margin|padding|left|right|top|bottom|flex|grid)/i.test(k)) {
+        // Longhands set by a shorthand are reported once, on the shorthand
+        if (decl && decl.important && !decl.shorthand && /^(width|height|margin|padding|left|right|top|bottom|flex|grid)/i.test(k)) {
           issues.push({
             issue: 'Layout property with !important',
             explanation: 'Important flags on layout hinder responsive overrides',
             viewportImpact: 'Difficult to adapt across breakpoints',
             severity: 'low',
             correction: 'Remove !important and use specificity or cascade',
-            selector: r.selector
+            selector: r.selector,
+            loc: this.issueLoc(r, k)
           });
         }
 
-        if (/^(margin|padding|gap)$/i.test(k) && /\b\d+px\b/i.test(v)) {
-          const mm = /(\d+(?:\.\d+)?)px/i.exec(v);
-          const num = mm ? parseFloat(mm[1]) : NaN;
-          if (this.shouldReportFixedValue('spacing', num)) {
+        const spacingPx = /^(margin|padding|gap)$/i.test(k)
+          ? splitValue(v).map(p => this.fixedPx(p.text)).find(px => px !== null)
+          : undefined;
+        if (spacingPx !== undefined) {
+          if (this.shouldReportFixedValue('spacing', spacingPx, 'bms/fixed-spacing')) {
             issues.push({
               issue: 'Fixed pixel spacing',
               explanation: 'Fixed spacing can break scaling',
               viewportImpact: 'Compressed or expanded layout across devices',
               severity: 'low',
               correction: 'Use responsive units or clamp',
-              selector: r.selector
+              selector: r.selector,
+              loc: this.issueLoc(r, k)
             });
           }
         }
@@ -1054,17 +1174,115 @@ class LintEngine {
     return issues;
   }
 
+  detectOffScaleValues({ parsed }) {
+    const steps = this.valueScale();
+    if (!steps.length) return [];
+    const properties = [].concat(this.ruleOption('bms/off-scale-value', 'properties') || []);
+    const tokens = steps.some(step => step.variable);
 
+    const issues = [];
+    for (const r of parsed.rules) {
+      for (const decl of r.decls || []) {
+        // Values from variables are already on the system, or reported where they are defined
+        if (decl.rawValue !== undefined || !decl.valueLoc || !isRemProperty(decl.prop, properties)) continue;
+        const { start, end } = decl.valueLoc;
+        const exact = start.line === end.line && end.offset - start.offset === decl.value.length;
+
+        for (const part of splitValue(decl.value)) {
+          const m = /^(-?)((?:\d+\.?\d*|\.\d+)(?:px|rem))$/i.exec(part.text);
+          const px = m ? lengthPx(m[2], this.config.rootFontSize) : null;
+          if (!px || stepFor(px, steps)) continue;
+
+          const nearest = nearestStep(px, steps);
+          let replacement;
+          if (nearest.variable) replacement = m[1] ? `calc(var(${nearest.variable}) * -1)` : `var(${nearest.variable})`;
+          else if (/rem$/i.test(m[2])) replacement = `${m[1]}${Number((nearest.px / this.config.rootFontSize).toFixed(this.config.remPrecision))}rem`;
+          else replacement = `${m[1]}${nearest.px}px`;
+          const at = (delta) => ({ line: start.line, column: start.column + delta, offset: start.offset + delta });
+          issues.push({
+            issue: 'Off-scale value',
+            explanation: tokens ? `${part.text} matches no design token` : `${part.text} is not on the configured scale`,
+            viewportImpact: 'Spacing and sizes drift from the design system',
+            severity: 'low',
+            correction: nearest.variable
+              ? `Use ${replacement} (${nearest.value}), the nearest token`
+              : `Use ${replacement}, the nearest value on the scale`,
+            property: decl.prop,
+            value: part.text,
+            replacement,
+            selector: r.selector,
+            loc: exact ? { start: at(part.start), end: at(part.end) } : decl.valueLoc
+          });
+        }
+      }
+    }
+    return issues;
+  }
 
-  /**
-   * Cleanup on deactivation
-   */
-  dispose() {
-    for (const timer of this.debounceTimers.values()) {
-      clearTimeout(timer);
+  detectOverriddenDeclarations({ parsed }) {
+    const issues = [];
+    const layout = /^(width|height|min-|max-|margin|padding|inset|left|right|top|bottom|flex|grid|gap|display|position|box-sizing|overflow)/i;
+    // Values older browsers drop, so the declaration before them is their fallback
+    const newer = /\d(?:[sld]v(?:[hwib]|min|max)|cq(?:[hwib]|min|max))\b|\b(?:stretch|fit-content)\b|-webkit-fill-available/i;
+    const fallback = (overridden, winner) => {
+      if (/-(webkit|moz|ms|o)-/i.test(overridden.value + winner.value)) return true;
+      if (/\b(min|max|clamp|calc|var|env|fit-content|minmax)\(/i.test(winner.rawValue || winner.value) && !/\(/.test(overridden.rawValue || overridden.value)) return true;
+      if (!winner.loc || !overridden.loc || winner.loc.start.offset <= overridden.loc.start.offset) return false;
+      if (winner.prop === 'display') {
+        return /^(inline-)?(grid|contents)$/i.test(winner.value) && /^(inline-)?(flex|block)$/i.test(overridden.value);
+      }
+      return newer.test(winner.value) && !newer.test(overridden.value);
+    };
+
+    for (const r of parsed.rules) {
+      for (const d of r.decls || []) {
+        const winner = this.findDeclaration(r, d.prop);
+        if (!winner || winner === d || !layout.test(d.prop) || fallback(d, winner)) continue;
+
+        const byImportant = winner.important && !d.important;
+        issues.push({
+          issue: 'Overridden layout declaration',
+          explanation: byImportant
+            ? `${d.prop} has no effect: an !important declaration in the same block wins`
+            : winner.shorthand
+              ? `${d.prop} is reset by a later ${winner.shorthand} shorthand in the same block and never applies`
+              : `${d.prop} is declared again later in the same block and never applies`,
+          viewportImpact: `Only ${d.prop}: ${winner.value}${winner.important ? ' !important' : ''} reaches the layout`,
+          severity: 'low',
+          correction: 'Remove the overridden declaration or merge the values',
+          property: d.prop,
+          value: d.value,
+          selector: r.selector,
+          loc: d.loc
+        });
+      }
     }
-    this.debounceTimers.clear();
+    return issues;
+  }
+
+  detectParseErrors({ parsed }) {
+    return (parsed.errors || []).map(e => ({
+      issue: 'Parse error',
+      explanation: e.message,
+      viewportImpact: 'Browsers drop the malformed part; the rules around it may not apply as written',
+      severity: 'critical',
+      correction: 'Fix the syntax at this location',
+      selector: '',
+      loc: e.loc
+    }));
   }
 }
 
-module.exports = { LintEngine };
+/**
+ * Analyze a stylesheet outside the editor
+ * @param {string} text
+ * @param {{language?: string, config?: object, filePath?: string}} [options] -
+ *   `config` is applied over DEFAULT_SETTINGS; with `filePath`, project config
+ *   files found for it apply on top
+ * @returns {object[]} Issues with `rule`, `severity` and a zero-based `range`
+ */
+function analyzeCss(text, { language = 'css', config = {}, filePath } = {}) {
+  return new LintEngine(config).detectIssues(text, { language, filePath });
+}
+
+module.exports = { LintEngine, DEFAULT_SETTINGS, analyzeCss };
@@ -0,0 +1,447 @@
+/**
+ * Box Model Sentinel - Media Query
+ * Converte media queries em intervalos de largura de viewport
+ */
+
+const { evaluateLength } = require('./value-evaluator');
+const { getMediaConditions, splitSelectorList } = require('./parser');
+
+/**
+ * @typedef {Object} Interval
+ * @property {number} min - Lower bound, px
+ * @property {number} max - Upper bound, px (Infinity when open-ended)
+ * @property {boolean} minInclusive
+ * @property {boolean} maxInclusive
+ */
+
+/**
+ * A sorted list of disjoint intervals of viewport widths. `[]` matches no
+ * width, {@link ALL} matches every width.
+ * @typedef {Interval[]} RangeSet
+ */
+
+/**
+ * @typedef {Object} MediaQuery
+ * @property {string} text - The query as written
+ * @property {RangeSet} ranges - Screen widths the query matches at
+ * @property {boolean} unreachable - The width conditions contradict each other,
+ *   so the query matches at no width on any media type
+ */
+
+/** @type {RangeSet} */
+const ALL = Object.freeze([Object.freeze({ min: 0, max: Infinity, minInclusive: true, maxInclusive: false })]);
+
+/** Media types a screen viewport never matches (unknown words, e.g. preprocessor variables, are kept) */
+const NON_SCREEN_TYPES = new Set(['print', 'speech', 'aural', 'braille', 'embossed', 'handheld', 'projection', 'tty', 'tv']);
+
+/**
+ * @param {number} min
+ * @param {number} max
+ * @param {boolean} [minInclusive=true]
+ * @param {boolean} [maxInclusive=true]
+ * @returns {Interval}
+ */
+function interval(min, max, minInclusive = true, maxInclusive = true) {
+  return { min, max, minInclusive, maxInclusive: max === Infinity ? false : maxInclusive };
+}
+
+/**
+ * @param {Interval} i
+ * @returns {boolean}
+ */
+function isEmptyInterval(i) {
+  return i.min > i.max || (i.min === i.max && !(i.minInclusive && i.maxInclusive));
+}
+
+/**
+ * Sort, drop empty intervals and merge overlapping or touching ones
+ * @param {Interval[]} intervals
+ * @returns {RangeSet}
+ */
+function normalize(intervals) {
+  const sorted = intervals
+    .filter(i => !isEmptyInterval(i))
+    .sort((a, b) => a.min - b.min || Number(b.minInclusive) - Number(a.minInclusive));
+  const out = [];
+  for (const i of sorted) {
+    const last = out[out.length - 1];
+    const touches = last && (i.min < last.max || (i.min === last.max && (last.maxInclusive || i.minInclusive)));
+    if (!touches) {
+      out.push({ ...i });
+    } else if (i.max > last.max || (i.max === last.max && i.maxInclusive)) {
+      last.max = i.max;
+      last.maxInclusive = i.maxInclusive;
+    }
+  }
+  return out;
+}
+
+/**
+ * Widths in both range sets
+ * @param {RangeSet} a
+ * @param {RangeSet} b
+ * @returns {RangeSet}
+ */
+function intersect(a, b) {
+  const out = [];
+  for (const x of a) {
+    for (const y of b) {
+      const lower = x.min > y.min || (x.min === y.min && !x.minInclusive) ? x : y;
+      const upper = x.max < y.max || (x.max === y.max && !x.maxInclusive) ? x : y;
+      out.push(interval(lower.min, upper.max, lower.minInclusive, upper.maxInclusive));
+    }
+  }
+  return normalize(out);
+}
+
+/**
+ * Widths in either range set
+ * @param {...RangeSet} sets
+ * @returns {RangeSet}
+ */
+function union(...sets) {
+  return normalize([].concat(...sets));
+}
+
+/**
+ * Widths not in the range set
+ * @param {RangeSet} set
+ * @returns {RangeSet}
+ */
+function complement(set) {
+  const out = [];
+  let min = 0;
+  let minInclusive = true;
+  for (const i of normalize(set)) {
+    out.push(interval(min, i.min, minInclusive, !i.minInclusive));
+    min = i.max;
+    minInclusive = !i.maxInclusive;
+  }
+  if (min !== Infinity) out.push(interval(min, Infinity, minInclusive));
+  return normalize(out);
+}
+
+/**
+ * @param {RangeSet} set
+ * @param {number} width
+ * @returns {boolean}
+ */
+function contains(set, width) {
+  return set.some(i =>
+    (width > i.min || (width === i.min && i.minInclusive)) &&
+    (width < i.max || (width === i.max && i.maxInclusive)));
+}
+
+/**
+ * Widths at which both range sets match
+ * @param {RangeSet} a
+ * @param {RangeSet} b
+ * @returns {RangeSet} `[]` when they do not overlap
+ */
+function overlap(a, b) {
+  return intersect(a, b);
+}
+
+/**
+ * Widths between `from` and `to` that no range set covers
+ * @param {RangeSet[]} sets
+ * @param {number} from
+ * @param {number} to
+ * @returns {RangeSet}
+ */
+function gaps(sets, from, to) {
+  return intersect(complement(union(...sets)), [interval(from, to)]);
+}
+
+/**
+ * Narrowest viewport width in a range set, rounded up to a whole pixel when
+ * the bound itself is excluded
+ * @param {RangeSet} set
+ * @returns {number|null}
+ */
+function lowerBound(set) {
+  if (!set.length) return null;
+  const { min, minInclusive } = set[0];
+  return minInclusive ? min : Math.floor(min) + 1;
+}
+
+/**
+ * Human-readable widths, e.g. `768px–1023px`, `≥ 1024px`, `< 768px`
+ * @param {RangeSet} set
+ * @returns {string}
+ */
+function formatRanges(set) {
+  if (!set.length) return 'no width';
+  const px = (n) => `${Math.round(n * 100) / 100}px`;
+  return set.map((i) => {
+    if (i.min === i.max) return px(i.min);
+    if (i.max === Infinity) return i.min === 0 && i.minInclusive ? 'any width' : `${i.minInclusive ? '≥' : '>'} ${px(i.min)}`;
+    if (i.min === 0 && i.minInclusive) return `${i.maxInclusive ? '≤' : '<'} ${px(i.max)}`;
+    if (i.minInclusive && i.maxInclusive) return `${px(i.min)}–${px(i.max)}`;
+    return `${i.minInclusive ? '[' : '('}${px(i.min)}, ${px(i.max)}${i.maxInclusive ? ']' : ')'}`;
+  }).join(', ');
+}
+
+/**
+ * Split a condition into top-level words and parenthesized groups
+ * @param {string} text
+ * @returns {{type: 'word'|'group', value: string}[]|null} null when parentheses do not balance
+ */
+function splitCondition(text) {
+  const items = [];
+  let i = 0;
+  while (i < text.length) {
+    const ch = text[i];
+    if (/\s/.test(ch)) {
+      i++;
+    } else if (ch === '(') {
+      let depth = 0;
+      let j = i;
+      for (; j < text.length; j++) {
+        if (text[j] === '(') depth++;
+        else if (text[j] === ')' && --depth === 0) break;
+      }
+      if (depth !== 0) return null;
+      items.push({ type: 'group', value: text.slice(i + 1, j) });
+      i = j + 1;
+    } else if (ch === ')') {
+      return null;
+    } else {
+      const m = /^[^\s()]+/.exec(text.slice(i));
+      items.push({ type: 'word', value: m[0].toLowerCase() });
+      i += m[0].length;
+    }
+  }
+  return items;
+}
+
+/**
+ * Pixel value of a media feature value (`768px`, `48em`, `calc(40rem + 8px)`)
+ * @param {string} text
+ * @param {number} rootFontSize - Also the size of `em` in media queries
+ * @returns {number|null}
+ */
+function featureLength(text, rootFontSize) {
+  const value = text.trim();
+  if (/^0+(\.0*)?$/.test(value)) return 0;
+  const m = evaluateLength(value, { rootFontSize });
+  return m && m.kind === 'fixed' ? m.min : null;
+}
+
+/**
+ * Ranges of a single media feature; null when it does not constrain the width
+ * @param {string} text - Feature without its parentheses
+ * @param {number} rootFontSize
+ * @returns {RangeSet|null}
+ */
+function parseFeature(text, rootFontSize) {
+  const plain = /^\s*([a-z-]+)\s*:\s*([^]+?)\s*$/i.exec(text);
+  if (plain) {
+    const name = plain[1].toLowerCase();
+    if (!/^(min-|max-)?width$/.test(name)) return null;
+    const px = featureLength(plain[2], rootFontSize);
+    if (px === null) return null;
+    if (name === 'min-width') return [interval(px, Infinity)];
+    if (name === 'max-width') return [interval(0, px)];
+    return [interval(px, px)];
+  }
+
+  // Range syntax: `width >= 600px`, `600px < width`, `400px <= width <= 700px`
+  const parts = text.split(/\s*(<=|>=|<|>|=)\s*/).map(p => p.trim());
+  if (parts.length !== 3 && parts.length !== 5) return null;
+  const at = parts.findIndex((p, i) => i % 2 === 0 && p.toLowerCase() === 'width');
+  if (at === -1) return null;
+
+  let ranges = ALL;
+  const bound = (op, px, widthOnLeft) => {
+    // Normalize to `width <op> px`
+    const flipped = { '<': '>', '>': '<', '<=': '>=', '>=': '<=', '=': '=' };
+    const o = widthOnLeft ? op : flipped[op];
+    if (o === '=') return [interval(px, px)];
+    if (o === '<') return [interval(0, px, true, false)];
+    if (o === '<=') return [interval(0, px)];
+    if (o === '>') return [interval(px, Infinity, false)];
+    return [interval(px, Infinity)];
+  };
+  for (const side of [at - 2, at + 2]) {
+    if (side < 0 || side >= parts.length) continue;
+    const px = featureLength(parts[side], rootFontSize);
+    if (px === null) return null;
+    const op = side < at ? parts[side + 1] : parts[at + 1];
+    ranges = intersect(ranges, bound(op, px, side > at));
+  }
+  return ranges;
+}
+
+/**
+ * Ranges of a media condition; null when it does not constrain the width
+ * @param {{type: string, value: string}[]} items
+ * @param {number} rootFontSize
+ * @returns {RangeSet|null}
+ */
+function parseConditionItems(items, rootFontSize) {
+  if (!items.length) return null;
+  const inParens = (item) => {
+    if (!item || item.type !== 'group') return null;
+    const inner = splitCondition(item.value);
+    const nested = inner && (inner[0] && (inner[0].type === 'group' || inner[0].value === 'not'));
+    return nested ? parseConditionItems(inner, rootFontSize) : parseFeature(item.value, rootFontSize);
+  };
+
+  if (items[0].type === 'word' && items[0].value === 'not') {
+    const ranges = inParens(items[1]);
+    return ranges === null ? null : complement(ranges);
+  }
+
+  const operands = [inParens(items[0])];
+  const combinator = items[1] && items[1].value;
+  for (let i = 1; i < items.length; i += 2) {
+    // `and` and `or` cannot be mixed without parentheses
+    if (items[i].type !== 'word' || items[i].value !== combinator || !/^(and|or)$/.test(combinator)) return null;
+    operands.push(inParens(items[i + 1]));
+  }
+  if (combinator === 'or') {
+    return operands.some(o => o === null) ? null : union(...operands);
+  }
+  const known = operands.filter(o => o !== null);
+  return known.length ? known.reduce(intersect) : null;
+}
+
+/**
+ * Parse a media query list into the viewport widths each query matches on screen
+ * @param {string} condition - The at-rule prelude, e.g. `screen and (min-width: 48em), print`
+ * @param {{rootFontSize?: number}} [options]
+ * @returns {MediaQuery[]}
+ */
+function parseMediaQueryList(condition, options = {}) {
+  const rootFontSize = Number.isFinite(options.rootFontSize) ? options.rootFontSize : 16;
+  return splitSelectorList(String(condition || '')).map((text) => {
+    const items = splitCondition(text);
+    if (!items || !items.length) return { text, ranges: ALL, unreachable: false };
+
+    // [not|only]? <media-type> [and <condition>]?
+    let negated = false;
+    let screen = true;
+    let rest = items;
+    if (rest[0].type === 'word' && /^(not|only)$/.test(rest[0].value) && rest[1] && rest[1].type === 'word') {
+      negated = rest[0].value === 'not';
+      rest = rest.slice(1);
+    }
+    if (rest[0].type === 'word' && rest[0].value !== 'not') {
+      screen = !NON_SCREEN_TYPES.has(rest[0].value);
+      rest = rest[1] && rest[1].value === 'and' ? rest.slice(2) : rest.slice(1);
+    }
+
+    const width = rest.length ? parseConditionItems(rest, rootFontSize) : null;
+    const unreachable = Boolean(width && !width.length);
+    let ranges = screen ? width || ALL : [];
+    if (negated) ranges = complement(ranges);
+    return { text, ranges, unreachable };
+  });
+}
+
+/**
+ * @typedef {Object} Breakpoint
+ * @property {'min-width'|'max-width'|'width'} feature - What the value bounds
+ * @property {string} text - The value as written, e.g. `48em`
+ * @property {number} px - The value in px
+ * @property {number} start - Offset of the value in the condition
+ * @property {number} end - Offset just past the value
+ */
+
+/**
+ * Width values used in a media query list, in either the `min-width: 768px`
+ * or the range (`width >= 768px`) form
+ * @param {string} condition
+ * @param {{rootFontSize?: number}} [options]
+ * @returns {Breakpoint[]}
+ */
+function mediaBreakpoints(condition, options = {}) {
+  const rootFontSize = Number.isFinite(options.rootFontSize) ? options.rootFontSize : 16;
+  const text = String(condition || '');
+  const found = [];
+  const add = (feature, start, value) => {
+    const trimmed = value.trim();
+    const px = featureLength(trimmed, rootFontSize);
+    if (px === null) return;
+    const at = start + value.indexOf(trimmed);
+    found.push({ feature, text: trimmed, px, start: at, end: at + trimmed.length });
+  };
+
+  const group = /\(([^()]*)\)/g;
+  let m;
+  while ((m = group.exec(text))) {
+    const inner = m[1];
+    const base = m.index + 1;
+    const plain = /^(\s*((?:min-|max-)?width)\s*:)(.*)$/i.exec(inner);
+    if (plain) {
+      add(plain[2].toLowerCase(), base + plain[1].length, plain[3]);
+      continue;
+    }
+
+    // Range syntax: values on either side of `width`
+    const parts = inner.split(/(<=|>=|<|>|=)/);
+    if (parts.length !== 3 && parts.length !== 5) continue;
+    const at = parts.findIndex((p, i) => i % 2 === 0 && p.trim().toLowerCase() === 'width');
+    if (at === -1) continue;
+    const offsets = [];
+    let offset = base;
+    for (const p of parts) {
+      offsets.push(offset);
+      offset += p.length;
+    }
+    for (const side of [at - 2, at + 2]) {
+      if (side < 0 || side >= parts.length) continue;
+      const op = side < at ? parts[side + 1] : parts[at + 1];
+      // Which bound the value sets once the comparison reads `width <op> value`
+      const upper = side > at ? op[0] === '<' : op[0] === '>';
+      add(op === '=' ? 'width' : upper ? 'max-width' : 'min-width', offsets[side], parts[side]);
+    }
+  }
+  return found.sort((a, b) => a.start - b.start);
+}
+
+/** Parsed conditions, keyed by root font size and text */
+const cache = new Map();
+
+/**
+ * Viewport widths at which a media query list matches on screen
+ * @param {string} condition
+ * @param {{rootFontSize?: number}} [options]
+ * @returns {RangeSet}
+ */
+function mediaRanges(condition, options = {}) {
+  const key = `${options.rootFontSize || 16}|${condition}`;
+  if (!cache.has(key)) {
+    if (cache.size > 500) cache.clear();
+    cache.set(key, union(...parseMediaQueryList(condition, options).map(q => q.ranges)));
+  }
+  return cache.get(key);
+}
+
+/**
+ * Viewport widths at which every media query around a rule matches
+ * @param {object} rule
+ * @param {{rootFontSize?: number}} [options]
+ * @returns {RangeSet}
+ */
+function ruleRanges(rule, options = {}) {
+  return getMediaConditions(rule).reduce((ranges, cond) => intersect(ranges, mediaRanges(cond, options)), ALL);
+}
+
+module.exports = {
+  ALL,
+  interval,
+  intersect,
+  union,
+  complement,
+  contains,
+  overlap,
+  gaps,
+  lowerBound,
+  formatRanges,
+  parseMediaQueryList,
+  mediaBreakpoints,
+  mediaRanges,
+  ruleRanges
+};
@@ -1,15 +1,397 @@
 /**
  * Box Model Sentinel - CSS Parser
- * Parser de CSS com suporte para @media queries
+ * Tokenizer (CSS Syntax Level 3) e parser de CSS com at-rules condicionais
+ * aninhadas, recuperação de erros e posições de origem
  */
 
+const { parseIndented } = require('./sass-parser');
+const { expandDeclarations } = require('./shorthands');
+
+/**
+ * @typedef {Object} SourcePosition
+ * @property {number} line - Zero-based line
+ * @property {number} column - Zero-based column
+ * @property {number} offset - Zero-based character offset
+ */
+
+/**
+ * @typedef {Object} SourceLocation
+ * @property {SourcePosition} start
+ * @property {SourcePosition} end - Exclusive end position
+ */
+
+/**
+ * @typedef {Object} Token
+ * @property {string} type - One of the CSS Syntax Level 3 token types
+ *   (`ident`, `function`, `at-keyword`, `hash`, `string`, `bad-string`, `url`,
+ *   `bad-url`, `delim`, `number`, `percentage`, `dimension`, `whitespace`,
+ *   `CDO`, `CDC`, `:`, `;`, `,`, `[`, `]`, `(`, `)`, `{`, `}`), plus
+ *   `comment` and, for preprocessor syntaxes, `interpolation`
+ * @property {string|number} value - Name, string contents, delimiter or numeric value
+ * @property {string} [unit] - Unit of a dimension token
+ * @property {number} start - Offset of the first character
+ * @property {number} end - Offset after the last character
+ */
+
+/**
+ * @typedef {Object} ParseError
+ * @property {string} message
+ * @property {SourceLocation} loc
+ */
+
+// ============ TOKENIZER ============
+
+const isDigit = (c) => c >= '0' && c <= '9';
+const isHex = (c) => /^[0-9a-fA-F]$/.test(c || '');
+const isNewline = (c) => c === '\n' || c === '\r' || c === '\f';
+const isWhitespace = (c) => c === ' ' || c === '\t' || isNewline(c);
+const isIdentStart = (c) => c !== undefined && (/[a-zA-Z_]/.test(c) || c.charCodeAt(0) >= 0x80);
+const isIdentChar = (c) => isIdentStart(c) || isDigit(c) || c === '-';
+const isNonPrintable = (c) => c !== undefined && /[\u0000-\u0008\u000B\u000E-\u001F\u007F]/.test(c);
+
 /**
- * Strip CSS comments
+ * @private
+ */
+class Tokenizer {
+  /**
+   * @param {string} source
+   * @param {string} syntax
+   */
+  constructor(source, syntax) {
+    this.s = source;
+    this.i = 0;
+    this.syntax = syntax;
+    /** @type {Token[]} */
+    this.tokens = [];
+    /** @type {{message: string, start: number, end: number}[]} */
+    this.errors = [];
+  }
+
+  error(message, start, end = start + 1) {
+    this.errors.push({ message, start, end: Math.min(Math.max(end, start), this.s.length) });
+  }
+
+  /** §4.3.8 Check if two code points are a valid escape */
+  isValidEscape(i = this.i) {
+    return this.s[i] === '\\' && this.s[i + 1] !== undefined && !isNewline(this.s[i + 1]);
+  }
+
+  /** §4.3.9 Check if three code points would start an ident sequence */
+  startsIdent(i = this.i) {
+    const c = this.s[i];
+    if (c === '-') return isIdentStart(this.s[i + 1]) || this.s[i + 1] === '-' || this.isValidEscape(i + 1);
+    if (isIdentStart(c)) return true;
+    return this.isValidEscape(i);
+  }
+
+  /** §4.3.10 Check if three code points would start a number */
+  startsNumber(i = this.i) {
+    const c = this.s[i];
+    if (c === '+' || c === '-') {
+      return isDigit(this.s[i + 1]) || (this.s[i + 1] === '.' && isDigit(this.s[i + 2]));
+    }
+    if (c === '.') return isDigit(this.s[i + 1]);
+    return isDigit(c);
+  }
+
+  /** §4.3.7 Consume an escaped code point (after the backslash) */
+  consumeEscape() {
+    const s = this.s;
+    if (this.i >= s.length) {
+      this.error('Unexpected end of file in escape sequence', this.i - 1);
+      return '�';
+    }
+    if (isHex(s[this.i])) {
+      let hex = '';
+      while (hex.length < 6 && isHex(s[this.i])) hex += s[this.i++];
+      if (s[this.i] === '\r' && s[this.i + 1] === '\n') this.i += 2;
+      else if (isWhitespace(s[this.i])) this.i++;
+      const cp = parseInt(hex, 16);
+      return cp === 0 || cp > 0x10FFFF || (cp >= 0xD800 && cp <= 0xDFFF) ? '�' : String.fromCodePoint(cp);
+    }
+    return s[this.i++];
+  }
+
+  /** §4.3.11 Consume an ident sequence */
+  consumeIdentSequence() {
+    let out = '';
+    while (this.i < this.s.length) {
+      const c = this.s[this.i];
+      if (isIdentChar(c)) {
+        out += c;
+        this.i++;
+      } else if (this.isValidEscape()) {
+        this.i++;
+        out += this.consumeEscape();
+      } else {
+        break;
+      }
+    }
+    return out;
+  }
+
+  /** §4.3.12 Consume a number */
+  consumeNumber() {
+    const s = this.s;
+    const start = this.i;
+    if (s[this.i] === '+' || s[this.i] === '-') this.i++;
+    while (isDigit(s[this.i])) this.i++;
+    if (s[this.i] === '.' && isDigit(s[this.i + 1])) {
+      this.i++;
+      while (isDigit(s[this.i])) this.i++;
+    }
+    if ((s[this.i] === 'e' || s[this.i] === 'E') &&
+        (isDigit(s[this.i + 1]) || ((s[this.i + 1] === '+' || s[this.i + 1] === '-') && isDigit(s[this.i + 2])))) {
+      this.i += 2;
+      while (isDigit(s[this.i])) this.i++;
+    }
+    return Number(s.slice(start, this.i));
+  }
+
+  /** §4.3.3 Consume a numeric token */
+  consumeNumeric(start) {
+    const value = this.consumeNumber();
+    if (this.startsIdent()) {
+      return { type: 'dimension', value, unit: this.consumeIdentSequence(), start, end: this.i };
+    }
+    if (this.s[this.i] === '%') {
+      this.i++;
+      return { type: 'percentage', value, start, end: this.i };
+    }
+    return { type: 'number', value, start, end: this.i };
+  }
+
+  /** §4.3.4 Consume an ident-like token */
+  consumeIdentLike(start) {
+    const name = this.consumeIdentSequence();
+    if (name.toLowerCase() === 'url' && this.s[this.i] === '(') {
+      this.i++;
+      let j = this.i;
+      while (isWhitespace(this.s[j])) j++;
+      if (this.s[j] === '"' || this.s[j] === '\'') {
+        return { type: 'function', value: name, start, end: this.i };
+      }
+      return this.consumeUrl(start);
+    }
+    if (this.s[this.i] === '(') {
+      this.i++;
+      return { type: 'function', value: name, start, end: this.i };
+    }
+    return { type: 'ident', value: name, start, end: this.i };
+  }
+
+  /** §4.3.5 Consume a string token */
+  consumeString(start) {
+    const s = this.s;
+    const quote = s[this.i++];
+    let value = '';
+    while (this.i < s.length) {
+      const c = s[this.i];
+      if (c === quote) {
+        this.i++;
+        return { type: 'string', value, start, end: this.i };
+      }
+      if (isNewline(c)) {
+        this.error('Unterminated string', start, this.i);
+        return { type: 'bad-string', value, start, end: this.i };
+      }
+      if (c === '\\') {
+        if (this.i + 1 >= s.length) {
+          this.i++;
+        } else if (isNewline(s[this.i + 1])) {
+          this.i += s[this.i + 1] === '\r' && s[this.i + 2] === '\n' ? 3 : 2;
+        } else {
+          this.i++;
+          value += this.consumeEscape();
+        }
+        continue;
+      }
+      value += c;
+      this.i++;
+    }
+    this.error('Unterminated string at end of file', start, this.i);
+    return { type: 'string', value, start, end: this.i };
+  }
+
+  /** §4.3.6 Consume a url token (after `url(`) */
+  consumeUrl(start) {
+    const s = this.s;
+    let value = '';
+    while (isWhitespace(s[this.i])) this.i++;
+    while (this.i < s.length) {
+      const c = s[this.i];
+      if (c === ')') {
+        this.i++;
+        return { type: 'url', value, start, end: this.i };
+      }
+      if (isWhitespace(c)) {
+        const gap = this.i;
+        while (isWhitespace(s[this.i])) this.i++;
+        if (s[this.i] === ')' || this.i >= s.length) continue;
+        return this.consumeBadUrl(start, 'Unexpected whitespace in url()', gap);
+      }
+      if (c === '"' || c === '\'' || c === '(' || isNonPrintable(c)) {
+        return this.consumeBadUrl(start, `Unexpected ${JSON.stringify(c)} in url()`);
+      }
+      if (c === '\\') {
+        if (!this.isValidEscape()) return this.consumeBadUrl(start, 'Invalid escape in url()');
+        this.i++;
+        value += this.consumeEscape();
+        continue;
+      }
+      value += c;
+      this.i++;
+    }
+    this.error('Unterminated url() at end of file', start, this.i);
+    return { type: 'url', value, start, end: this.i };
+  }
+
+  /** §4.3.14 Consume the remnants of a bad url */
+  consumeBadUrl(start, message, errorAt = this.i) {
+    while (this.i < this.s.length && this.s[this.i] !== ')') {
+      if (this.isValidEscape()) this.i++;
+      this.i++;
+    }
+    if (this.i < this.s.length) this.i++;
+    this.error(message, errorAt, this.i);
+    return { type: 'bad-url', value: this.s.slice(start, this.i), start, end: this.i };
+  }
+
+  /** Preprocessor `#{...}` / `@{...}` interpolation, kept as a single token */
+  consumeInterpolation(start) {
+    let depth = 0;
+    while (this.i < this.s.length) {
+      const c = this.s[this.i];
+      if (c === '"' || c === '\'') {
+        this.consumeString(this.i);
+        continue;
+      }
+      this.i++;
+      if (c === '{') depth++;
+      else if (c === '}' && --depth === 0) {
+        return { type: 'interpolation', value: this.s.slice(start, this.i), start, end: this.i };
+      }
+    }
+    this.error('Unterminated interpolation', start, this.i);
+    return { type: 'interpolation', value: this.s.slice(start, this.i), start, end: this.i };
+  }
+
+  /** §4.3.1 Consume a token */
+  next() {
+    const s = this.s;
+    const start = this.i;
+    const c = s[this.i];
+    const preprocessor = this.syntax !== 'css';
+
+    if (c === '/' && s[this.i + 1] === '*') {
+      const close = s.indexOf('*/', this.i + 2);
+      if (close === -1) this.error('Unterminated comment', start, start + 2);
+      this.i = close === -1 ? s.length : close + 2;
+      return { type: 'comment', value: s.slice(start, this.i), start, end: this.i };
+    }
+    if (preprocessor && c === '/' && s[this.i + 1] === '/') {
+      while (this.i < s.length && !isNewline(s[this.i])) this.i++;
+      return { type: 'comment', value: s.slice(start, this.i), start, end: this.i };
+    }
+    if ((this.syntax === 'scss' && c === '#' || this.syntax === 'less' && c === '@') && s[this.i + 1] === '{') {
+      return this.consumeInterpolation(start);
+    }
+    if (isWhitespace(c)) {
+      while (isWhitespace(s[this.i])) this.i++;
+      return { type: 'whitespace', value: ' ', start, end: this.i };
+    }
+    if (c === '"' || c === '\'') return this.consumeString(start);
+    if (c === '#') {
+      if (isIdentChar(s[this.i + 1]) || this.isValidEscape(this.i + 1)) {
+        this.i++;
+        const id = this.startsIdent();
+        return { type: 'hash', value: this.consumeIdentSequence(), id, start, end: this.i };
+      }
+    } else if ('()[]{},:;'.includes(c)) {
+      this.i++;
+      return { type: c, value: c, start, end: this.i };
+    } else if (c === '+' || c === '.') {
+      if (this.startsNumber()) return this.consumeNumeric(start);
+    } else if (c === '-') {
+      if (this.startsNumber()) return this.consumeNumeric(start);
+      if (s[this.i + 1] === '-' && s[this.i + 2] === '>') {
+        this.i += 3;
+        return { type: 'CDC', value: '-->', start, end: this.i };
+      }
+      if (this.startsIdent()) return this.consumeIdentLike(start);
+    } else if (c === '<') {
+      if (s.startsWith('!--', this.i + 1)) {
+        this.i += 4;
+        return { type: 'CDO', value: '<!--', start, end: this.i };
+      }
+    } else if (c === '@') {
+      if (this.startsIdent(this.i + 1)) {
+        this.i++;
+        return { type: 'at-keyword', value: this.consumeIdentSequence(), start, end: this.i };
+      }
+    } else if (c === '\\') {
+      if (this.isValidEscape()) return this.consumeIdentLike(start);
+      this.error('Invalid escape', start);
+    } else if (isDigit(c)) {
+      return this.consumeNumeric(start);
+    } else if (isIdentStart(c)) {
+      return this.consumeIdentLike(start);
+    }
+    this.i++;
+    return { type: 'delim', value: c, start, end: this.i };
+  }
+
+  run() {
+    while (this.i < this.s.length) this.tokens.push(this.next());
+    return this;
+  }
+}
+
+/**
+ * Split source text into CSS Syntax Level 3 tokens. Comments are kept as
+ * `comment` tokens so callers can map them back to the source.
+ * @param {string} source
+ * @param {{syntax?: string}} [options]
+ * @returns {{tokens: Token[], errors: {message: string, start: number, end: number}[]}}
+ */
+function tokenize(source, options = {}) {
+  const t = new Tokenizer(String(source || ''), options.syntax || 'css').run();
+  return { tokens: t.tokens, errors: t.errors };
+}
+
+/**
+ * Strip CSS comments (comment markers inside strings and urls are preserved)
  * @param {string} s
  * @returns {string}
  */
 function stripComments(s) {
-  return s.replace(/\/\*[\s\S]*?\*\//g, '');
+  return tokenize(s).tokens
+    .filter(t => t.type !== 'comment')
+    .map(t => s.slice(t.start, t.end))
+    .join('');
+}
+
+/**
+ * Build a resolver from character offsets to line/column positions
+ * @param {string} source
+ * @returns {(offset: number) => SourcePosition}
+ */
+function createLocator(source) {
+  const lineStarts = [0];
+  for (let i = 0; i < source.length; i++) {
+    if (source[i] === '\n') lineStarts.push(i + 1);
+  }
+
+  return (offset) => {
+    let lo = 0;
+    let hi = lineStarts.length - 1;
+    while (lo < hi) {
+      const mid = (lo + hi + 1) >> 1;
+      if (lineStarts[mid] <= offset) lo = mid;
+      else hi = mid - 1;
+    }
+    return { line: lo, column: offset - lineStarts[lo], offset };
+  };
 }
 
 /**
@@ -36,76 +418,683 @@ function parseDeclarations(block) {
   return obj;
 }
 
+// ============ PARSER ============
+
+/**
+ * @typedef {Object} ParseOptions
+ * @property {'css'|'scss'|'less'|'sass'} [syntax='css'] - Source syntax;
+ *   preprocessor syntaxes enable `//` comments, interpolation and variables,
+ *   `sass` is the indented syntax
+ */
+
+/**
+ * Token-based parser that builds the stylesheet tree, recovering from
+ * malformed input the way browsers do (CSS Syntax Level 3 §5)
+ * @private
+ */
+class Parser {
+  /**
+   * @param {string} source
+   * @param {ParseOptions} [options]
+   */
+  constructor(source, options = {}) {
+    this.src = source;
+    this.syntax = options.syntax || 'css';
+    this.locate = createLocator(source);
+
+    const { tokens, errors } = tokenize(source, { syntax: this.syntax });
+    /** @type {Token[]} Significant tokens (no comments) */
+    this.tokens = tokens.filter(t => t.type !== 'comment');
+    this.i = 0;
+    /** @type {{text: string, loc: SourceLocation}[]} */
+    this.comments = tokens.filter(t => t.type === 'comment').map(t => ({ text: t.value, loc: this.loc(t.start, t.end) }));
+    /** @type {ParseError[]} */
+    this.errors = errors.map(e => ({ message: e.message, loc: this.loc(e.start, e.end) }));
+  }
+
+  loc(start, end) {
+    return { start: this.locate(start), end: this.locate(end) };
+  }
+
+  error(message, start, end) {
+    this.errors.push({ message, loc: this.loc(start, end) });
+  }
+
+  get token() {
+    return this.tokens[this.i];
+  }
+
+  /** Offset of the current token, or the end of input */
+  get offset() {
+    return this.token ? this.token.start : this.src.length;
+  }
+
+  skipWhitespace() {
+    while (this.token && this.token.type === 'whitespace') this.i++;
+  }
+
+  /**
+   * Advance until one of the stop tokens is found outside (), [] and function
+   * blocks. Unbalanced closers are reported and skipped.
+   * @param {string} stops - Stop token types, e.g. '{;}'
+   * @returns {{end: number, stop: Token|null}}
+   */
+  readUntil(stops) {
+    const openers = [];
+    const closerOf = (t) => (t.type === '[' ? ']' : ')');
+    while (this.token) {
+      const t = this.token;
+      if (!openers.length && stops.includes(t.type)) return { end: t.start, stop: t };
+      if (t.type === '(' || t.type === 'function' || t.type === '[') {
+        openers.push(t);
+      } else if (t.type === ')' || t.type === ']') {
+        if (openers.length && closerOf(openers[openers.length - 1]) === t.type) openers.pop();
+        else this.error(`Unexpected '${t.type}'`, t.start, t.end);
+      } else if (t.type === '{' || t.type === '}') {
+        // A brace inside parentheses: the innermost group was never closed
+        this.unclosed(openers);
+        continue;
+      }
+      this.i++;
+    }
+    this.unclosed(openers);
+    return { end: this.src.length, stop: null };
+  }
+
+  /**
+   * Report the innermost unclosed `(`, `[` or function and forget the rest
+   * @param {Token[]} openers
+   */
+  unclosed(openers) {
+    if (!openers.length) return;
+    const open = openers[openers.length - 1];
+    this.error(`Unclosed '${open.type === 'function' ? open.value + '(' : open.type}': expected '${open.type === '[' ? ']' : ')'}'`, open.start, open.end);
+    openers.length = 0;
+  }
+
+  /**
+   * Trim a raw source span, returning the clean text and its tight bounds
+   * @param {number} start
+   * @param {number} end
+   * @returns {{text: string, start: number, end: number}}
+   */
+  span(start, end) {
+    const raw = this.src.slice(start, end);
+    const lead = raw.length - raw.trimStart().length;
+    const trail = raw.length - raw.trimEnd().length;
+    return {
+      text: this.withoutComments(start, end).trim(),
+      start: start + lead,
+      end: Math.max(start + lead, end - trail)
+    };
+  }
+
+  /**
+   * Source text of a span with the comments inside it removed
+   * @param {number} start
+   * @param {number} end
+   * @returns {string}
+   */
+  withoutComments(start, end) {
+    // Binary search for the first comment ending after the span start
+    let lo = 0;
+    let hi = this.comments.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (this.comments[mid].loc.end.offset <= start) lo = mid + 1;
+      else hi = mid;
+    }
+
+    let text = '';
+    let cursor = start;
+    for (let i = lo; i < this.comments.length; i++) {
+      const cs = this.comments[i].loc.start.offset;
+      const ce = this.comments[i].loc.end.offset;
+      if (cs >= end) break;
+      text += this.src.slice(cursor, Math.max(cursor, cs));
+      cursor = Math.max(cursor, ce);
+    }
+    return text + this.src.slice(cursor, end);
+  }
+
+  /**
+   * Parse a list of statements until EOF or, inside a block, a closing brace
+   * @param {boolean} nested
+   * @returns {object[]}
+   */
+  parseList(nested) {
+    const nodes = [];
+    while (true) {
+      this.skipWhitespace();
+      const t = this.token;
+      if (!t) break;
+      if (t.type === '}') {
+        if (nested) break;
+        this.error('Unexpected \'}\'', t.start, t.end);
+        this.i++;
+        continue;
+      }
+      if (t.type === ';' || t.type === 'CDO' || t.type === 'CDC') {
+        this.i++;
+        continue;
+      }
+      const node = t.type === 'at-keyword' && !this.isLessVariable()
+        ? this.parseAtRule()
+        : this.parseRuleOrDeclaration(nested);
+      if (node) nodes.push(node);
+    }
+    return nodes;
+  }
+
+  /**
+   * Consume a `{ ... }` block whose opening brace is the current token
+   * @returns {{nodes: object[], end: number}}
+   */
+  parseBlock() {
+    const open = this.token;
+    this.i++;
+    const nodes = this.parseList(true);
+    if (this.token && this.token.type === '}') {
+      this.i++;
+      return { nodes, end: this.tokens[this.i - 1].end };
+    }
+    this.error('Unclosed block: expected \'}\'', open.start, open.end);
+    return { nodes, end: this.src.length };
+  }
+
+  /**
+   * @returns {boolean} whether the current at-keyword is a LESS `@name:` variable definition
+   */
+  isLessVariable() {
+    if (this.syntax !== 'less') return false;
+    let j = this.i + 1;
+    while (this.tokens[j] && this.tokens[j].type === 'whitespace') j++;
+    return Boolean(this.tokens[j]) && this.tokens[j].type === ':';
+  }
+
+  parseAtRule() {
+    const keyword = this.token;
+    const start = keyword.start;
+    const name = String(keyword.value).toLowerCase();
+    this.i++;
+
+    const paramsStart = keyword.end;
+    const { end, stop } = this.readUntil('{;}');
+    const params = this.span(paramsStart, end);
+    const paramsLoc = this.loc(params.start, params.end);
+
+    if (stop && stop.type === '{') {
+      const block = this.parseBlock();
+      return { type: 'atrule', name, params: params.text, paramsLoc, nodes: block.nodes, loc: this.loc(start, block.end) };
+    }
+    if (stop && stop.type === ';') this.i++;
+    return { type: 'atrule', name, params: params.text, paramsLoc, nodes: null, loc: this.loc(start, params.end) };
+  }
+
+  /**
+   * @param {boolean} nested - Inside a block, where declarations are allowed
+   * @returns {object|null}
+   */
+  parseRuleOrDeclaration(nested) {
+    const start = this.offset;
+    const first = this.i;
+    const { end, stop } = this.readUntil('{;}');
+
+    if (stop && stop.type === '{') {
+      const selector = this.span(start, end);
+      const block = this.parseBlock();
+      return {
+        type: 'rule',
+        selector: selector.text,
+        selectorLoc: this.loc(selector.start, selector.end),
+        nodes: block.nodes,
+        loc: this.loc(start, block.end)
+      };
+    }
+
+    const last = this.i;
+    if (stop && stop.type === ';') this.i++;
+
+    const text = this.span(start, end);
+    if (!nested && this.syntax === 'css') {
+      // A top-level prelude must be followed by a block (preprocessors also
+      // allow variables and mixin calls there)
+      this.error(stop ? 'Expected \'{\' after selector' : 'Unexpected end of file: expected \'{\'', text.start, text.end);
+      return null;
+    }
+
+    const decl = this.createDeclaration(start, end, first, last);
+    if (!decl) this.error('Invalid declaration: expected \'property: value\'', text.start, text.end);
+    return decl;
+  }
+
+  /**
+   * Build a declaration node from the tokens of a `prop: value` statement
+   * @param {number} start - Source offset
+   * @param {number} end - Source offset
+   * @param {number} first - Index of the first token
+   * @param {number} last - Index after the last token
+   * @returns {object|null}
+   */
+  createDeclaration(start, end, first, last) {
+    if (this.syntax === 'less') {
+      const call = this.createMixinCall(start, end);
+      if (call) return call;
+    }
+
+    let colon = null;
+    for (let j = first; j < last; j++) {
+      if (this.tokens[j].type === ':') {
+        colon = this.tokens[j];
+        break;
+      }
+    }
+    if (!colon) return null;
+
+    const prop = this.span(start, colon.start);
+    if (!prop.text) return null;
+
+    // `!important` is kept as a flag; the value location excludes it
+    const valueStart = colon.end;
+    const bang = /!\s*important\s*$/i.exec(this.src.slice(valueStart, end));
+    const value = this.span(valueStart, bang ? valueStart + bang.index : end);
+    const declEnd = bang ? this.span(start, end).end : value.end;
+
+    // Custom properties and preprocessor variables are case-sensitive
+    const name = /^(--|\$|@)/.test(prop.text) ? prop.text : prop.text.toLowerCase();
+    return {
+      type: 'decl',
+      prop: name,
+      value: value.text,
+      important: Boolean(bang),
+      loc: this.loc(prop.start, declEnd),
+      valueLoc: this.loc(value.start, value.end)
+    };
+  }
+
+  /**
+   * Recognize a LESS mixin call statement (`.mixin(@a; 2px);`, `#ns > .m;`)
+   * @param {number} start
+   * @param {number} end
+   * @returns {object|null}
+   */
+  createMixinCall(start, end) {
+    const text = this.span(start, end);
+    const m = /^([.#][\w-][\w\s.#>-]*?)\s*(?:\(([\s\S]*)\))?\s*(!important)?$/.exec(text.text);
+    if (!m) return null;
+    return { type: 'mixin-call', name: m[1], args: (m[2] || '').trim(), loc: this.loc(text.start, text.end) };
+  }
+}
+
 /**
- * Parse raw CSS string into rules with support for @media blocks
+ * Parse raw CSS into a stylesheet tree where every node carries its location.
+ * Malformed input never throws: the parser recovers and reports `errors`.
  * @param {string} raw
- * @returns {{rules: object[]}}
+ * @param {ParseOptions} [options]
+ * @returns {{type: 'stylesheet', nodes: object[], comments: object[], errors: ParseError[], loc: SourceLocation}}
  */
-function parseRules(raw) {
-  const s = stripComments(raw);
-  const rules = [];
+function parse(raw, options) {
+  const source = String(raw || '');
+  if (options && options.syntax === 'sass') {
+    return { ...parseIndented(source, createLocator(source)), errors: [] };
+  }
+  const parser = new Parser(source, options);
+  const nodes = parser.parseList(false);
+  const errors = parser.errors.sort((a, b) => a.loc.start.offset - b.loc.start.offset);
+  return { type: 'stylesheet', nodes, comments: parser.comments, errors, loc: parser.loc(0, source.length) };
+}
 
-  // Extract @media blocks with brace matching
-  let i = 0;
-  const mediaBlocks = [];
+/**
+ * Conditional group rules whose children are style rules in the same stylesheet
+ * (vendor-prefixed names are normalized, e.g. `@-moz-document` → `document`)
+ */
+const CONDITIONAL_AT_RULES = new Set(['media', 'supports', 'container', 'layer', 'document', 'scope']);
 
-  while (i < s.length) {
-    const idx = s.indexOf('@media', i);
-    if (idx === -1) break;
+/**
+ * @param {string} name
+ * @returns {string}
+ */
+function normalizeAtRuleName(name) {
+  return String(name || '').replace(/^-[a-z]+-/, '');
+}
 
-    const headStart = idx + 6;
-    const braceOpen = s.indexOf('{', headStart);
-    if (braceOpen === -1) break;
+/**
+ * SCSS control directives: their children are emitted in place
+ */
+const CONTROL_AT_RULES = new Set(['if', 'else', 'each', 'for', 'while']);
 
-    const cond = s.slice(headStart, braceOpen).trim();
-    let depth = 1;
-    let j = braceOpen + 1;
+/**
+ * Split a selector list on top-level commas
+ * @param {string} selector
+ * @returns {string[]}
+ */
+function splitSelectorList(selector) {
+  const parts = [];
+  let depth = 0;
+  let quote = null;
+  let current = '';
+  for (const ch of String(selector || '')) {
+    if (quote) {
+      if (ch === quote) quote = null;
+    } else if (ch === '"' || ch === '\'') {
+      quote = ch;
+    } else if ('([{'.includes(ch)) {
+      depth++;
+    } else if (')]}'.includes(ch)) {
+      depth = Math.max(0, depth - 1);
+    } else if (ch === ',' && depth === 0) {
+      parts.push(current.trim());
+      current = '';
+      continue;
+    }
+    current += ch;
+  }
+  if (current.trim()) parts.push(current.trim());
+  return parts;
+}
 
-    while (j < s.length && depth > 0) {
-      const ch = s[j];
-      if (ch === '{') depth++;
-      else if (ch === '}') depth--;
-      j++;
+/**
+ * Resolve a nested selector against its parent into the compiled form:
+ * `&` is replaced by each parent selector, otherwise the parent becomes an
+ * ancestor (`.card { &:hover {} .title {} }` → `.card:hover`, `.card .title`)
+ * @param {string|null} parent - Resolved parent selector, null at the top level
+ * @param {string} selector
+ * @returns {string}
+ */
+function resolveSelector(parent, selector) {
+  const children = splitSelectorList(selector);
+  if (!parent) return children.join(', ');
+
+  const parents = splitSelectorList(parent);
+  const resolved = [];
+  for (const p of parents) {
+    for (const c of children) {
+      resolved.push(c.includes('&') ? c.replace(/&/g, p) : `${p} ${c}`);
     }
+  }
+  return resolved.join(', ');
+}
 
-    const body = s.slice(braceOpen + 1, j - 1);
-    mediaBlocks.push({ full: s.slice(idx, j), condition: cond, body });
-    i = j;
+/**
+ * Whether a nested block is an SCSS nested property group (`font: { family: x }`)
+ * rather than a rule (`a:hover { }`)
+ * @param {string} selector
+ * @returns {boolean}
+ */
+function isNestedProperty(selector) {
+  return /^[a-z-]+:(\s|$)/i.test(selector);
+}
+
+/**
+ * Flatten `font: 12px { family: x }` into `font` and `font-family` declarations
+ * @param {object} node
+ * @returns {object[]}
+ */
+function expandNestedProperty(node) {
+  const i = node.selector.indexOf(':');
+  const prefix = node.selector.slice(0, i).trim().toLowerCase();
+  const value = node.selector.slice(i + 1).trim();
+  const decls = value ? [{ type: 'decl', prop: prefix, value, important: false, loc: node.selectorLoc, valueLoc: node.selectorLoc }] : [];
+  for (const d of node.nodes) {
+    if (d.type === 'decl') decls.push({ ...d, prop: `${prefix}-${d.prop}` });
   }
+  return decls;
+}
 
-  // Remove media blocks to get base CSS
-  let rest = s;
-  for (const mb of mediaBlocks) {
-    rest = rest.replace(mb.full, '');
+/**
+ * Parse `@include name(args)` parameters
+ * @param {object} node
+ * @returns {{name: string, args: string, loc: SourceLocation}}
+ */
+function toInclude(node) {
+  const m = /^([\w-]+(?:\.[\w-]+)?)\s*(?:\(([\s\S]*)\))?/.exec(node.params) || [];
+  return { name: m[1] || node.params, args: (m[2] || '').trim(), loc: node.loc };
+}
+
+/**
+ * Variable sigil of a preprocessor syntax (`$` for SCSS/Sass, `@` for LESS)
+ * @param {string} syntax
+ * @returns {string|null}
+ */
+function variableSigil(syntax) {
+  if (syntax === 'scss' || syntax === 'sass') return '$';
+  if (syntax === 'less') return '@';
+  return null;
+}
+
+/**
+ * Extend a variable scope with the variables defined directly in a block.
+ * The last definition in a block wins, like LESS lazy evaluation.
+ * @param {Map<string, string>} scope
+ * @param {object[]} nodes
+ * @param {string|null} sigil
+ * @returns {Map<string, string>}
+ */
+function extendScope(scope, nodes, sigil) {
+  const local = (nodes || []).filter(n => n.type === 'decl' && sigil && n.prop.startsWith(sigil));
+  if (!local.length) return scope;
+  const next = new Map(scope);
+  for (const d of local) next.set(d.prop.slice(1), d.value.replace(/\s*!(default|global)\s*$/, ''));
+  return next;
+}
+
+/**
+ * Substitute known preprocessor variables in a value (`$w`, `@w`, `@{w}`)
+ * @param {string} value
+ * @param {Map<string, string>} scope
+ * @param {string|null} sigil
+ * @returns {string}
+ */
+function substituteVariables(value, scope, sigil) {
+  if (!sigil || !scope || !scope.size) return value;
+  const re = sigil === '$' ? /\$([\w-]+)/g : /@\{([\w-]+)\}|@([\w-]+)/g;
+  let out = value;
+  // Variables may reference other variables; bail out on cycles
+  for (let depth = 0; depth < 8; depth++) {
+    const next = out.replace(re, (m, a, b) => {
+      const name = a || b;
+      return scope.has(name) ? scope.get(name) : m;
+    });
+    if (next === out) break;
+    out = next;
   }
+  return out.replace(/#\{([^{}$]*)\}/g, '$1');
+}
 
-  // Parse base rules
-  const ruleRegex = /([^{]+)\{([^}]*)\}/g;
-  let r;
+/**
+ * Whether a declaration is a real CSS property rather than a preprocessor
+ * variable or LESS `&:extend()`
+ * @param {object} decl
+ * @returns {boolean}
+ */
+function isPropertyDeclaration(decl) {
+  return !/^[$@&]/.test(decl.prop);
+}
+
+/**
+ * Whether a LESS rule is a mixin definition (`.m() { }`, `.m(@a) when (@a > 0) { }`)
+ * @param {string} selector
+ * @returns {boolean}
+ */
+function isLessMixinDefinition(selector) {
+  return /^[.#][\w-]+\s*\(/.test(selector);
+}
 
-  while ((r = ruleRegex.exec(rest)) != null) {
-    const selector = r[1].trim();
-    const decl = parseDeclarations(r[2]);
-    rules.push({ selector, declarations: decl, at: null });
+/**
+ * Resolve the effective declaration of each property in a block: the last
+ * one wins unless an earlier one is `!important` and the later one is not
+ * @param {object[]} decls - Declarations in source order
+ * @returns {Object<string, object>} property → effective declaration
+ */
+function cascade(decls) {
+  const effective = {};
+  for (const d of decls) {
+    const current = effective[d.prop];
+    if (!current || d.important || !current.important) effective[d.prop] = d;
   }
+  return effective;
+}
 
-  // Parse media inner rules
-  for (const mb of mediaBlocks) {
-    let rr;
-    const innerRegex = /([^{]+)\{([^}]*)\}/g;
+/**
+ * Build a flat style rule from the children of a block
+ * @param {string} selector
+ * @param {object[]} children
+ * @param {object} context - Flattening context (at-rules, variable scope)
+ * @param {SourceLocation} loc
+ * @param {SourceLocation} selectorLoc
+ * @returns {object}
+ */
+function createRule(selector, children, context, loc, selectorLoc) {
+  const { atRules, scope, syntax } = context;
+  const sigil = variableSigil(syntax);
+  const decls = [];
+  const includes = [];
+  for (const n of children) {
+    if (n.type === 'decl' && isPropertyDeclaration(n)) decls.push(n);
+    else if (n.type === 'rule' && isNestedProperty(n.selector)) decls.push(...expandNestedProperty(n));
+    else if (n.type === 'atrule' && n.name === 'include') includes.push(toInclude(n));
+    else if (n.type === 'mixin-call') includes.push({ name: n.name, args: n.args, loc: n.loc });
+  }
+
+  const resolved = decls.map((d) => {
+    const value = substituteVariables(d.value, scope, sigil);
+    return value === d.value ? d : { ...d, value, rawValue: d.value };
+  });
+  const effective = cascade(expandDeclarations(resolved));
+  const declarations = {};
+  for (const prop of Object.keys(effective)) declarations[prop] = effective[prop].value;
+  return {
+    selector,
+    declarations,
+    decls: resolved,
+    effective,
+    includes,
+    at: atRules.length ? atRules[atRules.length - 1] : null,
+    atRules,
+    loc,
+    selectorLoc
+  };
+}
+
+/**
+ * Flatten the tree into style rules with resolved selectors, carrying the
+ * chain of enclosing conditional at-rules (outermost first)
+ * @param {object[]} nodes
+ * @param {{atRules: object[], selector: string|null, syntax: string, scope: Map<string, string>}} context
+ * @param {object[]} rules
+ */
+function collectRules(nodes, context, rules) {
+  const sigil = variableSigil(context.syntax);
+  for (const node of nodes) {
+    if (node.type === 'rule') {
+      if (context.selector && isNestedProperty(node.selector)) continue;
+      // LESS detached rulesets and mixin definitions are not emitted as written
+      if (context.syntax === 'less' && (node.selector.startsWith('@') || isLessMixinDefinition(node.selector))) continue;
+
+      let raw = node.selector;
+      let guard = null;
+      const when = context.syntax === 'less' ? /\s+when\s+/.exec(raw) : null;
+      if (when) {
+        guard = raw.slice(when.index + when[0].length).trim();
+        raw = raw.slice(0, when.index).trim();
+      }
 
-    while ((rr = innerRegex.exec(mb.body)) != null) {
-      const selector = rr[1].trim();
-      const decl = parseDeclarations(rr[2]);
-      rules.push({ selector, declarations: decl, at: { type: 'media', condition: mb.condition } });
+      const selector = resolveSelector(context.selector, raw);
+      const inner = { ...context, selector, scope: extendScope(context.scope, node.nodes, sigil) };
+      const rule = createRule(selector, node.nodes, inner, node.loc, node.selectorLoc);
+      if (guard) rule.guard = guard;
+      rules.push(rule);
+      collectRules(node.nodes, inner, rules);
+    } else if (node.type === 'atrule' && node.nodes) {
+      const type = normalizeAtRuleName(node.name);
+      let inner = null;
+      if (CONDITIONAL_AT_RULES.has(type)) {
+        inner = { ...context, atRules: context.atRules.concat({ type, condition: node.params, conditionLoc: node.paramsLoc, loc: node.loc }) };
+      } else if (CONTROL_AT_RULES.has(type)) {
+        inner = { ...context };
+      } else if (type === 'at-root') {
+        inner = { ...context, selector: node.params ? resolveSelector(null, node.params) : null };
+      }
+      // @mixin, @function, @keyframes, @font-face etc. do not emit element style rules
+      if (!inner) continue;
+      inner.scope = extendScope(context.scope, node.nodes, sigil);
+
+      // Declarations nested directly in an at-rule apply to the enclosing selector
+      if (inner.selector && node.nodes.some(n => n.type === 'decl' && isPropertyDeclaration(n))) {
+        rules.push(createRule(inner.selector, node.nodes, inner, node.loc, node.paramsLoc));
+      }
+      collectRules(node.nodes, inner, rules);
+    }
+  }
+}
+
+/**
+ * Mixin definitions declared in the stylesheet (`@mixin`, `=name` and LESS
+ * parametric rulesets)
+ * @param {object[]} nodes
+ * @param {string} syntax
+ * @param {object[]} [out]
+ * @returns {{name: string, params: string, loc: SourceLocation}[]}
+ */
+function collectMixins(nodes, syntax, out = []) {
+  for (const node of nodes) {
+    const params = node.type === 'atrule' && node.name === 'mixin'
+      ? node.params
+      : node.type === 'rule' && syntax === 'less' && isLessMixinDefinition(node.selector) ? node.selector : null;
+    if (params !== null) {
+      const m = /^([.#]?[\w-]+)\s*(?:\(([\s\S]*?)\))?/.exec(params) || [];
+      out.push({ name: m[1] || params, params: (m[2] || '').trim(), loc: node.loc });
+    } else if (node.nodes) {
+      collectMixins(node.nodes, syntax, out);
     }
   }
+  return out;
+}
+
+/**
+ * Media conditions that must all hold for a rule to apply
+ * @param {object} rule
+ * @returns {string[]}
+ */
+function getMediaConditions(rule) {
+  return (rule.atRules || []).filter(a => a.type === 'media').map(a => a.condition);
+}
+
+/**
+ * Stable textual key for a rule's at-rule chain ('' for unconditional rules)
+ * @param {object} rule
+ * @returns {string}
+ */
+function getContextKey(rule) {
+  return (rule.atRules || []).map(a => `@${a.type} ${a.condition}`).join(' > ');
+}
 
-  return { rules };
+/**
+ * Parse raw CSS/SCSS/LESS/Sass string into flat rules with support for
+ * nesting, preprocessor variables and nested conditional at-rules
+ * @param {string} raw
+ * @param {ParseOptions} [options]
+ * @returns {{rules: object[], root: object, mixins: object[], errors: ParseError[]}}
+ */
+function parseRules(raw, options = {}) {
+  const syntax = options.syntax || 'css';
+  const root = parse(raw, options);
+  const rules = [];
+  const scope = extendScope(new Map(), root.nodes, variableSigil(syntax));
+  collectRules(root.nodes, { atRules: [], selector: null, syntax, scope }, rules);
+  return { rules, root, mixins: collectMixins(root.nodes, syntax), errors: root.errors };
 }
 
 module.exports = {
+  tokenize,
+  parse,
   parseRules,
   parseDeclarations,
-  stripComments
+  stripComments,
+  createLocator,
+  getMediaConditions,
+  getContextKey,
+  cascade,
+  resolveSelector,
+  splitSelectorList
 };
@@ -0,0 +1,107 @@
+/**
+ * Box Model Sentinel - Rem Conversion
+ * Converte comprimentos em px para rem nas propriedades permitidas
+ */
+
+const { parseRules } = require('./parser');
+
+/**
+ * Properties converted by default. Entries ending in `*` match every property
+ * starting with the rest. Borders, outlines and shadows are left out so they
+ * keep crisp pixel widths.
+ */
+const DEFAULT_REM_PROPERTIES = Object.freeze([
+  'margin*',
+  'padding*',
+  'gap',
+  'row-gap',
+  'column-gap',
+  'width',
+  'min-width',
+  'max-width',
+  'height',
+  'min-height',
+  'max-height',
+  'inset*',
+  'top',
+  'right',
+  'bottom',
+  'left',
+  'flex-basis',
+  'font-size'
+]);
+
+/** Lengths at or below this many px are hairlines and stay px */
+const HAIRLINE_PX = 1;
+
+// Strings and url() are matched whole so the lengths inside them are skipped
+const LENGTHS = /url\([^)]*\)|"(?:\\.|[^"\\])*"|'(?:\\.|[^'\\])*'|(^|[^\w.$@#-])(-?(?:\d+\.?\d*|\.\d+))px\b/gi;
+
+/**
+ * Whether a property is in a conversion allowlist
+ * @param {string} prop
+ * @param {string[]} properties - Names, or prefixes ending in `*`
+ * @returns {boolean}
+ */
+function isRemProperty(prop, properties) {
+  const name = String(prop || '').toLowerCase();
+  return properties.some(entry => (entry.endsWith('*') ? name.startsWith(entry.slice(0, -1)) : name === entry));
+}
+
+/**
+ * Rewrite the px lengths in a value. Hairlines (1px and less), zero and
+ * lengths inside strings or url() are kept, as are lengths the callback
+ * returns null for.
+ * @param {string} value
+ * @param {(px: number) => string|null} replace - Replacement text for a length
+ * @returns {string}
+ */
+function mapPx(value, replace) {
+  return String(value).replace(LENGTHS, (match, lead, number) => {
+    if (number === undefined) return match;
+    const px = Number(number);
+    const replacement = Math.abs(px) <= HAIRLINE_PX ? null : replace(px);
+    return replacement === null ? match : `${lead}${replacement}`;
+  });
+}
+
+/**
+ * Rewrite the px lengths in a value as rem, as `mapPx` picks them
+ * @param {string} value
+ * @param {{rootFontSize?: number, remPrecision?: number}} [config]
+ * @returns {string}
+ */
+function convertPx(value, { rootFontSize = 16, remPrecision = 4 } = {}) {
+  return mapPx(value, px => `${Number((px / rootFontSize).toFixed(remPrecision))}rem`);
+}
+
+/**
+ * Edits converting px to rem in every allowed declaration whose value
+ * overlaps a span of the text, mixin bodies included
+ * @param {string} text
+ * @param {{language?: string, config?: {rootFontSize?: number, remPrecision?: number, remProperties?: string[]}, start?: number, end?: number}} [options]
+ *   `config` holds the settings; `start` and `end` are offsets of the span, the whole text by default
+ * @returns {import('./fixes').TextEdit[]} In source order
+ */
+function remEdits(text, { language = 'css', config = {}, start = 0, end = text.length } = {}) {
+  const syntax = ['scss', 'less', 'sass'].includes(language) ? language : 'css';
+  const properties = config.remProperties || DEFAULT_REM_PROPERTIES;
+  const edits = [];
+
+  const walk = (node) => {
+    if (node.type === 'decl' && node.valueLoc && isRemProperty(node.prop, properties)) {
+      const from = node.valueLoc.start.offset;
+      const to = node.valueLoc.end.offset;
+      const value = text.slice(from, to);
+      const converted = convertPx(value, config);
+      const decl = node.loc || node.valueLoc;
+      if (converted !== value && decl.start.offset <= end && decl.end.offset >= start) edits.push({ start: from, end: to, newText: converted });
+    }
+    (node.nodes || []).forEach(walk);
+  };
+  walk(parseRules(text, { syntax }).root);
+
+  return edits.sort((a, b) => a.start - b.start);
+}
+
+module.exports = { DEFAULT_REM_PROPERTIES, isRemProperty, mapPx, convertPx, remEdits };
@@ -0,0 +1,197 @@
+/**
+ * Box Model Sentinel - Rules
+ * Registro de regras: id estável, severidade padrão, categoria, documentação e opções
+ */
+
+const { DEFAULT_TOKEN_PROPERTIES } = require('./tokens');
+
+const DOCS = 'https://github.com/mikaelcarrara/box-model-sentinel#';
+
+/** @typedef {'critical'|'medium'|'low'} Severity */
+
+/**
+ * @typedef {Object} RuleOption
+ * @property {'number'|'number[]'|'string'|'string[]'} type
+ * @property {string} description
+ * @property {*} [default]
+ * @property {string} [setting] - Setting the default is read from when not fixed
+ */
+
+/**
+ * @typedef {Object} RuleDefinition
+ * @property {string} id - Stable identifier, used as the diagnostic code
+ * @property {string} issue - Title of the issues the rule reports
+ * @property {string|null} detector - LintEngine method that reports them, null for
+ *   rules the engine applies after the detectors
+ * @property {Severity} severity - Default severity
+ * @property {'sizing'|'overflow'|'box-model'|'media'|'flex'|'grid'|'positioning'|'cascade'|'syntax'|'suppression'} category
+ * @property {string} docs - Documentation URL
+ * @property {Object<string, RuleOption>} options - Options schema
+ * @property {boolean} ignorable - Issues name a rule selector, which `ignoreSelectors`
+ *   can skip; false for at-rule, stylesheet-wide and comment issues
+ */
+
+/**
+ * @typedef {Object} RuleSettings
+ * @property {boolean} enabled
+ * @property {Severity} severity
+ * @property {Object<string, *>} options - Configured options over their defaults
+ */
+
+const SEVERITIES = ['critical', 'medium', 'low'];
+
+/** @param {string} setting */
+const threshold = (setting) => ({
+  threshold: { type: 'number', setting, description: 'Smallest px value reported in pragmatic mode' }
+});
+
+/**
+ * All rules, in the order their detectors run. detectIssues drops ignored
+ * selectors before any detector runs, so rules are `ignorable` unless they
+ * say otherwise.
+ * @type {ReadonlyArray<RuleDefinition>}
+ */
+const RULES = Object.freeze([
+  { id: 'bms/fixed-width', issue: 'Fixed width', detector: 'detectFixedDimensions', severity: 'medium', category: 'sizing', docs: `${DOCS}1-fixed-dimensions`, options: threshold('fixedWidthThreshold') },
+  { id: 'bms/fixed-height', issue: 'Fixed height', detector: 'detectFixedDimensions', severity: 'medium', category: 'sizing', docs: `${DOCS}1-fixed-dimensions`, options: threshold('fixedHeightThreshold') },
+  { id: 'bms/fixed-box', issue: 'Fixed box dimensions', detector: 'detectFixedDimensions', severity: 'critical', category: 'sizing', docs: `${DOCS}1-fixed-dimensions`, options: {} },
+  { id: 'bms/fixed-min-dimension', issue: 'Fixed minimum dimension', detector: 'detectFixedDimensions', severity: 'medium', category: 'sizing', docs: `${DOCS}1-fixed-dimensions`, options: {} },
+  { id: 'bms/fluid-minimum', issue: 'Fluid minimum exceeds viewport', detector: 'detectFluidMinimum', severity: 'critical', category: 'overflow', docs: `${DOCS}15-fluid-minimum-exceeds-viewport`, options: {} },
+  { id: 'bms/mixed-box-sizing', issue: 'Mixed box-sizing', detector: 'detectBoxModel', severity: 'medium', category: 'box-model', docs: `${DOCS}2-box-model-inconsistency`, options: {}, ignorable: false },
+  { id: 'bms/overflow-risk', issue: 'Horizontal overflow risk', detector: 'detectOverflowHorizontal', severity: 'medium', category: 'overflow', docs: `${DOCS}3-horizontal-overflow-risk`, options: {} },
+  { id: 'bms/cumulative-overflow', issue: 'Cumulative horizontal overflow', detector: 'detectOverflowHorizontal', severity: 'medium', category: 'overflow', docs: `${DOCS}3-horizontal-overflow-risk`, options: {} },
+  { id: 'bms/nowrap-fixed-width', issue: 'No-wrap fixed width', detector: 'detectOverflowHorizontal', severity: 'low', category: 'overflow', docs: `${DOCS}3-horizontal-overflow-risk`, options: {} },
+  { id: 'bms/media-divergence', issue: 'Media query instability', detector: 'detectMediaConflicts', severity: 'medium', category: 'media', docs: `${DOCS}9-media-query-instability`, options: {} },
+  { id: 'bms/body-overflow-hidden', issue: 'Body overflow masking', detector: 'detectOverflowMaskBody', severity: 'medium', category: 'overflow', docs: `${DOCS}10-body-overflow-masking`, options: {} },
+  { id: 'bms/100vw-width', issue: 'Viewport width overflow', detector: 'detectVwWidthRisk', severity: 'medium', category: 'overflow', docs: `${DOCS}5-viewport-width-overflow-100vw`, options: {} },
+  { id: 'bms/breakpoint-width', issue: 'Fixed width exceeds breakpoint', detector: 'detectBreakpointFixedWidth', severity: 'critical', category: 'media', docs: `${DOCS}12-breakpoint-width-exceeded`, options: {} },
+  { id: 'bms/media-width-instability', issue: 'Media query instability', detector: 'detectMediaWidthInstability', severity: 'medium', category: 'media', docs: `${DOCS}9-media-query-instability`, options: {} },
+  { id: 'bms/unreachable-media', issue: 'Unreachable media query', detector: 'detectUnreachableMediaQueries', severity: 'medium', category: 'media', docs: `${DOCS}16-unreachable-media-query`, options: {}, ignorable: false },
+  {
+    id: 'bms/breakpoint-overlap', issue: 'Breakpoint overlap', detector: 'detectBreakpointEdges', severity: 'medium', category: 'media', docs: `${DOCS}17-breakpoint-overlap-and-gap`,
+    options: { tolerance: { type: 'number', default: 4, description: 'Widest overlap in px still treated as an edge mistake' } }
+  },
+  {
+    id: 'bms/breakpoint-gap', issue: 'Breakpoint gap', detector: 'detectBreakpointEdges', severity: 'medium', category: 'media', docs: `${DOCS}17-breakpoint-overlap-and-gap`,
+    options: { tolerance: { type: 'number', default: 4, description: 'Widest gap in px still treated as an edge mistake' } }
+  },
+  {
+    id: 'bms/off-scale-breakpoint', issue: 'Off-scale breakpoint', detector: 'detectOffScaleBreakpoints', severity: 'low', category: 'media', docs: `${DOCS}18-off-scale-breakpoint`,
+    options: { scale: { type: 'number[]', setting: 'breakpoints', description: 'Breakpoint scale in px; empty disables the rule' } },
+    ignorable: false
+  },
+  { id: 'bms/flex-basis-nowrap', issue: 'Non-wrapping fixed flex basis', detector: 'detectFlexFragility', severity: 'critical', category: 'flex', docs: `${DOCS}6-flex-fragility`, options: threshold('fixedWidthThreshold') },
+  { id: 'bms/flex-nowrap', issue: 'Flex container without wrap', detector: 'detectFlexFragility', severity: 'medium', category: 'flex', docs: `${DOCS}6-flex-fragility`, options: {} },
+  { id: 'bms/rigid-flex-item', issue: 'Rigid flex item', detector: 'detectFlexFragility', severity: 'medium', category: 'flex', docs: `${DOCS}6-flex-fragility`, options: threshold('fixedWidthThreshold') },
+  { id: 'bms/rigid-grid-tracks', issue: 'Rigid grid tracks', detector: 'detectGridRigidity', severity: 'medium', category: 'grid', docs: `${DOCS}7-grid-rigidity`, options: threshold('fixedWidthThreshold') },
+  { id: 'bms/absolute-rigidity', issue: 'Absolute positioning rigidity', detector: 'detectAbsoluteContainment', severity: 'medium', category: 'positioning', docs: `${DOCS}8-absolute-positioning-rigidity`, options: {} },
+  { id: 'bms/important-layout', issue: 'Layout property with !important', detector: 'detectAntiPatterns', severity: 'low', category: 'cascade', docs: `${DOCS}11-important-on-layout-properties`, options: {} },
+  { id: 'bms/fixed-spacing', issue: 'Fixed pixel spacing', detector: 'detectAntiPatterns', severity: 'low', category: 'sizing', docs: `${DOCS}4-fixed-spacing`, options: threshold('fixedSpacingThreshold') },
+  {
+    id: 'bms/off-scale-value', issue: 'Off-scale value', detector: 'detectOffScaleValues', severity: 'low', category: 'sizing', docs: `${DOCS}19-off-scale-value`,
+    options: {
+      scale: { type: 'number[]', setting: 'tokenScale', description: 'Allowed values in px, added to the designTokens file; both empty disables the rule' },
+      properties: { type: 'string[]', default: DEFAULT_TOKEN_PROPERTIES, description: 'Properties checked; a trailing `*` matches every property with that prefix' }
+    }
+  },
+  { id: 'bms/overridden-declaration', issue: 'Overridden layout declaration', detector: 'detectOverriddenDeclarations', severity: 'low', category: 'cascade', docs: `${DOCS}13-overridden-layout-declaration`, options: {} },
+  { id: 'bms/parse-error', issue: 'Parse error', detector: 'detectParseErrors', severity: 'critical', category: 'syntax', docs: `${DOCS}14-parse-error`, options: {}, ignorable: false },
+  { id: 'bms/unused-suppression', issue: 'Unused suppression', detector: null, severity: 'low', category: 'suppression', docs: `${DOCS}inline-suppressions`, options: {}, ignorable: false }
+].map(rule => Object.freeze({ ignorable: true, ...rule })));
+
+const byId = new Map(RULES.map(rule => [rule.id, rule]));
+
+/**
+ * @param {string} id
+ * @returns {RuleDefinition|null}
+ */
+function getRule(id) {
+  return byId.get(id) || null;
+}
+
+/**
+ * The rule a detector reports an issue under
+ * @param {string} detector - LintEngine method name
+ * @param {string} issue - Issue title
+ * @returns {RuleDefinition|null}
+ */
+function ruleForIssue(detector, issue) {
+  return RULES.find(rule => rule.detector === detector && rule.issue === issue) || null;
+}
+
+/**
+ * Detector method names, each once, in run order
+ * @returns {string[]}
+ */
+function detectorNames() {
+  return [...new Set(RULES.map(rule => rule.detector).filter(Boolean))];
+}
+
+/**
+ * Whether a value matches an option's declared type
+ * @param {RuleOption} option
+ * @param {*} value
+ * @returns {boolean}
+ */
+function matchesType(option, value) {
+  if (option.type === 'number') return Number.isFinite(value);
+  if (option.type === 'number[]') return Array.isArray(value) && value.every(Number.isFinite);
+  if (option.type === 'string') return typeof value === 'string';
+  if (option.type === 'string[]') return Array.isArray(value) && value.every(v => typeof v === 'string');
+  return false;
+}
+
+/**
+ * Resolve the `rules` setting against the registry. Each entry is `"off"`,
+ * a severity, or `[severity | "off", options]`; unknown rules, unknown
+ * options and values of the wrong type are reported and ignored.
+ * @param {Object<string, *>} [configured] - The `rules` setting
+ * @param {Object<string, *>} [settings] - Other settings, for option defaults
+ * @returns {{rules: Map<string, RuleSettings>, problems: string[]}}
+ */
+function resolveRuleSettings(configured = {}, settings = {}) {
+  const rules = new Map();
+  const problems = [];
+  const entries = configured && typeof configured === 'object' && !Array.isArray(configured) ? configured : {};
+
+  for (const id of Object.keys(entries)) {
+    if (!byId.has(id)) problems.push(`Unknown rule "${id}"`);
+  }
+
+  for (const rule of RULES) {
+    const options = {};
+    for (const [name, option] of Object.entries(rule.options)) {
+      options[name] = option.setting !== undefined && settings[option.setting] !== undefined ? settings[option.setting] : option.default;
+    }
+    const resolved = { enabled: true, severity: rule.severity, options };
+
+    const entry = entries[rule.id];
+    if (entry !== undefined) {
+      const [level, overrides] = Array.isArray(entry) ? entry : [entry, undefined];
+      if (level === 'off') {
+        resolved.enabled = false;
+      } else if (SEVERITIES.includes(level)) {
+        resolved.severity = level;
+      } else if (level !== 'on') {
+        problems.push(`${rule.id}: invalid level ${JSON.stringify(level)}, expected "off", "on", ${SEVERITIES.map(s => `"${s}"`).join(', ')}`);
+      }
+
+      for (const [name, value] of Object.entries(overrides && typeof overrides === 'object' ? overrides : {})) {
+        const option = rule.options[name];
+        if (!option) problems.push(`${rule.id}: unknown option "${name}"`);
+        else if (!matchesType(option, value)) problems.push(`${rule.id}: option "${name}" must be of type ${option.type}`);
+        else options[name] = value;
+      }
+    }
+    rules.set(rule.id, resolved);
+  }
+  return { rules, problems };
+}
+
+module.exports = {
+  RULES,
+  getRule,
+  ruleForIssue,
+  detectorNames,
+  resolveRuleSettings
+};
@@ -0,0 +1,178 @@
+/**
+ * Box Model Sentinel - Indented Sass Parser
+ * Converte a sintaxe indentada (.sass) na mesma árvore produzida pelo parser CSS
+ */
+
+/**
+ * Find the start of a trailing `//` comment outside strings and parentheses
+ * @param {string} text
+ * @returns {number} index of the comment, or -1
+ */
+function findInlineComment(text) {
+  let quote = null;
+  let depth = 0;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quote) {
+      if (ch === '\\') i++;
+      else if (ch === quote) quote = null;
+    } else if (ch === '"' || ch === '\'') {
+      quote = ch;
+    } else if (ch === '(') {
+      depth++;
+    } else if (ch === ')') {
+      depth = Math.max(0, depth - 1);
+    } else if (depth === 0 && ch === '/' && text[i + 1] === '/' && (i === 0 || /\s/.test(text[i - 1]))) {
+      return i;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Split the source into significant lines, collecting comments. Comment blocks
+ * extend over every following line that is indented deeper than the marker.
+ * @param {string} source
+ * @param {Function} loc - (start, end) offsets → SourceLocation
+ * @returns {{lines: object[], comments: object[]}}
+ */
+function scanLines(source, loc) {
+  const lines = [];
+  const comments = [];
+  let comment = null;
+  let offset = 0;
+
+  for (const rawLine of source.split('\n')) {
+    const start = offset;
+    offset += rawLine.length + 1;
+
+    const body = rawLine.replace(/\r$/, '');
+    const trimmed = body.trim();
+    if (!trimmed) continue;
+    const indent = body.length - body.trimStart().length;
+
+    if (comment) {
+      if (indent > comment.indent) {
+        comment.text += '\n' + body;
+        comment.end = start + body.length;
+        continue;
+      }
+      comments.push({ text: comment.text, loc: loc(comment.start, comment.end) });
+      comment = null;
+    }
+
+    if (trimmed.startsWith('//') || trimmed.startsWith('/*')) {
+      comment = { indent, text: trimmed, start: start + indent, end: start + body.length };
+      continue;
+    }
+
+    let text = body.slice(indent);
+    const inline = findInlineComment(text);
+    if (inline !== -1) {
+      comments.push({ text: text.slice(inline), loc: loc(start + indent + inline, start + body.length) });
+      text = text.slice(0, inline);
+    }
+    text = text.trimEnd();
+    lines.push({ indent, text, start: start + indent, end: start + indent + text.length });
+  }
+  if (comment) comments.push({ text: comment.text, loc: loc(comment.start, comment.end) });
+
+  // Selector lists may continue on the next line after a trailing comma
+  const merged = [];
+  for (const ln of lines) {
+    const prev = merged[merged.length - 1];
+    if (prev && prev.text.endsWith(',')) {
+      prev.text += ' ' + ln.text;
+      prev.end = ln.end;
+      continue;
+    }
+    merged.push({ ...ln });
+  }
+  return { lines: merged, comments };
+}
+
+/**
+ * Build a tree node for a single line
+ * @param {object} ln - Significant line
+ * @param {boolean} hasChildren - Whether the next line is indented deeper
+ * @param {Function} loc
+ * @returns {object|null}
+ */
+function createNode(ln, hasChildren, loc) {
+  const { text, start, end } = ln;
+  const nodes = hasChildren ? [] : null;
+
+  // `=name(args)` defines a mixin and `+name(args)` includes one
+  const shorthand = /^([=+])\s*/.exec(text);
+  const at = shorthand ? null : /^@([\w-]+)\s*/.exec(text);
+  if (shorthand || at) {
+    const name = shorthand ? (shorthand[1] === '=' ? 'mixin' : 'include') : at[1].toLowerCase();
+    const paramsStart = (shorthand || at)[0].length;
+    const params = text.slice(paramsStart).replace(/;$/, '').trim();
+    return {
+      type: 'atrule',
+      name,
+      params,
+      paramsLoc: loc(start + paramsStart, start + paramsStart + params.length),
+      nodes,
+      loc: loc(start, end)
+    };
+  }
+
+  if (hasChildren) {
+    return { type: 'rule', selector: text, selectorLoc: loc(start, end), nodes, loc: loc(start, end) };
+  }
+
+  // `prop: value`, `$var: value` and the legacy `:prop value` form
+  const m = /^(\$?[\w-]+)\s*:\s*/.exec(text) || /^:([\w-]+)\s+/.exec(text);
+  if (m) {
+    const rest = text.slice(m[0].length).replace(/;$/, '').trimEnd();
+    const bang = /\s*!\s*important$/i.exec(rest);
+    const value = bang ? rest.slice(0, bang.index) : rest;
+    const propStart = start + text.indexOf(m[1]);
+    const valueStart = start + m[0].length;
+    const name = /^(--|\$)/.test(m[1]) ? m[1] : m[1].toLowerCase();
+    return {
+      type: 'decl',
+      prop: name,
+      value,
+      important: Boolean(bang),
+      loc: loc(propStart, valueStart + rest.length),
+      valueLoc: loc(valueStart, valueStart + value.length)
+    };
+  }
+
+  return { type: 'rule', selector: text, selectorLoc: loc(start, end), nodes: [], loc: loc(start, end) };
+}
+
+/**
+ * Parse indented Sass into a stylesheet tree (rules, at-rules, declarations)
+ * @param {string} source
+ * @param {(offset: number) => object} locate - Offset to position resolver
+ * @returns {{type: 'stylesheet', nodes: object[], comments: object[], loc: object}}
+ */
+function parseIndented(source, locate) {
+  const loc = (s, e) => ({ start: locate(s), end: locate(e) });
+  const { lines, comments } = scanLines(source, loc);
+
+  const root = { type: 'stylesheet', nodes: [], comments, loc: loc(0, source.length) };
+  const stack = [{ indent: -1, node: root }];
+
+  for (let i = 0; i < lines.length; i++) {
+    const ln = lines[i];
+    while (stack.length > 1 && stack[stack.length - 1].indent >= ln.indent) stack.pop();
+
+    const hasChildren = i + 1 < lines.length && lines[i + 1].indent > ln.indent;
+    const node = createNode(ln, hasChildren, loc);
+
+    // Blocks end where their last descendant ends
+    for (let j = 1; j < stack.length; j++) stack[j].node.loc.end = locate(ln.end);
+
+    stack[stack.length - 1].node.nodes.push(node);
+    if (node.nodes && hasChildren) stack.push({ indent: ln.indent, node });
+  }
+
+  return root;
+}
+
+module.exports = { parseIndented };
@@ -0,0 +1,352 @@
+/**
+ * Box Model Sentinel - Shorthand Expansion
+ * Expande shorthands (margin, padding, inset, flex, grid, border, place-*) em longhands
+ */
+
+const SIDES = ['top', 'right', 'bottom', 'left'];
+const CSS_WIDE_KEYWORDS = new Set(['inherit', 'initial', 'unset', 'revert', 'revert-layer']);
+const BORDER_STYLES = new Set(['none', 'hidden', 'dotted', 'dashed', 'solid', 'double', 'groove', 'ridge', 'inset', 'outset']);
+
+/**
+ * @typedef {Object} ValuePart
+ * @property {string} text
+ * @property {number} start - Offset in the shorthand value
+ * @property {number} end
+ */
+
+/**
+ * Split a value on top-level whitespace and slashes (slashes are kept as parts)
+ * @param {string} value
+ * @returns {ValuePart[]}
+ */
+function splitValue(value) {
+  const parts = [];
+  let depth = 0;
+  let quote = null;
+  let start = -1;
+  const flush = (end) => {
+    if (start !== -1) parts.push({ text: value.slice(start, end), start, end });
+    start = -1;
+  };
+
+  for (let i = 0; i < value.length; i++) {
+    const ch = value[i];
+    if (quote) {
+      if (ch === '\\') i++;
+      else if (ch === quote) quote = null;
+      continue;
+    }
+    if (depth === 0 && (/\s/.test(ch) || ch === '/')) {
+      flush(i);
+      if (ch === '/') parts.push({ text: '/', start: i, end: i + 1 });
+      continue;
+    }
+    if (start === -1) start = i;
+    if (ch === '"' || ch === '\'') quote = ch;
+    else if (ch === '(' || ch === '[') depth++;
+    else if ((ch === ')' || ch === ']') && depth > 0) depth--;
+  }
+  flush(value.length);
+  return parts;
+}
+
+/** A longhand value: a part of the shorthand value, or an implied default */
+const implied = (text) => ({ text, start: -1, end: -1 });
+
+/**
+ * Split parts into the groups separated by top-level slashes
+ * @param {ValuePart[]} parts
+ * @returns {ValuePart[][]}
+ */
+function slashGroups(parts) {
+  const groups = [[]];
+  for (const p of parts) {
+    if (p.text === '/') groups.push([]);
+    else groups[groups.length - 1].push(p);
+  }
+  return groups;
+}
+
+/**
+ * 1–4 value box syntax (top, right, bottom, left)
+ * @param {string[]} names - Longhands in top/right/bottom/left order
+ * @returns {(parts: ValuePart[]) => Array<[string, ValuePart]>|null}
+ */
+function boxSides(names) {
+  return (parts) => {
+    if (!parts.length || parts.length > 4 || parts.some(p => p.text === '/')) return null;
+    const [t, r = t, b = t, l = r] = parts;
+    return [[names[0], t], [names[1], r], [names[2], b], [names[3], l]];
+  };
+}
+
+/**
+ * 1–2 value logical axis syntax (start, end)
+ * @param {string} base - e.g. `margin-inline`
+ * @returns {(parts: ValuePart[]) => Array<[string, ValuePart]>|null}
+ */
+function axisSides(base) {
+  return (parts) => {
+    if (!parts.length || parts.length > 2) return null;
+    const [start, end = start] = parts;
+    return [[`${base}-start`, start], [`${base}-end`, end]];
+  };
+}
+
+/**
+ * `align / justify` pairs of the place-* shorthands; `safe`/`unsafe`/`first`/`last`
+ * modifiers stay attached to the keyword that follows them
+ * @param {string} align
+ * @param {string} justify
+ */
+function placePair(align, justify) {
+  return (parts) => {
+    const values = [];
+    for (let i = 0; i < parts.length; i++) {
+      const p = parts[i];
+      if (/^(safe|unsafe|first|last)$/i.test(p.text) && parts[i + 1]) {
+        values.push({ text: `${p.text} ${parts[i + 1].text}`, start: p.start, end: parts[i + 1].end });
+        i++;
+      } else {
+        values.push(p);
+      }
+    }
+    if (!values.length || values.length > 2) return null;
+    return [[align, values[0]], [justify, values[1] || values[0]]];
+  };
+}
+
+const isNumber = (text) => /^[+-]?(\d+\.?\d*|\.\d+)(e[+-]?\d+)?$/i.test(text);
+
+/** `flex: none | [<grow> <shrink>? || <basis>]` */
+function expandFlex(parts) {
+  const keyword = parts.length === 1 && parts[0].text.toLowerCase();
+  if (keyword === 'none') return [['flex-grow', implied('0')], ['flex-shrink', implied('0')], ['flex-basis', implied('auto')]];
+  if (keyword === 'auto') return [['flex-grow', implied('1')], ['flex-shrink', implied('1')], ['flex-basis', implied('auto')]];
+
+  const numbers = parts.filter(p => isNumber(p.text));
+  const others = parts.filter(p => !isNumber(p.text));
+  // A lone unitless zero after the factors is the basis
+  if (numbers.length === 3 && others.length === 0) others.push(numbers.pop());
+  if (numbers.length > 2 || others.length > 1 || !parts.length) return null;
+  return [
+    ['flex-grow', numbers[0] || implied('1')],
+    ['flex-shrink', numbers[1] || implied('1')],
+    ['flex-basis', others[0] || implied('0%')]
+  ];
+}
+
+/** `flex-flow: <direction> || <wrap>` */
+function expandFlexFlow(parts) {
+  const wrap = parts.find(p => /^(nowrap|wrap|wrap-reverse)$/i.test(p.text));
+  const direction = parts.find(p => p !== wrap);
+  if (!parts.length || parts.length > 2) return null;
+  return [['flex-direction', direction || implied('row')], ['flex-wrap', wrap || implied('nowrap')]];
+}
+
+/**
+ * Join consecutive parts back into one value spanning them
+ * @param {ValuePart[]} parts
+ * @param {string} value - Shorthand value
+ * @param {string} fallback - Used when there are no parts
+ * @returns {ValuePart}
+ */
+function joinParts(parts, value, fallback) {
+  if (!parts.length) return implied(fallback);
+  const start = parts[0].start;
+  const end = parts[parts.length - 1].end;
+  return { text: value.slice(start, end), start, end };
+}
+
+/** `grid-template: none | <rows> / <columns> | [<names>? <string> <size>? <names>?]+ [/ <columns>]?` */
+function expandGridTemplate(parts, value) {
+  if (parts.length === 1 && /^none$/i.test(parts[0].text)) {
+    return [['grid-template-rows', implied('none')], ['grid-template-columns', implied('none')], ['grid-template-areas', implied('none')]];
+  }
+  const groups = slashGroups(parts);
+  if (groups.length > 2) return null;
+  const [rows, columns = []] = groups;
+
+  const strings = rows.filter(p => /^["']/.test(p.text));
+  if (!strings.length) {
+    if (groups.length !== 2) return null;
+    return [
+      ['grid-template-rows', joinParts(rows, value, 'none')],
+      ['grid-template-columns', joinParts(columns, value, 'none')],
+      ['grid-template-areas', implied('none')]
+    ];
+  }
+
+  // Areas form: each string names a row, optionally followed by its size
+  const sizes = [];
+  rows.forEach((p, i) => {
+    if (!/^["']/.test(p.text)) return;
+    const next = rows[i + 1];
+    sizes.push(next && !/^["'[]/.test(next.text) ? next.text : 'auto');
+  });
+  return [
+    ['grid-template-rows', implied(sizes.join(' '))],
+    ['grid-template-columns', joinParts(columns, value, 'none')],
+    ['grid-template-areas', implied(strings.map(s => s.text).join(' '))]
+  ];
+}
+
+/** `grid: <grid-template> | [auto-flow && dense?] <auto-rows>? / <columns> | <rows> / [auto-flow && dense?] <auto-columns>?` */
+function expandGrid(parts, value) {
+  const groups = slashGroups(parts);
+  const autoFlowIn = (group) => group.some(p => /^auto-flow$/i.test(p.text));
+  const withoutFlow = (group) => group.filter(p => !/^(auto-flow|dense)$/i.test(p.text));
+  const dense = (group) => (group.some(p => /^dense$/i.test(p.text)) ? ' dense' : '');
+
+  if (groups.length === 2 && autoFlowIn(groups[0])) {
+    return [
+      ['grid-auto-flow', implied(`row${dense(groups[0])}`)],
+      ['grid-auto-rows', joinParts(withoutFlow(groups[0]), value, 'auto')],
+      ['grid-template-columns', joinParts(groups[1], value, 'none')],
+      ['grid-template-rows', implied('none')],
+      ['grid-template-areas', implied('none')]
+    ];
+  }
+  if (groups.length === 2 && autoFlowIn(groups[1])) {
+    return [
+      ['grid-template-rows', joinParts(groups[0], value, 'none')],
+      ['grid-auto-flow', implied(`column${dense(groups[1])}`)],
+      ['grid-auto-columns', joinParts(withoutFlow(groups[1]), value, 'auto')],
+      ['grid-template-columns', implied('none')],
+      ['grid-template-areas', implied('none')]
+    ];
+  }
+  const template = expandGridTemplate(parts, value);
+  return template && template.concat([
+    ['grid-auto-flow', implied('row')],
+    ['grid-auto-rows', implied('auto')],
+    ['grid-auto-columns', implied('auto')]
+  ]);
+}
+
+const isBorderWidth = (text) => /^(thin|medium|thick)$/i.test(text) || /^[+-]?(\d*\.)?\d+([a-z]+)?$/i.test(text) ||
+  /^(calc|min|max|clamp)\(/i.test(text);
+
+/**
+ * `border`, `border-<side>`: <width> || <style> || <color>
+ * @param {string[]} sides
+ */
+function borderSides(sides) {
+  return (parts) => {
+    if (!parts.length || parts.length > 3) return null;
+    const style = parts.find(p => BORDER_STYLES.has(p.text.toLowerCase()));
+    const width = parts.find(p => p !== style && isBorderWidth(p.text));
+    const color = parts.find(p => p !== style && p !== width);
+    if (parts.length > [style, width, color].filter(Boolean).length) return null;
+    const out = [];
+    for (const side of sides) {
+      out.push([`border-${side}-width`, width || implied('medium')]);
+      out.push([`border-${side}-style`, style || implied('none')]);
+      out.push([`border-${side}-color`, color || implied('currentcolor')]);
+    }
+    return out;
+  };
+}
+
+/** Shorthand name → expander returning `[longhand, part]` pairs, or null for unrecognized values */
+const EXPANDERS = {
+  margin: boxSides(SIDES.map(s => `margin-${s}`)),
+  padding: boxSides(SIDES.map(s => `padding-${s}`)),
+  inset: boxSides(SIDES),
+  'margin-inline': axisSides('margin-inline'),
+  'margin-block': axisSides('margin-block'),
+  'padding-inline': axisSides('padding-inline'),
+  'padding-block': axisSides('padding-block'),
+  'inset-inline': axisSides('inset-inline'),
+  'inset-block': axisSides('inset-block'),
+  flex: expandFlex,
+  'flex-flow': expandFlexFlow,
+  grid: expandGrid,
+  'grid-template': expandGridTemplate,
+  gap: (parts) => (parts.length && parts.length <= 2 ? [['row-gap', parts[0]], ['column-gap', parts[1] || parts[0]]] : null),
+  overflow: (parts) => (parts.length && parts.length <= 2 ? [['overflow-x', parts[0]], ['overflow-y', parts[1] || parts[0]]] : null),
+  'place-items': placePair('align-items', 'justify-items'),
+  'place-content': placePair('align-content', 'justify-content'),
+  'place-self': placePair('align-self', 'justify-self'),
+  border: borderSides(SIDES),
+  'border-width': boxSides(SIDES.map(s => `border-${s}-width`)),
+  'border-style': boxSides(SIDES.map(s => `border-${s}-style`)),
+  'border-color': boxSides(SIDES.map(s => `border-${s}-color`))
+};
+EXPANDERS['grid-gap'] = EXPANDERS.gap;
+for (const side of SIDES) EXPANDERS[`border-${side}`] = borderSides([side]);
+
+/**
+ * Longhands set by a shorthand (every expander accepts a lone `none`)
+ * @param {string} prop
+ * @returns {string[]}
+ */
+function longhandNames(prop) {
+  const expander = EXPANDERS[String(prop).toLowerCase()];
+  const longhands = expander ? expander([implied('none')], 'none') : null;
+  return longhands ? longhands.map(([name]) => name) : [];
+}
+
+/**
+ * Expand a shorthand value into longhands
+ * @param {string} prop
+ * @param {string} value
+ * @returns {Array<{prop: string, value: string, start: number, end: number}>|null}
+ *   Longhands with the offsets of their text in `value` (-1 when implied),
+ *   or null when the property is not a shorthand or the value is not understood
+ */
+function expandShorthand(prop, value) {
+  const expander = EXPANDERS[String(prop).toLowerCase()];
+  // var() may stand for any number of components: nothing to expand yet
+  if (!expander || /\bvar\(/i.test(value)) return null;
+
+  const parts = splitValue(String(value).trim());
+  if (parts.length === 1 && CSS_WIDE_KEYWORDS.has(parts[0].text.toLowerCase())) {
+    return longhandNames(prop).map(name => ({ prop: name, value: parts[0].text, start: -1, end: -1 }));
+  }
+
+  const longhands = expander(parts, String(value).trim());
+  if (!longhands) return null;
+  const lead = String(value).length - String(value).trimStart().length;
+  return longhands.map(([name, part]) => ({
+    prop: name,
+    value: part.text,
+    start: part.start === -1 ? -1 : part.start + lead,
+    end: part.end === -1 ? -1 : part.end + lead
+  }));
+}
+
+/**
+ * Follow every shorthand declaration with the longhands it sets, so the
+ * cascade and the detectors can work on longhands only. Longhands point at
+ * the shorthand (`shorthand`) and, when their text appears verbatim in it,
+ * carry a value location narrowed to that text.
+ * @param {object[]} decls - Declarations in source order
+ * @returns {object[]}
+ */
+function expandDeclarations(decls) {
+  const out = [];
+  for (const d of decls) {
+    out.push(d);
+    const longhands = expandShorthand(d.prop, d.value);
+    if (!longhands) continue;
+
+    const { start, end } = d.valueLoc || {};
+    // Offsets only map onto the source when the value is the source text
+    const verbatim = start && d.rawValue === undefined && start.line === end.line &&
+      end.offset - start.offset === d.value.length;
+    for (const l of longhands) {
+      const at = (delta) => ({ line: start.line, column: start.column + delta, offset: start.offset + delta });
+      out.push({
+        ...d,
+        prop: l.prop,
+        value: l.value,
+        shorthand: d.prop,
+        valueLoc: verbatim && l.start !== -1 ? { start: at(l.start), end: at(l.end) } : d.valueLoc
+      });
+    }
+  }
+  return out;
+}
+
+module.exports = { splitValue, longhandNames, expandShorthand, expandDeclarations };
@@ -1,35 +1,48 @@
 const { AsciiVisualizer } = require('../ascii-visualizer/core/visualizer');
 
+/**
+ * Visualizer type of each lint engine issue; null for issues with nothing
+ * to draw
+ * @type {Readonly<Record<string, string|null>>}
+ */
+const VISUALIZER_TYPES = Object.freeze({
+  'Fixed width': 'fixed-dimensions',
+  'Fixed height': 'fixed-dimensions',
+  'Fixed box dimensions': 'fixed-dimensions',
+  'Fixed minimum dimension': 'fixed-dimensions',
+  'Fluid minimum exceeds viewport': 'viewport-overflow',
+  'Viewport width overflow': 'viewport-overflow',
+  'Horizontal overflow risk': 'overflow-horizontal',
+  'Cumulative horizontal overflow': 'overflow-horizontal',
+  'No-wrap fixed width': 'nowrap-fixed',
+  'Non-wrapping fixed flex basis': 'flex-fragility',
+  'Flex container without wrap': 'flex-fragility',
+  'Rigid flex item': 'flex-fragility',
+  'Rigid grid tracks': 'grid-rigidity',
+  'Fixed pixel spacing': 'fixed-spacing',
+  'Media query instability': 'media-instability',
+  'Breakpoint overlap': 'media-instability',
+  'Breakpoint gap': 'media-instability',
+  'Body overflow masking': 'overflow-masking',
+  'Fixed width exceeds breakpoint': 'breakpoint-exceeded',
+  'Absolute positioning rigidity': 'absolute-rigidity',
+  'Mixed box-sizing': 'box-inconsistency',
+  'Layout property with !important': null, // No visualization for !important
+  'Overridden layout declaration': null,
+  'Parse error': null,
+  'Unreachable media query': null,
+  'Off-scale breakpoint': null,
+  'Off-scale value': null,
+  'Unused suppression': null,
+});
+
 /**
  * Map lint engine issue to visualizer issue format
  * @param {object} issue - Lint engine issue
  * @returns {object} Visualizer issue
  */
 function mapToVisualizerIssue(issue) {
-  // Map issue names to visualizer types
-  const typeMap = {
-    'Fixed width': 'fixed-dimensions',
-    'Fixed height': 'fixed-dimensions',
-    'Fixed box dimensions': 'fixed-dimensions',
-    'Fixed minimum dimension': 'fixed-dimensions',
-    'Viewport width overflow': 'viewport-overflow',
-    'Horizontal overflow risk': 'overflow-horizontal',
-    'Cumulative horizontal overflow': 'overflow-horizontal',
-    'No-wrap fixed width': 'nowrap-fixed',
-    'Non-wrapping fixed flex basis': 'flex-fragility',
-    'Flex container without wrap': 'flex-fragility',
-    'Rigid flex item': 'flex-fragility',
-    'Rigid grid tracks': 'grid-rigidity',
-    'Fixed pixel spacing': 'fixed-spacing',
-    'Media query instability': 'media-instability',
-    'Body overflow masking': 'overflow-masking',
-    'Fixed width exceeds breakpoint': 'breakpoint-exceeded',
-    'Absolute positioning rigidity': 'absolute-rigidity',
-    'Mixed box-sizing': 'box-inconsistency',
-    'Layout property with !important': null, // No visualization for !important
-  };
-
-  const type = typeMap[issue.issue];
+  const type = VISUALIZER_TYPES[issue.issue];
   
   // If no mapping exists or explicitly null, return null to skip visualization
   if (!type) {
@@ -52,10 +65,17 @@ function mapToVisualizerIssue(issue) {
   };
 }
 
-function buildStatsModel(issues, classifier) {
+/**
+ * Severity counts, type counts and panel items for a list of issues
+ * @param {object[]} issues
+ * @param {{getType: (name: string) => string}} [classifier]
+ * @param {{visualize?: boolean}} [options] - Skip ASCII visualizations with `visualize: false`
+ * @returns {{counts: object, typeCounts: object, items: object[]}}
+ */
+function buildStatsModel(issues, classifier, { visualize = true } = {}) {
   const counts = { critical: 0, medium: 0, low: 0 };
   const typeCounts = { flex: 0, grid: 0, overflow: 0, other: 0 };
-  const visualizer = new AsciiVisualizer();
+  const visualizer = visualize ? new AsciiVisualizer() : null;
   
   const getType = (name) => {
     if (classifier && typeof classifier.getType === 'function') {
@@ -76,7 +96,7 @@ function buildStatsModel(issues, classifier) {
   const items = (issues || []).map((i, idx) => {
     let visualization = null;
     try {
-      const visualizerIssue = mapToVisualizerIssue(i);
+      const visualizerIssue = visualizer && mapToVisualizerIssue(i);
       // Only generate visualization if mapping exists
       if (visualizerIssue) {
         const viz = visualizer.generate(visualizerIssue);
@@ -101,4 +121,4 @@ function buildStatsModel(issues, classifier) {
   return { counts, typeCounts, items };
 }
 
-module.exports = { buildStatsModel };
+module.exports = { VISUALIZER_TYPES, buildStatsModel };
@@ -0,0 +1,113 @@
+/**
+ * Box Model Sentinel - Suppressions
+ * Comentários bms-disable, bms-enable, bms-disable-next-line e bms-disable-file
+ */
+
+const { tokenize, createLocator } = require('./parser');
+
+/**
+ * @typedef {Object} Directive
+ * @property {'disable-next-line'|'disable'|'enable'|'disable-file'} kind
+ * @property {string[]|null} rules - Rule ids, null for every rule
+ * @property {import('./parser').SourceLocation} loc - Location of the comment
+ * @property {Set<string>} used - Rule ids of the issues it suppressed
+ */
+
+const DIRECTIVE = /^bms-(disable-next-line|disable-file|disable|enable)(?=\s|$)([^]*)$/;
+
+/**
+ * Find suppression directives in a stylesheet's comments. Rule ids follow the
+ * directive, separated by spaces or commas; text after `--` is a free-form
+ * reason.
+ * @param {string} text
+ * @param {{syntax?: string}} [options]
+ * @returns {Directive[]} In source order
+ */
+function findDirectives(text, options = {}) {
+  if (!/bms-(disable|enable)/.test(text)) return [];
+  const position = createLocator(text);
+  const directives = [];
+  for (const token of tokenize(text, options).tokens) {
+    if (token.type !== 'comment') continue;
+    const body = token.value.startsWith('//')
+      ? token.value.slice(2)
+      : token.value.replace(/^\/\*/, '').replace(/\*\/$/, '');
+    const m = DIRECTIVE.exec(body.trim());
+    if (!m) continue;
+    const ids = m[2].split('--')[0].split(/[\s,]+/).filter(Boolean);
+    directives.push({
+      kind: m[1],
+      rules: ids.length ? ids : null,
+      loc: { start: position(token.start), end: position(token.end) },
+      used: new Set()
+    });
+  }
+  return directives;
+}
+
+/**
+ * @param {Directive} directive
+ * @param {string} rule
+ * @returns {boolean}
+ */
+function covers(directive, rule) {
+  return directive.rules === null || directive.rules.includes(rule);
+}
+
+/**
+ * The directive that suppresses an issue: the most specific of a
+ * `disable-next-line` on the line above, an open `disable` block and a
+ * `disable-file`
+ * @param {object} issue - Needs `rule` and `loc`
+ * @param {Directive[]} directives
+ * @returns {Directive|null}
+ */
+function suppressorOf(issue, directives) {
+  const rule = issue.rule;
+  const start = issue.loc ? issue.loc.start : { line: 0, offset: 0 };
+
+  const nextLine = directives.find(d => d.kind === 'disable-next-line' && d.loc.end.line + 1 === start.line && covers(d, rule));
+  if (nextLine) return nextLine;
+
+  let block = null;
+  for (const d of directives) {
+    if (d.loc.end.offset > start.offset) break;
+    if (d.kind === 'disable' && covers(d, rule)) block = d;
+    else if (d.kind === 'enable' && covers(d, rule)) block = null;
+  }
+  if (block) return block;
+
+  return directives.find(d => d.kind === 'disable-file' && covers(d, rule)) || null;
+}
+
+/**
+ * Drop the issues suppressed by comments and find the directives, or the
+ * rule ids listed in them, that suppressed nothing
+ * @param {object[]} issues
+ * @param {Directive[]} directives
+ * @returns {{issues: object[], unused: {directive: Directive, rules: string[]|null}[]}}
+ *   `rules` is null when a directive for every rule suppressed nothing
+ */
+function applySuppressions(issues, directives) {
+  if (!directives.length) return { issues, unused: [] };
+  const kept = [];
+  for (const issue of issues) {
+    const directive = issue.rule ? suppressorOf(issue, directives) : null;
+    if (directive) directive.used.add(issue.rule);
+    else kept.push(issue);
+  }
+
+  const unused = [];
+  for (const directive of directives) {
+    if (directive.kind === 'enable') continue;
+    if (directive.rules === null) {
+      if (!directive.used.size) unused.push({ directive, rules: null });
+    } else {
+      const idle = directive.rules.filter(id => !directive.used.has(id));
+      if (idle.length) unused.push({ directive, rules: idle });
+    }
+  }
+  return { issues: kept, unused };
+}
+
+module.exports = { findDirectives, applySuppressions };
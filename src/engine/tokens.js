@@ -0,0 +1,185 @@
+/**
+ * Box Model Sentinel - Design Tokens
+ * Escala de valores a partir de uma lista ou de um arquivo de tokens (formato W3C Design Tokens)
+ */
+
+const fs = require('fs');
+
+/**
+ * @typedef {Object} ScaleStep
+ * @property {number} px - Value in px, rem converted with the root font size
+ * @property {string} value - As written in the scale or token file, e.g. `16px`, `1rem`
+ * @property {string|null} name - Token path, e.g. `space.4`; null for scale values
+ * @property {string|null} variable - Custom property the token is published as, e.g. `--space-4`
+ */
+
+/**
+ * Properties checked against the scale by default, as in `remProperties`:
+ * names, or prefixes ending in `*`
+ */
+const DEFAULT_TOKEN_PROPERTIES = Object.freeze([
+  'margin*',
+  'padding*',
+  'gap',
+  'row-gap',
+  'column-gap',
+  'width',
+  'min-width',
+  'max-width',
+  'height',
+  'min-height',
+  'max-height',
+  'border-radius',
+  'border-top-left-radius',
+  'border-top-right-radius',
+  'border-bottom-right-radius',
+  'border-bottom-left-radius'
+]);
+
+/** Token types holding lengths; untyped tokens count when their value is one */
+const DIMENSION_TYPES = ['dimension', 'spacing', 'sizing', 'borderRadius'];
+
+const LENGTH = /^(-?(?:\d+\.?\d*|\.\d+))(px|rem)$/i;
+
+/** @type {Map<string, {mtimeMs: number, data: *}>} */
+const cache = new Map();
+
+/**
+ * A px or rem length in px
+ * @param {string|number} value - Numbers are px
+ * @param {number} [rootFontSize]
+ * @returns {number|null}
+ */
+function lengthPx(value, rootFontSize = 16) {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  const m = LENGTH.exec(String(value).trim());
+  if (!m) return null;
+  return m[2].toLowerCase() === 'rem' ? Number(m[1]) * rootFontSize : Number(m[1]);
+}
+
+/**
+ * Steps of a scale given as values: px numbers or px/rem lengths
+ * @param {Array<number|string>} values
+ * @param {{rootFontSize?: number}} [config]
+ * @returns {ScaleStep[]}
+ */
+function scaleSteps(values, { rootFontSize = 16 } = {}) {
+  const steps = [];
+  for (const value of Array.isArray(values) ? values : []) {
+    const px = lengthPx(value, rootFontSize);
+    if (px !== null) steps.push({ px, value: typeof value === 'number' ? `${value}px` : String(value).trim(), name: null, variable: null });
+  }
+  return steps;
+}
+
+/**
+ * Custom property a token is published as: its path joined with dashes
+ * @param {string[]} path
+ * @returns {string}
+ */
+function tokenVariable(path) {
+  return `--${path.join('-').replace(/[^\w-]+/g, '-')}`;
+}
+
+/**
+ * Dimension tokens of a W3C Design Tokens document. Groups pass `$type` to
+ * their tokens; `{group.token}` aliases are followed; a value is a px/rem
+ * string or a `{value, unit}` object.
+ * @param {*} data - Parsed token file
+ * @param {{rootFontSize?: number}} [config]
+ * @returns {{steps: ScaleStep[], problems: string[]}} Steps in document order
+ */
+function parseDesignTokens(data, { rootFontSize = 16 } = {}) {
+  const problems = [];
+  const tokens = new Map();
+  const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+  const collect = (node, path, inheritedType) => {
+    const type = node.$type !== undefined ? node.$type : inheritedType;
+    if (Object.prototype.hasOwnProperty.call(node, '$value')) {
+      tokens.set(path.join('.'), { path, type, value: node.$value });
+      return;
+    }
+    for (const [key, child] of Object.entries(node)) {
+      if (!key.startsWith('$') && isObject(child)) collect(child, [...path, key], type);
+    }
+  };
+  if (!isObject(data)) return { steps: [], problems: ['expected an object of token groups'] };
+  collect(data, [], undefined);
+
+  // Aliases resolve to the raw value of the token they name
+  const resolve = (value, seen) => {
+    const alias = typeof value === 'string' && /^\{([^}]+)\}$/.exec(value.trim());
+    if (!alias) return value;
+    const target = tokens.get(alias[1]);
+    if (!target) throw new Error(`unknown token ${value}`);
+    if (seen.includes(alias[1])) throw new Error(`circular alias ${value}`);
+    return resolve(target.value, [...seen, alias[1]]);
+  };
+
+  const steps = [];
+  for (const [name, token] of tokens) {
+    if (token.type !== undefined && !DIMENSION_TYPES.includes(token.type)) continue;
+    let value;
+    try {
+      value = resolve(token.value, [name]);
+    } catch (e) {
+      problems.push(`${name}: ${e.message}`);
+      continue;
+    }
+    if (isObject(value) && Number.isFinite(value.value) && typeof value.unit === 'string') value = `${value.value}${value.unit}`;
+    const px = typeof value === 'string' ? lengthPx(value, rootFontSize) : null;
+    if (px === null) {
+      if (token.type !== undefined) problems.push(`${name}: ${JSON.stringify(value)} is not a px or rem length`);
+      continue;
+    }
+    steps.push({ px, value, name, variable: tokenVariable(token.path) });
+  }
+  return { steps, problems };
+}
+
+/**
+ * Dimension tokens of a token file, re-read when it changes on disk
+ * @param {string} file - Absolute path
+ * @param {{rootFontSize?: number}} [config]
+ * @returns {{steps: ScaleStep[], problems: string[]}}
+ */
+function loadDesignTokens(file, config) {
+  let data;
+  try {
+    const { mtimeMs } = fs.statSync(file);
+    const hit = cache.get(file);
+    data = hit && hit.mtimeMs === mtimeMs ? hit.data : JSON.parse(fs.readFileSync(file, 'utf8'));
+    cache.set(file, { mtimeMs, data });
+  } catch (e) {
+    return { steps: [], problems: [`${file}: ${e.message}`] };
+  }
+  const { steps, problems } = parseDesignTokens(data, config);
+  return { steps, problems: problems.map(p => `${file}: ${p}`) };
+}
+
+/**
+ * Closest step to a value (the first in scale order on a tie)
+ * @param {number} px
+ * @param {ScaleStep[]} steps
+ * @returns {ScaleStep|null}
+ */
+function nearestStep(px, steps) {
+  let best = null;
+  for (const step of steps) {
+    if (best === null || Math.abs(step.px - px) < Math.abs(best.px - px)) best = step;
+  }
+  return best;
+}
+
+/**
+ * The step a value is on, if any
+ * @param {number} px
+ * @param {ScaleStep[]} steps
+ * @returns {ScaleStep|null}
+ */
+function stepFor(px, steps) {
+  return steps.find(step => Math.abs(step.px - px) < 0.001) || null;
+}
+
+module.exports = { DEFAULT_TOKEN_PROPERTIES, lengthPx, scaleSteps, parseDesignTokens, loadDesignTokens, nearestStep, stepFor };
@@ -0,0 +1,126 @@
+/**
+ * Box Model Sentinel - Unified Diff
+ * Diff por linhas (Myers) no formato unificado, aplicável com git apply ou patch
+ */
+
+const NO_EOL = '\n\\ No newline at end of file';
+
+/**
+ * Lines of a text; a last line without a newline carries the
+ * "No newline at end of file" marker so it differs from the same line with one
+ * @param {string} text
+ * @returns {string[]}
+ */
+function linesOf(text) {
+  if (!text) return [];
+  const lines = text.split('\n');
+  if (lines[lines.length - 1] === '') lines.pop();
+  else lines[lines.length - 1] += NO_EOL;
+  return lines;
+}
+
+/**
+ * Shortest edit script between two line lists (Myers' O(ND) algorithm)
+ * @param {string[]} a
+ * @param {string[]} b
+ * @returns {Array<{op: ' '|'-'|'+', line: string}>}
+ */
+function diffLines(a, b) {
+  const n = a.length;
+  const m = b.length;
+  const offset = n + m + 1;
+  const trace = [];
+  let v = new Array(2 * offset + 1).fill(0);
+  const down = (vs, k, d) => k === -d || (k !== d && vs[offset + k - 1] < vs[offset + k + 1]);
+
+  search:
+  for (let d = 0; d <= n + m; d++) {
+    trace.push(v.slice());
+    for (let k = -d; k <= d; k += 2) {
+      let x = down(v, k, d) ? v[offset + k + 1] : v[offset + k - 1] + 1;
+      let y = x - k;
+      while (x < n && y < m && a[x] === b[y]) {
+        x++;
+        y++;
+      }
+      v[offset + k] = x;
+      if (x >= n && y >= m) break search;
+    }
+  }
+
+  const ops = [];
+  let x = n;
+  let y = m;
+  for (let d = trace.length - 1; d >= 0; d--) {
+    const vs = trace[d];
+    const k = x - y;
+    const prevK = down(vs, k, d) ? k + 1 : k - 1;
+    const prevX = vs[offset + prevK];
+    const prevY = prevX - prevK;
+    while (x > prevX && y > prevY) {
+      ops.push({ op: ' ', line: a[--x] });
+      y--;
+    }
+    if (d === 0) break;
+    if (x === prevX) ops.push({ op: '+', line: b[--y] });
+    else ops.push({ op: '-', line: a[--x] });
+  }
+  return ops.reverse();
+}
+
+/**
+ * Hunk header range: 1-based start and count, the count left out when 1
+ * @param {number} start - 0-based index of the first line
+ * @param {number} count
+ * @returns {string}
+ */
+function hunkRange(start, count) {
+  // An empty range names the line before it
+  const first = count === 0 ? start : start + 1;
+  return count === 1 ? `${first}` : `${first},${count}`;
+}
+
+/**
+ * Unified diff between two versions of a file
+ * @param {string} before
+ * @param {string} after
+ * @param {{fromFile?: string, toFile?: string, context?: number}} [options]
+ * @returns {string} Empty when the texts are equal
+ */
+function unifiedDiff(before, after, { fromFile = 'a', toFile = 'b', context = 3 } = {}) {
+  if (before === after) return '';
+  const ops = diffLines(linesOf(before), linesOf(after));
+
+  // Line index in each version before every op
+  const positions = [];
+  let oldLine = 0;
+  let newLine = 0;
+  for (const { op } of ops) {
+    positions.push([oldLine, newLine]);
+    if (op !== '+') oldLine++;
+    if (op !== '-') newLine++;
+  }
+
+  const groups = [];
+  ops.forEach(({ op }, i) => {
+    if (op === ' ') return;
+    const last = groups[groups.length - 1];
+    if (last && i - last.end <= 2 * context) last.end = i;
+    else groups.push({ start: i, end: i });
+  });
+
+  const out = [`--- ${fromFile}`, `+++ ${toFile}`];
+  for (const { start, end } of groups) {
+    const from = Math.max(0, start - context);
+    const to = Math.min(ops.length - 1, end + context);
+    const slice = ops.slice(from, to + 1);
+    const [oldStart, newStart] = positions[from];
+    const oldCount = slice.filter(o => o.op !== '+').length;
+    const newCount = slice.filter(o => o.op !== '-').length;
+    out.push(`@@ -${hunkRange(oldStart, oldCount)} +${hunkRange(newStart, newCount)} @@`);
+    out.push(...slice.map(o => `${o.op}${o.line}`));
+  }
+  return `${out.join('\n')}\n`;
+}
+
+module.exports = { unifiedDiff };
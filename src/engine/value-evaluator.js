@@ -0,0 +1,239 @@
+/**
+ * Box Model Sentinel - Value Evaluator
+ * Avalia calc(), min(), max() e clamp() e classifica valores como fixos ou fluidos
+ */
+
+/**
+ * @typedef {Object} EvaluatorOptions
+ * @property {number} [viewportMin=320] - Smallest supported viewport width, px
+ * @property {number} [viewportMax=1920] - Largest supported viewport width, px
+ * @property {number} [viewportHeight=800] - Viewport height assumed for vh units, px
+ * @property {number} [rootFontSize=16] - Root font size for rem/em, px
+ */
+
+/**
+ * @typedef {Object} LengthEvaluation
+ * @property {'fixed'|'fluid'|'bounded-fluid'} kind - `fixed` never changes across
+ *   the viewport span, `fluid` always follows it, `bounded-fluid` follows it
+ *   only between bounds (min(), max(), clamp())
+ * @property {number} min - Smallest resolved value across the span, px
+ * @property {number} max - Largest resolved value across the span, px
+ * @property {(viewportWidth: number) => number} at - Resolved value at a viewport width, px
+ * @property {string[]} units - Units used by the expression
+ */
+
+const DEFAULTS = { viewportMin: 320, viewportMax: 1920, viewportHeight: 800, rootFontSize: 16 };
+
+const ABSOLUTE_UNITS = { px: 1, cm: 96 / 2.54, mm: 96 / 25.4, q: 96 / 101.6, in: 96, pt: 96 / 72, pc: 16 };
+/** Units that follow the viewport (or, for %, the containing block, taken as the viewport) width */
+const WIDTH_UNITS = new Set(['%', 'vw', 'svw', 'lvw', 'dvw', 'vi', 'svi', 'lvi', 'dvi', 'cqw', 'cqi']);
+const HEIGHT_UNITS = new Set(['vh', 'svh', 'lvh', 'dvh', 'vb', 'svb', 'lvb', 'dvb', 'cqh', 'cqb']);
+/** Units that follow the containing block or container, which can be narrower than the viewport */
+const CONTAINER_UNITS = new Set(['%', 'cqw', 'cqi']);
+
+/**
+ * @param {string} text
+ * @returns {string[]|null} tokens, or null when the text holds something we do not evaluate
+ */
+function tokenizeExpression(text) {
+  const tokens = [];
+  const re = /\s*(?:([+-]?(?:\d+\.?\d*|\.\d+)(?:e[+-]?\d+)?)(%|[a-z]+)?|([a-z-]+)\(|([()+\-*/,]))/giy;
+  let m;
+  let last = 0;
+  while (last < text.length && (m = re.exec(text))) {
+    last = re.lastIndex;
+    if (m[1] !== undefined) {
+      // A signed number right after an operand is a binary operator followed by a number
+      const prev = tokens[tokens.length - 1];
+      if (/^[+-]/.test(m[1]) && prev && (prev.type === 'num' || prev.value === ')')) {
+        tokens.push({ type: 'op', value: m[1][0] });
+        tokens.push({ type: 'num', value: Number(m[1].slice(1)), unit: (m[2] || '').toLowerCase() });
+      } else {
+        tokens.push({ type: 'num', value: Number(m[1]), unit: (m[2] || '').toLowerCase() });
+      }
+    } else if (m[3] !== undefined) {
+      tokens.push({ type: 'fn', value: m[3].toLowerCase() });
+    } else {
+      tokens.push({ type: 'op', value: m[4] });
+    }
+  }
+  return text.slice(last).trim() ? null : tokens;
+}
+
+/**
+ * Recursive-descent parser producing `{ unitless, f: (w, h) => number }` nodes
+ * @private
+ */
+class ExpressionParser {
+  constructor(tokens, options) {
+    this.tokens = tokens;
+    this.i = 0;
+    this.options = options;
+    this.units = new Set();
+  }
+
+  peek() {
+    return this.tokens[this.i];
+  }
+
+  expect(value) {
+    const t = this.tokens[this.i++];
+    if (!t || t.value !== value) throw new SyntaxError(`Expected ${value}`);
+  }
+
+  sum() {
+    let node = this.product();
+    while (this.peek() && (this.peek().value === '+' || this.peek().value === '-')) {
+      const op = this.tokens[this.i++].value;
+      const right = this.product();
+      if (node.unitless !== right.unitless) throw new SyntaxError('Cannot add a number to a length');
+      const left = node;
+      node = {
+        unitless: left.unitless,
+        f: op === '+' ? (w, h) => left.f(w, h) + right.f(w, h) : (w, h) => left.f(w, h) - right.f(w, h)
+      };
+    }
+    return node;
+  }
+
+  product() {
+    let node = this.operand();
+    while (this.peek() && (this.peek().value === '*' || this.peek().value === '/')) {
+      const op = this.tokens[this.i++].value;
+      const right = this.operand();
+      const left = node;
+      if (op === '*') {
+        if (!left.unitless && !right.unitless) throw new SyntaxError('Cannot multiply two lengths');
+        node = { unitless: left.unitless && right.unitless, f: (w, h) => left.f(w, h) * right.f(w, h) };
+      } else {
+        if (!right.unitless) throw new SyntaxError('Cannot divide by a length');
+        node = { unitless: left.unitless, f: (w, h) => left.f(w, h) / right.f(w, h) };
+      }
+    }
+    return node;
+  }
+
+  list() {
+    const args = [this.sum()];
+    while (this.peek() && this.peek().value === ',') {
+      this.i++;
+      args.push(this.sum());
+    }
+    this.expect(')');
+    if (args.some(a => a.unitless !== args[0].unitless)) throw new SyntaxError('Mixed arguments');
+    return args;
+  }
+
+  operand() {
+    const t = this.tokens[this.i++];
+    if (!t) throw new SyntaxError('Unexpected end');
+    if (t.type === 'num') return this.number(t);
+    if (t.value === '(') {
+      const node = this.sum();
+      this.expect(')');
+      return node;
+    }
+    if (t.type === 'fn') {
+      const args = this.list();
+      const unitless = args[0].unitless;
+      switch (t.value) {
+        case 'calc':
+          if (args.length !== 1) break;
+          return args[0];
+        case 'min':
+          return { unitless, f: (w, h) => Math.min(...args.map(a => a.f(w, h))) };
+        case 'max':
+          return { unitless, f: (w, h) => Math.max(...args.map(a => a.f(w, h))) };
+        case 'clamp': {
+          if (args.length !== 3) break;
+          const [lo, val, hi] = args;
+          // The minimum wins over the maximum when they conflict
+          return { unitless, f: (w, h) => Math.max(lo.f(w, h), Math.min(val.f(w, h), hi.f(w, h))) };
+        }
+        default:
+          break;
+      }
+    }
+    throw new SyntaxError(`Unsupported ${t.value}`);
+  }
+
+  number(t) {
+    const { value, unit } = t;
+    const { rootFontSize } = this.options;
+    if (!unit) return { unitless: true, f: () => value };
+    this.units.add(unit);
+    if (unit in ABSOLUTE_UNITS) return { unitless: false, f: () => value * ABSOLUTE_UNITS[unit] };
+    if (unit === 'rem' || unit === 'em') return { unitless: false, f: () => value * rootFontSize };
+    if (WIDTH_UNITS.has(unit)) return { unitless: false, f: (w) => (value * w) / 100 };
+    if (HEIGHT_UNITS.has(unit)) return { unitless: false, f: (w, h) => (value * h) / 100 };
+    if (unit === 'vmin' || unit === 'svmin' || unit === 'lvmin' || unit === 'dvmin') {
+      return { unitless: false, f: (w, h) => (value * Math.min(w, h)) / 100 };
+    }
+    if (unit === 'vmax' || unit === 'svmax' || unit === 'lvmax' || unit === 'dvmax') {
+      return { unitless: false, f: (w, h) => (value * Math.max(w, h)) / 100 };
+    }
+    throw new SyntaxError(`Unsupported unit ${unit}`);
+  }
+}
+
+/**
+ * Evaluate a single length value (`600px`, `calc(100% - 40px)`,
+ * `min(100%, 600px)`, `clamp(320px, 50vw, 960px)`) across the viewport span.
+ * Percentages are resolved against the viewport width, the widest their
+ * containing block can be; a value using them is never `fixed`.
+ * @param {string} value
+ * @param {EvaluatorOptions} [options]
+ * @returns {LengthEvaluation|null} null for keywords, var(), unitless numbers
+ *   and anything else that is not a single computable length
+ */
+function evaluateLength(value, options = {}) {
+  const opts = { ...DEFAULTS };
+  for (const key of Object.keys(DEFAULTS)) {
+    if (Number.isFinite(options[key])) opts[key] = options[key];
+  }
+  const tokens = tokenizeExpression(String(value || '').trim());
+  if (!tokens || !tokens.length) return null;
+
+  const parser = new ExpressionParser(tokens, opts);
+  let node;
+  try {
+    node = parser.sum();
+    if (parser.i !== tokens.length) return null;
+  } catch (_) {
+    return null;
+  }
+  if (node.unitless) return null;
+
+  const units = [...parser.units];
+  const h = opts.viewportHeight;
+  const at = (w) => node.f(w, h);
+  const lo = Math.min(opts.viewportMin, opts.viewportMax);
+  const hi = Math.max(opts.viewportMin, opts.viewportMax);
+
+  // Piecewise linear in the viewport width: sample the span for range and slopes
+  const step = Math.max(1, (hi - lo) / 256);
+  let min = Infinity;
+  let max = -Infinity;
+  let flat = 0;
+  let sloped = 0;
+  for (let w = lo; ; w = Math.min(hi, w + step)) {
+    const v = at(w);
+    if (!Number.isFinite(v)) return null;
+    min = Math.min(min, v);
+    max = Math.max(max, v);
+    if (Math.abs(at(w + 0.5) - v) > 1e-9) sloped++;
+    else flat++;
+    if (w >= hi) break;
+  }
+
+  // `min(100%, 300px)` is flat across the viewport span but still shrinks with
+  // a narrower containing block
+  let kind;
+  if (!sloped && units.some(u => HEIGHT_UNITS.has(u) || /^(s|l|d)?v(min|max)$/.test(u))) kind = 'fluid';
+  else if (!sloped) kind = units.some(u => CONTAINER_UNITS.has(u)) ? 'bounded-fluid' : 'fixed';
+  else kind = flat ? 'bounded-fluid' : 'fluid';
+
+  return { kind, min, max, at, units };
+}
+
+module.exports = { evaluateLength };
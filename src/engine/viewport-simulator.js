@@ -0,0 +1,220 @@
+/**
+ * Box Model Sentinel - Viewport Simulator
+ * Estima a largura (border-box) de cada seletor por viewport a partir das regras
+ */
+
+const { cascade, splitSelectorList } = require('./parser');
+const { evaluateLength } = require('./value-evaluator');
+const { contains, mediaRanges, ruleRanges } = require('./media-query');
+
+/**
+ * @typedef {Object} SimulatorOptions
+ * @property {number[]} [viewports] - Target viewport widths, px
+ * @property {number} [viewportHeight=800] - Viewport height for vh units, px
+ * @property {number} [rootFontSize=16] - Root font size for rem/em, px
+ * @property {object[]} [universalRules] - `*` rules, whose box-sizing every element starts from
+ * @property {object[]} [rootRules] - `html` and `:root` rules, for `box-sizing: inherit`
+ */
+
+/**
+ * @typedef {Object} SimulatedBox
+ * @property {string} selector
+ * @property {number} viewport - Viewport width, px
+ * @property {'content-box'|'border-box'} boxSizing
+ * @property {number} contentWidth - Width of the content box, px
+ * @property {number} borderBox - Width of the border box, px
+ * @property {number} marginBox - Border box plus horizontal margins, px
+ * @property {{padding: number, border: number, margin: number}} extras - Horizontal
+ *   padding, border and margin, px
+ * @property {boolean} exceeds - Whether the margin box is wider than the viewport
+ * @property {number} overflow - How far the margin box extends past the viewport, px
+ * @property {Object<string, object>} sources - Property → declaration that set it
+ */
+
+const DEFAULT_VIEWPORTS = [320, 375, 768, 1024, 1440, 1920];
+const BORDER_KEYWORDS = { thin: 1, medium: 3, thick: 5 };
+
+/**
+ * Resolve a length at a viewport width (percentages against the viewport)
+ * @param {string|undefined} value
+ * @param {number} viewport
+ * @param {SimulatorOptions} options
+ * @returns {number|null} px, or null when not a computable length
+ */
+function resolveLength(value, viewport, options) {
+  if (value === undefined || value === null) return null;
+  const text = String(value).trim();
+  if (/^0+(\.0*)?$/.test(text)) return 0;
+  const m = evaluateLength(text, {
+    viewportMin: viewport,
+    viewportMax: viewport,
+    viewportHeight: options.viewportHeight,
+    rootFontSize: options.rootFontSize
+  });
+  return m ? m.at(viewport) : null;
+}
+
+/**
+ * Whether a media query list matches a viewport width on screen. Features
+ * other than width are assumed to match.
+ * @param {string} condition
+ * @param {number} viewport
+ * @param {number} [rootFontSize=16]
+ * @returns {boolean}
+ */
+function mediaMatches(condition, viewport, rootFontSize = 16) {
+  return contains(mediaRanges(condition, { rootFontSize }), viewport);
+}
+
+/**
+ * Whether every media query around a rule matches a viewport width
+ * @param {object} rule
+ * @param {number} viewport
+ * @param {number} [rootFontSize=16]
+ * @returns {boolean}
+ */
+function ruleApplies(rule, viewport, rootFontSize = 16) {
+  return contains(ruleRanges(rule, { rootFontSize }), viewport);
+}
+
+/**
+ * Group rules by each selector of their selector list, in source order
+ * @param {object[]} rules
+ * @returns {Map<string, object[]>}
+ */
+function groupBySelector(rules) {
+  const groups = new Map();
+  for (const rule of rules) {
+    for (const selector of splitSelectorList(rule.selector)) {
+      if (!groups.has(selector)) groups.set(selector, []);
+      groups.get(selector).push(rule);
+    }
+  }
+  return groups;
+}
+
+/**
+ * Rules that set the box-sizing in effect before a selector's own rules: the
+ * universal resets (`*`, `*, *::before, *::after`) and the root element's
+ * @param {object[]} rules
+ * @returns {{universalRules: object[], rootRules: object[]}}
+ */
+function boxSizingScope(rules) {
+  const universalRules = [];
+  const rootRules = [];
+  for (const rule of rules) {
+    const selectors = splitSelectorList(rule.selector);
+    if (selectors.includes('*')) universalRules.push(rule);
+    if (selectors.some(s => s === 'html' || s === ':root')) rootRules.push(rule);
+  }
+  return { universalRules, rootRules };
+}
+
+/**
+ * Compute the horizontal box of an element matched by a selector's rules at
+ * one viewport width. The element is assumed to sit directly in the viewport,
+ * so percentages and `auto` widths resolve against the viewport width.
+ * @param {object[]} selectorRules - Rules for the selector, in source order
+ * @param {string} selector
+ * @param {number} viewport
+ * @param {SimulatorOptions} [options]
+ * @returns {SimulatedBox|null} null when the width cannot be computed
+ */
+function computeBox(selectorRules, selector, viewport, options = {}) {
+  const matching = selectorRules.filter(r => ruleApplies(r, viewport, options.rootFontSize));
+  if (!matching.length) return null;
+
+  // Same selector: later rules win, !important beats normal declarations
+  const sources = cascade(matching.flatMap(r => Object.values(r.effective || {})));
+  const get = (prop) => (sources[prop] ? sources[prop].value : undefined);
+  const length = (prop) => resolveLength(get(prop), viewport, options) || 0;
+  const border = (side) => {
+    if (/^(none|hidden)$/i.test(String(get(`border-${side}-style`) || 'none').trim())) return 0;
+    const w = String(get(`border-${side}-width`) || 'medium').trim().toLowerCase();
+    return w in BORDER_KEYWORDS ? BORDER_KEYWORDS[w] : resolveLength(w, viewport, options) || 0;
+  };
+
+  // The element's own box-sizing, else the universal one; `inherit` takes the
+  // parent's, which the universal rule sets too, up to the root
+  const declared = (rules) => {
+    const decls = rules.filter(r => ruleApplies(r, viewport, options.rootFontSize)).flatMap(r => Object.values(r.effective || {}));
+    const d = cascade(decls)['box-sizing'];
+    return d ? String(d.value).trim().toLowerCase() : undefined;
+  };
+  const universal = declared(options.universalRules || []);
+  const rootValue = declared(options.rootRules || []);
+  const root = (rootValue !== undefined ? rootValue : universal) === 'border-box' ? 'border-box' : 'content-box';
+  const base = universal === 'inherit' ? root : universal === 'border-box' ? 'border-box' : 'content-box';
+  const own = get('box-sizing') === undefined ? 'inherit' : String(get('box-sizing')).trim().toLowerCase();
+  const boxSizing = own === 'inherit' ? base : own === 'border-box' ? 'border-box' : 'content-box';
+
+  const padding = length('padding-left') + length('padding-right');
+  const borders = border('left') + border('right');
+  const margin = length('margin-left') + length('margin-right');
+  const frame = padding + borders;
+
+  // Width in the box model that box-sizing designates
+  const widthValue = get('width');
+  let width;
+  if (widthValue === undefined || /^auto$/i.test(String(widthValue).trim())) {
+    const fill = viewport - margin;
+    width = boxSizing === 'border-box' ? fill : fill - frame;
+  } else {
+    width = resolveLength(widthValue, viewport, options);
+    if (width === null) return null;
+  }
+  const maxWidth = resolveLength(get('max-width'), viewport, options);
+  const minWidth = resolveLength(get('min-width'), viewport, options);
+  if (maxWidth !== null) width = Math.min(width, maxWidth);
+  if (minWidth !== null) width = Math.max(width, minWidth);
+
+  const contentWidth = Math.max(0, boxSizing === 'border-box' ? width - frame : width);
+  const borderBox = contentWidth + frame;
+  const marginBox = borderBox + margin;
+  return {
+    selector,
+    viewport,
+    boxSizing,
+    contentWidth,
+    borderBox,
+    marginBox,
+    extras: { padding, border: borders, margin },
+    exceeds: marginBox > viewport + 0.5,
+    overflow: Math.max(0, marginBox - viewport),
+    sources
+  };
+}
+
+/** Properties that make a selector worth simulating */
+const SIZING = /^(width|min-width|max-width|padding-(left|right)|margin-(left|right)|border-(left|right)-width)$/;
+
+/**
+ * Simulate every sized selector at each target viewport width
+ * @param {object[]} rules - Rules from parseRules
+ * @param {SimulatorOptions} [options]
+ * @returns {SimulatedBox[]}
+ */
+function simulateViewports(rules, options = {}) {
+  const viewports = Array.isArray(options.viewports) && options.viewports.length ? options.viewports : DEFAULT_VIEWPORTS;
+  const boxes = [];
+  const scoped = { ...options, ...boxSizingScope(rules) };
+  for (const [selector, selectorRules] of groupBySelector(rules)) {
+    const sized = selectorRules.some(r => Object.keys(r.effective || {}).some(p => SIZING.test(p)));
+    if (!sized) continue;
+    for (const viewport of viewports) {
+      const box = computeBox(selectorRules, selector, viewport, scoped);
+      if (box) boxes.push(box);
+    }
+  }
+  return boxes;
+}
+
+module.exports = {
+  DEFAULT_VIEWPORTS,
+  mediaMatches,
+  ruleApplies,
+  groupBySelector,
+  boxSizingScope,
+  computeBox,
+  simulateViewports
+};
@@ -0,0 +1,38 @@
+/**
+ * Box Model Sentinel - Breakpoint Inventory
+ * Coleta os breakpoints usados em todas as folhas de estilo do workspace
+ */
+
+const { parseRules } = require('../engine/parser');
+const { collectBreakpoints, buildInventory } = require('../engine/breakpoints');
+const { workspaceStylesheets } = require('./workspace-stylesheets');
+
+/**
+ * Scan every stylesheet in the workspace and count breakpoint values.
+ * Open documents are read from the editor so unsaved edits count.
+ * @param {(doc: object) => number[]} [scaleFor] - Breakpoint scale a stylesheet
+ *   is checked against, as its project config sets it
+ * @returns {Promise<{scale: number[], entries: import('../engine/breakpoints').InventoryEntry[]}>}
+ *   `scale` holds the values of every file's scale
+ */
+async function scanWorkspaceBreakpoints(scaleFor = () => []) {
+  const uses = [];
+  const scale = new Set();
+
+  for (const doc of await workspaceStylesheets()) {
+    try {
+      const fileScale = scaleFor(doc);
+      fileScale.forEach(v => scale.add(v));
+      const { rules } = parseRules(doc.getText(), { syntax: doc.languageId });
+      for (const use of collectBreakpoints(rules)) {
+        uses.push({ ...use, file: doc.uri.fsPath, scale: fileScale });
+      }
+    } catch (e) {
+      try { console.error('[BMS] Breakpoint scan failed for', doc.uri.fsPath, e && e.message); } catch (_) {}
+    }
+  }
+
+  return { scale: [...scale].sort((a, b) => a - b), entries: buildInventory(uses) };
+}
+
+module.exports = { scanWorkspaceBreakpoints };
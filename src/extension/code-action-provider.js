@@ -0,0 +1,146 @@
+/**
+ * Box Model Sentinel - CodeActionProvider
+ * Quick fixes para os diagnósticos: reescritas, supressão por linha e seletores ignorados
+ */
+
+const vscode = require('vscode');
+const { fixesFor, fixAll } = require('../engine/fixes');
+const { parseRules } = require('../engine/parser');
+const { getRule } = require('../engine/rules');
+const { filePathOf } = require('./diagnostic-provider');
+
+/** Kind of the action that applies every safe fix, for editor.codeActionsOnSave */
+const FIX_ALL_KIND = vscode.CodeActionKind.SourceFixAll.append('boxModelSentinel');
+
+/**
+ * Whether an editor range and an engine range cover the same text
+ * @param {vscode.Range} range
+ * @param {import('../engine/lint-engine').Range} other
+ * @returns {boolean}
+ */
+function sameRange(range, other) {
+  return range.start.line === other.start.line && range.start.character === other.start.character &&
+    range.end.line === other.end.line && range.end.character === other.end.character;
+}
+
+/**
+ * Add to a workspace edit the fixes `fixAll` applies to a document, as one
+ * replacement of the span that changes
+ * @param {vscode.WorkspaceEdit} edit
+ * @param {vscode.TextDocument} document
+ * @param {object} settings - Engine settings
+ * @param {{rules?: string[]|null, safeOnly?: boolean}} [options]
+ * @returns {import('../engine/fixes').Fix[]} The fixes applied, none when the document is unchanged
+ */
+function addFixAllEdit(edit, document, settings, options = {}) {
+  const text = document.getText();
+  const { output, fixes } = fixAll(text, { ...options, language: document.languageId, config: settings, filePath: filePathOf(document) });
+  if (output === text) return [];
+
+  let start = 0;
+  while (start < text.length && start < output.length && text[start] === output[start]) start++;
+  let end = 0;
+  while (end < text.length - start && end < output.length - start && text[text.length - 1 - end] === output[output.length - 1 - end]) end++;
+  edit.replace(document.uri, new vscode.Range(document.positionAt(start), document.positionAt(text.length - end)), output.slice(start, output.length - end));
+  return fixes;
+}
+
+/**
+ * CodeActionProvider offers the engine's fixes for Box Model Sentinel
+ * diagnostics, plus ignoring the issue's selector
+ */
+class CodeActionProvider {
+  /**
+   * @param {import('./diagnostic-provider').DiagnosticProvider} diagnosticProvider - Source of the analyzed issues
+   */
+  constructor(diagnosticProvider) {
+    this.diagnosticProvider = diagnosticProvider;
+  }
+
+  /**
+   * Implementar vscode.CodeActionProvider.provideCodeActions
+   * @param {vscode.TextDocument} document
+   * @param {vscode.Range} range
+   * @param {vscode.CodeActionContext} context
+   * @returns {vscode.CodeAction[]}
+   */
+  provideCodeActions(document, range, context) {
+    if (context.only && context.only.contains(FIX_ALL_KIND)) {
+      return this.diagnosticProvider ? this.fixAllActions(document) : [];
+    }
+
+    const diagnostics = context.diagnostics.filter(d => d.source === 'Box Model Sentinel');
+    if (!diagnostics.length || !this.diagnosticProvider) return [];
+
+    const issues = this.diagnosticProvider.getIssuesForUri(document.uri);
+    const text = document.getText();
+    const config = this.diagnosticProvider.engine.configFor(filePathOf(document));
+    const syntax = ['scss', 'less', 'sass'].includes(document.languageId) ? document.languageId : 'css';
+    let parsed;
+    const actions = [];
+
+    for (const diagnostic of diagnostics) {
+      const code = diagnostic.code && diagnostic.code.value;
+      // Issues from an older version of the document no longer line up with its diagnostics
+      const issue = issues.find(i => i.rule === code && sameRange(diagnostic.range, i.range));
+      if (!issue) continue;
+
+      // Parsed once per request, for the first issue that needs it
+      if (!parsed) parsed = parseRules(text, { syntax });
+      const fixes = fixesFor(issue, text, { language: document.languageId, config, parsed });
+      for (const fix of fixes) {
+        const action = new vscode.CodeAction(fix.title, vscode.CodeActionKind.QuickFix);
+        action.diagnostics = [diagnostic];
+        action.isPreferred = Boolean(fix.preferred);
+        action.edit = new vscode.WorkspaceEdit();
+        for (const edit of fix.edits) {
+          action.edit.replace(document.uri, new vscode.Range(document.positionAt(edit.start), document.positionAt(edit.end)), edit.newText);
+        }
+        actions.push(action);
+      }
+
+      if (fixes.some(f => f.preferred)) {
+        const action = new vscode.CodeAction(`Fix all ${issue.rule} issues in the workspace`, vscode.CodeActionKind.QuickFix);
+        action.diagnostics = [diagnostic];
+        action.command = {
+          command: 'box-model-sentinel.fixRuleInWorkspace',
+          title: 'Fix rule in workspace',
+          arguments: [issue.rule]
+        };
+        actions.push(action);
+      }
+
+      const rule = getRule(issue.rule);
+      const selector = String(issue.selector || '').replace(/\s+/g, ' ').trim();
+      if (rule && rule.ignorable && selector && !selector.startsWith('@')) {
+        const action = new vscode.CodeAction(`Add "${selector}" to ignored selectors`, vscode.CodeActionKind.QuickFix);
+        action.diagnostics = [diagnostic];
+        action.command = {
+          command: 'box-model-sentinel.ignoreSelector',
+          title: 'Ignore selector',
+          arguments: [selector]
+        };
+        actions.push(action);
+      }
+    }
+
+    return actions;
+  }
+
+  /**
+   * Source action applying every safe fix in a document
+   * @param {vscode.TextDocument} document
+   * @returns {vscode.CodeAction[]}
+   */
+  fixAllActions(document) {
+    const edit = new vscode.WorkspaceEdit();
+    if (!addFixAllEdit(edit, document, this.diagnosticProvider.settings).length) return [];
+    const action = new vscode.CodeAction('Fix all safe Box Model Sentinel issues', FIX_ALL_KIND);
+    action.edit = edit;
+    return [action];
+  }
+}
+
+CodeActionProvider.metadata = { providedCodeActionKinds: [vscode.CodeActionKind.QuickFix, FIX_ALL_KIND] };
+
+module.exports = { CodeActionProvider, addFixAllEdit };
@@ -0,0 +1,361 @@
+/**
+ * Box Model Sentinel - Diagnostic Provider
+ * Analisa documentos abertos com debounce e publica os problemas como diagnósticos
+ */
+
+const vscode = require('vscode');
+const path = require('path');
+const { LintEngine, DEFAULT_SETTINGS } = require('../engine/lint-engine');
+const { getRule } = require('../engine/rules');
+const { VISUALIZER_TYPES } = require('../engine/stats-model');
+const { AsciiVisualizer } = require('../ascii-visualizer/core/visualizer');
+
+/**
+ * Editor range for an engine range
+ * @param {import('../engine/lint-engine').Range} range
+ * @returns {vscode.Range}
+ */
+function toRange(range) {
+  return new vscode.Range(
+    new vscode.Position(range.start.line, range.start.character),
+    new vscode.Position(range.end.line, range.end.character)
+  );
+}
+
+/**
+ * File a document was read from, for project config lookup
+ * @param {vscode.TextDocument} document
+ * @returns {string|undefined}
+ */
+function filePathOf(document) {
+  const uri = document.uri;
+  if (document.isUntitled || !uri || uri.scheme !== 'file') return undefined;
+  return uri.fsPath;
+}
+
+/**
+ * DiagnosticProvider runs the LintEngine on open documents with debouncing
+ * and integrates with the host diagnostic system
+ */
+class DiagnosticProvider {
+  constructor() {
+    /** @type {Map<string, NodeJS.Timeout>} */
+    this.debounceTimers = new Map();
+
+    /** @type {vscode.DiagnosticCollection} */
+    this.diagnosticCollection = null;
+
+    /** @type {Map<string, object[]>} Cache de issues por URI */
+    this.issuesByUri = new Map();
+
+    /** @type {Function|null} Callback legado quando análise completa (compat) */
+    this.onAnalysisCompleteCallback = null;
+    /** @type {Set<Function>} Observadores de análise completa */
+    this.analysisListeners = new Set();
+
+    /** ASCII Visualizer instance */
+    this.visualizer = new AsciiVisualizer();
+
+    this.loadConfiguration();
+  }
+
+  /**
+   * Load configuration from editor settings
+   */
+  loadConfiguration() {
+    const config = vscode.workspace.getConfiguration('boxModelSentinel');
+    /** Editor settings, the fallback under project config files */
+    this.settings = {
+      debounceMs: config.get('debounceMs', 500),
+      enable: config.get('enable', true),
+      deltaIgnorePx: config.get('deltaIgnorePx', 5),
+      frameThresholdMs: config.get('frameThresholdMs', 16)
+    };
+    for (const [key, value] of Object.entries(DEFAULT_SETTINGS)) {
+      this.settings[key] = config.get(key, value);
+    }
+    // A relative token file is relative to the workspace, not the extension host's directory
+    const folder = (vscode.workspace.workspaceFolders || [])[0];
+    if (this.settings.designTokens && folder && !path.isAbsolute(this.settings.designTokens)) {
+      this.settings.designTokens = path.join(folder.uri.fsPath, this.settings.designTokens);
+    }
+    /** @type {LintEngine} */
+    this.engine = new LintEngine(this.settings);
+  }
+
+  /**
+   * Set the diagnostic collection for this engine
+   * @param {vscode.DiagnosticCollection} collection
+   */
+  setDiagnosticCollection(collection) {
+    this.diagnosticCollection = collection;
+  }
+
+  /**
+   * Get cached issues for a URI
+   * @param {vscode.Uri | string} uri
+   * @returns {object[]}
+   */
+  getIssuesForUri(uri) {
+    const uriStr = typeof uri === 'string' ? uri : uri.toString();
+    return this.issuesByUri.get(uriStr) || [];
+  }
+
+  /**
+   * Cache issues for a URI
+   * @private
+   * @param {vscode.Uri | string} uri
+   * @param {object[]} issues
+   */
+  _cacheIssues(uri, issues) {
+    const uriStr = typeof uri === 'string' ? uri : uri.toString();
+    this.issuesByUri.set(uriStr, issues);
+  }
+
+  /**
+   * Register a callback for when analysis is complete
+   * @param {Function} callback - Called with (uri, issues)
+   */
+  onAnalysisComplete(callback) {
+    this.onAnalysisCompleteCallback = callback;
+  }
+
+  /**
+   * Adiciona um listener para o evento de análise completa
+   * @param {(uri: vscode.Uri, issues: object[]) => void} listener
+   * @returns {() => void} função para remover o listener
+   */
+  addAnalysisListener(listener) {
+    if (typeof listener === 'function') {
+      this.analysisListeners.add(listener);
+      return () => this.analysisListeners.delete(listener);
+    }
+    return () => {};
+  }
+
+  /**
+   * Determine if a document should be analyzed
+   * @param {vscode.TextDocument} document
+   * @returns {boolean}
+   */
+  shouldAnalyze(document) {
+    if (!this.settings.enable) {
+      console.log(`[BMS-Engine] ⏸️  Extension disabled, skipping ${document.fileName}`);
+      return false;
+    }
+
+    const supportedLanguages = ['css', 'scss', 'less', 'sass'];
+    if (!supportedLanguages.includes(document.languageId)) {
+      console.log(`[BMS-Engine] ⏸️  Not a CSS/SCSS file (languageId=${document.languageId}): ${document.fileName}`);
+      return false;
+    }
+
+    // Ignore temporary or unsaved files
+    if (document.isUntitled && document.fileName.includes('Untitled')) {
+      console.log(`[BMS-Engine] ⏸️  Ignoring untitled file: ${document.fileName}`);
+      return false;
+    }
+
+    console.log(`[BMS-Engine] ✅ Will analyze file (languageId=${document.languageId}): ${document.fileName}`);
+    return true;
+  }
+
+  /**
+   * Analyze a document (with debounce)
+   * @param {vscode.TextDocument} document
+   */
+  analyze(document) {
+    const fileUri = document.uri.toString();
+    console.log(`[BMS-Engine] ⏱️  Queuing analysis (debounce ${this.settings.debounceMs}ms) for: ${document.fileName}`);
+
+    // Clear existing debounce timer for this file
+    if (this.debounceTimers.has(fileUri)) {
+      console.log(`[BMS-Engine] 🔄 Clearing previous timer for: ${document.fileName}`);
+      clearTimeout(this.debounceTimers.get(fileUri));
+    }
+
+    // Set new debounce timer
+    const timer = setTimeout(() => {
+      console.log(`[BMS-Engine] ⏲️  Debounce timer fired, executing analysis...`);
+      this.executeAnalysis(document);
+      this.debounceTimers.delete(fileUri);
+    }, this.settings.debounceMs);
+
+    this.debounceTimers.set(fileUri, timer);
+  }
+
+  /**
+   * Execute the actual analysis
+   * @param {vscode.TextDocument} document
+   */
+  executeAnalysis(document) {
+    try {
+      console.log(`[BMS-Engine] 🔬 Starting analysis of: ${document.uri.fsPath}`);
+      const css = document.getText();
+      const issues = this.engine.detectIssues(css, { language: document.languageId, filePath: filePathOf(document) });
+
+      console.log(`[BMS-Engine] 📌 Detected ${issues.length} issues before filtering`);
+
+      // Limit number of issues
+      const limitedIssues = issues.slice(0, this.engine.config.maxProblems);
+      console.log(`[BMS-Engine] ✂️  Limited to ${limitedIssues.length} issues (max: ${this.engine.config.maxProblems})`);
+
+      // Cache issues for hover/code action providers
+      this._cacheIssues(document.uri, limitedIssues);
+
+      // Notificar observadores
+      if (this.onAnalysisCompleteCallback) {
+        try {
+          this.onAnalysisCompleteCallback(document.uri, limitedIssues);
+        } catch {}
+      }
+      if (this.analysisListeners.size > 0) {
+        for (const l of Array.from(this.analysisListeners)) {
+          try { l(document.uri, limitedIssues); } catch {}
+        }
+      }
+
+      // Convert issues to Diagnostics
+      const diagnostics = this.issuesToDiagnostics(limitedIssues, document);
+      console.log(`[BMS-Engine] 🎯 Created ${diagnostics.length} diagnostics`);
+
+      // Debug: print diagnostic details
+      if (diagnostics.length > 0) {
+        const first = diagnostics[0];
+        console.log(`[BMS-Engine] 📍 First diagnostic: line ${first.range.start.line}, message: ${first.message.split('\n')[0]}`);
+      }
+
+      // Update diagnostic collection
+      if (this.diagnosticCollection) {
+        console.log(`[BMS-Engine] 📤 Setting diagnostics in collection for: ${document.uri.fsPath}`);
+        this.diagnosticCollection.set(document.uri, diagnostics);
+        console.log(`[BMS-Engine] ✅ Diagnostics set successfully`);
+      } else {
+        console.error(`[BMS-Engine] ❌ DiagnosticCollection is not set!`);
+      }
+    } catch (error) {
+      console.error(`[BMS-Engine] ❌ Error analyzing ${document.fileName}:`, error);
+      // Clear diagnostics on error
+      if (this.diagnosticCollection) {
+        this.diagnosticCollection.set(document.uri, []);
+      }
+    }
+  }
+
+  /**
+   * Map lint engine issue to visualizer issue format
+   * @private
+   * @param {object} issue - Lint engine issue
+   * @returns {object} Visualizer issue
+   */
+  mapToVisualizerIssue(issue) {
+    if (VISUALIZER_TYPES[issue.issue] === null) return null;
+    const type = VISUALIZER_TYPES[issue.issue] || 'fixed-dimensions';
+    const category = type.includes('flex') ? 'flex' : 
+                     type.includes('grid') ? 'grid' : 
+                     type.includes('overflow') ? 'overflow' : 'other';
+    
+    return {
+      type,
+      severity: issue.severity || 'medium',
+      line: issue.lineNumber || 0,
+      selector: issue.selector || 'element',
+      property: issue.property || 'width',
+      value: issue.value || '600px',
+      suggestion: issue.correction || issue.suggestion || 'Use responsive units',
+      category,
+    };
+  }
+
+  /**
+   * Convert issues to Diagnostics
+   * @param {object[]} issues
+   * @param {vscode.TextDocument} document
+   * @returns {vscode.Diagnostic[]}
+   */
+  issuesToDiagnostics(issues, document) {
+    console.log(`[BMS-Engine] 🔄 Converting ${issues.length} issues to diagnostics`);
+    
+    return issues.map((issue, idx) => {
+      const severity = this.severityToDiagnosticSeverity(issue.severity);
+
+      // Build a detailed message
+      const message = `${issue.issue}\n\n**Explanation:** ${issue.explanation}\n\n**Viewport Impact:** ${issue.viewportImpact}\n\n**Suggestion:** ${issue.correction}`;
+
+      const diagnostic = new vscode.Diagnostic(
+        toRange(issue.range),
+        issue.issue,
+        severity
+      );
+
+      // Rule id as code, linking to its documentation
+      const rule = getRule(issue.rule);
+      diagnostic.code = {
+        value: rule ? rule.id : issue.issue.toLowerCase().replace(/\s+/g, '-'),
+        target: vscode.Uri.parse(rule ? rule.docs : 'https://github.com/mikaelcarrara/box-model-sentinel')
+      };
+
+      // Markdown message for hover
+      diagnostic.message = message;
+
+      diagnostic.source = 'Box Model Sentinel';
+
+      if (issue.related && document) {
+        diagnostic.relatedInformation = issue.related.map(r =>
+          new vscode.DiagnosticRelatedInformation(new vscode.Location(document.uri, toRange(r.range)), r.message));
+      }
+
+      // Generate and store ASCII visualization in metadata
+      try {
+        const visualizerIssue = this.mapToVisualizerIssue(issue);
+        if (visualizerIssue) {
+          const visualization = this.visualizer.generate(visualizerIssue);
+
+          // Store visualization in diagnostic metadata (custom property)
+          diagnostic.visualization = visualization.ascii;
+          diagnostic.visualizationData = visualization;
+        }
+      } catch (error) {
+        console.warn(`[BMS-Engine] Failed to generate visualization for issue:`, error);
+        // Continue without visualization
+      }
+
+      if (idx === 0) {
+        console.log(`[BMS-Engine] 📌 Example diagnostic 0: issue="${issue.issue}", line=${issue.lineNumber}, range=[${issue.range.start.line}:${issue.range.start.character} to ${issue.range.end.line}:${issue.range.end.character}]`);
+      }
+
+      return diagnostic;
+    });
+  }
+
+  /**
+   * Map severity level to DiagnosticSeverity
+   * @param {string} severity
+   * @returns {number}
+   */
+  severityToDiagnosticSeverity(severity) {
+    switch (severity?.toLowerCase()) {
+      case 'critical':
+        return vscode.DiagnosticSeverity.Error;
+      case 'medium':
+        return vscode.DiagnosticSeverity.Warning;
+      case 'low':
+        return vscode.DiagnosticSeverity.Information;
+      default:
+        return vscode.DiagnosticSeverity.Hint;
+    }
+  }
+
+  /**
+   * Cleanup on deactivation: pending analyses and the diagnostics
+   */
+  dispose() {
+    for (const timer of this.debounceTimers.values()) {
+      clearTimeout(timer);
+    }
+    this.debounceTimers.clear();
+    if (this.diagnosticCollection) this.diagnosticCollection.dispose();
+  }
+}
+
+module.exports = { DiagnosticProvider, filePathOf };
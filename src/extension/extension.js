@@ -1,14 +1,22 @@
 const vscode = require('vscode');
-const { LintEngine } = require('../engine/lint-engine');
+const { DiagnosticProvider, filePathOf } = require('./diagnostic-provider');
 const { IssueClassifier } = require('../engine/issue-classifier');
 const { getStatsHtml } = require('../ui/stats-panel');
 const { HoverProvider } = require('./hover-provider');
+const { CodeActionProvider, addFixAllEdit } = require('./code-action-provider');
+const { FIXABLE_RULES } = require('../engine/fixes');
+const { remEdits } = require('../engine/rem');
+const { fluidClamp, fluidViewports, sizesAt, parseSizeRange } = require('../engine/fluid');
+const { workspaceStylesheets } = require('./workspace-stylesheets');
 const { buildStatsModel } = require('../engine/stats-model');
+const { scanWorkspaceBreakpoints } = require('./breakpoint-inventory');
+const { CONFIG_FILES } = require('../engine/config');
 
 
-let lintEngine;
+let diagnosticProvider;
 let issuesCache = new Map();
 let statusBar;
+let breakpointInventory = null;
 
 // JS Agent removido
 
@@ -18,10 +26,10 @@ async function activate(context) {
   try { output.show(true); } catch (e) { try { console.error('[BMS] Failed to show output channel:', e && e.message); } catch (_) {} }
 
   try {
-    lintEngine = new LintEngine();
+    diagnosticProvider = new DiagnosticProvider();
     const collection = vscode.languages.createDiagnosticCollection('Box Model Sentinel');
-    lintEngine.setDiagnosticCollection(collection);
-    lintEngine.onAnalysisComplete((uri, issues) => {
+    diagnosticProvider.setDiagnosticCollection(collection);
+    diagnosticProvider.onAnalysisComplete((uri, issues) => {
       issuesCache.set(uri.toString(), issues);
       output.appendLine(`[BMS] Analysis complete for ${uri.toString()}: ${issues.length} issues`);
       const counts = { critical: 0, medium: 0, low: 0 };
@@ -32,11 +40,142 @@ async function activate(context) {
       statusBar.text = `BMS: C${counts.critical} M${counts.medium} L${counts.low}`;
     });
   } catch (e) {
-    output.appendLine('[BMS] LintEngine init failed: ' + (e && e.message));
-    lintEngine = null;
+    output.appendLine('[BMS] DiagnosticProvider init failed: ' + (e && e.message));
+    diagnosticProvider = null;
   }
 
   const hoverDisposable = vscode.languages.registerHoverProvider(['css', 'scss', 'less', 'sass'], new HoverProvider(issuesCache));
+  const codeActionDisposable = vscode.languages.registerCodeActionsProvider(['css', 'scss', 'less', 'sass'], new CodeActionProvider(diagnosticProvider), CodeActionProvider.metadata);
+
+  // Quick fix target: ignoreSelectors is a workspace setting when a folder is open
+  const ignoreSelectorCmd = vscode.commands.registerCommand('box-model-sentinel.ignoreSelector', async (selector) => {
+    if (!selector) return;
+    const config = vscode.workspace.getConfiguration('boxModelSentinel');
+    const current = config.get('ignoreSelectors', []);
+    if (current.includes(selector)) return;
+    const target = vscode.workspace.workspaceFolders ? vscode.ConfigurationTarget.Workspace : vscode.ConfigurationTarget.Global;
+    await config.update('ignoreSelectors', [...current, selector], target);
+    output.appendLine(`[BMS] Ignoring selector ${selector}`);
+  });
+
+  // Only safe fixes: the stylesheet renders the same, so no confirmation is needed
+  const fixAllCmd = vscode.commands.registerCommand('box-model-sentinel.fixAll', async () => {
+    const editor = vscode.window.activeTextEditor;
+    if (!editor || !diagnosticProvider || !diagnosticProvider.shouldAnalyze(editor.document)) return;
+    const edit = new vscode.WorkspaceEdit();
+    const fixes = addFixAllEdit(edit, editor.document, diagnosticProvider.settings);
+    if (!fixes.length) {
+      vscode.window.showInformationMessage('Box Model Sentinel: no safe fixes in this file');
+      return;
+    }
+    await vscode.workspace.applyEdit(edit);
+    output.appendLine(`[BMS] Applied ${fixes.length} safe fixes to ${editor.document.uri.toString()}`);
+  });
+
+  // The rule's preferred fix in every stylesheet, suggestions included, after confirmation
+  const fixRuleCmd = vscode.commands.registerCommand('box-model-sentinel.fixRuleInWorkspace', async (rule) => {
+    const id = rule || await vscode.window.showQuickPick([...FIXABLE_RULES], { placeHolder: 'Rule to fix in every stylesheet of the workspace' });
+    if (!id || !diagnosticProvider) return;
+    const edit = new vscode.WorkspaceEdit();
+    const fixes = [];
+    let files = 0;
+    for (const doc of await workspaceStylesheets()) {
+      const applied = addFixAllEdit(edit, doc, diagnosticProvider.settings, { rules: [id], safeOnly: false });
+      if (applied.length) files++;
+      fixes.push(...applied);
+    }
+    if (!fixes.length) {
+      vscode.window.showInformationMessage(`Box Model Sentinel: no ${id} issues to fix`);
+      return;
+    }
+    const choice = await vscode.window.showWarningMessage(
+      `Apply ${fixes.length} ${id} fix${fixes.length === 1 ? '' : 'es'} in ${files} file${files === 1 ? '' : 's'}?`,
+      { modal: true, detail: fixes.every(f => f.safe) ? 'These fixes do not change rendering.' : 'These are suggestions that change layout; review the result before committing.' },
+      'Apply'
+    );
+    if (choice !== 'Apply') return;
+    await vscode.workspace.applyEdit(edit);
+    output.appendLine(`[BMS] Applied ${fixes.length} ${id} fixes in ${files} files`);
+  });
+
+  // px → rem in the declarations a selection touches; an empty selection takes its line
+  const convertRemCmd = vscode.commands.registerCommand('box-model-sentinel.convertPxToRem', async () => {
+    const editor = vscode.window.activeTextEditor;
+    if (!editor || !diagnosticProvider || !['css', 'scss', 'less', 'sass'].includes(editor.document.languageId)) return;
+    const doc = editor.document;
+    const text = doc.getText();
+    const config = diagnosticProvider.engine.configFor(filePathOf(doc));
+    const edits = new Map();
+    for (const selection of editor.selections) {
+      const range = selection.isEmpty ? doc.lineAt(selection.active.line).range : selection;
+      for (const e of remEdits(text, { language: doc.languageId, config, start: doc.offsetAt(range.start), end: doc.offsetAt(range.end) })) {
+        edits.set(e.start, e);
+      }
+    }
+    if (!edits.size) {
+      vscode.window.showInformationMessage('Box Model Sentinel: no px lengths to convert in the selection');
+      return;
+    }
+    await editor.edit((builder) => {
+      for (const e of edits.values()) builder.replace(new vscode.Range(doc.positionAt(e.start), doc.positionAt(e.end)), e.newText);
+    });
+  });
+
+  // Every stylesheet, through the refactor preview so each change can be reviewed
+  const migrateRemCmd = vscode.commands.registerCommand('box-model-sentinel.migratePxToRem', async () => {
+    if (!diagnosticProvider) return;
+    const edit = new vscode.WorkspaceEdit();
+    let count = 0;
+    for (const doc of await workspaceStylesheets()) {
+      const config = diagnosticProvider.engine.configFor(filePathOf(doc));
+      const metadata = { needsConfirmation: true, label: 'Convert px to rem', description: vscode.workspace.asRelativePath(doc.uri) };
+      for (const e of remEdits(doc.getText(), { language: doc.languageId, config })) {
+        edit.replace(doc.uri, new vscode.Range(doc.positionAt(e.start), doc.positionAt(e.end)), e.newText, metadata);
+        count++;
+      }
+    }
+    if (!count) {
+      vscode.window.showInformationMessage('Box Model Sentinel: no px lengths to convert in the workspace');
+      return;
+    }
+    await vscode.workspace.applyEdit(edit);
+    output.appendLine(`[BMS] Proposed ${count} px to rem conversions`);
+  });
+
+  // Designer-specified min and max sizes to a clamp() between viewportMin and viewportMax
+  const generateClampCmd = vscode.commands.registerCommand('box-model-sentinel.generateClamp', async () => {
+    if (!diagnosticProvider) return;
+    const editor = vscode.window.activeTextEditor;
+    const config = editor ? diagnosticProvider.engine.configFor(filePathOf(editor.document)) : diagnosticProvider.settings;
+    const selected = editor ? /^\s*(\d*\.?\d+)px\s*$/i.exec(editor.document.getText(editor.selection)) : null;
+    const input = await vscode.window.showInputBox({
+      title: 'Generate fluid clamp()',
+      prompt: `Min and max size in px, reached at ${config.viewportMin}px and ${config.viewportMax}px viewports`,
+      placeHolder: '16 32',
+      value: selected ? `${Math.round(Number(selected[1]) * config.fluidMinScale * 100) / 100} ${selected[1]}` : '',
+      validateInput: value => (parseSizeRange(value) ? null : 'Enter two sizes in px, e.g. "16 32"')
+    });
+    const range = parseSizeRange(input);
+    if (!range) return;
+
+    let fluid;
+    try {
+      fluid = fluidClamp(range[0], range[1], config);
+    } catch (e) {
+      vscode.window.showErrorMessage(`Box Model Sentinel: ${e.message}`);
+      return;
+    }
+    const table = sizesAt(fluid, fluidViewports(config)).map(({ viewport, size }) => `${viewport}px viewport: ${size}px`);
+    const actions = editor ? ['Insert', 'Copy'] : ['Copy'];
+    const choice = await vscode.window.showInformationMessage(fluid.expression, { modal: true, detail: table.join('\n') }, ...actions);
+    if (choice === 'Copy') {
+      await vscode.env.clipboard.writeText(fluid.expression);
+    } else if (choice === 'Insert') {
+      await editor.edit((builder) => {
+        for (const selection of editor.selections) builder.replace(selection, fluid.expression);
+      });
+    }
+  });
 
   const cmd = vscode.commands.registerCommand('box-model-sentinel.test', () => {
     vscode.window.showInformationMessage('Box Model Sentinel ativado');
@@ -73,9 +212,9 @@ async function activate(context) {
       const u = currentEditor.document.uri.toString();
       let issues = issuesCache.get(u) || [];
       output.appendLine(`[BMS] makeModel: uri=${u}, issuesCache.size=${issuesCache.size}, issues.length=${issues.length}`);
-      if ((!issues || issues.length === 0) && lintEngine && typeof lintEngine.getIssuesForUri === 'function') {
-        issues = lintEngine.getIssuesForUri(currentEditor.document.uri) || [];
-        output.appendLine(`[BMS] makeModel: fallback to lintEngine, issues.length=${issues.length}`);
+      if ((!issues || issues.length === 0) && diagnosticProvider && typeof diagnosticProvider.getIssuesForUri === 'function') {
+        issues = diagnosticProvider.getIssuesForUri(currentEditor.document.uri) || [];
+        output.appendLine(`[BMS] makeModel: fallback to diagnosticProvider, issues.length=${issues.length}`);
       }
       // Log das severidades
       const severityCounts = { critical: 0, medium: 0, low: 0 };
@@ -87,7 +226,7 @@ async function activate(context) {
       output.appendLine(`[BMS] Severity counts: ${JSON.stringify(severityCounts)}`);
       const stats = buildStatsModel(issues, IssueClassifier);
       output.appendLine(`[BMS] Stats model: ${JSON.stringify(stats.counts)}`);
-      return { issues, ...stats };
+      return { issues, ...stats, breakpoints: breakpointInventory };
     };
     const render = () => {
       const model = makeModel();
@@ -97,12 +236,12 @@ async function activate(context) {
     const needsAnalysis = (() => {
       try {
         const ed = vscode.window.activeTextEditor;
-        if (!ed || !lintEngine || typeof lintEngine.shouldAnalyze !== 'function') return false;
+        if (!ed || !diagnosticProvider || typeof diagnosticProvider.shouldAnalyze !== 'function') return false;
         const u = ed.document.uri.toString();
         const cached = issuesCache.get(u);
         // Se já tem cache, não precisa analisar
         if (cached && cached.length > 0) return false;
-        return lintEngine.shouldAnalyze(ed.document);
+        return diagnosticProvider.shouldAnalyze(ed.document);
       } catch {
         return false;
       }
@@ -116,13 +255,13 @@ async function activate(context) {
           render();
         }
       };
-      const removeTemp = lintEngine.addAnalysisListener(tempListener);
+      const removeTemp = diagnosticProvider.addAnalysisListener(tempListener);
       
       // Executa análise
       try {
         const ed = vscode.window.activeTextEditor;
         if (ed) {
-          lintEngine.executeAnalysis(ed.document);
+          diagnosticProvider.executeAnalysis(ed.document);
         }
       } catch {}
       
@@ -132,6 +271,21 @@ async function activate(context) {
     
     // Render inicial (pode estar vazio se análise ainda não completou)
     render();
+
+    // Inventário de breakpoints do workspace: varredura assíncrona, refeita ao salvar folhas de estilo
+    const refreshInventory = () => {
+      // Each stylesheet against the scale its project config sets, as the diagnostics do
+      const scaleFor = (doc) => (diagnosticProvider ? diagnosticProvider.engine.breakpointScale(filePathOf(doc)) : []);
+      scanWorkspaceBreakpoints(scaleFor).then((inventory) => {
+        breakpointInventory = inventory;
+        output.appendLine(`[BMS] Breakpoint inventory: ${inventory.entries.length} values`);
+        if (currentPanel === panel) render();
+      }).catch((e) => output.appendLine('[BMS] Breakpoint scan failed: ' + (e && e.message)));
+    };
+    refreshInventory();
+    const saveListener = vscode.workspace.onDidSaveTextDocument((doc) => {
+      if (['css', 'scss', 'less', 'sass'].includes(doc.languageId)) refreshInventory();
+    });
     
     
     panel.onDidChangeViewState((e) => {
@@ -158,7 +312,7 @@ async function activate(context) {
     });
 
     // Re-render somente quando a análise terminar para o documento ativo
-    const removeListener = lintEngine ? lintEngine.addAnalysisListener((u, issues) => {
+    const removeListener = diagnosticProvider ? diagnosticProvider.addAnalysisListener((u, issues) => {
       const active = vscode.window.activeTextEditor;
       if (active && active.document && active.document.uri.toString() === u && currentPanel) {
         render();
@@ -167,6 +321,7 @@ async function activate(context) {
     }) : (() => {});
     panel.onDidDispose(() => {
       activeEditorListener.dispose();
+      saveListener.dispose();
       removeListener && removeListener();
     });
     panel.webview.onDidReceiveMessage(async (msg) => {
@@ -205,16 +360,16 @@ async function activate(context) {
       }
     }, undefined, context.subscriptions);
   });
-  const subs = [hoverDisposable, cmd, statsCmd, statusBar, output];
-  if (lintEngine && lintEngine.diagnosticCollection) {
-    subs.unshift(lintEngine.diagnosticCollection);
+  const subs = [hoverDisposable, codeActionDisposable, ignoreSelectorCmd, fixAllCmd, fixRuleCmd, convertRemCmd, migrateRemCmd, generateClampCmd, cmd, statsCmd, statusBar, output];
+  if (diagnosticProvider && diagnosticProvider.diagnosticCollection) {
+    subs.unshift(diagnosticProvider.diagnosticCollection);
   }
   context.subscriptions.push(...subs);
 
   const analyzeIfSupported = (doc) => {
     try {
-      if (lintEngine && typeof lintEngine.shouldAnalyze === 'function' && lintEngine.shouldAnalyze(doc)) {
-        lintEngine.analyze(doc);
+      if (diagnosticProvider && typeof diagnosticProvider.shouldAnalyze === 'function' && diagnosticProvider.shouldAnalyze(doc)) {
+        diagnosticProvider.analyze(doc);
       }
     } catch (e) {
       try { console.error('[BMS] analyzeIfSupported failed:', e && e.message); } catch(_) {}
@@ -226,15 +381,28 @@ async function activate(context) {
     vscode.workspace.onDidChangeTextDocument((e) => analyzeIfSupported(e.document)),
     vscode.workspace.onDidSaveTextDocument(analyzeIfSupported)
   );
+
+  // Project config files apply to every stylesheet below them
+  const configWatcher = vscode.workspace.createFileSystemWatcher(`**/{${CONFIG_FILES.join(',')}}`);
+  const reanalyzeOpen = () => (vscode.workspace.textDocuments || []).forEach(analyzeIfSupported);
+  context.subscriptions.push(
+    configWatcher,
+    configWatcher.onDidChange(reanalyzeOpen),
+    configWatcher.onDidCreate(reanalyzeOpen),
+    configWatcher.onDidDelete(reanalyzeOpen),
+    vscode.workspace.onDidChangeConfiguration((e) => {
+      if (!diagnosticProvider || !e.affectsConfiguration('boxModelSentinel')) return;
+      diagnosticProvider.loadConfiguration();
+      reanalyzeOpen();
+    })
+  );
   // Agente JS removido
 
   
 }
 
 function deactivate() {
-  if (lintEngine && lintEngine.diagnosticCollection) {
-    lintEngine.diagnosticCollection.dispose();
-  }
+  if (diagnosticProvider) diagnosticProvider.dispose();
 }
 
 module.exports = { activate, deactivate };
@@ -0,0 +1,55 @@
+/**
+ * Box Model Sentinel - Workspace Stylesheets
+ * Lê as folhas de estilo do workspace sem abri-las no editor
+ */
+
+const vscode = require('vscode');
+const path = require('path');
+const { createLocator } = require('../engine/parser');
+
+const STYLESHEETS = '**/*.{css,scss,sass,less}';
+const EXCLUDE = '**/node_modules/**';
+
+/**
+ * Read-only stand-in for the TextDocument of a file that is not open: what
+ * the engine adapters read (uri, languageId, getText, positionAt)
+ * @param {vscode.Uri} uri
+ * @param {string} text
+ * @returns {object}
+ */
+function fileDocument(uri, text) {
+  const locate = createLocator(text);
+  return {
+    uri,
+    isUntitled: false,
+    languageId: path.extname(uri.fsPath).slice(1).toLowerCase(),
+    getText: () => text,
+    positionAt(offset) {
+      const { line, column } = locate(offset);
+      return new vscode.Position(line, column);
+    }
+  };
+}
+
+/**
+ * Every stylesheet in the workspace. Open documents are used as they are, so
+ * unsaved edits count; other files are read from disk without opening them.
+ * Files that cannot be read are skipped.
+ * @returns {Promise<Array<vscode.TextDocument|object>>}
+ */
+async function workspaceStylesheets() {
+  const open = new Map((vscode.workspace.textDocuments || []).map(doc => [doc.uri.toString(), doc]));
+  const files = await vscode.workspace.findFiles(STYLESHEETS, EXCLUDE);
+  const docs = [];
+
+  for (const uri of files) {
+    try {
+      docs.push(open.get(uri.toString()) || fileDocument(uri, Buffer.from(await vscode.workspace.fs.readFile(uri)).toString('utf8')));
+    } catch (e) {
+      try { console.error('[BMS] Cannot read', uri.fsPath, e && e.message); } catch (_) {}
+    }
+  }
+  return docs;
+}
+
+module.exports = { workspaceStylesheets };
@@ -104,6 +104,45 @@
     }
   }
 
+  function renderBreakpoints() {
+    const data = window.__BMS_BREAKPOINTS__;
+    const container = document.getElementById('breakpoints');
+    if (!container || !data || !Array.isArray(data.entries) || data.entries.length === 0) return;
+    const hasScale = Array.isArray(data.scale) && data.scale.length > 0;
+
+    const heading = document.createElement('div');
+    heading.className = 'breakpoints-title';
+    heading.textContent = hasScale
+      ? `Breakpoints in workspace — scale: ${data.scale.map(v => `${v}px`).join(', ')}`
+      : 'Breakpoints in workspace';
+    container.appendChild(heading);
+
+    const table = document.createElement('table');
+    table.className = 'breakpoints-table';
+    const headRow = document.createElement('tr');
+    for (const label of ['Value', 'Written as', 'Uses', 'Files', hasScale ? 'Scale' : '']) {
+      if (!label) continue;
+      const th = document.createElement('th');
+      th.textContent = label;
+      headRow.appendChild(th);
+    }
+    table.appendChild(headRow);
+
+    for (const entry of data.entries) {
+      const row = document.createElement('tr');
+      if (hasScale && !entry.onScale) row.className = 'off-scale';
+      const cells = [`${entry.px}px`, (entry.texts || []).join(', '), String(entry.count), String(entry.files)];
+      if (hasScale) cells.push(entry.onScale ? 'on scale' : `off scale → ${entry.nearest}px`);
+      for (const text of cells) {
+        const td = document.createElement('td');
+        td.textContent = text;
+        row.appendChild(td);
+      }
+      table.appendChild(row);
+    }
+    container.appendChild(table);
+  }
+
   function renderTabsActive() {
     const cards = document.querySelectorAll('.counts .count-card');
     cards.forEach(c => c.classList.remove('active'));
@@ -155,5 +194,6 @@
   // Painel CSS é estático; atualização acontece via re-render do HTML pelo host.
 
   setupTabs();
+  renderBreakpoints();
   renderList();
 })(); 
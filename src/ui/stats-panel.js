@@ -11,6 +11,8 @@ function nonce() {
 
 function getStatsHtml(model, webview, extensionUri) {
   const itemsJson = JSON.stringify(model.items || []);
+  // Breakpoint values come from stylesheet text: keep them from closing the script tag
+  const breakpointsJson = JSON.stringify(model.breakpoints || null).replace(/</g, '\\u003c');
   const n = nonce();
   const scriptUri = webview.asWebviewUri(vscode.Uri.joinPath(extensionUri, 'src', 'ui', 'assets', 'stats.js'));
   const styleUri = webview.asWebviewUri(vscode.Uri.joinPath(extensionUri, 'src', 'ui', 'assets', 'stats.css'));
@@ -46,9 +48,10 @@ function getStatsHtml(model, webview, extensionUri) {
           <div class="count-label">LOW</div>
         </div>
       </div>
+      <div class="breakpoints" id="breakpoints"></div>
       <div class="list" id="list"></div>
     </section>
-    <script nonce="${n}">window.__BMS_ITEMS__ = ${itemsJson};</script>
+    <script nonce="${n}">window.__BMS_ITEMS__ = ${itemsJson}; window.__BMS_BREAKPOINTS__ = ${breakpointsJson};</script>
     <script nonce="${n}" src="${scriptUri}"></script>
   </body>
   </html>
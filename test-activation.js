@@ -61,14 +61,11 @@ try {
 // 6. Check lint-engine
 console.log('\n🔧 Verificando lint-engine.js...');
 try {
-  const { LintEngine } = require('./src/engine/lint-engine.js');
-  console.log('   ✓ LintEngine pode ser importado (mas requer vscode global)');
+  const { analyzeCss } = require('./src/engine/lint-engine.js');
+  const issues = analyzeCss('.card { width: 600px; }');
+  console.log(`   ✓ LintEngine funciona sem o vscode (${issues.length} problemas em uma regra de teste)`);
 } catch (err) {
-  if (err.message.includes('vscode')) {
-    console.log('   ⚠️  LintEngine precisa do módulo "vscode" (presente apenas no host)');
-  } else {
-    console.log(`   ❌ Erro ao importar LintEngine: ${err.message}`);
-  }
+  console.log(`   ❌ Erro no LintEngine: ${err.message}`);
 }
 
 console.log('\n' + '='.repeat(60));